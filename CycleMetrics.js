@@ -0,0 +1,193 @@
+/**
+ * Cycle Metrics
+ * Rolling statistics of the cyclic reads of a PLC: read duration histogram, PDUs and items per read,
+ * overruns, errors and the effective read rate over a sliding time window
+ */
+
+// Upper bounds of the read duration histogram buckets (ms)
+const DEFAULT_BUCKETS = [10, 25, 50, 100, 250, 500, 1000, 2500, 5000];
+
+/**
+ * Gets a percentile of ascending sorted values
+ */
+function percentile(sorted, p) {
+    if (!sorted.length) return null;
+    return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function round(value, digits = 2) {
+    return value === null ? null : Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+}
+
+class CycleMetrics {
+    constructor(config = {}) {
+        this.config = {
+            window: 300000,         // length of the rolling window (ms)
+            maxSamples: 10000,      // samples kept at most, the oldest are dropped first
+            buckets: DEFAULT_BUCKETS,
+            ...config
+        };
+
+        this.reset();
+    }
+
+    reset() {
+        this.samples = [];          // { time, duration, pdus, items }
+        this.overruns = [];         // timestamps
+        this.errors = [];           // timestamps
+        this.totals = { reads: 0, overruns: 0, errors: 0 };
+        this.lastRead = null;
+        this.startTime = Date.now();
+    }
+
+    /**
+     * Records a completed read
+     * @param {number} duration - Duration of the read (ms)
+     * @param {object} details - {pdus, items}
+     */
+    recordRead(duration, { pdus = null, items = null } = {}) {
+        const time = Date.now();
+
+        this.samples.push({ time, duration, pdus, items });
+        this.totals.reads++;
+        this.lastRead = { time: new Date(time), duration, pdus, items };
+        this.prune(time);
+    }
+
+    /**
+     * Records a cycle that was due while the previous read was still running
+     */
+    recordOverrun() {
+        const time = Date.now();
+        this.overruns.push(time);
+        this.totals.overruns++;
+        this.prune(time);
+    }
+
+    recordError() {
+        const time = Date.now();
+        this.errors.push(time);
+        this.totals.errors++;
+        this.prune(time);
+    }
+
+    prune(now = Date.now()) {
+        const limit = now - this.config.window;
+        const firstValid = list => {
+            let i = 0;
+            while (i < list.length && (list[i].time ?? list[i]) < limit) i++;
+            return i;
+        };
+
+        this.samples.splice(0, Math.max(firstValid(this.samples), this.samples.length - this.config.maxSamples));
+        this.overruns.splice(0, Math.max(firstValid(this.overruns), this.overruns.length - this.config.maxSamples));
+        this.errors.splice(0, Math.max(firstValid(this.errors), this.errors.length - this.config.maxSamples));
+    }
+
+    /**
+     * Gets the statistics of the rolling window
+     * @param {number} cycleTime - Configured cycle time (ms), used for the expected rate and load
+     * @returns {object} - Read duration statistics, histogram, rates and totals
+     */
+    getSnapshot(cycleTime = null) {
+        const now = Date.now();
+        this.prune(now);
+
+        const durations = this.samples.map(s => s.duration).sort((a, b) => a - b);
+        const reads = durations.length;
+        const average = (key) => {
+            const values = this.samples.map(s => s[key]).filter(v => v !== null && v !== undefined);
+            return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+        };
+
+        // Rates refer to the covered part of the window, shorter right after a start or reset
+        const span = Math.min(this.config.window, now - this.startTime) / 1000;
+        const averageDuration = reads ? durations.reduce((sum, d) => sum + d, 0) / reads : null;
+
+        const histogram = this.config.buckets.map(le => ({ le, count: 0 }));
+        histogram.push({ le: '+Inf', count: 0 });
+        for (const duration of durations) {
+            const bucket = histogram.find(b => b.le === '+Inf' || duration <= b.le);
+            bucket.count++;
+        }
+
+        return {
+            window: this.config.window,
+            reads,
+            errors: this.errors.length,
+            overruns: this.overruns.length,
+            duration: {
+                average: round(averageDuration),
+                min: reads ? durations[0] : null,
+                max: reads ? durations[reads - 1] : null,
+                p50: percentile(durations, 50),
+                p95: percentile(durations, 95),
+                p99: percentile(durations, 99)
+            },
+            pdusPerRead: round(average('pdus')),
+            itemsPerRead: round(average('items')),
+            effectiveRate: span > 0 ? round(reads / span) : null,           // reads per second
+            expectedRate: cycleTime > 0 ? round(1000 / cycleTime) : null,
+            // Share of the cycle time spent reading, above 1 the PLC cannot keep up
+            load: cycleTime > 0 && averageDuration !== null ? round(averageDuration / cycleTime) : null,
+            histogram,
+            lastRead: this.lastRead,
+            totals: { ...this.totals }
+        };
+    }
+
+    /**
+     * Combines the snapshots of several scan classes into one
+     * @param {object[]} snapshots - Snapshots from getSnapshot()
+     * @returns {object} - Combined snapshot
+     */
+    static combine(snapshots) {
+        const reads = snapshots.reduce((sum, s) => sum + s.reads, 0);
+        const weighted = (get) => {
+            const parts = snapshots.filter(s => s.reads && get(s) !== null);
+            const count = parts.reduce((sum, s) => sum + s.reads, 0);
+            return count ? round(parts.reduce((sum, s) => sum + get(s) * s.reads, 0) / count) : null;
+        };
+        const extreme = (get, fn) => {
+            const values = snapshots.map(get).filter(v => v !== null);
+            return values.length ? fn(...values) : null;
+        };
+        const sum = (get) => snapshots.reduce((total, s) => total + (get(s) || 0), 0);
+
+        const histogram = snapshots.length ? snapshots[0].histogram.map(b => ({ le: b.le, count: 0 })) : [];
+        for (const snapshot of snapshots) {
+            snapshot.histogram.forEach((b, i) => { histogram[i].count += b.count; });
+        }
+
+        return {
+            window: snapshots.length ? snapshots[0].window : null,
+            reads,
+            errors: sum(s => s.errors),
+            overruns: sum(s => s.overruns),
+            duration: {
+                average: weighted(s => s.duration.average),
+                min: extreme(s => s.duration.min, Math.min),
+                max: extreme(s => s.duration.max, Math.max),
+                // Percentiles cannot be combined exactly, the worst scan class is reported
+                p50: extreme(s => s.duration.p50, Math.max),
+                p95: extreme(s => s.duration.p95, Math.max),
+                p99: extreme(s => s.duration.p99, Math.max)
+            },
+            pdusPerRead: weighted(s => s.pdusPerRead),
+            itemsPerRead: weighted(s => s.itemsPerRead),
+            effectiveRate: round(sum(s => s.effectiveRate)),
+            expectedRate: round(sum(s => s.expectedRate)),
+            load: extreme(s => s.load, Math.max),
+            histogram,
+            totals: {
+                reads: sum(s => s.totals.reads),
+                overruns: sum(s => s.totals.overruns),
+                errors: sum(s => s.totals.errors)
+            }
+        };
+    }
+}
+
+Object.assign(CycleMetrics, { DEFAULT_BUCKETS });
+
+module.exports = CycleMetrics;
@@ -34,6 +34,60 @@ PRINT '';
 -- PLC CONNECTION MANAGEMENT TABLES
 -- ===============================
 
+-- PLC device profiles - connection defaults and allowed values per CPU family (mirrors PlcProfiles.js)
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='PLCProfiles' AND xtype='U')
+BEGIN
+    CREATE TABLE PLCProfiles (
+        PLCType nvarchar(20) PRIMARY KEY,  -- 'S7-300', 'S7-1200', 'LOGO!', ...
+        Description nvarchar(255),
+        ConnectionMode nvarchar(20) NOT NULL, -- Default connection mode
+        AllowedModes nvarchar(50) NOT NULL,   -- Comma separated connection modes the CPU supports
+        
+        -- Rack/slot defaults and limits (NULL for TSAP-only devices)
+        DefaultRack int NULL,
+        DefaultSlot int NULL,
+        MinRack int NULL,
+        MaxRack int NULL,
+        MinSlot int NULL,
+        MaxSlot int NULL,
+        
+        -- TSAP defaults (NULL for rack/slot devices)
+        LocalTSAPHi nvarchar(2) NULL,
+        LocalTSAPLo nvarchar(2) NULL,
+        RemoteTSAPHi nvarchar(2) NULL,
+        RemoteTSAPLo nvarchar(2) NULL,
+        
+        CpuSettings nvarchar(1000),        -- Settings required on the CPU side
+        
+        CONSTRAINT CK_PLCProfiles_ConnectionMode CHECK (ConnectionMode IN ('rack-slot', 'tsap'))
+    );
+    
+    INSERT INTO PLCProfiles (PLCType, Description, ConnectionMode, AllowedModes, DefaultRack, DefaultSlot, MinRack, MaxRack, MinSlot, MaxSlot,
+        LocalTSAPHi, LocalTSAPLo, RemoteTSAPHi, RemoteTSAPLo, CpuSettings)
+    VALUES 
+        ('S7-200', 'S7-200 with CP 243-1 Ethernet module', 'tsap', 'tsap', NULL, NULL, NULL, NULL, NULL, NULL,
+            '10', '00', '10', '01', 'CP 243-1 Ethernet wizard: server connection with local TSAP 10.01, remote TSAP 10.00. V memory is DB1.'),
+        ('S7-200 SMART', 'S7-200 SMART with on-board Ethernet port', 'rack-slot', 'rack-slot', 0, 1, 0, 0, 0, 1,
+            NULL, NULL, NULL, NULL, 'No CPU settings needed. V memory is DB1.'),
+        ('LOGO!', 'LOGO! 0BA7 / LOGO! 8 (0BA8 and later)', 'tsap', 'tsap', NULL, NULL, NULL, NULL, NULL, NULL,
+            '01', '00', '02', '00', 'LOGO!Soft Comfort Ethernet Connections: server connection with local TSAP 02.00, remote TSAP 01.00; LOGO! 8: allow access for S7. V memory is DB1.'),
+        ('S7-300', 'S7-300 and ET 200 CPUs (on-board PN port or CP 343-1)', 'rack-slot', 'rack-slot,tsap', 0, 2, 0, 0, 2, 2,
+            NULL, NULL, NULL, NULL, 'No CPU settings needed, the CPU is always in rack 0, slot 2.'),
+        ('S7-400', 'S7-400 and S7-400H CPUs', 'rack-slot', 'rack-slot,tsap', 0, 3, 0, 1, 1, 18,
+            NULL, NULL, NULL, NULL, 'Use the CPU slot from HW Config; S7-400H: standby CPU (rack 1) as backup endpoint.'),
+        ('S7-1200', 'S7-1200 CPUs', 'rack-slot', 'rack-slot,tsap', 0, 1, 0, 0, 0, 1,
+            NULL, NULL, NULL, NULL, 'Permit access with PUT/GET communication, full access level, optimized block access off for every DB accessed.'),
+        ('S7-1500', 'S7-1500, ET 200SP CPU and S7-1500 software controller', 'rack-slot', 'rack-slot,tsap', 0, 1, 0, 0, 0, 1,
+            NULL, NULL, NULL, NULL, 'Permit access with PUT/GET communication, full access level, optimized block access off for every DB accessed.');
+    
+    PRINT 'PLCProfiles table created successfully.';
+END
+ELSE
+BEGIN
+    PRINT 'PLCProfiles table already exists.';
+END
+GO
+
 -- PLC Connection Information Table
 IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='PLCConnections' AND xtype='U')
 BEGIN
@@ -41,6 +95,7 @@ BEGIN
         PLCID int IDENTITY(1,1) PRIMARY KEY,
         PLCName nvarchar(100) NOT NULL UNIQUE,
         PLCDescription nvarchar(255),
+        PLCType nvarchar(20) NULL,         -- Device profile (PLCProfiles), NULL = generic configuration
         
         -- Connection Configuration (nodes7 compatible)
         Transport nvarchar(20) DEFAULT 'iso-on-tcp',
@@ -50,6 +105,14 @@ BEGIN
         Slot int DEFAULT 2,
         ConnectionMode nvarchar(20) DEFAULT 'rack-slot', -- 'rack-slot' or 'tsap'
         
+        -- Redundant endpoint (second CP card or standby CPU of an H-system), NULL fields as the primary
+        BackupIPAddress nvarchar(50) NULL,
+        BackupPort int NULL,
+        BackupRack int NULL,
+        BackupSlot int NULL,
+        FailbackMode nvarchar(10) DEFAULT 'auto', -- 'auto' or 'manual'
+        FailbackDelay int DEFAULT 60000,   -- Primary must answer this long before failing back (ms)
+        
         -- TSAP Configuration (for TSAP mode)
         LocalTSAPHi nvarchar(2) DEFAULT '01',
         LocalTSAPLo nvarchar(2) DEFAULT '00',
@@ -107,7 +170,9 @@ BEGIN
         CONSTRAINT CK_PLCConnections_Slot CHECK (Slot BETWEEN 0 AND 31),
         CONSTRAINT CK_PLCConnections_CycleTime CHECK (CycleTime >= 50),
         CONSTRAINT CK_PLCConnections_Priority CHECK (Priority BETWEEN 1 AND 10),
-        CONSTRAINT CK_PLCConnections_ConnectionMode CHECK (ConnectionMode IN ('rack-slot', 'tsap'))
+        CONSTRAINT CK_PLCConnections_ConnectionMode CHECK (ConnectionMode IN ('rack-slot', 'tsap')),
+        CONSTRAINT CK_PLCConnections_FailbackMode CHECK (FailbackMode IN ('auto', 'manual')),
+        CONSTRAINT FK_PLCConnections_PLCProfiles FOREIGN KEY (PLCType) REFERENCES PLCProfiles(PLCType)
     );
     
     PRINT 'PLCConnections table created successfully.';
@@ -118,6 +183,31 @@ BEGIN
 END
 GO
 
+-- Upgrade existing PLCConnections table with redundant endpoint columns
+IF COL_LENGTH('PLCConnections', 'BackupIPAddress') IS NULL
+BEGIN
+    ALTER TABLE PLCConnections ADD 
+        BackupIPAddress nvarchar(50) NULL,
+        BackupPort int NULL,
+        BackupRack int NULL,
+        BackupSlot int NULL,
+        FailbackMode nvarchar(10) NOT NULL CONSTRAINT DF_PLCConnections_FailbackMode DEFAULT 'auto'
+            CONSTRAINT CK_PLCConnections_FailbackMode CHECK (FailbackMode IN ('auto', 'manual')),
+        FailbackDelay int NOT NULL CONSTRAINT DF_PLCConnections_FailbackDelay DEFAULT 60000;
+    PRINT 'PLCConnections table upgraded with redundant endpoint columns.';
+END
+GO
+
+-- Upgrade existing PLCConnections table with the device profile column
+IF COL_LENGTH('PLCConnections', 'PLCType') IS NULL
+BEGIN
+    ALTER TABLE PLCConnections ADD 
+        PLCType nvarchar(20) NULL
+            CONSTRAINT FK_PLCConnections_PLCProfiles FOREIGN KEY REFERENCES PLCProfiles(PLCType);
+    PRINT 'PLCConnections table upgraded with PLCType column.';
+END
+GO
+
 -- Real-time PLC Connection Status
 IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='PLCConnectionStatus' AND xtype='U')
 BEGIN
@@ -159,6 +249,30 @@ BEGIN
         MemoryUsage float,                -- Memory usage in MB
         CPUUsage float,                   -- CPU usage percentage
         
+        -- PLC clock
+        ClockDrift float,                 -- PLC clock minus server time (ms)
+        ClockRoundTrip int,               -- Duration of the clock read (ms)
+        LastClockCheck datetime2,
+        LastClockCorrection datetime2,
+        ClockCorrections int DEFAULT 0,
+        
+        -- Cycle metrics (rolling window of the client)
+        MaxResponseTime float,
+        ResponseTimeP95 float,
+        ReadsPerSecond float,             -- Effective read rate of all scan classes
+        PDUsPerRead float,
+        ItemsPerRead float,
+        ScanOverruns int,                 -- Reads still running when the next cycle was due
+        ReadErrors int,
+        CycleLoad float,                  -- Read duration / cycle time, above 1 the PLC cannot keep up
+        ResponseHistogram nvarchar(max),  -- JSON [{le, count}] of read durations (ms)
+        
+        -- Redundant endpoint
+        ActiveEndpoint nvarchar(10) DEFAULT 'primary', -- 'primary' or 'backup'
+        ActiveIPAddress nvarchar(50),
+        EndpointSwitches int DEFAULT 0,
+        LastEndpointSwitch datetime2,
+        
         -- Timestamps
         StatusTimestamp datetime2 DEFAULT GETDATE(),
         
@@ -178,6 +292,98 @@ BEGIN
 END
 GO
 
+-- Upgrade existing PLCConnectionStatus table with clock drift columns
+IF COL_LENGTH('PLCConnectionStatus', 'ClockDrift') IS NULL
+BEGIN
+    ALTER TABLE PLCConnectionStatus ADD 
+        ClockDrift float NULL,
+        ClockRoundTrip int NULL,
+        LastClockCheck datetime2 NULL,
+        LastClockCorrection datetime2 NULL,
+        ClockCorrections int NOT NULL CONSTRAINT DF_PLCConnectionStatus_ClockCorrections DEFAULT 0;
+    PRINT 'PLCConnectionStatus table upgraded with clock drift columns.';
+END
+GO
+
+-- Upgrade existing PLCConnectionStatus table with cycle metrics columns
+IF COL_LENGTH('PLCConnectionStatus', 'CycleLoad') IS NULL
+BEGIN
+    ALTER TABLE PLCConnectionStatus ADD 
+        MaxResponseTime float NULL,
+        ResponseTimeP95 float NULL,
+        ReadsPerSecond float NULL,
+        PDUsPerRead float NULL,
+        ItemsPerRead float NULL,
+        ScanOverruns int NULL,
+        ReadErrors int NULL,
+        CycleLoad float NULL,
+        ResponseHistogram nvarchar(max) NULL;
+    PRINT 'PLCConnectionStatus table upgraded with cycle metrics columns.';
+END
+GO
+
+-- Upgrade existing PLCConnectionStatus table with redundant endpoint columns
+IF COL_LENGTH('PLCConnectionStatus', 'ActiveEndpoint') IS NULL
+BEGIN
+    ALTER TABLE PLCConnectionStatus ADD 
+        ActiveEndpoint nvarchar(10) NULL CONSTRAINT DF_PLCConnectionStatus_ActiveEndpoint DEFAULT 'primary',
+        ActiveIPAddress nvarchar(50) NULL,
+        EndpointSwitches int NOT NULL CONSTRAINT DF_PLCConnectionStatus_EndpointSwitches DEFAULT 0,
+        LastEndpointSwitch datetime2 NULL;
+    PRINT 'PLCConnectionStatus table upgraded with redundant endpoint columns.';
+END
+GO
+
+-- CPU identification and operating state per PLC
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='PLCIdentification' AND xtype='U')
+BEGIN
+    CREATE TABLE PLCIdentification (
+        PLCName nvarchar(100) PRIMARY KEY,
+        
+        -- Identification (SSL 0x0011 / 0x001C)
+        ModuleOrderNumber nvarchar(50),
+        HardwareOrderNumber nvarchar(50),
+        FirmwareVersion nvarchar(20),
+        SerialNumber nvarchar(50),
+        ModuleName nvarchar(100),
+        CPUName nvarchar(100),           -- PLC name configured in the hardware project
+        PlantID nvarchar(100),
+        PartType nvarchar(50),
+        
+        -- Operating state (SSL 0x0424)
+        CpuState nvarchar(20),           -- RUN, STOP, STARTUP, HOLD, DEFECT, UNKNOWN
+        CpuStateChanged datetime2,
+        
+        -- Firmware history
+        PreviousFirmwareVersion nvarchar(20),
+        FirmwareChangedDate datetime2,
+        
+        -- Newest diagnostic buffer entry stored in EventHistory
+        LastDiagnosticEntry datetime2,
+        
+        LastIdentified datetime2,
+        LastUpdated datetime2 DEFAULT GETDATE(),
+        
+        CONSTRAINT FK_PLCIdentification_PLCConnections 
+            FOREIGN KEY (PLCName) REFERENCES PLCConnections(PLCName)
+            ON UPDATE CASCADE ON DELETE CASCADE
+    );
+    
+    PRINT 'PLCIdentification table created successfully.';
+END
+ELSE
+BEGIN
+    PRINT 'PLCIdentification table already exists.';
+END
+GO
+
+IF COL_LENGTH('PLCIdentification', 'LastDiagnosticEntry') IS NULL
+BEGIN
+    ALTER TABLE PLCIdentification ADD LastDiagnosticEntry datetime2 NULL;
+    PRINT 'PLCIdentification table upgraded with LastDiagnosticEntry column.';
+END
+GO
+
 -- Enhanced Tags table with PLC reference
 IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='Tags' AND xtype='U')
 BEGIN
@@ -185,11 +391,15 @@ BEGIN
         TagID int IDENTITY(1,1) PRIMARY KEY,
         PLCName nvarchar(100) NOT NULL, -- Reference to PLC
         TagName nvarchar(100) NOT NULL,
-        TagAddress nvarchar(50) NOT NULL,
+        TagAddress nvarchar(50) NULL,     -- S7 address, NULL for calculated tags and totalizers
         TagType nvarchar(20) DEFAULT 'REAL',
         Description nvarchar(255),
         Enabled bit DEFAULT 1,
         GroupName nvarchar(50) DEFAULT 'Default',
+        ScanClass nvarchar(50) NULL,      -- Poll group (see ScanClasses), NULL = PLC cycle time
+        UdtName nvarchar(100) NULL,       -- Data type of structured tags (see UdtTypes), NULL = elementary tag
+        SourceType nvarchar(20) NOT NULL DEFAULT 'PLC', -- PLC = read from TagAddress, CALCULATED = evaluated from Expression, TOTALIZER = see Totalizers
+        Expression nvarchar(1000) NULL,   -- Calculated tags: expression over other tags, e.g. 'FlowIn - FlowOut'
         
         -- Engineering Units Configuration
         RawMin float DEFAULT 0,           -- Raw value minimum (from PLC)
@@ -228,8 +438,8 @@ BEGIN
         RetentionDays int DEFAULT 3650,     -- How long to keep raw data
         
         -- Advanced features
-        ScalingType nvarchar(20) DEFAULT 'LINEAR', -- LINEAR, SQRT, POLYNOMIAL, LOOKUP
-        ScalingCoefficients nvarchar(500), -- JSON array for polynomial/custom scaling
+        ScalingType nvarchar(20) DEFAULT 'LINEAR', -- LINEAR, SQRT, POLYNOMIAL, LOOKUP, STRAPPING, PT100, PT1000, TC_J, TC_K, TC_T
+        ScalingCoefficients nvarchar(4000), -- JSON polynomial coefficients, lookup points, tank strapping table or sensor settings
         ValidationRules nvarchar(1000),   -- JSON validation rules
         
         -- Audit fields
@@ -241,6 +451,8 @@ BEGIN
         
         -- Constraints
         CONSTRAINT UQ_Tags_PLCName_TagName UNIQUE(PLCName, TagName),
+        CONSTRAINT CK_Tags_SourceType CHECK ((SourceType = 'PLC' AND TagAddress IS NOT NULL) OR
+            (SourceType = 'CALCULATED' AND Expression IS NOT NULL) OR SourceType = 'TOTALIZER'),
         CONSTRAINT FK_Tags_PLCConnections FOREIGN KEY (PLCName) REFERENCES PLCConnections(PLCName)
             ON UPDATE CASCADE ON DELETE CASCADE
     );
@@ -253,6 +465,284 @@ BEGIN
 END
 GO
 
+-- Upgrade existing Tags table for lookup and tank strapping tables
+IF COL_LENGTH('Tags', 'ScalingCoefficients') < 8000
+BEGIN
+    ALTER TABLE Tags ALTER COLUMN ScalingCoefficients nvarchar(4000) NULL;
+    PRINT 'Tags table upgraded with longer ScalingCoefficients column.';
+END
+GO
+
+-- Upgrade existing Tags table with scan class column
+IF COL_LENGTH('Tags', 'ScanClass') IS NULL
+BEGIN
+    ALTER TABLE Tags ADD ScanClass nvarchar(50) NULL;
+    PRINT 'Tags table upgraded with ScanClass column.';
+END
+GO
+
+-- Scan classes (poll groups) - tags of one class are read together at its cycle time
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='ScanClasses' AND xtype='U')
+BEGIN
+    CREATE TABLE ScanClasses (
+        ScanClassID int IDENTITY(1,1) PRIMARY KEY,
+        ScanClassName nvarchar(50) NOT NULL,
+        CycleTime int NOT NULL,           -- Poll interval in milliseconds
+        Description nvarchar(255),
+        Enabled bit DEFAULT 1,
+        
+        -- Timestamps
+        CreatedDate datetime2 DEFAULT GETDATE(),
+        ModifiedDate datetime2 DEFAULT GETDATE(),
+        
+        CONSTRAINT UQ_ScanClasses_Name UNIQUE(ScanClassName),
+        CONSTRAINT CK_ScanClasses_CycleTime CHECK (CycleTime >= 0)
+    );
+    
+    INSERT INTO ScanClasses (ScanClassName, CycleTime, Description)
+    VALUES 
+        ('FAST', 100, 'Fast changing process values (flows, pressures)'),
+        ('NORMAL', 1000, 'General process values'),
+        ('SLOW', 10000, 'Slow changing values (temperatures, levels, counters)');
+    
+    PRINT 'ScanClasses table created successfully.';
+END
+ELSE
+BEGIN
+    PRINT 'ScanClasses table already exists.';
+END
+GO
+
+-- PLC data types (UDTs) - structured tags read as one JSON object
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='UdtTypes' AND xtype='U')
+BEGIN
+    CREATE TABLE UdtTypes (
+        UdtID int IDENTITY(1,1) PRIMARY KEY,
+        UdtName nvarchar(100) NOT NULL,
+        Description nvarchar(255),
+        Version int DEFAULT 1,            -- Incremented whenever the members change
+        
+        -- Audit fields
+        CreatedDate datetime2 DEFAULT GETDATE(),
+        CreatedBy nvarchar(100) DEFAULT SYSTEM_USER,
+        ModifiedDate datetime2 DEFAULT GETDATE(),
+        ModifiedBy nvarchar(100) DEFAULT SYSTEM_USER,
+        
+        CONSTRAINT UQ_UdtTypes_Name UNIQUE(UdtName)
+    );
+    
+    PRINT 'UdtTypes table created successfully.';
+END
+ELSE
+BEGIN
+    PRINT 'UdtTypes table already exists.';
+END
+GO
+
+-- Members of a UDT in declaration order, offsets are computed when ByteOffset is NULL
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='UdtMembers' AND xtype='U')
+BEGIN
+    CREATE TABLE UdtMembers (
+        MemberID int IDENTITY(1,1) PRIMARY KEY,
+        UdtID int NOT NULL,
+        MemberName nvarchar(100) NOT NULL,
+        DataType nvarchar(100) NOT NULL,  -- BOOL, INT, REAL, STRING ... or the name of another UDT
+        ByteOffset int NULL,              -- Offset from the start of the UDT, NULL = after the previous member
+        BitOffset tinyint NULL,           -- BOOL members only
+        ArrayLength int NOT NULL DEFAULT 1,
+        StringLength int NULL,            -- STRING members only, NULL = 254
+        SortOrder int NOT NULL DEFAULT 0,
+        Description nvarchar(255),
+        
+        CONSTRAINT UQ_UdtMembers_Name UNIQUE(UdtID, MemberName),
+        CONSTRAINT FK_UdtMembers_UdtTypes FOREIGN KEY (UdtID) REFERENCES UdtTypes(UdtID)
+            ON DELETE CASCADE,
+        CONSTRAINT CK_UdtMembers_ArrayLength CHECK (ArrayLength >= 1),
+        CONSTRAINT CK_UdtMembers_BitOffset CHECK (BitOffset IS NULL OR BitOffset BETWEEN 0 AND 7)
+    );
+    
+    PRINT 'UdtMembers table created successfully.';
+END
+ELSE
+BEGIN
+    PRINT 'UdtMembers table already exists.';
+END
+GO
+
+-- Upgrade existing Tags table with UDT column
+IF COL_LENGTH('Tags', 'UdtName') IS NULL
+BEGIN
+    ALTER TABLE Tags ADD UdtName nvarchar(100) NULL;
+    PRINT 'Tags table upgraded with UdtName column.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.foreign_keys WHERE name = 'FK_Tags_UdtTypes')
+BEGIN
+    ALTER TABLE Tags ADD CONSTRAINT FK_Tags_UdtTypes FOREIGN KEY (UdtName) REFERENCES UdtTypes(UdtName)
+        ON UPDATE CASCADE;
+    PRINT 'Tags table linked to UdtTypes.';
+END
+GO
+
+-- Upgrade existing Tags table with calculated tag columns
+IF COL_LENGTH('Tags', 'SourceType') IS NULL
+BEGIN
+    ALTER TABLE Tags ADD SourceType nvarchar(20) NOT NULL CONSTRAINT DF_Tags_SourceType DEFAULT 'PLC',
+        Expression nvarchar(1000) NULL;
+    ALTER TABLE Tags ALTER COLUMN TagAddress nvarchar(50) NULL;
+    PRINT 'Tags table upgraded with SourceType and Expression columns.';
+END
+GO
+
+-- Source type check from before totalizers
+IF EXISTS (SELECT * FROM sys.check_constraints WHERE name = 'CK_Tags_SourceType' AND definition NOT LIKE '%TOTALIZER%')
+BEGIN
+    ALTER TABLE Tags DROP CONSTRAINT CK_Tags_SourceType;
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.check_constraints WHERE name = 'CK_Tags_SourceType')
+BEGIN
+    ALTER TABLE Tags ADD CONSTRAINT CK_Tags_SourceType CHECK ((SourceType = 'PLC' AND TagAddress IS NOT NULL) OR
+        (SourceType = 'CALCULATED' AND Expression IS NOT NULL) OR SourceType = 'TOTALIZER');
+    PRINT 'Tags table constrained to PLC, calculated and totalizer source types.';
+END
+GO
+
+-- Totalizers - configuration and running state of the tags with SourceType TOTALIZER
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='Totalizers' AND xtype='U')
+BEGIN
+    CREATE TABLE Totalizers (
+        TotalizerID int IDENTITY(1,1) PRIMARY KEY,
+        PLCName nvarchar(100) NOT NULL,
+        TagName nvarchar(100) NOT NULL,   -- The totalizer tag
+        SourceTag nvarchar(100) NOT NULL, -- Rate or counter tag of the same PLC
+        Mode nvarchar(20) NOT NULL DEFAULT 'RATE', -- RATE = integrate over time, COUNTER = sum the increments
+        RateTimeBase nvarchar(5) NOT NULL DEFAULT 'h', -- Time unit of the rate: s, min, h, d
+        Factor float NOT NULL DEFAULT 1.0, -- Total units per source unit, e.g. 0.001 for L -> m³
+        ResetSchedule nvarchar(20) NOT NULL DEFAULT 'DAILY', -- NONE, SHIFT, DAILY, MONTHLY
+        ResetTimes nvarchar(100) NOT NULL DEFAULT '00:00', -- HH:MM, comma separated shift starts for SHIFT
+        ResetDay int NOT NULL DEFAULT 1,  -- MONTHLY: day of the month
+        BadQualityPolicy nvarchar(20) NOT NULL DEFAULT 'HOLD', -- HOLD = stop integrating, LAST_GOOD = integrate the last good rate
+        MaxGapSeconds int NOT NULL DEFAULT 300, -- Longer gaps between samples are not integrated
+        LowFlowCutoff float NOT NULL DEFAULT 0, -- Rates below are counted as zero
+        RolloverValue float NULL,         -- COUNTER: value the PLC counter wraps at
+        Enabled bit DEFAULT 1,
+        
+        -- Running state, saved periodically and on shutdown
+        CurrentTotal float NOT NULL DEFAULT 0,
+        LifetimeTotal float NOT NULL DEFAULT 0,
+        PeriodStart datetime2 NULL,
+        GoodSeconds float NOT NULL DEFAULT 0, -- Part of the period integrated from good samples
+        LastValue float NULL,
+        LastTimestamp datetime2 NULL,
+        StateSavedAt datetime2 NULL,
+        
+        -- Timestamps
+        CreatedDate datetime2 DEFAULT GETDATE(),
+        ModifiedDate datetime2 DEFAULT GETDATE(),
+        
+        CONSTRAINT UQ_Totalizers_PLCName_TagName UNIQUE(PLCName, TagName),
+        CONSTRAINT FK_Totalizers_Tags FOREIGN KEY (PLCName, TagName) REFERENCES Tags(PLCName, TagName)
+            ON UPDATE CASCADE ON DELETE CASCADE,
+        CONSTRAINT CK_Totalizers_Mode CHECK (Mode IN ('RATE', 'COUNTER')),
+        CONSTRAINT CK_Totalizers_RateTimeBase CHECK (RateTimeBase IN ('s', 'min', 'h', 'd')),
+        CONSTRAINT CK_Totalizers_ResetSchedule CHECK (ResetSchedule IN ('NONE', 'SHIFT', 'DAILY', 'MONTHLY')),
+        CONSTRAINT CK_Totalizers_ResetDay CHECK (ResetDay BETWEEN 1 AND 31),
+        CONSTRAINT CK_Totalizers_BadQualityPolicy CHECK (BadQualityPolicy IN ('HOLD', 'LAST_GOOD')),
+        CONSTRAINT CK_Totalizers_MaxGapSeconds CHECK (MaxGapSeconds > 0)
+    );
+    
+    PRINT 'Totalizers table created successfully.';
+END
+ELSE
+BEGIN
+    PRINT 'Totalizers table already exists.';
+END
+GO
+
+-- Closed totalizer periods (daily inflow, monthly dosing volume ...)
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='TotalizerHistory' AND xtype='U')
+BEGIN
+    CREATE TABLE TotalizerHistory (
+        HistoryID bigint IDENTITY(1,1) PRIMARY KEY,
+        PLCName nvarchar(100) NOT NULL,
+        TagName nvarchar(100) NOT NULL,
+        PeriodStart datetime2 NOT NULL,
+        PeriodEnd datetime2 NOT NULL,
+        Total float NOT NULL,
+        EngineeringUnits nvarchar(20),
+        GoodSeconds float NOT NULL DEFAULT 0,
+        Coverage float NOT NULL DEFAULT 100, -- % of the period integrated from good samples
+        ResetReason nvarchar(20) NOT NULL DEFAULT 'SCHEDULE', -- SCHEDULE, MANUAL
+        ResetBy nvarchar(100) NULL,
+        CreatedAt datetime2 DEFAULT GETDATE(),
+        
+        CONSTRAINT FK_TotalizerHistory_PLCConnections 
+            FOREIGN KEY (PLCName) REFERENCES PLCConnections(PLCName)
+            ON UPDATE CASCADE ON DELETE CASCADE
+    );
+    
+    CREATE INDEX IX_TotalizerHistory_Tag_Period ON TotalizerHistory (PLCName, TagName, PeriodEnd DESC);
+    
+    PRINT 'TotalizerHistory table created successfully.';
+END
+ELSE
+BEGIN
+    PRINT 'TotalizerHistory table already exists.';
+END
+GO
+
+-- Equipment run hours and starts counted from run feedback bits, with maintenance intervals
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='EquipmentRuntime' AND xtype='U')
+BEGIN
+    CREATE TABLE EquipmentRuntime (
+        RuntimeID int IDENTITY(1,1) PRIMARY KEY,
+        PLCName nvarchar(100) NOT NULL,
+        EquipmentName nvarchar(100) NOT NULL,
+        RunTag nvarchar(200) NOT NULL,    -- BOOL run feedback, a UDT member as 'Blower_1.Running'
+        Description nvarchar(255),
+        MaintenanceHours float NULL,      -- Service interval in run hours, NULL = none
+        MaintenanceStarts int NULL,       -- Service interval in starts, NULL = none
+        Enabled bit DEFAULT 1,
+        
+        -- Counters, saved periodically and on shutdown
+        RunSeconds float NOT NULL DEFAULT 0,
+        StartCount int NOT NULL DEFAULT 0,
+        CompletedRuns int NOT NULL DEFAULT 0, -- Runs whose start and stop were both seen, for the mean run duration
+        CompletedRunSeconds float NOT NULL DEFAULT 0,
+        ServiceRunSeconds float NOT NULL DEFAULT 0, -- Since the last maintenance reset
+        ServiceStarts int NOT NULL DEFAULT 0,
+        Running bit NULL,                 -- Last seen run feedback, NULL = not seen yet
+        LastStart datetime2 NULL,
+        LastStop datetime2 NULL,
+        HoursDue bit NOT NULL DEFAULT 0,  -- Maintenance event raised for the current interval
+        StartsDue bit NOT NULL DEFAULT 0,
+        LastResetAt datetime2 NULL,
+        LastResetBy nvarchar(100) NULL,
+        StateSavedAt datetime2 NULL,
+        
+        -- Timestamps
+        CreatedDate datetime2 DEFAULT GETDATE(),
+        ModifiedDate datetime2 DEFAULT GETDATE(),
+        
+        CONSTRAINT UQ_EquipmentRuntime_PLCName_EquipmentName UNIQUE(PLCName, EquipmentName),
+        CONSTRAINT FK_EquipmentRuntime_PLCConnections 
+            FOREIGN KEY (PLCName) REFERENCES PLCConnections(PLCName)
+            ON UPDATE CASCADE ON DELETE CASCADE,
+        CONSTRAINT CK_EquipmentRuntime_MaintenanceHours CHECK (MaintenanceHours IS NULL OR MaintenanceHours > 0),
+        CONSTRAINT CK_EquipmentRuntime_MaintenanceStarts CHECK (MaintenanceStarts IS NULL OR MaintenanceStarts > 0)
+    );
+    
+    PRINT 'EquipmentRuntime table created successfully.';
+END
+ELSE
+BEGIN
+    PRINT 'EquipmentRuntime table already exists.';
+END
+GO
+
 -- Enhanced DataHistory table with PLC reference
 IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='DataHistory' AND xtype='U')
 BEGIN
@@ -262,7 +752,7 @@ BEGIN
         TagName nvarchar(100) NOT NULL,
         RawValue float NOT NULL,           -- Original value from PLC
         EuValue float NOT NULL,            -- Scaled engineering unit value
-        Quality int DEFAULT 192,           -- 192 = Good quality (OPC standard)
+        Quality int DEFAULT 192,           -- OPC quality: 192+ Good, 64-127 Uncertain, 0-63 Bad
         Timestamp datetime2 DEFAULT GETDATE(),
         LogType nvarchar(20) DEFAULT 'PERIODIC', -- PERIODIC, CHANGE, MANUAL, ALARM, WRITE
         
@@ -379,6 +869,21 @@ BEGIN
 END
 GO
 
+-- Upgrade EventHistory with a key for events read from external sources (e.g. the PLC diagnostic buffer)
+IF COL_LENGTH('EventHistory', 'SourceEventKey') IS NULL
+BEGIN
+    ALTER TABLE EventHistory ADD SourceEventKey nvarchar(64) NULL;
+    PRINT 'EventHistory table upgraded with SourceEventKey column.';
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_EventHistory_SourceEventKey')
+BEGIN
+    CREATE INDEX IX_EventHistory_SourceEventKey ON EventHistory(PLCName, Source, SourceEventKey)
+        WHERE SourceEventKey IS NOT NULL;
+END
+GO
+
 -- Enhanced summary tables with PLC reference
 IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='DataSummaryHourly' AND xtype='U')
 BEGIN
@@ -549,6 +1054,26 @@ BEGIN
 END
 GO
 
+-- Display preferences of API users
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='UserPreferences' AND xtype='U')
+BEGIN
+    CREATE TABLE UserPreferences (
+        Username nvarchar(100) PRIMARY KEY,
+        DisplayUnits nvarchar(500) NULL,  -- Comma separated units and unit systems (SI, METRIC, US), e.g. 'US,m³/h'
+        
+        -- Timestamps
+        CreatedAt datetime2 DEFAULT GETDATE(),
+        ModifiedAt datetime2 DEFAULT GETDATE()
+    );
+    
+    PRINT 'UserPreferences table created successfully.';
+END
+ELSE
+BEGIN
+    PRINT 'UserPreferences table already exists.';
+END
+GO
+
 -- ===============================
 -- STORED PROCEDURES FOR MULTI-PLC
 -- ===============================
@@ -565,10 +1090,15 @@ CREATE PROCEDURE sp_AddPLCConnection
     @PLCDescription nvarchar(255) = NULL,
     @IPAddress nvarchar(50),
     @Port int = 102,
-    @Rack int = 0,
-    @Slot int = 2,
+    @Rack int = NULL,                  -- NULL = default of the PLC type, 0 without a type
+    @Slot int = NULL,                  -- NULL = default of the PLC type, 2 without a type
     @Transport nvarchar(20) = 'iso-on-tcp',
-    @ConnectionMode nvarchar(20) = 'rack-slot',
+    @ConnectionMode nvarchar(20) = NULL, -- NULL = default of the PLC type, 'rack-slot' without a type
+    @PLCType nvarchar(20) = NULL,      -- Device profile from PLCProfiles
+    @LocalTSAPHi nvarchar(2) = NULL,
+    @LocalTSAPLo nvarchar(2) = NULL,
+    @RemoteTSAPHi nvarchar(2) = NULL,
+    @RemoteTSAPLo nvarchar(2) = NULL,
     @CycleTime int = 1000,
     @Timeout int = 2000,
     @Enabled bit = 1,
@@ -577,6 +1107,12 @@ CREATE PROCEDURE sp_AddPLCConnection
     @Location nvarchar(100) = NULL,
     @Department nvarchar(50) = NULL,
     @SystemType nvarchar(50) = NULL,
+    @BackupIPAddress nvarchar(50) = NULL,
+    @BackupPort int = NULL,
+    @BackupRack int = NULL,
+    @BackupSlot int = NULL,
+    @FailbackMode nvarchar(10) = 'auto',
+    @FailbackDelay int = 60000,
     @CreatedBy nvarchar(100) = NULL
 AS
 BEGIN
@@ -586,6 +1122,55 @@ BEGIN
         -- Set defaults
         IF @CreatedBy IS NULL SET @CreatedBy = SYSTEM_USER;
         IF @PLCDescription IS NULL SET @PLCDescription = 'PLC Connection: ' + @PLCName;
+        IF @BackupIPAddress = '' SET @BackupIPAddress = NULL;
+        IF @PLCType = '' SET @PLCType = NULL;
+        
+        -- Fill in the connection defaults of the device profile and check the values against it
+        IF @PLCType IS NOT NULL
+        BEGIN
+            DECLARE @AllowedModes nvarchar(50), @MinRack int, @MaxRack int, @MinSlot int, @MaxSlot int, @CpuSettings nvarchar(1000);
+            
+            SELECT @ConnectionMode = ISNULL(@ConnectionMode, ConnectionMode),
+                   @Rack = ISNULL(@Rack, DefaultRack),
+                   @Slot = ISNULL(@Slot, DefaultSlot),
+                   @LocalTSAPHi = ISNULL(@LocalTSAPHi, LocalTSAPHi),
+                   @LocalTSAPLo = ISNULL(@LocalTSAPLo, LocalTSAPLo),
+                   @RemoteTSAPHi = ISNULL(@RemoteTSAPHi, RemoteTSAPHi),
+                   @RemoteTSAPLo = ISNULL(@RemoteTSAPLo, RemoteTSAPLo),
+                   @AllowedModes = AllowedModes,
+                   @MinRack = MinRack, @MaxRack = MaxRack,
+                   @MinSlot = MinSlot, @MaxSlot = MaxSlot,
+                   @CpuSettings = CpuSettings
+            FROM PLCProfiles
+            WHERE PLCType = @PLCType;
+            
+            IF @AllowedModes IS NULL
+            BEGIN
+                RAISERROR('Unknown PLC type %s, see the PLCProfiles table', 16, 1, @PLCType);
+            END
+            
+            IF CHARINDEX(@ConnectionMode, @AllowedModes) = 0
+            BEGIN
+                RAISERROR('%s needs connection mode %s, not %s', 16, 1, @PLCType, @AllowedModes, @ConnectionMode);
+            END
+            
+            IF @ConnectionMode = 'rack-slot' AND @MinRack IS NOT NULL AND (
+                @Rack NOT BETWEEN @MinRack AND @MaxRack OR @Slot NOT BETWEEN @MinSlot AND @MaxSlot OR
+                ISNULL(@BackupRack, @Rack) NOT BETWEEN @MinRack AND @MaxRack OR ISNULL(@BackupSlot, @Slot) NOT BETWEEN @MinSlot AND @MaxSlot)
+            BEGIN
+                RAISERROR('%s needs rack %d-%d and slot %d-%d. %s', 16, 1, @PLCType, @MinRack, @MaxRack, @MinSlot, @MaxSlot, @CpuSettings);
+            END
+        END
+        
+        SET @Rack = ISNULL(@Rack, 0);
+        SET @Slot = ISNULL(@Slot, 2);
+        SET @ConnectionMode = ISNULL(@ConnectionMode, 'rack-slot');
+        
+        IF @BackupIPAddress = @IPAddress AND ISNULL(@BackupPort, @Port) = @Port 
+            AND ISNULL(@BackupRack, @Rack) = @Rack AND ISNULL(@BackupSlot, @Slot) = @Slot
+        BEGIN
+            RAISERROR('Backup endpoint of PLC %s is the same as the primary', 16, 1, @PLCName);
+        END
         
         -- Check if PLC already exists
         IF EXISTS (SELECT 1 FROM PLCConnections WHERE PLCName = @PLCName)
@@ -599,6 +1184,11 @@ BEGIN
                 Slot = @Slot,
                 Transport = @Transport,
                 ConnectionMode = @ConnectionMode,
+                PLCType = @PLCType,
+                LocalTSAPHi = ISNULL(@LocalTSAPHi, LocalTSAPHi),
+                LocalTSAPLo = ISNULL(@LocalTSAPLo, LocalTSAPLo),
+                RemoteTSAPHi = ISNULL(@RemoteTSAPHi, RemoteTSAPHi),
+                RemoteTSAPLo = ISNULL(@RemoteTSAPLo, RemoteTSAPLo),
                 CycleTime = @CycleTime,
                 Timeout = @Timeout,
                 Enabled = @Enabled,
@@ -607,6 +1197,12 @@ BEGIN
                 Location = @Location,
                 Department = @Department,
                 SystemType = @SystemType,
+                BackupIPAddress = @BackupIPAddress,
+                BackupPort = @BackupPort,
+                BackupRack = @BackupRack,
+                BackupSlot = @BackupSlot,
+                FailbackMode = ISNULL(@FailbackMode, 'auto'),
+                FailbackDelay = ISNULL(@FailbackDelay, 60000),
                 ModifiedDate = GETDATE(),
                 ModifiedBy = @CreatedBy,
                 Version = Version + 1
@@ -623,14 +1219,17 @@ BEGIN
             -- Insert new PLC
             INSERT INTO PLCConnections (
                 PLCName, PLCDescription, IPAddress, Port, Rack, Slot,
-                Transport, ConnectionMode, CycleTime, Timeout,
+                Transport, ConnectionMode, PLCType, LocalTSAPHi, LocalTSAPLo, RemoteTSAPHi, RemoteTSAPLo, CycleTime, Timeout,
                 Enabled, AutoConnect, Priority, Location, Department, SystemType,
+                BackupIPAddress, BackupPort, BackupRack, BackupSlot, FailbackMode, FailbackDelay,
                 CreatedBy, ModifiedBy
             )
             VALUES (
                 @PLCName, @PLCDescription, @IPAddress, @Port, @Rack, @Slot,
-                @Transport, @ConnectionMode, @CycleTime, @Timeout,
+                @Transport, @ConnectionMode, @PLCType, ISNULL(@LocalTSAPHi, '01'), ISNULL(@LocalTSAPLo, '00'),
+                ISNULL(@RemoteTSAPHi, '01'), ISNULL(@RemoteTSAPLo, '00'), @CycleTime, @Timeout,
                 @Enabled, @AutoConnect, @Priority, @Location, @Department, @SystemType,
+                @BackupIPAddress, @BackupPort, @BackupRack, @BackupSlot, ISNULL(@FailbackMode, 'auto'), ISNULL(@FailbackDelay, 60000),
                 @CreatedBy, @CreatedBy
             );
             
@@ -705,7 +1304,7 @@ BEGIN
     END
     ELSE
     BEGIN
-        -- Default to linear scaling for unknown types
+        -- Linear for POLYNOMIAL, LOOKUP, STRAPPING and temperature sensors, the clients log their values with the EU value calculated
         SET @EuValue = @EuMin + (@RawValue - @RawMin) * (@EuMax - @EuMin) / (@RawMax - @RawMin);
     END
     
@@ -724,7 +1323,9 @@ CREATE PROCEDURE sp_LogDataWithEU
     @EuValue float = NULL,
     @Quality int = 192,
     @LogType nvarchar(20) = 'PERIODIC',
-    @AutoCalculateEU bit = 1
+    @AutoCalculateEU bit = 1,
+    @PLCName nvarchar(100) = NULL,
+    @Timestamp datetime2 = NULL         -- Source timestamp (time of the PLC read)
 AS
 BEGIN
     SET NOCOUNT ON;
@@ -732,19 +1333,29 @@ BEGIN
     DECLARE @ShouldLog bit = 1;
     DECLARE @ChangeThreshold float;
     DECLARE @LastEuValue float;
+    DECLARE @LastQuality int;
     DECLARE @MaxFrequency int;
     DECLARE @RecentLogCount int;
+    DECLARE @BadQualityAction nvarchar(20);
     DECLARE @CalculatedEuValue float = @EuValue;
 
     BEGIN TRY
+        -- Resolve PLC when not provided
+        IF @PLCName IS NULL
+            SELECT TOP 1 @PLCName = PLCName FROM Tags WHERE TagName = @TagName;
+
+        IF @Timestamp IS NULL
+            SET @Timestamp = GETDATE();
+
         -- Get tag configuration
         SELECT 
             @ChangeThreshold = COALESCE(lc.ChangeThreshold, t.ChangeThreshold, 0.01),
             @MaxFrequency = COALESCE(lc.MaxLogFrequency, t.MaxLogRate, 60),
-            @ShouldLog = CASE WHEN t.LoggingEnabled = 1 AND COALESCE(lc.EnableLogging, 1) = 1 THEN 1 ELSE 0 END
+            @ShouldLog = CASE WHEN t.LoggingEnabled = 1 AND COALESCE(lc.EnableLogging, 1) = 1 THEN 1 ELSE 0 END,
+            @BadQualityAction = CASE WHEN COALESCE(lc.EnableQualityLogging, 1) = 1 THEN COALESCE(lc.BadQualityAction, 'LOG') ELSE 'IGNORE' END
         FROM Tags t
-        LEFT JOIN LoggingConfiguration lc ON t.TagName = lc.TagName
-        WHERE t.TagName = @TagName;
+        LEFT JOIN LoggingConfiguration lc ON t.PLCName = lc.PLCName AND t.TagName = lc.TagName
+        WHERE t.TagName = @TagName AND t.PLCName = @PLCName;
 
         -- Calculate EU value if not provided and auto-calculation is enabled
         IF @CalculatedEuValue IS NULL AND @AutoCalculateEU = 1
@@ -764,35 +1375,41 @@ BEGIN
             SET @MaxFrequency = 60;
         END
 
+        -- Skip bad quality values when configured to ignore them (OPC: Bad = 0-63)
+        IF @ShouldLog = 1 AND @Quality < 64 AND @BadQualityAction = 'IGNORE'
+            SET @ShouldLog = 0;
+
+        SELECT TOP 1 @LastEuValue = EuValue, @LastQuality = Quality
+        FROM DataHistory 
+        WHERE TagName = @TagName AND PLCName = @PLCName
+        ORDER BY Timestamp DESC;
+
         -- Check frequency limits for periodic logging
         IF @ShouldLog = 1 AND @LogType = 'PERIODIC'
         BEGIN
             SELECT @RecentLogCount = COUNT(*)
             FROM DataHistory 
             WHERE TagName = @TagName 
+              AND PLCName = @PLCName
               AND Timestamp > DATEADD(minute, -1, GETDATE());
 
             IF @RecentLogCount >= @MaxFrequency
                 SET @ShouldLog = 0;
         END
 
-        -- Check for significant change if LogOnChange is enabled
+        -- Check for significant change if LogOnChange is enabled (a quality change is always logged)
         IF @ShouldLog = 1 AND @LogType IN ('CHANGE', 'PERIODIC')
         BEGIN
-            SELECT TOP 1 @LastEuValue = EuValue 
-            FROM DataHistory 
-            WHERE TagName = @TagName 
-            ORDER BY Timestamp DESC;
-
-            IF @LastEuValue IS NOT NULL AND ABS(@CalculatedEuValue - @LastEuValue) < @ChangeThreshold AND @LogType <> 'MANUAL'
+            IF @LastEuValue IS NOT NULL AND ABS(@CalculatedEuValue - @LastEuValue) < @ChangeThreshold
+               AND @Quality = COALESCE(@LastQuality, @Quality) AND @LogType <> 'MANUAL'
                 SET @ShouldLog = 0;
         END
 
         -- Log the data if all checks pass
         IF @ShouldLog = 1
         BEGIN
-            INSERT INTO DataHistory (TagName, RawValue, EuValue, Quality, LogType, Timestamp)
-            VALUES (@TagName, @RawValue, @CalculatedEuValue, @Quality, @LogType, GETDATE());
+            INSERT INTO DataHistory (PLCName, TagName, RawValue, EuValue, Quality, LogType, Timestamp)
+            VALUES (@PLCName, @TagName, @RawValue, @CalculatedEuValue, @Quality, @LogType, @Timestamp);
             
             SELECT SCOPE_IDENTITY() as LogID, 1 as Logged, @CalculatedEuValue as CalculatedEuValue;
         END
@@ -804,8 +1421,8 @@ BEGIN
     END TRY
     BEGIN CATCH
         -- Log error
-        INSERT INTO EventHistory (EventType, EventCategory, EventMessage, TagName, Source)
-        VALUES ('LOGGING_ERROR', 'ERROR', 'Failed to log data for ' + @TagName + ': ' + ERROR_MESSAGE(), @TagName, 'sp_LogDataWithEU');
+        INSERT INTO EventHistory (EventType, EventCategory, EventMessage, PLCName, TagName, Source)
+        VALUES ('LOGGING_ERROR', 'ERROR', 'Failed to log data for ' + @TagName + ': ' + ERROR_MESSAGE(), @PLCName, @TagName, 'sp_LogDataWithEU');
         
         THROW;
     END CATCH
@@ -827,7 +1444,16 @@ CREATE PROCEDURE sp_UpdatePLCStatus
     @GoodQualityTags int = NULL,
     @BadQualityTags int = NULL,
     @ErrorMessage nvarchar(500) = NULL,
-    @ErrorCategory nvarchar(50) = NULL
+    @ErrorCategory nvarchar(50) = NULL,
+    @MaxResponseTime float = NULL,
+    @ResponseTimeP95 float = NULL,
+    @ReadsPerSecond float = NULL,
+    @PDUsPerRead float = NULL,
+    @ItemsPerRead float = NULL,
+    @ScanOverruns int = NULL,
+    @ReadErrors int = NULL,
+    @CycleLoad float = NULL,
+    @ResponseHistogram nvarchar(max) = NULL
 AS
 BEGIN
     SET NOCOUNT ON;
@@ -853,6 +1479,15 @@ BEGIN
                 LastError = COALESCE(@ErrorMessage, LastError),
                 LastErrorTime = CASE WHEN @ErrorMessage IS NOT NULL THEN GETDATE() ELSE LastErrorTime END,
                 ErrorCategory = COALESCE(@ErrorCategory, ErrorCategory),
+                MaxResponseTime = COALESCE(@MaxResponseTime, MaxResponseTime),
+                ResponseTimeP95 = COALESCE(@ResponseTimeP95, ResponseTimeP95),
+                ReadsPerSecond = COALESCE(@ReadsPerSecond, ReadsPerSecond),
+                PDUsPerRead = COALESCE(@PDUsPerRead, PDUsPerRead),
+                ItemsPerRead = COALESCE(@ItemsPerRead, ItemsPerRead),
+                ScanOverruns = COALESCE(@ScanOverruns, ScanOverruns),
+                ReadErrors = COALESCE(@ReadErrors, ReadErrors),
+                CycleLoad = COALESCE(@CycleLoad, CycleLoad),
+                ResponseHistogram = COALESCE(@ResponseHistogram, ResponseHistogram),
                 StatusTimestamp = GETDATE()
             WHERE PLCName = @PLCName;
         END
@@ -861,12 +1496,16 @@ BEGIN
             INSERT INTO PLCConnectionStatus (
                 PLCName, IsConnected, ConnectionState, CurrentCycleTime,
                 AverageResponseTime, ActiveTags, GoodQualityTags, BadQualityTags,
-                LastError, ErrorCategory, SessionStarted
+                LastError, ErrorCategory, SessionStarted,
+                MaxResponseTime, ResponseTimeP95, ReadsPerSecond, PDUsPerRead, ItemsPerRead,
+                ScanOverruns, ReadErrors, CycleLoad, ResponseHistogram
             )
             VALUES (
                 @PLCName, @IsConnected, @ConnectionState, @CurrentCycleTime,
                 @ResponseTime, @ActiveTags, @GoodQualityTags, @BadQualityTags,
-                @ErrorMessage, @ErrorCategory, CASE WHEN @IsConnected = 1 THEN GETDATE() ELSE NULL END
+                @ErrorMessage, @ErrorCategory, CASE WHEN @IsConnected = 1 THEN GETDATE() ELSE NULL END,
+                @MaxResponseTime, @ResponseTimeP95, @ReadsPerSecond, @PDUsPerRead, @ItemsPerRead,
+                @ScanOverruns, @ReadErrors, @CycleLoad, @ResponseHistogram
             );
         END
         
@@ -908,61 +1547,380 @@ BEGIN
 END
 GO
 
--- Enhanced procedure to add tags with PLC reference
-IF EXISTS (SELECT * FROM sys.procedures WHERE name = 'sp_AddEnhancedTagWithPLC')
-    DROP PROCEDURE sp_AddEnhancedTagWithPLC;
+-- Procedure to store the measured PLC clock drift and log clock corrections
+IF EXISTS (SELECT * FROM sys.procedures WHERE name = 'sp_UpdatePLCClockStatus')
+    DROP PROCEDURE sp_UpdatePLCClockStatus;
 GO
 
-CREATE PROCEDURE sp_AddEnhancedTagWithPLC
+CREATE PROCEDURE sp_UpdatePLCClockStatus
     @PLCName nvarchar(100),
-    @TagName nvarchar(100),
-    @TagAddress nvarchar(50),
-    @TagType nvarchar(20) = 'REAL',
-    @Description nvarchar(255) = NULL,
-    @GroupName nvarchar(50) = 'Default',
-    @RawMin float = 0,
-    @RawMax float = 32767,
-    @EuMin float = 0,
-    @EuMax float = 100,
-    @EngineeringUnits nvarchar(20) = NULL,
-    @DecimalPlaces int = 2,
-    @MinValue float = NULL,
-    @MaxValue float = NULL,
-    @AlarmHigh float = NULL,
-    @AlarmLow float = NULL,
-    @AlarmEnabled bit = 1,
-    @LoggingEnabled bit = 1,
-    @CreatedBy nvarchar(100) = NULL
+    @ClockDrift float,
+    @RoundTrip int = NULL,
+    @Corrected bit = 0,
+    @DriftBeforeCorrection float = NULL,
+    @CorrectionReason nvarchar(50) = NULL,
+    @Username nvarchar(100) = NULL
 AS
 BEGIN
     SET NOCOUNT ON;
     
     BEGIN TRY
-        -- Set defaults
-        IF @CreatedBy IS NULL SET @CreatedBy = SYSTEM_USER;
-        
-        -- Validate PLC exists
-        IF NOT EXISTS (SELECT 1 FROM PLCConnections WHERE PLCName = @PLCName)
+        IF NOT EXISTS (SELECT 1 FROM PLCConnectionStatus WHERE PLCName = @PLCName)
         BEGIN
-            RAISERROR('PLC "%s" does not exist. Please create the PLC connection first.', 16, 1, @PLCName);
-            RETURN;
+            INSERT INTO PLCConnectionStatus (PLCName) VALUES (@PLCName);
         END
         
-        -- Check if tag already exists for this PLC
-        IF EXISTS (SELECT 1 FROM Tags WHERE PLCName = @PLCName AND TagName = @TagName)
+        UPDATE PLCConnectionStatus
+        SET ClockDrift = @ClockDrift,
+            ClockRoundTrip = @RoundTrip,
+            LastClockCheck = GETDATE(),
+            LastClockCorrection = CASE WHEN @Corrected = 1 THEN GETDATE() ELSE LastClockCorrection END,
+            ClockCorrections = ClockCorrections + CASE WHEN @Corrected = 1 THEN 1 ELSE 0 END
+        WHERE PLCName = @PLCName;
+        
+        IF @Corrected = 1
         BEGIN
-            -- Update existing tag
-            UPDATE Tags
-            SET TagAddress = @TagAddress,
-                TagType = @TagType,
-                Description = @Description,
-                GroupName = @GroupName,
-                RawMin = @RawMin,
-                RawMax = @RawMax,
-                EuMin = @EuMin,
-                EuMax = @EuMax,
-                EngineeringUnits = @EngineeringUnits,
+            INSERT INTO EventHistory (EventType, EventCategory, EventMessage, PLCName, Username, OldValue, NewValue, Source)
+            VALUES ('PLC_CLOCK_CORRECTED', 'INFO', 
+                    'PLC ' + @PLCName + ' clock corrected, drift ' + 
+                    CONVERT(nvarchar(30), CAST(ISNULL(@DriftBeforeCorrection, 0) AS decimal(18, 0))) + ' ms -> ' + 
+                    CONVERT(nvarchar(30), CAST(@ClockDrift AS decimal(18, 0))) + ' ms' +
+                    COALESCE(' (' + @CorrectionReason + ')', ''), 
+                    @PLCName, @Username, @DriftBeforeCorrection, @ClockDrift, 'sp_UpdatePLCClockStatus');
+        END
+        
+        SELECT 'SUCCESS' as Status, @PLCName as PLCName, @ClockDrift as ClockDrift;
+        
+    END TRY
+    BEGIN CATCH
+        INSERT INTO EventHistory (EventType, EventCategory, EventMessage, PLCName, Source)
+        VALUES ('PLC_CLOCK_ERROR', 'ERROR', 
+                'Failed to update clock status for ' + @PLCName + ': ' + ERROR_MESSAGE(), 
+                @PLCName, 'sp_UpdatePLCClockStatus');
+        THROW;
+    END CATCH
+END
+GO
+
+-- Procedure to store the endpoint a redundant PLC connection switched to.
+-- The switch itself is recorded in EventHistory by the client (PLC_FAILOVER / PLC_FAILBACK)
+IF EXISTS (SELECT * FROM sys.procedures WHERE name = 'sp_UpdatePLCEndpoint')
+    DROP PROCEDURE sp_UpdatePLCEndpoint;
+GO
+
+CREATE PROCEDURE sp_UpdatePLCEndpoint
+    @PLCName nvarchar(100),
+    @ActiveEndpoint nvarchar(10),
+    @ActiveIPAddress nvarchar(50),
+    @SwitchTime datetime2 = NULL
+AS
+BEGIN
+    SET NOCOUNT ON;
+    
+    BEGIN TRY
+        IF NOT EXISTS (SELECT 1 FROM PLCConnectionStatus WHERE PLCName = @PLCName)
+        BEGIN
+            INSERT INTO PLCConnectionStatus (PLCName) VALUES (@PLCName);
+        END
+        
+        UPDATE PLCConnectionStatus
+        SET ActiveEndpoint = @ActiveEndpoint,
+            ActiveIPAddress = @ActiveIPAddress,
+            EndpointSwitches = EndpointSwitches + 1,
+            LastEndpointSwitch = ISNULL(@SwitchTime, GETDATE()),
+            StatusTimestamp = GETDATE()
+        WHERE PLCName = @PLCName;
+        
+        SELECT 'SUCCESS' as Status, @PLCName as PLCName, @ActiveEndpoint as ActiveEndpoint;
+        
+    END TRY
+    BEGIN CATCH
+        INSERT INTO EventHistory (EventType, EventCategory, EventMessage, PLCName, Source)
+        VALUES ('PLC_ENDPOINT_ERROR', 'ERROR', 
+                'Failed to update active endpoint for ' + @PLCName + ': ' + ERROR_MESSAGE(), 
+                @PLCName, 'sp_UpdatePLCEndpoint');
+        THROW;
+    END CATCH
+END
+GO
+
+-- Procedure to store CPU identification and operating state
+IF EXISTS (SELECT * FROM sys.procedures WHERE name = 'sp_UpdatePLCIdentification')
+    DROP PROCEDURE sp_UpdatePLCIdentification;
+GO
+
+CREATE PROCEDURE sp_UpdatePLCIdentification
+    @PLCName nvarchar(100),
+    @ModuleOrderNumber nvarchar(50) = NULL,
+    @HardwareOrderNumber nvarchar(50) = NULL,
+    @FirmwareVersion nvarchar(20) = NULL,
+    @SerialNumber nvarchar(50) = NULL,
+    @ModuleName nvarchar(100) = NULL,
+    @CPUName nvarchar(100) = NULL,
+    @PlantID nvarchar(100) = NULL,
+    @PartType nvarchar(50) = NULL,
+    @CpuState nvarchar(20) = NULL
+AS
+BEGIN
+    SET NOCOUNT ON;
+    
+    DECLARE @PreviousFirmware nvarchar(20);
+    DECLARE @PreviousState nvarchar(20);
+    DECLARE @HasIdentification bit = CASE WHEN @ModuleOrderNumber IS NOT NULL OR @FirmwareVersion IS NOT NULL THEN 1 ELSE 0 END;
+    
+    BEGIN TRY
+        SELECT @PreviousFirmware = FirmwareVersion, @PreviousState = CpuState
+        FROM PLCIdentification
+        WHERE PLCName = @PLCName;
+        
+        IF @@ROWCOUNT = 0
+        BEGIN
+            INSERT INTO PLCIdentification (PLCName) VALUES (@PLCName);
+        END
+        
+        -- Identification fields are only replaced when a new identification was read
+        UPDATE PLCIdentification
+        SET ModuleOrderNumber = CASE WHEN @HasIdentification = 1 THEN @ModuleOrderNumber ELSE ModuleOrderNumber END,
+            HardwareOrderNumber = CASE WHEN @HasIdentification = 1 THEN @HardwareOrderNumber ELSE HardwareOrderNumber END,
+            FirmwareVersion = CASE WHEN @HasIdentification = 1 THEN @FirmwareVersion ELSE FirmwareVersion END,
+            SerialNumber = CASE WHEN @HasIdentification = 1 THEN @SerialNumber ELSE SerialNumber END,
+            ModuleName = CASE WHEN @HasIdentification = 1 THEN @ModuleName ELSE ModuleName END,
+            CPUName = CASE WHEN @HasIdentification = 1 THEN @CPUName ELSE CPUName END,
+            PlantID = CASE WHEN @HasIdentification = 1 THEN @PlantID ELSE PlantID END,
+            PartType = CASE WHEN @HasIdentification = 1 THEN @PartType ELSE PartType END,
+            LastIdentified = CASE WHEN @HasIdentification = 1 THEN GETDATE() ELSE LastIdentified END,
+            CpuState = COALESCE(@CpuState, CpuState),
+            CpuStateChanged = CASE WHEN @CpuState IS NOT NULL AND ISNULL(@PreviousState, '') <> @CpuState
+                                   THEN GETDATE() ELSE CpuStateChanged END,
+            LastUpdated = GETDATE()
+        WHERE PLCName = @PLCName;
+        
+        -- Firmware change since the last identification (also across service restarts)
+        IF @HasIdentification = 1 AND @PreviousFirmware IS NOT NULL
+           AND ISNULL(@FirmwareVersion, '') <> @PreviousFirmware
+        BEGIN
+            UPDATE PLCIdentification
+            SET PreviousFirmwareVersion = @PreviousFirmware,
+                FirmwareChangedDate = GETDATE()
+            WHERE PLCName = @PLCName;
+            
+            INSERT INTO EventHistory (EventType, EventCategory, EventMessage, PLCName, Source)
+            VALUES ('PLC_FIRMWARE_CHANGED', 'WARNING', 
+                    'PLC ' + @PLCName + ' firmware changed from ' + @PreviousFirmware + ' to ' + ISNULL(@FirmwareVersion, 'unknown'), 
+                    @PLCName, 'sp_UpdatePLCIdentification');
+        END
+        
+        -- Log operating state changes
+        IF @CpuState IS NOT NULL AND ISNULL(@PreviousState, '') <> @CpuState
+        BEGIN
+            INSERT INTO EventHistory (EventType, EventCategory, EventMessage, PLCName, Source)
+            VALUES ('PLC_CPU_STATE_CHANGED', 
+                    CASE WHEN @CpuState IN ('STOP', 'DEFECT') THEN 'CRITICAL' ELSE 'INFO' END,
+                    'PLC ' + @PLCName + ' CPU state changed from ' + ISNULL(@PreviousState, 'unknown') + ' to ' + @CpuState, 
+                    @PLCName, 'sp_UpdatePLCIdentification');
+        END
+        
+        SELECT 'SUCCESS' as Status, @PLCName as PLCName,
+               @PreviousFirmware as PreviousFirmwareVersion, @PreviousState as PreviousCpuState;
+        
+    END TRY
+    BEGIN CATCH
+        INSERT INTO EventHistory (EventType, EventCategory, EventMessage, PLCName, Source)
+        VALUES ('PLC_IDENTIFICATION_ERROR', 'ERROR', 
+                'Failed to update PLC identification for ' + @PLCName + ': ' + ERROR_MESSAGE(), 
+                @PLCName, 'sp_UpdatePLCIdentification');
+        THROW;
+    END CATCH
+END
+GO
+
+-- Procedure to store a PLC diagnostic buffer entry, skipping entries already stored
+IF EXISTS (SELECT * FROM sys.procedures WHERE name = 'sp_LogPLCDiagnosticEvent')
+    DROP PROCEDURE sp_LogPLCDiagnosticEvent;
+GO
+
+CREATE PROCEDURE sp_LogPLCDiagnosticEvent
+    @PLCName nvarchar(100),
+    @EventKey nvarchar(64),
+    @EventCategory nvarchar(20),
+    @EventMessage nvarchar(1000),
+    @EventTimestamp datetime2 = NULL,
+    @AdditionalData nvarchar(max) = NULL
+AS
+BEGIN
+    SET NOCOUNT ON;
+    
+    DECLARE @LastEntry datetime2;
+    DECLARE @Inserted bit = 0;
+    
+    BEGIN TRY
+        SELECT @LastEntry = LastDiagnosticEntry FROM PLCIdentification WHERE PLCName = @PLCName;
+        
+        -- Entries older than the newest stored one were stored before, even if EventHistory was cleaned up since
+        IF (@LastEntry IS NULL OR @EventTimestamp IS NULL OR @EventTimestamp >= @LastEntry)
+           AND NOT EXISTS (SELECT 1 FROM EventHistory 
+                           WHERE PLCName = @PLCName AND Source = 'PLC_DIAG' AND SourceEventKey = @EventKey)
+        BEGIN
+            INSERT INTO EventHistory (EventType, EventCategory, EventMessage, PLCName, Source, SourceEventKey, AdditionalData, Timestamp)
+            VALUES ('PLC_DIAGNOSTIC', @EventCategory, @EventMessage, @PLCName, 'PLC_DIAG', @EventKey, @AdditionalData, 
+                    COALESCE(@EventTimestamp, GETDATE()));
+            
+            SET @Inserted = 1;
+            
+            IF @EventTimestamp IS NOT NULL AND (@LastEntry IS NULL OR @EventTimestamp > @LastEntry)
+            BEGIN
+                IF EXISTS (SELECT 1 FROM PLCIdentification WHERE PLCName = @PLCName)
+                    UPDATE PLCIdentification SET LastDiagnosticEntry = @EventTimestamp WHERE PLCName = @PLCName;
+                ELSE
+                    INSERT INTO PLCIdentification (PLCName, LastDiagnosticEntry) VALUES (@PLCName, @EventTimestamp);
+            END
+        END
+        
+        SELECT @Inserted as Inserted;
+        
+    END TRY
+    BEGIN CATCH
+        INSERT INTO EventHistory (EventType, EventCategory, EventMessage, PLCName, Source)
+        VALUES ('PLC_DIAGNOSTIC_ERROR', 'ERROR', 
+                'Failed to store diagnostic buffer entry for ' + @PLCName + ': ' + ERROR_MESSAGE(), 
+                @PLCName, 'sp_LogPLCDiagnosticEvent');
+        THROW;
+    END CATCH
+END
+GO
+
+-- Enhanced procedure to add tags with PLC reference
+IF EXISTS (SELECT * FROM sys.procedures WHERE name = 'sp_AddEnhancedTagWithPLC')
+    DROP PROCEDURE sp_AddEnhancedTagWithPLC;
+GO
+
+CREATE PROCEDURE sp_AddEnhancedTagWithPLC
+    @PLCName nvarchar(100),
+    @TagName nvarchar(100),
+    @TagAddress nvarchar(50) = NULL,
+    @TagType nvarchar(20) = 'REAL',
+    @Description nvarchar(255) = NULL,
+    @GroupName nvarchar(50) = 'Default',
+    @ScanClass nvarchar(50) = NULL,
+    @UdtName nvarchar(100) = NULL,
+    @SourceType nvarchar(20) = 'PLC',
+    @Expression nvarchar(1000) = NULL,
+    @RawMin float = 0,
+    @RawMax float = 32767,
+    @EuMin float = 0,
+    @EuMax float = 100,
+    @EngineeringUnits nvarchar(20) = NULL,
+    @DecimalPlaces int = 2,
+    @ScalingType nvarchar(20) = 'LINEAR',
+    @ScalingCoefficients nvarchar(4000) = NULL,     -- JSON, checked for an inverse by the client
+    @MinValue float = NULL,
+    @MaxValue float = NULL,
+    @AlarmHigh float = NULL,
+    @AlarmLow float = NULL,
+    @AlarmEnabled bit = 1,
+    @LoggingEnabled bit = 1,
+    @CreatedBy nvarchar(100) = NULL
+AS
+BEGIN
+    SET NOCOUNT ON;
+    
+    BEGIN TRY
+        -- Set defaults
+        IF @CreatedBy IS NULL SET @CreatedBy = SYSTEM_USER;
+        
+        -- Validate PLC exists
+        IF NOT EXISTS (SELECT 1 FROM PLCConnections WHERE PLCName = @PLCName)
+        BEGIN
+            RAISERROR('PLC "%s" does not exist. Please create the PLC connection first.', 16, 1, @PLCName);
+            RETURN;
+        END
+        
+        -- Validate scan class exists
+        IF @ScanClass IS NOT NULL AND NOT EXISTS (SELECT 1 FROM ScanClasses WHERE ScanClassName = @ScanClass)
+        BEGIN
+            RAISERROR('Scan class "%s" does not exist.', 16, 1, @ScanClass);
+            RETURN;
+        END
+        
+        -- Validate UDT exists
+        IF @UdtName IS NOT NULL AND NOT EXISTS (SELECT 1 FROM UdtTypes WHERE UdtName = @UdtName)
+        BEGIN
+            RAISERROR('UDT "%s" does not exist.', 16, 1, @UdtName);
+            RETURN;
+        END
+        
+        -- Validate the source: PLC tags are read from an address, calculated tags evaluate an expression,
+        -- totalizers are configured with sp_SaveTotalizer
+        IF @SourceType = 'TOTALIZER'
+        BEGIN
+            SET @TagAddress = NULL;
+            SET @UdtName = NULL;
+            SET @Expression = NULL;
+        END
+        ELSE IF @SourceType = 'CALCULATED'
+        BEGIN
+            IF @Expression IS NULL
+            BEGIN
+                RAISERROR('Calculated tag "%s" needs an expression.', 16, 1, @TagName);
+                RETURN;
+            END
+            SET @TagAddress = NULL;
+            SET @UdtName = NULL;
+        END
+        ELSE IF @SourceType = 'PLC'
+        BEGIN
+            IF @TagAddress IS NULL
+            BEGIN
+                RAISERROR('Tag "%s" needs an address.', 16, 1, @TagName);
+                RETURN;
+            END
+            SET @Expression = NULL;
+        END
+        ELSE
+        BEGIN
+            RAISERROR('Unknown source type "%s", use PLC, CALCULATED or TOTALIZER.', 16, 1, @SourceType);
+            RETURN;
+        END
+        
+        -- Validate the scaling type, calculated tags and totalizers are not scaled
+        SET @ScalingType = UPPER(ISNULL(@ScalingType, 'LINEAR'));
+        IF @ScalingType NOT IN ('LINEAR', 'SQRT', 'POLYNOMIAL', 'LOOKUP', 'STRAPPING', 'PT100', 'PT1000', 'TC_J', 'TC_K', 'TC_T')
+        BEGIN
+            RAISERROR('Unknown scaling type "%s", use LINEAR, SQRT, POLYNOMIAL, LOOKUP, STRAPPING, PT100, PT1000, TC_J, TC_K or TC_T.', 16, 1, @ScalingType);
+            RETURN;
+        END
+        IF @ScalingCoefficients IS NOT NULL AND ISJSON(@ScalingCoefficients) = 0
+        BEGIN
+            RAISERROR('Scaling coefficients of tag "%s" are no valid JSON.', 16, 1, @TagName);
+            RETURN;
+        END
+        IF @SourceType <> 'PLC'
+        BEGIN
+            SET @ScalingType = 'LINEAR';
+            SET @ScalingCoefficients = NULL;
+        END
+        
+        -- Check if tag already exists for this PLC
+        IF EXISTS (SELECT 1 FROM Tags WHERE PLCName = @PLCName AND TagName = @TagName)
+        BEGIN
+            -- Update existing tag
+            UPDATE Tags
+            SET TagAddress = @TagAddress,
+                TagType = @TagType,
+                Description = @Description,
+                GroupName = @GroupName,
+                ScanClass = @ScanClass,
+                UdtName = @UdtName,
+                SourceType = @SourceType,
+                Expression = @Expression,
+                RawMin = @RawMin,
+                RawMax = @RawMax,
+                EuMin = @EuMin,
+                EuMax = @EuMax,
+                EngineeringUnits = @EngineeringUnits,
                 DecimalPlaces = @DecimalPlaces,
+                ScalingType = @ScalingType,
+                ScalingCoefficients = @ScalingCoefficients,
                 MinValue = @MinValue,
                 MaxValue = @MaxValue,
                 AlarmHigh = @AlarmHigh,
@@ -984,14 +1942,14 @@ BEGIN
         BEGIN
             -- Insert new tag
             INSERT INTO Tags (
-                PLCName, TagName, TagAddress, TagType, Description, GroupName,
-                RawMin, RawMax, EuMin, EuMax, EngineeringUnits, DecimalPlaces,
+                PLCName, TagName, TagAddress, TagType, Description, GroupName, ScanClass, UdtName, SourceType, Expression,
+                RawMin, RawMax, EuMin, EuMax, EngineeringUnits, DecimalPlaces, ScalingType, ScalingCoefficients,
                 MinValue, MaxValue, AlarmHigh, AlarmLow, AlarmEnabled,
                 LoggingEnabled, CreatedBy, ModifiedBy
             )
             VALUES (
-                @PLCName, @TagName, @TagAddress, @TagType, @Description, @GroupName,
-                @RawMin, @RawMax, @EuMin, @EuMax, @EngineeringUnits, @DecimalPlaces,
+                @PLCName, @TagName, @TagAddress, @TagType, @Description, @GroupName, @ScanClass, @UdtName, @SourceType, @Expression,
+                @RawMin, @RawMax, @EuMin, @EuMax, @EngineeringUnits, @DecimalPlaces, @ScalingType, @ScalingCoefficients,
                 @MinValue, @MaxValue, @AlarmHigh, @AlarmLow, @AlarmEnabled,
                 @LoggingEnabled, @CreatedBy, @CreatedBy
             );
@@ -1018,6 +1976,520 @@ BEGIN
 END
 GO
 
+-- Procedure to add/update a UDT, its members are replaced as a whole
+IF EXISTS (SELECT * FROM sys.procedures WHERE name = 'sp_SaveUdtType')
+    DROP PROCEDURE sp_SaveUdtType;
+GO
+
+CREATE PROCEDURE sp_SaveUdtType
+    @UdtName nvarchar(100),
+    @Description nvarchar(255) = NULL,
+    @Members nvarchar(max),               -- JSON array: [{"MemberName", "DataType", "ByteOffset", "BitOffset", "ArrayLength", "StringLength", "SortOrder", "Description"}]
+    @ModifiedBy nvarchar(100) = NULL
+AS
+BEGIN
+    SET NOCOUNT ON;
+    
+    DECLARE @UdtID int;
+    DECLARE @Action nvarchar(10) = 'UPDATED';
+    DECLARE @MemberCount int;
+    
+    BEGIN TRY
+        IF @ModifiedBy IS NULL SET @ModifiedBy = SYSTEM_USER;
+        
+        IF ISJSON(@Members) = 0
+        BEGIN
+            RAISERROR('Members of UDT "%s" must be a JSON array.', 16, 1, @UdtName);
+            RETURN;
+        END
+        
+        BEGIN TRANSACTION;
+        
+        SELECT @UdtID = UdtID FROM UdtTypes WHERE UdtName = @UdtName;
+        
+        IF @UdtID IS NULL
+        BEGIN
+            INSERT INTO UdtTypes (UdtName, Description, CreatedBy, ModifiedBy)
+            VALUES (@UdtName, @Description, @ModifiedBy, @ModifiedBy);
+            
+            SET @UdtID = SCOPE_IDENTITY();
+            SET @Action = 'CREATED';
+        END
+        ELSE
+        BEGIN
+            UPDATE UdtTypes
+            SET Description = @Description,
+                ModifiedBy = @ModifiedBy,
+                ModifiedDate = GETDATE(),
+                Version = Version + 1
+            WHERE UdtID = @UdtID;
+            
+            DELETE FROM UdtMembers WHERE UdtID = @UdtID;
+        END
+        
+        INSERT INTO UdtMembers (UdtID, MemberName, DataType, ByteOffset, BitOffset, ArrayLength, StringLength, SortOrder, Description)
+        SELECT @UdtID, MemberName, DataType, ByteOffset, BitOffset, ISNULL(ArrayLength, 1), StringLength, ISNULL(SortOrder, 0), Description
+        FROM OPENJSON(@Members) WITH (
+            MemberName nvarchar(100),
+            DataType nvarchar(100),
+            ByteOffset int,
+            BitOffset tinyint,
+            ArrayLength int,
+            StringLength int,
+            SortOrder int,
+            Description nvarchar(255)
+        );
+        
+        SET @MemberCount = @@ROWCOUNT;
+        
+        INSERT INTO EventHistory (EventType, EventCategory, EventMessage, Username, Source)
+        VALUES ('UDT_' + @Action, 'INFO', 'UDT ' + @UdtName + ' ' + LOWER(@Action) + ' with ' + CAST(@MemberCount AS nvarchar(10)) + ' members', @ModifiedBy, 'sp_SaveUdtType');
+        
+        COMMIT TRANSACTION;
+        
+        SELECT @Action AS Action, @UdtID AS UdtID, @UdtName AS UdtName, 'SUCCESS' AS Status;
+        
+    END TRY
+    BEGIN CATCH
+        IF @@TRANCOUNT > 0 ROLLBACK TRANSACTION;
+        
+        INSERT INTO EventHistory (EventType, EventCategory, EventMessage, Username, Source)
+        VALUES ('UDT_ERROR', 'ERROR', 'Failed to save UDT ' + @UdtName + ': ' + ERROR_MESSAGE(), @ModifiedBy, 'sp_SaveUdtType');
+        
+        THROW;
+    END CATCH
+END
+GO
+
+-- Procedure to add/update the configuration of a totalizer tag, the running total is kept
+IF EXISTS (SELECT * FROM sys.procedures WHERE name = 'sp_SaveTotalizer')
+    DROP PROCEDURE sp_SaveTotalizer;
+GO
+
+CREATE PROCEDURE sp_SaveTotalizer
+    @PLCName nvarchar(100),
+    @TagName nvarchar(100),
+    @SourceTag nvarchar(100),
+    @Mode nvarchar(20) = 'RATE',
+    @RateTimeBase nvarchar(5) = 'h',
+    @Factor float = 1.0,
+    @ResetSchedule nvarchar(20) = 'DAILY',
+    @ResetTimes nvarchar(100) = '00:00',
+    @ResetDay int = 1,
+    @BadQualityPolicy nvarchar(20) = 'HOLD',
+    @MaxGapSeconds int = 300,
+    @LowFlowCutoff float = 0,
+    @RolloverValue float = NULL
+AS
+BEGIN
+    SET NOCOUNT ON;
+    
+    DECLARE @Action nvarchar(10) = 'UPDATED';
+    
+    BEGIN TRY
+        IF NOT EXISTS (SELECT 1 FROM Tags WHERE PLCName = @PLCName AND TagName = @TagName AND SourceType = 'TOTALIZER')
+        BEGIN
+            RAISERROR('Tag "%s" of PLC "%s" is no totalizer tag.', 16, 1, @TagName, @PLCName);
+            RETURN;
+        END
+        
+        IF NOT EXISTS (SELECT 1 FROM Tags WHERE PLCName = @PLCName AND TagName = @SourceTag)
+        BEGIN
+            RAISERROR('Source tag "%s" does not exist on PLC "%s".', 16, 1, @SourceTag, @PLCName);
+            RETURN;
+        END
+        
+        IF EXISTS (SELECT 1 FROM Totalizers WHERE PLCName = @PLCName AND TagName = @TagName)
+        BEGIN
+            -- Another source or mode makes the last sample meaningless, the total itself is kept
+            UPDATE Totalizers
+            SET LastValue = CASE WHEN SourceTag = @SourceTag AND Mode = @Mode THEN LastValue END,
+                LastTimestamp = CASE WHEN SourceTag = @SourceTag AND Mode = @Mode THEN LastTimestamp END,
+                SourceTag = @SourceTag,
+                Mode = @Mode,
+                RateTimeBase = @RateTimeBase,
+                Factor = @Factor,
+                ResetSchedule = @ResetSchedule,
+                ResetTimes = @ResetTimes,
+                ResetDay = @ResetDay,
+                BadQualityPolicy = @BadQualityPolicy,
+                MaxGapSeconds = @MaxGapSeconds,
+                LowFlowCutoff = @LowFlowCutoff,
+                RolloverValue = @RolloverValue,
+                ModifiedDate = GETDATE()
+            WHERE PLCName = @PLCName AND TagName = @TagName;
+        END
+        ELSE
+        BEGIN
+            INSERT INTO Totalizers (
+                PLCName, TagName, SourceTag, Mode, RateTimeBase, Factor, ResetSchedule, ResetTimes, ResetDay,
+                BadQualityPolicy, MaxGapSeconds, LowFlowCutoff, RolloverValue
+            )
+            VALUES (
+                @PLCName, @TagName, @SourceTag, @Mode, @RateTimeBase, @Factor, @ResetSchedule, @ResetTimes, @ResetDay,
+                @BadQualityPolicy, @MaxGapSeconds, @LowFlowCutoff, @RolloverValue
+            );
+            
+            SET @Action = 'CREATED';
+        END
+        
+        SELECT @Action AS Action, @PLCName AS PLCName, @TagName AS TagName, 'SUCCESS' AS Status;
+        
+    END TRY
+    BEGIN CATCH
+        INSERT INTO EventHistory (EventType, EventCategory, EventMessage, PLCName, TagName, Source)
+        VALUES ('TOTALIZER_ERROR', 'ERROR', 'Failed to save totalizer ' + @TagName + ' for PLC ' + @PLCName + ': ' + ERROR_MESSAGE(), @PLCName, @TagName, 'sp_SaveTotalizer');
+        
+        THROW;
+    END CATCH
+END
+GO
+
+-- Procedure to store the running state of the totalizers of a PLC
+IF EXISTS (SELECT * FROM sys.procedures WHERE name = 'sp_SaveTotalizerStates')
+    DROP PROCEDURE sp_SaveTotalizerStates;
+GO
+
+CREATE PROCEDURE sp_SaveTotalizerStates
+    @PLCName nvarchar(100),
+    @States nvarchar(max)                 -- JSON array: [{"TagName", "CurrentTotal", "LifetimeTotal", "PeriodStart", "GoodSeconds", "LastValue", "LastTimestamp"}]
+AS
+BEGIN
+    SET NOCOUNT ON;
+    
+    BEGIN TRY
+        UPDATE t
+        SET CurrentTotal = s.CurrentTotal,
+            LifetimeTotal = s.LifetimeTotal,
+            PeriodStart = s.PeriodStart,
+            GoodSeconds = s.GoodSeconds,
+            LastValue = s.LastValue,
+            LastTimestamp = s.LastTimestamp,
+            StateSavedAt = GETDATE()
+        FROM Totalizers t
+        INNER JOIN OPENJSON(@States) WITH (
+            TagName nvarchar(100),
+            CurrentTotal float,
+            LifetimeTotal float,
+            PeriodStart datetime2,
+            GoodSeconds float,
+            LastValue float,
+            LastTimestamp datetime2
+        ) s ON s.TagName = t.TagName
+        WHERE t.PLCName = @PLCName;
+        
+        SELECT @@ROWCOUNT AS Saved, 'SUCCESS' AS Status;
+        
+    END TRY
+    BEGIN CATCH
+        INSERT INTO EventHistory (EventType, EventCategory, EventMessage, PLCName, Source)
+        VALUES ('TOTALIZER_ERROR', 'ERROR', 'Failed to save totalizer states for PLC ' + @PLCName + ': ' + ERROR_MESSAGE(), @PLCName, 'sp_SaveTotalizerStates');
+        
+        THROW;
+    END CATCH
+END
+GO
+
+-- Procedure to store a closed totalizer period and restart the total in one transaction
+IF EXISTS (SELECT * FROM sys.procedures WHERE name = 'sp_CloseTotalizerPeriod')
+    DROP PROCEDURE sp_CloseTotalizerPeriod;
+GO
+
+CREATE PROCEDURE sp_CloseTotalizerPeriod
+    @PLCName nvarchar(100),
+    @TagName nvarchar(100),
+    @PeriodStart datetime2,
+    @PeriodEnd datetime2,
+    @Total float,
+    @GoodSeconds float = 0,
+    @Coverage float = 100,
+    @ResetReason nvarchar(20) = 'SCHEDULE',
+    @ResetBy nvarchar(100) = NULL,
+    @CurrentTotal float = 0,              -- Total of the new period (part of the interval after the reset)
+    @LifetimeTotal float = NULL
+AS
+BEGIN
+    SET NOCOUNT ON;
+    
+    DECLARE @HistoryID bigint;
+    
+    BEGIN TRY
+        BEGIN TRANSACTION;
+        
+        -- A period already stored (state saved before a crash and closed again after the restart) is not duplicated
+        IF NOT EXISTS (SELECT 1 FROM TotalizerHistory WHERE PLCName = @PLCName AND TagName = @TagName AND PeriodEnd = @PeriodEnd)
+        BEGIN
+            INSERT INTO TotalizerHistory (PLCName, TagName, PeriodStart, PeriodEnd, Total, EngineeringUnits, GoodSeconds, Coverage, ResetReason, ResetBy)
+            SELECT @PLCName, @TagName, @PeriodStart, @PeriodEnd, @Total, EngineeringUnits, @GoodSeconds, @Coverage, @ResetReason, @ResetBy
+            FROM Tags
+            WHERE PLCName = @PLCName AND TagName = @TagName;
+            
+            SET @HistoryID = SCOPE_IDENTITY();
+        END
+        
+        UPDATE Totalizers
+        SET CurrentTotal = @CurrentTotal,
+            LifetimeTotal = ISNULL(@LifetimeTotal, LifetimeTotal),
+            PeriodStart = @PeriodEnd,
+            GoodSeconds = 0,
+            StateSavedAt = GETDATE()
+        WHERE PLCName = @PLCName AND TagName = @TagName;
+        
+        IF @ResetReason = 'MANUAL'
+        BEGIN
+            INSERT INTO EventHistory (EventType, EventCategory, EventMessage, PLCName, TagName, NewValue, Username, Source)
+            VALUES ('TOTALIZER_RESET', 'INFO', 'Totalizer ' + @TagName + ' reset at ' + CAST(@Total AS nvarchar(30)), @PLCName, @TagName, @Total, @ResetBy, 'sp_CloseTotalizerPeriod');
+        END
+        
+        COMMIT TRANSACTION;
+        
+        SELECT @HistoryID AS HistoryID, @PLCName AS PLCName, @TagName AS TagName, 'SUCCESS' AS Status;
+        
+    END TRY
+    BEGIN CATCH
+        IF @@TRANCOUNT > 0 ROLLBACK TRANSACTION;
+        
+        INSERT INTO EventHistory (EventType, EventCategory, EventMessage, PLCName, TagName, Source)
+        VALUES ('TOTALIZER_ERROR', 'ERROR', 'Failed to close totalizer period of ' + @TagName + ' for PLC ' + @PLCName + ': ' + ERROR_MESSAGE(), @PLCName, @TagName, 'sp_CloseTotalizerPeriod');
+        
+        THROW;
+    END CATCH
+END
+GO
+
+-- Procedure to add/update the runtime counting of an equipment, the counters are kept
+IF EXISTS (SELECT * FROM sys.procedures WHERE name = 'sp_SaveEquipmentRuntime')
+    DROP PROCEDURE sp_SaveEquipmentRuntime;
+GO
+
+CREATE PROCEDURE sp_SaveEquipmentRuntime
+    @PLCName nvarchar(100),
+    @EquipmentName nvarchar(100),
+    @RunTag nvarchar(200),
+    @Description nvarchar(255) = NULL,
+    @MaintenanceHours float = NULL,
+    @MaintenanceStarts int = NULL,
+    @Enabled bit = 1
+AS
+BEGIN
+    SET NOCOUNT ON;
+    
+    DECLARE @Action nvarchar(10) = 'UPDATED';
+    
+    BEGIN TRY
+        IF NOT EXISTS (SELECT 1 FROM PLCConnections WHERE PLCName = @PLCName)
+        BEGIN
+            RAISERROR('PLC "%s" does not exist.', 16, 1, @PLCName);
+            RETURN;
+        END
+        
+        -- The run tag is a tag of the PLC or a member of one of its UDT tags
+        IF NOT EXISTS (SELECT 1 FROM Tags WHERE PLCName = @PLCName AND (TagName = @RunTag OR @RunTag LIKE TagName + '.%'))
+        BEGIN
+            RAISERROR('Run tag "%s" does not exist on PLC "%s".', 16, 1, @RunTag, @PLCName);
+            RETURN;
+        END
+        
+        IF EXISTS (SELECT 1 FROM EquipmentRuntime WHERE PLCName = @PLCName AND EquipmentName = @EquipmentName)
+        BEGIN
+            -- Another run tag is seen fresh, another interval is watched from scratch
+            UPDATE EquipmentRuntime
+            SET Running = CASE WHEN RunTag = @RunTag THEN Running END,
+                HoursDue = CASE WHEN ISNULL(MaintenanceHours, -1) = ISNULL(@MaintenanceHours, -1) THEN HoursDue ELSE 0 END,
+                StartsDue = CASE WHEN ISNULL(MaintenanceStarts, -1) = ISNULL(@MaintenanceStarts, -1) THEN StartsDue ELSE 0 END,
+                RunTag = @RunTag,
+                Description = @Description,
+                MaintenanceHours = @MaintenanceHours,
+                MaintenanceStarts = @MaintenanceStarts,
+                Enabled = @Enabled,
+                ModifiedDate = GETDATE()
+            WHERE PLCName = @PLCName AND EquipmentName = @EquipmentName;
+        END
+        ELSE
+        BEGIN
+            INSERT INTO EquipmentRuntime (PLCName, EquipmentName, RunTag, Description, MaintenanceHours, MaintenanceStarts, Enabled)
+            VALUES (@PLCName, @EquipmentName, @RunTag, @Description, @MaintenanceHours, @MaintenanceStarts, @Enabled);
+            
+            SET @Action = 'CREATED';
+        END
+        
+        SELECT @Action AS Action, @PLCName AS PLCName, @EquipmentName AS EquipmentName, 'SUCCESS' AS Status;
+        
+    END TRY
+    BEGIN CATCH
+        INSERT INTO EventHistory (EventType, EventCategory, EventMessage, PLCName, TagName, Source)
+        VALUES ('RUNTIME_ERROR', 'ERROR', 'Failed to save runtime counting of ' + @EquipmentName + ' for PLC ' + @PLCName + ': ' + ERROR_MESSAGE(), @PLCName, @RunTag, 'sp_SaveEquipmentRuntime');
+        
+        THROW;
+    END CATCH
+END
+GO
+
+-- Procedure to store the runtime counters of all equipment
+IF EXISTS (SELECT * FROM sys.procedures WHERE name = 'sp_SaveRuntimeStates')
+    DROP PROCEDURE sp_SaveRuntimeStates;
+GO
+
+CREATE PROCEDURE sp_SaveRuntimeStates
+    @States nvarchar(max)                 -- JSON array: [{"PLCName", "EquipmentName", "RunSeconds", "StartCount", ...}]
+AS
+BEGIN
+    SET NOCOUNT ON;
+    
+    BEGIN TRY
+        UPDATE r
+        SET RunSeconds = s.RunSeconds,
+            StartCount = s.StartCount,
+            CompletedRuns = s.CompletedRuns,
+            CompletedRunSeconds = s.CompletedRunSeconds,
+            ServiceRunSeconds = s.ServiceRunSeconds,
+            ServiceStarts = s.ServiceStarts,
+            Running = s.Running,
+            LastStart = s.LastStart,
+            LastStop = s.LastStop,
+            HoursDue = s.HoursDue,
+            StartsDue = s.StartsDue,
+            LastResetAt = s.LastResetAt,
+            StateSavedAt = GETDATE()
+        FROM EquipmentRuntime r
+        INNER JOIN OPENJSON(@States) WITH (
+            PLCName nvarchar(100),
+            EquipmentName nvarchar(100),
+            RunSeconds float,
+            StartCount int,
+            CompletedRuns int,
+            CompletedRunSeconds float,
+            ServiceRunSeconds float,
+            ServiceStarts int,
+            Running bit,
+            LastStart datetime2,
+            LastStop datetime2,
+            HoursDue bit,
+            StartsDue bit,
+            LastResetAt datetime2
+        ) s ON s.PLCName = r.PLCName AND s.EquipmentName = r.EquipmentName;
+        
+        SELECT @@ROWCOUNT AS Saved, 'SUCCESS' AS Status;
+        
+    END TRY
+    BEGIN CATCH
+        INSERT INTO EventHistory (EventType, EventCategory, EventMessage, Source)
+        VALUES ('RUNTIME_ERROR', 'ERROR', 'Failed to save runtime counters: ' + ERROR_MESSAGE(), 'sp_SaveRuntimeStates');
+        
+        THROW;
+    END CATCH
+END
+GO
+
+-- Procedure to reset the runtime counters of an equipment after a service (MAINTENANCE) or a replacement (ALL)
+IF EXISTS (SELECT * FROM sys.procedures WHERE name = 'sp_ResetEquipmentRuntime')
+    DROP PROCEDURE sp_ResetEquipmentRuntime;
+GO
+
+CREATE PROCEDURE sp_ResetEquipmentRuntime
+    @PLCName nvarchar(100),
+    @EquipmentName nvarchar(100),
+    @Scope nvarchar(20) = 'MAINTENANCE',
+    @RunHours float = NULL,               -- Counters before the reset, as counted by the service
+    @StartCount int = NULL,
+    @ResetBy nvarchar(100) = NULL
+AS
+BEGIN
+    SET NOCOUNT ON;
+    
+    BEGIN TRY
+        IF @Scope NOT IN ('MAINTENANCE', 'ALL')
+        BEGIN
+            RAISERROR('Reset scope must be MAINTENANCE or ALL, not "%s".', 16, 1, @Scope);
+            RETURN;
+        END
+        
+        BEGIN TRANSACTION;
+        
+        UPDATE EquipmentRuntime
+        SET RunSeconds = CASE WHEN @Scope = 'ALL' THEN 0 ELSE RunSeconds END,
+            StartCount = CASE WHEN @Scope = 'ALL' THEN 0 ELSE StartCount END,
+            CompletedRuns = CASE WHEN @Scope = 'ALL' THEN 0 ELSE CompletedRuns END,
+            CompletedRunSeconds = CASE WHEN @Scope = 'ALL' THEN 0 ELSE CompletedRunSeconds END,
+            LastStart = CASE WHEN @Scope = 'ALL' THEN NULL ELSE LastStart END,
+            LastStop = CASE WHEN @Scope = 'ALL' THEN NULL ELSE LastStop END,
+            ServiceRunSeconds = 0,
+            ServiceStarts = 0,
+            HoursDue = 0,
+            StartsDue = 0,
+            LastResetAt = GETDATE(),
+            LastResetBy = @ResetBy,
+            StateSavedAt = GETDATE()
+        WHERE PLCName = @PLCName AND EquipmentName = @EquipmentName;
+        
+        IF @@ROWCOUNT = 0
+        BEGIN
+            RAISERROR('Equipment "%s" of PLC "%s" has no runtime counters.', 16, 1, @EquipmentName, @PLCName);
+        END
+        
+        INSERT INTO EventHistory (EventType, EventCategory, EventMessage, PLCName, OldValue, Username, Source)
+        VALUES ('RUNTIME_RESET', 'INFO', 
+            'Runtime counters (' + @Scope + ') of ' + @EquipmentName + ' reset at ' + ISNULL(CAST(ROUND(@RunHours, 1) AS nvarchar(30)), '?') + ' h, ' + ISNULL(CAST(@StartCount AS nvarchar(30)), '?') + ' starts', 
+            @PLCName, @RunHours, @ResetBy, 'sp_ResetEquipmentRuntime');
+        
+        COMMIT TRANSACTION;
+        
+        SELECT @PLCName AS PLCName, @EquipmentName AS EquipmentName, @Scope AS Scope, 'SUCCESS' AS Status;
+        
+    END TRY
+    BEGIN CATCH
+        IF @@TRANCOUNT > 0 ROLLBACK TRANSACTION;
+        
+        INSERT INTO EventHistory (EventType, EventCategory, EventMessage, PLCName, Source)
+        VALUES ('RUNTIME_ERROR', 'ERROR', 'Failed to reset runtime counters of ' + @EquipmentName + ' for PLC ' + @PLCName + ': ' + ERROR_MESSAGE(), @PLCName, 'sp_ResetEquipmentRuntime');
+        
+        THROW;
+    END CATCH
+END
+GO
+
+-- Procedure to store the display units of a user, NULL or empty removes the preference
+IF EXISTS (SELECT * FROM sys.procedures WHERE name = 'sp_SaveUserDisplayUnits')
+    DROP PROCEDURE sp_SaveUserDisplayUnits;
+GO
+
+CREATE PROCEDURE sp_SaveUserDisplayUnits
+    @Username nvarchar(100),
+    @DisplayUnits nvarchar(500) = NULL
+AS
+BEGIN
+    SET NOCOUNT ON;
+    
+    BEGIN TRY
+        IF NULLIF(LTRIM(RTRIM(@DisplayUnits)), '') IS NULL
+        BEGIN
+            DELETE FROM UserPreferences WHERE Username = @Username;
+        END
+        ELSE IF EXISTS (SELECT 1 FROM UserPreferences WHERE Username = @Username)
+        BEGIN
+            UPDATE UserPreferences
+            SET DisplayUnits = @DisplayUnits,
+                ModifiedAt = GETDATE()
+            WHERE Username = @Username;
+        END
+        ELSE
+        BEGIN
+            INSERT INTO UserPreferences (Username, DisplayUnits)
+            VALUES (@Username, @DisplayUnits);
+        END
+        
+        SELECT @Username AS Username, @DisplayUnits AS DisplayUnits, 'SUCCESS' AS Status;
+        
+    END TRY
+    BEGIN CATCH
+        INSERT INTO EventHistory (EventType, EventCategory, EventMessage, Username, Source)
+        VALUES ('CONFIG_ERROR', 'ERROR', 'Failed to save display units of ' + @Username + ': ' + ERROR_MESSAGE(), @Username, 'sp_SaveUserDisplayUnits');
+        
+        THROW;
+    END CATCH
+END
+GO
+
 -- Procedure to get PLC configuration for nodes7
 IF EXISTS (SELECT * FROM sys.procedures WHERE name = 'sp_GetPLCConfiguration')
     DROP PROCEDURE sp_GetPLCConfiguration;
@@ -1034,6 +2506,7 @@ BEGIN
     SELECT 
         plc.PLCName,
         plc.PLCDescription,
+        plc.PLCType,
         plc.Transport,
         plc.IPAddress,
         plc.Port,
@@ -1045,6 +2518,12 @@ BEGIN
         plc.LocalTSAPLo,
         plc.RemoteTSAPHi,
         plc.RemoteTSAPLo,
+        plc.BackupIPAddress,
+        plc.BackupPort,
+        plc.BackupRack,
+        plc.BackupSlot,
+        plc.FailbackMode,
+        plc.FailbackDelay,
         plc.CycleTime,
         plc.Timeout,
         plc.MaxRetries,
@@ -1060,6 +2539,8 @@ BEGIN
         COALESCE(status.IsConnected, 0) as IsConnected,
         COALESCE(status.ConnectionState, 'OFFLINE') as ConnectionState,
         status.LastStatusChange,
+        COALESCE(status.ActiveEndpoint, 'primary') as ActiveEndpoint,
+        status.EndpointSwitches,
         
         -- Tag counts
         (SELECT COUNT(*) FROM Tags t WHERE t.PLCName = plc.PLCName AND t.Enabled = 1) as ActiveTagCount,
@@ -1097,6 +2578,10 @@ BEGIN
         t.TagType,
         t.Description,
         t.GroupName,
+        t.ScanClass,
+        t.UdtName,
+        t.SourceType,
+        t.Expression,
         t.Enabled,
         
         -- Engineering Units Configuration
@@ -1162,9 +2647,11 @@ EXEC sp_AddPLCConnection
     @PLCName = 'WWTP_Main_PLC',
     @PLCDescription = 'Main WWTP Control PLC - Primary Processes',
     @IPAddress = '192.168.1.10',
+    @PLCType = 'S7-300',
     @Port = 102,
     @Rack = 0,
     @Slot = 2,
+    @BackupIPAddress = '192.168.1.20',  -- second CP card
     @CycleTime = 1000,
     @Priority = 1,
     @Location = 'Control Room A',
@@ -1176,6 +2663,7 @@ EXEC sp_AddPLCConnection
     @PLCName = 'WWTP_Secondary_PLC',
     @PLCDescription = 'Secondary WWTP PLC - Aeration and Clarification',
     @IPAddress = '192.168.1.11',
+    @PLCType = 'S7-300',
     @Port = 102,
     @Rack = 0,
     @Slot = 2,
@@ -1190,6 +2678,7 @@ EXEC sp_AddPLCConnection
     @PLCName = 'WWTP_Sludge_PLC',
     @PLCDescription = 'Sludge Processing PLC - Digestion and Dewatering',
     @IPAddress = '192.168.1.12',
+    @PLCType = 'S7-300',
     @Port = 102,
     @Rack = 0,
     @Slot = 2,
@@ -1208,6 +2697,7 @@ EXEC sp_AddEnhancedTagWithPLC
     @TagType = 'REAL',
     @Description = 'Influent Flow Rate - Main Inlet',
     @GroupName = 'Influent',
+    @ScanClass = 'FAST',
     @RawMin = 0, @RawMax = 32767, @EuMin = 0, @EuMax = 500,
     @EngineeringUnits = 'L/s',
     @DecimalPlaces = 1,
@@ -1247,6 +2737,122 @@ EXEC sp_AddEnhancedTagWithPLC
     @AlarmEnabled = 1,
     @CreatedBy = 'SYSTEM_SETUP';
 
+-- Sample tank strapping: sludge tank volume from its level transmitter (0-5 m), the cone at the bottom holds less per metre
+EXEC sp_AddEnhancedTagWithPLC 
+    @PLCName = 'WWTP_Secondary_PLC',
+    @TagName = 'Sludge_Tank_Volume',
+    @TagAddress = 'DB1,INT4',
+    @TagType = 'INT',
+    @Description = 'Sludge holding tank volume',
+    @GroupName = 'Sludge',
+    @RawMin = 0, @RawMax = 27648, @EuMin = 0, @EuMax = 75,
+    @EngineeringUnits = N'm³',
+    @DecimalPlaces = 1,
+    @ScalingType = 'STRAPPING',
+    @ScalingCoefficients = N'{"levelMin": 0, "levelMax": 5, "points": [[0, 0], [0.5, 6.2], [1, 14.1], [4, 62.8], [4.8, 75]]}',
+    @AlarmHigh = 70,
+    @AlarmEnabled = 1,
+    @CreatedBy = 'SYSTEM_SETUP';
+
+-- Sample temperature sensors: digester Pt100 on a resistance input (0-400 Ω as 0-27648), flare type K thermocouple
+-- on a millivolt input (±80 mV) compensated with the Pt100 measuring its terminal block
+EXEC sp_AddEnhancedTagWithPLC 
+    @PLCName = 'WWTP_Secondary_PLC',
+    @TagName = 'Flare_TC_Terminal_Temp',
+    @TagAddress = 'DB1,INT6',
+    @TagType = 'INT',
+    @Description = 'Terminal block temperature of the flare thermocouple (cold junction)',
+    @GroupName = 'Digester',
+    @RawMin = 0, @RawMax = 27648, @EuMin = -20, @EuMax = 80,
+    @EngineeringUnits = N'°C',
+    @DecimalPlaces = 1,
+    @ScalingType = 'PT100',
+    @ScalingCoefficients = N'{"signalMin": 0, "signalMax": 400}',
+    @AlarmEnabled = 0,
+    @CreatedBy = 'SYSTEM_SETUP';
+
+EXEC sp_AddEnhancedTagWithPLC 
+    @PLCName = 'WWTP_Secondary_PLC',
+    @TagName = 'Flare_Temp',
+    @TagAddress = 'DB1,INT8',
+    @TagType = 'INT',
+    @Description = 'Biogas flare temperature',
+    @GroupName = 'Digester',
+    @RawMin = -27648, @RawMax = 27648, @EuMin = 0, @EuMax = 1200,
+    @EngineeringUnits = N'°C',
+    @DecimalPlaces = 0,
+    @ScalingType = 'TC_K',
+    @ScalingCoefficients = N'{"signalMin": -80, "signalMax": 80, "coldJunctionTag": "Flare_TC_Terminal_Temp"}',
+    @AlarmLow = 750,
+    @AlarmEnabled = 1,
+    @CreatedBy = 'SYSTEM_SETUP';
+
+-- Sample UDT: motor data read as one object
+EXEC sp_SaveUdtType
+    @UdtName = 'MotorData',
+    @Description = 'Motor status and measurements',
+    @Members = N'[
+        {"MemberName": "Running", "DataType": "BOOL", "SortOrder": 1},
+        {"MemberName": "Fault", "DataType": "BOOL", "SortOrder": 2},
+        {"MemberName": "Speed", "DataType": "REAL", "SortOrder": 3},
+        {"MemberName": "Current", "DataType": "REAL", "SortOrder": 4},
+        {"MemberName": "RunHours", "DataType": "DINT", "SortOrder": 5}
+    ]',
+    @ModifiedBy = 'SYSTEM_SETUP';
+
+EXEC sp_AddEnhancedTagWithPLC 
+    @PLCName = 'WWTP_Main_PLC',
+    @TagName = 'Blower_1',
+    @TagAddress = 'DB10,BYTE0',
+    @TagType = 'UDT',
+    @UdtName = 'MotorData',
+    @Description = 'Aeration blower 1',
+    @GroupName = 'Aeration',
+    @AlarmEnabled = 0,
+    @LoggingEnabled = 0,
+    @CreatedBy = 'SYSTEM_SETUP';
+
+-- Sample calculated tag: evaluated every cycle from the values of other tags, alarms like a PLC tag
+EXEC sp_AddEnhancedTagWithPLC 
+    @PLCName = 'WWTP_Main_PLC',
+    @TagName = 'Blower_1_Available',
+    @SourceType = 'CALCULATED',
+    @Expression = 'Blower_1.Running && !Blower_1.Fault',
+    @TagType = 'BOOL',
+    @Description = 'Blower 1 running without fault',
+    @GroupName = 'Aeration',
+    @AlarmEnabled = 0,
+    @CreatedBy = 'SYSTEM_SETUP';
+
+-- Sample totalizer: daily influent volume in m³ from the flow in L/s, the regulatory daily inflow
+EXEC sp_AddEnhancedTagWithPLC 
+    @PLCName = 'WWTP_Main_PLC',
+    @TagName = 'Influent_Volume_Daily',
+    @SourceType = 'TOTALIZER',
+    @Description = 'Influent volume since midnight',
+    @GroupName = 'Process',
+    @EngineeringUnits = N'm³',
+    @AlarmEnabled = 0,
+    @CreatedBy = 'SYSTEM_SETUP';
+
+EXEC sp_SaveTotalizer 
+    @PLCName = 'WWTP_Main_PLC',
+    @TagName = 'Influent_Volume_Daily',
+    @SourceTag = 'Influent_Flow',
+    @RateTimeBase = 's',
+    @Factor = 0.001,
+    @ResetSchedule = 'DAILY',
+    @ResetTimes = '00:00';
+
+-- Sample runtime counting: run hours and starts of blower 1, service every 4000 h or 5000 starts
+EXEC sp_SaveEquipmentRuntime 
+    @PLCName = 'WWTP_Main_PLC',
+    @EquipmentName = 'Blower_1',
+    @RunTag = 'Blower_1.Running',
+    @Description = 'Aeration blower 1',
+    @MaintenanceHours = 4000,
+    @MaintenanceStarts = 5000;
+
 -- Insert system configuration for multi-PLC support
 INSERT INTO SystemConfiguration (ConfigGroup, ConfigKey, ConfigValue, ConfigDescription, DataType, IsSystem)
 VALUES 
@@ -1268,9 +2874,17 @@ PRINT '';
 PRINT '✅ What has been created:';
 PRINT '';
 PRINT '📊 Enhanced Database Schema:';
+PRINT '   • PLCProfiles table - Connection defaults per CPU family (S7-200 to S7-1500, LOGO!)';
 PRINT '   • PLCConnections table - Store multiple PLC configurations';
 PRINT '   • PLCConnectionStatus table - Real-time connection monitoring';
+PRINT '   • PLCIdentification table - CPU order number, firmware and RUN/STOP state';
 PRINT '   • Enhanced Tags table with PLC references';
+PRINT '   • ScanClasses table - Per-tag poll rates (FAST/NORMAL/SLOW)';
+PRINT '   • UdtTypes/UdtMembers tables - PLC data types for structured tags';
+PRINT '   • Calculated tags - Tags evaluated from expressions over other tags (SourceType CALCULATED)';
+PRINT '   • Totalizers/TotalizerHistory tables - Flow totals with shift/daily/monthly resets (SourceType TOTALIZER)';
+PRINT '   • EquipmentRuntime table - Run hours and starts of pumps/blowers with maintenance intervals';
+PRINT '   • UserPreferences table - Display units per API user';
 PRINT '   • Advanced stored procedures for PLC management';
 PRINT '   • Multi-PLC views and functions';
 PRINT '';
@@ -1279,6 +2893,7 @@ PRINT '   • Dynamic PLC connection management from database';
 PRINT '   • Real-time data aggregation from multiple PLCs';
 PRINT '   • Centralized alarm management across all PLCs';
 PRINT '   • Health monitoring and automatic reconnection';
+PRINT '   • Redundant PLC endpoints with automatic failover and failback';
 PRINT '   • Configuration import/export capabilities';
 PRINT '   • Comprehensive monitoring dashboard';
 PRINT '';
@@ -1289,10 +2904,19 @@ PRINT '   3. Start with: npm run multi-plc';
 PRINT '   4. Dashboard: http://localhost:3000';
 PRINT '';
 PRINT '📋 Key Stored Procedures:';
-PRINT '   • EXEC sp_AddPLCConnection - Add PLC configurations';
+PRINT '   • EXEC sp_AddPLCConnection - Add PLC configurations (@PLCType fills in rack/slot/TSAP defaults)';
 PRINT '   • EXEC sp_GetPLCConfiguration - Get PLC configs';
-PRINT '   • EXEC sp_AddEnhancedTagWithPLC - Add tags to PLCs';
-PRINT '   • EXEC sp_UpdatePLCStatus - Update connection status';
+PRINT '   • EXEC sp_AddEnhancedTagWithPLC - Add tags to PLCs (@SourceType = ''CALCULATED'' with @Expression for calculated tags, @ScalingType/@ScalingCoefficients for non-linear scaling and temperature sensors)';
+PRINT '   • EXEC sp_SaveUdtType - Add/update UDT definitions';
+PRINT '   • EXEC sp_SaveTotalizer - Configure totalizer tags (source tag, time base, reset schedule)';
+PRINT '   • EXEC sp_SaveEquipmentRuntime - Count run hours and starts of an equipment (run tag, maintenance intervals)';
+PRINT '   • EXEC sp_ResetEquipmentRuntime - Reset runtime counters after a service';
+PRINT '   • EXEC sp_SaveUserDisplayUnits - Store the display units of a user (units= preference)';
+PRINT '   • EXEC sp_UpdatePLCStatus - Update connection status and cycle metrics';
+PRINT '   • EXEC sp_UpdatePLCIdentification - Store CPU identification and state';
+PRINT '   • EXEC sp_UpdatePLCClockStatus - Store clock drift, log clock corrections';
+PRINT '   • EXEC sp_UpdatePLCEndpoint - Store the active endpoint of redundant PLCs';
+PRINT '   • EXEC sp_LogPLCDiagnosticEvent - Store PLC diagnostic buffer entries';
 PRINT '';
 PRINT 'Your multi-PLC system is now ready for industrial deployment! 🏭';
 GO
\ No newline at end of file
@@ -0,0 +1,221 @@
+/**
+ * S7 Diagnostic Buffer
+ * Decodes the entries of the CPU diagnostic buffer (SZL 0x00A0 / 0x01A0)
+ */
+
+// Size of a diagnostic buffer entry in bytes
+const ENTRY_LENGTH = 20;
+
+// Event classes (high nibble of the event ID)
+const EVENT_CLASSES = {
+    0x1: 'STANDARD_OB',
+    0x2: 'SYNCHRONOUS_ERROR',
+    0x3: 'ASYNCHRONOUS_ERROR',
+    0x4: 'MODE_TRANSITION',
+    0x5: 'RUNTIME',
+    0x6: 'COMMUNICATION',
+    0x7: 'H_SYSTEM',
+    0x8: 'MODULE_DIAGNOSTICS',
+    0x9: 'USER_EVENT',
+    0xA: 'USER_EVENT',
+    0xB: 'USER_EVENT'
+};
+
+// Texts of common events, as shown by STEP 7 / TIA Portal
+const EVENT_TEXTS = {
+    0x1381: 'Request for manual warm restart',
+    0x1382: 'Request for automatic warm restart',
+
+    0x2521: 'BCD conversion error',
+    0x2522: 'Area length error when reading',
+    0x2523: 'Area length error when writing',
+    0x2524: 'Area error when reading',
+    0x2525: 'Area error when writing',
+    0x2526: 'Timer number error',
+    0x2527: 'Counter number error',
+    0x2528: 'Alignment error when reading',
+    0x2529: 'Alignment error when writing',
+    0x2530: 'Write error when accessing the DB',
+    0x2531: 'Write error when accessing the DI',
+    0x2532: 'Block number error when opening a DB',
+    0x2533: 'Block number error when opening a DI',
+    0x2534: 'Block number error when calling an FC',
+    0x2535: 'Block number error when calling an FB',
+    0x253A: 'DB not loaded',
+    0x253C: 'FC not loaded',
+    0x253E: 'FB not loaded',
+    0x2942: 'I/O access error, reading',
+    0x2943: 'I/O access error, writing',
+
+    0x3501: 'Cycle time exceeded',
+    0x3502: 'User interface (OB or FRB) request error',
+    0x3505: 'Time-of-day interrupt(s) skipped due to new clock setting',
+    0x3861: 'Module/submodule inserted, module type OK',
+    0x3961: 'Module/submodule removed or cannot be addressed',
+    0x38C4: 'Distributed I/O: station return',
+    0x39C4: 'Distributed I/O: station failure',
+    0x39B1: 'I/O access error when updating the process image input table',
+    0x39B2: 'I/O access error when transferring the process image to the output modules',
+    0x3942: 'Module fault (diagnostic interrupt)',
+    0x3842: 'Module fault removed (diagnostic interrupt)',
+
+    0x4300: 'Backed-up power on',
+    0x4301: 'Mode transition from STOP to STARTUP',
+    0x4302: 'Mode transition from STARTUP to RUN',
+    0x4303: 'STOP caused by stop switch being activated',
+    0x4304: 'STOP caused by PG STOP operation or by SFB 20 "STOP"',
+    0x4305: 'HOLD: breakpoint reached',
+    0x4306: 'HOLD: breakpoint exited',
+    0x4307: 'Memory reset started by PG operation',
+    0x4308: 'Memory reset started by switch setting',
+    0x4309: 'Memory reset started automatically (power on not backed up)',
+    0x430A: 'HOLD exited, transition to STOP',
+    0x430D: 'STOP caused by other CPU in multicomputing',
+    0x430E: 'Memory reset executed',
+    0x4510: 'STOP violation of the CPU\'s data range',
+    0x4520: 'DEFECT: STOP not possible',
+    0x4521: 'DEFECT: failure of instruction processing processor',
+    0x4530: 'DEFECT: memory test error in internal memory',
+    0x4550: 'DEFECT: internal system error',
+    0x4555: 'No restart possible, monitoring time elapsed',
+    0x4556: 'STOP: memory reset request from communication',
+    0x4562: 'STOP caused by programming error (OB not loaded or not possible)',
+    0x4563: 'STOP caused by I/O access error (OB not loaded or not possible)',
+    0x4567: 'STOP caused by H event',
+    0x4568: 'STOP caused by time error (OB not loaded or not possible)',
+    0x456A: 'STOP caused by diagnostic interrupt (OB not loaded or not possible)',
+    0x4571: 'Nesting stack error'
+};
+
+/**
+ * Converts a BCD encoded byte to a number
+ */
+function fromBCD(n) {
+    return ((n >> 4) * 10) + (n & 0x0f);
+}
+
+class DiagnosticBuffer {
+    /**
+     * Decodes an S7 DATE_AND_TIME value (8 bytes BCD, CPU local time)
+     * @param {Buffer} buf - Buffer containing the value
+     * @param {number} offset - Offset of the value
+     * @param {boolean} utc - The CPU clock runs on UTC instead of the server's local time
+     * @returns {Date|null} - Decoded date, null if the value is not a valid date
+     */
+    static decodeDateTime(buf, offset = 0, utc = false) {
+        const year = fromBCD(buf[offset]);
+        const month = fromBCD(buf[offset + 1]);
+        const day = fromBCD(buf[offset + 2]);
+
+        if (month < 1 || month > 12 || day < 1 || day > 31) {
+            return null;
+        }
+
+        const fields = [
+            year + (year > 89 ? 1900 : 2000),
+            month - 1,
+            day,
+            fromBCD(buf[offset + 3]),
+            fromBCD(buf[offset + 4]),
+            fromBCD(buf[offset + 5]),
+            fromBCD(buf[offset + 6]) * 10 + (buf[offset + 7] >> 4)
+        ];
+
+        return utc ? new Date(Date.UTC(...fields)) : new Date(...fields);
+    }
+
+    /**
+     * Gets the text of an event ID
+     * @param {number} eventId - 16 bit event ID
+     * @returns {string} - Event text
+     */
+    static getEventText(eventId) {
+        if (EVENT_TEXTS[eventId]) {
+            return EVENT_TEXTS[eventId];
+        }
+
+        const eventClass = EVENT_CLASSES[eventId >> 12];
+        return eventClass ? `${eventClass.replace(/_/g, ' ').toLowerCase()} event` : 'Unknown event';
+    }
+
+    /**
+     * Gets the EventHistory category of an event ID
+     * @param {number} eventId - 16 bit event ID
+     * @returns {string} - 'INFO', 'WARNING', 'ERROR' or 'CRITICAL'
+     */
+    static getCategory(eventId) {
+        const text = EVENT_TEXTS[eventId] || '';
+
+        switch (eventId >> 12) {
+            case 0x2:
+                return 'ERROR';
+            case 0x3:
+                // Bit 8 set = incoming event, cleared = outgoing event
+                return (eventId & 0x0100) ? 'ERROR' : 'INFO';
+            case 0x4:
+                if (/^(STOP|DEFECT)/.test(text) || (eventId & 0x0f00) === 0x0500) return 'CRITICAL';
+                return 'INFO';
+            case 0x5:
+            case 0x6:
+                return 'WARNING';
+            default:
+                return 'INFO';
+        }
+    }
+
+    /**
+     * Decodes a single diagnostic buffer entry
+     * @param {Buffer} entry - 20 byte entry
+     * @param {boolean} utc - The CPU clock runs on UTC
+     * @returns {object} - Decoded entry
+     */
+    static decodeEntry(entry, utc = false) {
+        if (!entry || entry.length < ENTRY_LENGTH) {
+            throw new Error(`Invalid diagnostic buffer entry length: ${entry ? entry.length : 0}`);
+        }
+
+        const eventId = entry.readUInt16BE(0);
+
+        return {
+            eventId,
+            eventIdHex: eventId.toString(16).toUpperCase().padStart(4, '0'),
+            eventClass: EVENT_CLASSES[eventId >> 12] || 'UNKNOWN',
+            text: this.getEventText(eventId),
+            category: this.getCategory(eventId),
+            priorityClass: entry.readUInt8(2),
+            obNumber: entry.readUInt8(3),
+            datId: entry.readUInt16BE(4),
+            info1: entry.readUInt16BE(6),
+            info2: entry.readUInt32BE(8),
+            timestamp: this.decodeDateTime(entry, 12, utc),
+            // The raw entry identifies it uniquely, including its timestamp
+            key: entry.subarray(0, ENTRY_LENGTH).toString('hex')
+        };
+    }
+
+    /**
+     * Decodes the entries returned by getSSL, newest first as delivered by the CPU
+     * @param {Buffer[]} entries - Raw entries
+     * @param {boolean} utc - The CPU clock runs on UTC
+     * @returns {object[]} - Decoded entries
+     */
+    static decode(entries, utc = false) {
+        return entries
+            .filter(entry => entry.length >= ENTRY_LENGTH)
+            .map(entry => this.decodeEntry(entry, utc));
+    }
+
+    /**
+     * Formats an entry as EventHistory message
+     * @param {object} entry - Decoded entry
+     * @returns {string} - Message text
+     */
+    static formatMessage(entry) {
+        const ob = entry.obNumber ? ` (OB${entry.obNumber}, priority class ${entry.priorityClass})` : '';
+        return `[16#${entry.eventIdHex}] ${entry.text}${ob}`;
+    }
+}
+
+Object.assign(DiagnosticBuffer, { ENTRY_LENGTH, EVENT_TEXTS });
+
+module.exports = DiagnosticBuffer;
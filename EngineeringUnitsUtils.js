@@ -1,8 +1,19 @@
+const UnitRegistry = require('./UnitRegistry');
+const ScalingEngine = require('./ScalingEngine');
+
 /**
  * Engineering Units Utilities
  * Provides scaling functions for converting between raw PLC values and engineering units
  */
 
+// Temperature scales of convertTemperature by upper case unit, letters and the symbols of the unit registry
+const TEMPERATURE_SCALES = {
+    'C': 'C', '°C': 'C', 'DEGC': 'C', '℃': 'C',
+    'F': 'F', '°F': 'F', 'DEGF': 'F', '℉': 'F',
+    'K': 'K',
+    'R': 'R', '°R': 'R', 'DEGR': 'R'
+};
+
 class EngineeringUnitsUtils {
     /**
      * Convert raw PLC value to engineering units
@@ -361,6 +372,7 @@ class EngineeringUnitsUtils {
 
     /**
      * Interpolate between two scaling points for non-linear scaling
+     * Tags use it with ScalingType LOOKUP, see ScalingEngine for the inverse
      * @param {number} rawValue - Raw PLC value
      * @param {Array} scalingPoints - Array of {raw, eu} points
      * @returns {number} - Interpolated engineering unit value
@@ -489,17 +501,11 @@ class EngineeringUnitsUtils {
     /**
      * Apply square root scaling for flow measurements
      * @param {number} rawValue - Raw PLC value (typically pressure)
-     * @param {object} scaling - Scaling parameters with additional sqrtScaling property
+     * @param {object} scaling - Scaling parameters {rawMin, rawMax, euMin, euMax}
      * @returns {number} - Square root scaled engineering unit value
      */
     static applySqrtScaling(rawValue, scaling) {
-        const linearValue = this.rawToEu(rawValue, scaling);
-        
-        if (linearValue < 0) {
-            return 0; // Flow cannot be negative
-        }
-        
-        return Math.sqrt(linearValue / (scaling.euMax || 100)) * (scaling.euMax || 100);
+        return ScalingEngine.toEu(rawValue, { ...scaling, type: 'SQRT' });
     }
 
     /**
@@ -510,36 +516,55 @@ class EngineeringUnitsUtils {
      * @returns {number} - Polynomial scaled engineering unit value
      */
     static applyPolynomialScaling(rawValue, scaling, coefficients) {
-        if (!coefficients || coefficients.length === 0) {
-            return this.rawToEu(rawValue, scaling);
-        }
+        return ScalingEngine.toEu(rawValue, { ...scaling, type: 'POLYNOMIAL', coefficients });
+    }
 
-        // First normalize the raw value to 0-1 range
-        const normalizedValue = (rawValue - scaling.rawMin) / (scaling.rawMax - scaling.rawMin);
-        
-        // Apply polynomial
-        let result = 0;
-        for (let i = 0; i < coefficients.length; i++) {
-            result += coefficients[i] * Math.pow(normalizedValue, i);
-        }
+    /**
+     * Convert a value between compatible units, compound units included (L/s -> m³/h, mg/L -> ppm)
+     * @param {number} value - Value in fromUnit
+     * @param {string} fromUnit - Source unit
+     * @param {string} toUnit - Target unit
+     * @returns {number} - Converted value
+     * @throws {UnitError} - Unknown units or units of different quantities
+     */
+    static convertUnits(value, fromUnit, toUnit) {
+        return UnitRegistry.convert(value, fromUnit, toUnit);
+    }
 
-        // Scale to engineering units range
-        return scaling.euMin + result * (scaling.euMax - scaling.euMin);
+    /**
+     * Convert between units of one quantity, rejecting units of any other
+     */
+    static convertQuantity(value, fromUnit, toUnit, quantity) {
+        [fromUnit, toUnit].forEach(unit => {
+            if (UnitRegistry.getQuantity(unit) !== quantity) {
+                throw new UnitRegistry.UnitError('INCOMPATIBLE_UNITS', `${unit} is no ${quantity} unit`, unit);
+            }
+        });
+        return UnitRegistry.convert(value, fromUnit, toUnit);
     }
 
     /**
      * Convert temperature between different units
      * @param {number} value - Temperature value
-     * @param {string} fromUnit - Source unit ('C', 'F', 'K', 'R')
-     * @param {string} toUnit - Target unit ('C', 'F', 'K', 'R')
+     * @param {string} fromUnit - Source unit ('C', 'F', 'K', 'R' or '°C', '°F' ...)
+     * @param {string} toUnit - Target unit ('C', 'F', 'K', 'R' or '°C', '°F' ...)
      * @returns {number} - Converted temperature value
+     * @throws {UnitError} - Units of another quantity or unknown units
      */
     static convertTemperature(value, fromUnit, toUnit) {
-        if (fromUnit === toUnit) return value;
+        // Direct formulas rather than the registry factors, which would leave rounding errors (100 °C -> 211.99999999999991 °F)
+        const [from, to] = [fromUnit, toUnit].map(unit => {
+            const scale = TEMPERATURE_SCALES[String(unit).trim().toUpperCase()];
+            if (!scale) {
+                throw new UnitRegistry.UnitError('INCOMPATIBLE_UNITS', `${unit} is no temperature unit`, unit);
+            }
+            return scale;
+        });
+        if (from === to) return value;
 
         // Convert to Celsius first
         let celsius;
-        switch (fromUnit.toUpperCase()) {
+        switch (from) {
             case 'F':
                 celsius = (value - 32) * 5/9;
                 break;
@@ -556,7 +581,7 @@ class EngineeringUnitsUtils {
         }
 
         // Convert from Celsius to target unit
-        switch (toUnit.toUpperCase()) {
+        switch (to) {
             case 'F':
                 return celsius * 9/5 + 32;
             case 'K':
@@ -572,30 +597,12 @@ class EngineeringUnitsUtils {
     /**
      * Convert pressure between different units
      * @param {number} value - Pressure value
-     * @param {string} fromUnit - Source unit ('bar', 'psi', 'kPa', 'MPa', 'atm', 'mmHg')
+     * @param {string} fromUnit - Source unit ('bar', 'psi', 'kPa', 'MPa', 'atm', 'mmHg', 'mH2O' ...)
      * @param {string} toUnit - Target unit
      * @returns {number} - Converted pressure value
      */
     static convertPressure(value, fromUnit, toUnit) {
-        if (fromUnit === toUnit) return value;
-
-        // Conversion factors to Pascal (Pa)
-        const toPA = {
-            'bar': 100000,
-            'psi': 6894.757,
-            'kPa': 1000,
-            'kpa': 1000,
-            'MPa': 1000000,
-            'mpa': 1000000,
-            'atm': 101325,
-            'mmHg': 133.322,
-            'mmhg': 133.322,
-            'Pa': 1,
-            'pa': 1
-        };
-
-        const pascals = value * (toPA[fromUnit] || 1);
-        return pascals / (toPA[toUnit] || 1);
+        return this.convertQuantity(value, fromUnit, toUnit, 'pressure');
     }
 
     /**
@@ -1,5 +1,30 @@
 const S7Client = require('./S7Client');
 const SqlTagManager = require('./SqlTagManager');
+const QualityCodes = require('./QualityCodes');
+const UdtLayout = require('./UdtLayout');
+const TagExpression = require('./TagExpression');
+
+/**
+ * Finds the tag a reference points to, 'Tank.Level' is member Level of tag Tank unless a tag 'Tank.Level' exists
+ * @returns {object|null} - {tag, path}
+ */
+function findTag(name, exists) {
+    let tag = name;
+    let path = '';
+
+    while (!exists(tag)) {
+        const dot = tag.lastIndexOf('.');
+        if (dot < 0) return null;
+        path = path ? `${tag.slice(dot + 1)}.${path}` : tag.slice(dot + 1);
+        tag = tag.slice(0, dot);
+    }
+
+    return { tag, path };
+}
+
+function ownValue(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined;
+}
 
 /**
  * Enhanced S7 Client with SQL Server tag management
@@ -17,8 +42,15 @@ class EnhancedS7Client extends S7Client {
         });
 
         this.sqlTagManager = new SqlTagManager(sqlConfig);
+        this.configScanClasses = { ...s7Config.scanClasses };
         this.tagGroups = new Map();
         this.tagMetadata = new Map();
+        this.tagQuality = new Map();
+        this.udtTags = new Map();       // UDT tag -> Map(member path -> member variable)
+        this.udtMembers = new Map();    // member variable -> {tag, path}
+        this.calculatedTags = new Map();    // calculated tag -> {expression, inputs, references}, in evaluation order
+        this.externalValues = new Map();    // PLC name -> Map(tag -> {value, quality}) of other PLCs read by calculated tags
+        this.enhancedData = {};
         this.isTagsLoaded = false;
 
         // Set up SQL tag manager events
@@ -87,7 +119,8 @@ class EnhancedS7Client extends S7Client {
     }
 
     /**
-     * Update S7 client variables from SQL database
+     * Update S7 client variables from SQL database.
+     * Only added, removed and changed tags are applied, unchanged tags keep reading without a gap
      */
     async updateS7Variables() {
         try {
@@ -96,41 +129,73 @@ class EnhancedS7Client extends S7Client {
             const allTags = this.sqlTagManager.getAllTags();
             
             console.log(`Updating S7 variables with ${sqlTags.length} tags from SQL`);
+
+            // Scan classes from SQL, overridden by the ones given in the client config
+            this.config.scanClasses = {
+                ...this.sqlTagManager.getScanClasses(),
+                ...this.configScanClasses
+            };
+
+            // Add/remove only the changed items (moves tags between scan classes, restarts changed timers)
+            const variableDiff = this.updateVariables(sqlTags);
+
+            // UDT tags are read as their member variables and delivered as one object
+            this.udtTags = new Map();
+            this.udtMembers = new Map();
+            sqlTags.filter(variable => variable.udtTag).forEach(({ name, udtTag, path }) => {
+                if (!this.udtTags.has(udtTag)) {
+                    this.udtTags.set(udtTag, new Map());
+                }
+                this.udtTags.get(udtTag).set(path, name);
+                this.udtMembers.set(name, { tag: udtTag, path });
+            });
             
-            // Update internal variables
-            this._vars = this.createTranslationTable(sqlTags);
-            this.config.variables = sqlTags;
+            // Compare tag metadata before replacing it
+            const previousMetadata = this.tagMetadata;
+            const tagDiff = this.diffTagMetadata(previousMetadata, allTags);
             
             // Store tag metadata and groups
-            this.tagMetadata.clear();
+            this.tagMetadata = new Map(allTags.map(tag => [tag.name, tag]));
             this.tagGroups.clear();
+            this.buildCalculatedTags(allTags);
             
             allTags.forEach(tag => {
-                this.tagMetadata.set(tag.name, tag);
-                
                 if (!this.tagGroups.has(tag.group)) {
                     this.tagGroups.set(tag.group, []);
                 }
                 this.tagGroups.get(tag.group).push(tag);
             });
 
-            // Reinitialize item group if PLC is connected
-            if (this.connected && this.itemGroup) {
-                // Just update the translation callback with new variables
-                this.itemGroup.setTranslationCB(k => this._vars[k]);
-                
-                // If you need to add new items, create new item group
-                const varKeys = Object.keys(this._vars);
-                if (varKeys.length > 0) {
-                    // Only recreate if needed
-                    this.itemGroup = new (require('@st-one-io/nodes7')).S7ItemGroup(this.endpoint);
-                    this.itemGroup.setTranslationCB(k => this._vars[k]);
-                    this.itemGroup.addItems(varKeys);
-                }
-            }
+            // Forget the state of tags that are no longer read or now read from another address or expression
+            const readdressed = changes => changes.includes('addr') || changes.includes('expression');
+            new Set([...variableDiff.removed, ...tagDiff.removed]).forEach(name => this.resetTagState(name));
+            tagDiff.modified
+                .filter(({ name, changes }) => readdressed(changes) && !variableDiff.removed.includes(name))
+                .forEach(({ name }) => this.resetTagState(name));
+            tagDiff.modified
+                .filter(({ changes }) => !readdressed(changes))
+                .forEach(({ name, changes }) => this.resetTagState(name, changes));
+
+            tagDiff.added.forEach(name => {
+                this.emit('tag_added', { name, metadata: this.tagMetadata.get(name) });
+            });
+            tagDiff.removed.forEach(name => {
+                this.emit('tag_removed', { name, metadata: previousMetadata.get(name) });
+            });
+            tagDiff.modified.forEach(({ name, changes }) => {
+                this.emit('tag_modified', {
+                    name,
+                    changes,
+                    before: previousMetadata.get(name),
+                    after: this.tagMetadata.get(name)
+                });
+            });
 
             this.isTagsLoaded = true;
-            console.log(`S7 variables updated: ${sqlTags.length} tags active`);
+            console.log(`S7 variables updated: ${sqlTags.length} tags active ` +
+                `(+${variableDiff.added.length} -${variableDiff.removed.length} ~${variableDiff.modified.length})`);
+
+            return { variables: variableDiff, tags: tagDiff };
 
         } catch (error) {
             console.error('Error updating S7 variables:', error);
@@ -138,6 +203,52 @@ class EnhancedS7Client extends S7Client {
         }
     }
 
+    /**
+     * Compares the loaded tag metadata with a new tag list
+     * @returns {object} - {added, removed, modified: [{name, changes}]}, changes lists the changed properties
+     */
+    diffTagMetadata(previousMetadata, tags) {
+        const diff = { added: [], removed: [], modified: [] };
+        const names = new Set();
+
+        tags.forEach(tag => {
+            names.add(tag.name);
+            const before = previousMetadata.get(tag.name);
+
+            if (!before) {
+                diff.added.push(tag.name);
+                return;
+            }
+
+            const keys = new Set([...Object.keys(before), ...Object.keys(tag)]);
+            const changes = Array.from(keys).filter(key => JSON.stringify(before[key]) !== JSON.stringify(tag[key]));
+            if (changes.length) {
+                diff.modified.push({ name: tag.name, changes });
+            }
+        });
+
+        for (const name of previousMetadata.keys()) {
+            if (!names.has(name)) {
+                diff.removed.push(name);
+            }
+        }
+
+        return diff;
+    }
+
+    /**
+     * Clears the cached state of a tag
+     * @param {string} tagName - Tag name
+     * @param {string[]} changes - Changed metadata properties, or null to forget everything (tag removed or readdressed)
+     */
+    resetTagState(tagName, changes = null) {
+        if (!changes) {
+            delete this.oldValues[tagName];
+            delete this.enhancedData[tagName];
+            this.tagQuality.delete(tagName);
+        }
+    }
+
     /**
      * Enhanced connect method that ensures tags are loaded
      */
@@ -154,6 +265,13 @@ class EnhancedS7Client extends S7Client {
      * Write variable with enhanced metadata
      */
     async writeVariable(name, value) {
+        if (this.calculatedTags.has(name)) {
+            throw this.calculatedWriteError(name);
+        }
+        if (this.udtTags.has(name)) {
+            return this.writeUdtTag(name, value);
+        }
+
         const tagMeta = this.tagMetadata.get(name);
         
         if (tagMeta) {
@@ -184,15 +302,276 @@ class EnhancedS7Client extends S7Client {
         return super.writeVariable(name, value);
     }
 
+    /**
+     * Writes the members given in a (partial) object of a UDT tag, one verified write per member.
+     * Members are queued together but not written atomically
+     * @returns {object} - {name, value, members: [{name, value, readBack, attempts}]}
+     */
+    async writeUdtTag(name, value) {
+        const members = this.udtTags.get(name);
+        const memberValues = UdtLayout.flatten(value, Array.from(members.keys()));
+        const paths = Object.keys(memberValues);
+
+        if (!paths.length) {
+            throw new Error(`No members given to write for UDT tag ${name}`);
+        }
+
+        this.emit('tag_write', { name, value, originalValue: value, metadata: this.tagMetadata.get(name) });
+
+        const results = await Promise.all(paths.map(path =>
+            this.enqueueWrite(() => this.performWrite(members.get(path), memberValues[path]))
+        ));
+
+        return { name, value, members: results };
+    }
+
+    /**
+     * Reads tags directly from the PLC, UDT tags are read member-wise and returned as one object
+     */
+    async readVariables(names) {
+        const keys = Array.isArray(names) ? names : [names];
+        const virtual = keys.filter(key => this.isVirtualTag(key));
+        const udtTags = keys.filter(key => this.udtTags.has(key));
+        const expanded = keys
+            .filter(key => !this.isVirtualTag(key))
+            .flatMap(key => this.udtTags.has(key) ? Array.from(this.udtTags.get(key).values()) : [key]);
+
+        const values = expanded.length ? await super.readVariables(expanded) : {};
+        const result = this.assembleUdtTags(values, udtTags);
+
+        // Members asked for by name are returned on their own as well
+        keys.filter(key => this.udtMembers.has(key)).forEach(key => { result[key] = values[key]; });
+
+        // Calculated tags are not in the PLC, their last evaluated value is returned
+        virtual.forEach(key => { result[key] = this.enhancedData[key]?.value ?? null; });
+
+        return result;
+    }
+
+    /**
+     * Whether a tag is computed by the client instead of being read from the PLC
+     */
+    isVirtualTag(name) {
+        return this.calculatedTags.has(name);
+    }
+
+    /**
+     * Replaces the member values of UDT tags with one object per tag
+     * @param {object} values - Values by variable name
+     * @param {string[]} tagNames - UDT tags to assemble, all when null
+     * @returns {object} - Values by tag name
+     */
+    assembleUdtTags(values, tagNames = null) {
+        if (!this.udtMembers.size) return values;
+
+        const result = {};
+        const memberValues = new Map();
+
+        Object.entries(values).forEach(([key, value]) => {
+            const member = this.udtMembers.get(key);
+            if (!member || (tagNames && !tagNames.includes(member.tag))) {
+                result[key] = value;
+                return;
+            }
+            if (!memberValues.has(member.tag)) {
+                memberValues.set(member.tag, {});
+            }
+            memberValues.get(member.tag)[member.path] = value;
+        });
+
+        memberValues.forEach((byPath, tag) => {
+            result[tag] = UdtLayout.assemble(byPath);
+        });
+
+        return result;
+    }
+
+    /**
+     * Maps variable names to tag names, member variables to their UDT tag
+     */
+    toTagNames(variableNames) {
+        return Array.from(new Set(variableNames.map(name => this.udtMembers.get(name)?.tag || name)));
+    }
+
+    /**
+     * Compiles the expressions of the calculated tags, ordered so that every calculated tag
+     * is evaluated after the calculated tags it reads
+     */
+    buildCalculatedTags(tags) {
+        const compiled = new Map();
+
+        tags.filter(tag => tag.sourceType === 'CALCULATED' && tag.enabled !== false).forEach(tag => {
+            try {
+                const expression = TagExpression.compile(tag.expression);
+                const references = new Map(expression.references.map(reference => {
+                    const { plcName, tagName } = TagExpression.parseReference(reference);
+                    const local = !plcName || plcName === this.config.name;
+                    const found = local ? findTag(tagName, name => this.tagMetadata.has(name)) : null;
+                    return [reference, { plcName: local ? null : plcName, tagName, ...found }];
+                }));
+
+                const unknown = Array.from(references.values()).filter(input => !input.plcName && !input.tag);
+                if (unknown.length) {
+                    console.warn(`⚠️ Calculated tag ${tag.name} reads unknown tags: ${unknown.map(input => input.tagName).join(', ')}`);
+                }
+
+                compiled.set(tag.name, {
+                    expression,
+                    references,
+                    inputs: new Set(Array.from(references.values()).filter(input => input.tag).map(input => input.tag)),
+                    error: null
+                });
+            } catch (error) {
+                console.error(`Calculated tag ${tag.name} skipped: ${error.message}`);
+            }
+        });
+
+        // Depth-first ordering, tags in or behind a circular reference are skipped
+        const ordered = new Map();
+        const failed = new Set();
+        const visiting = new Set();
+
+        const visit = (name) => {
+            if (ordered.has(name) || !compiled.has(name)) return true;
+            if (failed.has(name) || visiting.has(name)) return false;
+
+            visiting.add(name);
+            const blocked = Array.from(compiled.get(name).inputs).find(input => !visit(input));
+            visiting.delete(name);
+
+            if (blocked !== undefined) {
+                console.error(`Calculated tag ${name} skipped: circular reference through ${blocked}`);
+                failed.add(name);
+                return false;
+            }
+            ordered.set(name, compiled.get(name));
+            return true;
+        };
+        compiled.forEach((entry, name) => visit(name));
+
+        // Keep the values of other PLCs that are still read
+        const plcNames = new Set(Array.from(ordered.values())
+            .flatMap(entry => Array.from(entry.references.values()))
+            .filter(input => input.plcName)
+            .map(input => input.plcName));
+
+        this.calculatedTags = ordered;
+        this.externalValues = new Map(Array.from(plcNames).map(plcName => [plcName, this.externalValues.get(plcName) || new Map()]));
+    }
+
+    /**
+     * Evaluates the calculated tags reading any of the given tags, in dependency order.
+     * Calculated tags reading only other PLCs or constants are evaluated every cycle
+     * @param {string[]} tagNames - Tags delivered by the current cycle
+     * @param {object} enhancedValues - Values of the current cycle ({value, quality} by tag), used before the last known values
+     * @returns {object} - {value, quality} by calculated tag, value null when the expression could not be evaluated
+     */
+    evaluateCalculatedTags(tagNames, enhancedValues) {
+        const results = {};
+        if (!this.calculatedTags.size) return results;
+
+        const updated = new Set(tagNames);
+        const lookup = name => ownValue(results, name) || ownValue(enhancedValues, name) || ownValue(this.enhancedData, name);
+
+        this.calculatedTags.forEach((entry, name) => {
+            if (entry.inputs.size && !Array.from(entry.inputs).some(input => updated.has(input))) return;
+
+            results[name] = this.evaluateCalculatedTag(name, entry, lookup);
+            updated.add(name);
+        });
+
+        return results;
+    }
+
+    evaluateCalculatedTag(name, entry, lookup) {
+        let quality = QualityCodes.GOOD;
+
+        const resolve = (reference) => {
+            const input = entry.references.get(reference);
+            const source = input.plcName ? this.externalValues.get(input.plcName) : null;
+            const found = source ? findTag(input.tagName, tag => source.has(tag)) : input;
+            const data = found && found.tag ? (source ? source.get(found.tag) : lookup(found.tag)) : null;
+
+            if (!data) return undefined;
+
+            quality = QualityCodes.worst(quality, data.quality ?? QualityCodes.GOOD);
+            return found.path ? TagExpression.getMember(data.value, found.path) : data.value;
+        };
+
+        try {
+            const value = entry.expression.evaluate(resolve);
+            entry.error = null;
+            return { value, quality };
+
+        } catch (error) {
+            if (!(error instanceof TagExpression.TagExpressionError)) throw error;
+
+            // Report each new error once, not every cycle
+            if (entry.error !== error.message) {
+                entry.error = error.message;
+                console.warn(`⚠️ Calculated tag ${name}: ${error.message}`);
+                this.emit('calculation_error', { tagName: name, expression: entry.expression.source, error: error.message });
+            }
+            return { value: null, quality: QualityCodes.worst(quality, QualityCodes.BAD) };
+        }
+    }
+
+    /**
+     * Calculated tags reading any of the given tags, directly or through other calculated tags
+     */
+    getDependentCalculatedTags(tagNames) {
+        const affected = new Set(tagNames);
+        const dependents = [];
+
+        this.calculatedTags.forEach((entry, name) => {
+            if (Array.from(entry.inputs).some(input => affected.has(input))) {
+                affected.add(name);
+                dependents.push(name);
+            }
+        });
+
+        return dependents;
+    }
+
+    /**
+     * Takes the values of another PLC for the calculated tags reading it ('PLC_2:Flow'),
+     * used from their next evaluation
+     * @param {string} plcName - PLC the values come from
+     * @param {object} values - Enhanced values ({value, quality}) by tag name
+     */
+    setExternalValues(plcName, values) {
+        const source = this.externalValues.get(plcName);
+        if (!source) return;
+
+        Object.entries(values).forEach(([tagName, data]) => {
+            source.set(tagName, { value: data.value, quality: data.quality });
+        });
+    }
+
+    /**
+     * Names of the other PLCs read by calculated tags
+     */
+    getReferencedPLCs() {
+        return Array.from(this.externalValues.keys());
+    }
+
+    calculatedWriteError(name) {
+        return new Error(`Cannot write calculated tag ${name}, its value is evaluated from "${this.calculatedTags.get(name).expression.source}"`);
+    }
+
     /**
      * Enhanced cycle callback with metadata
      */
-    cycleCallback(values) {
+    cycleCallback(values, scanClass, timestamp = new Date()) {
+        values = this.assembleUdtTags(values);
+
         // Apply scaling and emit enhanced data
         const enhancedValues = {};
         
-        Object.entries(values).forEach(([key, value]) => {
+        const processValue = (key, value, inputQuality = null) => {
             const tagMeta = this.tagMetadata.get(key);
+            const valueQuality = QualityCodes.fromValue(value, tagMeta);
+            const quality = inputQuality === null ? valueQuality : QualityCodes.worst(valueQuality, inputQuality);
             let processedValue = value;
             
             if (tagMeta && tagMeta.scaling && tagMeta.scaling !== 1) {
@@ -202,11 +581,15 @@ class EnhancedS7Client extends S7Client {
             enhancedValues[key] = {
                 value: processedValue,
                 rawValue: value,
+                ...QualityCodes.describe(quality),
+                timestamp: timestamp,
                 metadata: tagMeta
             };
 
-            // Check alarms
-            if (tagMeta && tagMeta.limits) {
+            this.updateTagQuality(key, quality, timestamp);
+
+            // Check alarms (not on failed calculations)
+            if (tagMeta && tagMeta.limits && processedValue !== null) {
                 const limits = tagMeta.limits;
                 if (limits.alarmHigh !== null && processedValue > limits.alarmHigh) {
                     this.emit('alarm', {
@@ -227,13 +610,125 @@ class EnhancedS7Client extends S7Client {
                     });
                 }
             }
-        });
+        };
+
+        Object.entries(values).forEach(([key, value]) => processValue(key, value));
+
+        // Calculated tags are evaluated from the scaled values of this cycle
+        const calculated = this.evaluateCalculatedTags(Object.keys(values), enhancedValues);
+        if (Object.keys(calculated).length > 0) {
+            values = { ...values };
+            Object.entries(calculated).forEach(([key, result]) => {
+                values[key] = result.value;
+                processValue(key, result.value, result.quality);
+            });
+        }
 
         // Emit enhanced data event
+        this.enhancedData = { ...this.enhancedData, ...enhancedValues };
         this.emit('enhanced_data', enhancedValues);
 
         // Call parent cycle callback with original values
-        super.cycleCallback(values);
+        super.cycleCallback(values, scanClass, timestamp);
+    }
+
+    /**
+     * Mark the tags of a failed scan class as bad before reporting the error
+     */
+    cycleErrorCallback(error, scanClass) {
+        const group = this.scanGroups.get(scanClass);
+        if (group) {
+            const tagNames = this.toTagNames(group.variables);
+            this.markTagsBad([...tagNames, ...this.getDependentCalculatedTags(tagNames)], error);
+        }
+
+        super.cycleErrorCallback(error, scanClass);
+    }
+
+    /**
+     * All tags lose communication when the PLC disconnects (out of service when disconnected on purpose)
+     */
+    onDisconnect() {
+        const quality = this._shouldReconnect ? null : QualityCodes.BAD_OUT_OF_SERVICE;
+        this.markTagsBad([...this.toTagNames(Object.keys(this._vars)), ...this.calculatedTags.keys()], null, quality);
+        super.onDisconnect();
+    }
+
+    /**
+     * Set bad quality on tags that could not be read, keeping their last known value
+     */
+    markTagsBad(tagNames, error, badQuality = null) {
+        const timestamp = new Date();
+        const badValues = {};
+
+        tagNames.forEach(tagName => {
+            const previous = this.enhancedData[tagName];
+            const hasLastValue = !!previous && previous.rawValue !== null && previous.rawValue !== undefined;
+            const quality = badQuality ?? QualityCodes.fromReadError(error, hasLastValue);
+
+            // Only report transitions, not every failed cycle
+            if (this.tagQuality.get(tagName)?.quality === quality) return;
+
+            badValues[tagName] = {
+                ...(previous || { value: null, rawValue: null, metadata: this.tagMetadata.get(tagName) || null }),
+                ...QualityCodes.describe(quality),
+                timestamp: timestamp
+            };
+
+            this.updateTagQuality(tagName, quality, timestamp);
+        });
+
+        if (Object.keys(badValues).length > 0) {
+            this.enhancedData = { ...this.enhancedData, ...badValues };
+            this.emit('enhanced_data', badValues);
+        }
+
+        return badValues;
+    }
+
+    /**
+     * Track the quality of a tag and emit quality_changed on transitions
+     */
+    updateTagQuality(tagName, quality, timestamp) {
+        const previous = this.tagQuality.get(tagName);
+        this.tagQuality.set(tagName, { quality, timestamp });
+
+        if (previous && previous.quality !== quality) {
+            this.emit('quality_changed', {
+                tagName,
+                previousQuality: previous.quality,
+                ...QualityCodes.describe(quality),
+                timestamp
+            });
+        }
+    }
+
+    /**
+     * Get current quality and source timestamp of a tag
+     */
+    getTagQuality(tagName) {
+        const entry = this.tagQuality.get(tagName);
+        if (!entry) return null;
+
+        return {
+            ...QualityCodes.describe(entry.quality),
+            timestamp: entry.timestamp
+        };
+    }
+
+    /**
+     * Count tags by quality status
+     */
+    getQualitySummary() {
+        const summary = { good: 0, uncertain: 0, bad: 0 };
+
+        for (const { quality } of this.tagQuality.values()) {
+            if (QualityCodes.isGood(quality)) summary.good++;
+            else if (QualityCodes.isUncertain(quality)) summary.uncertain++;
+            else summary.bad++;
+        }
+
+        return summary;
     }
 
     /**
@@ -282,17 +777,26 @@ class EnhancedS7Client extends S7Client {
      * Get enhanced status including SQL connection
      */
     getEnhancedStatus() {
+        const cycleMetrics = this.getCycleMetrics();
+
         return {
             s7: {
                 status: this.getStatus(),
                 connected: this.connected,
-                variables: Object.keys(this._vars).length
+                variables: Object.keys(this._vars).length,
+                averageResponseTime: cycleMetrics.total.duration.average,
+                cycleMetrics: cycleMetrics,
+                reconnect: this.getReconnectStatus(),
+                scanClasses: this.getScanClassStatus(),
+                diagnostics: this.getDiagnostics(),
+                pendingWrites: this.pendingWrites
             },
             sql: this.sqlTagManager.getStatus(),
             tags: {
                 loaded: this.isTagsLoaded,
                 count: this.tagMetadata.size,
-                groups: this.tagGroups.size
+                groups: this.tagGroups.size,
+                quality: this.getQualitySummary()
             }
         };
     }
@@ -1,6 +1,25 @@
 const EnhancedS7Client = require('./EnhancedS7Client');
 const SqlDataLogger = require('./SqlDataLogger');
-const EngineeringUnitsUtils = require('./EngineeringUnitsUtils');
+const QualityCodes = require('./QualityCodes');
+const ScalingEngine = require('./ScalingEngine');
+const TemperatureSensors = require('./TemperatureSensors');
+const UnitRegistry = require('./UnitRegistry');
+const Totalizer = require('./Totalizer');
+const { WriteVerificationError } = require('./S7Client');
+
+// Tag properties the cached EU value and the alarm state depend on
+const EU_PROPERTIES = ['scalingConfig', 'rawMin', 'rawMax', 'euMin', 'euMax', 'scaling', 'engineeringUnits',
+    'units', 'decimalPlaces', 'formatString', 'validationRules', 'type'];
+const ALARM_PROPERTIES = ['limits', 'alarmConfig'];
+
+/**
+ * Default totalizer settings
+ */
+const DEFAULT_TOTALIZERS = {
+    saveInterval: 60000,    // how often the running totals are saved to SQL (ms)
+    checkInterval: 5000,    // how often scheduled resets are checked for sources that stopped delivering (ms)
+    resetGrace: 60000       // how long such a reset waits for a sample to split the last interval at the reset time (ms)
+};
 
 /**
  * Enhanced S7 Client with comprehensive SQL data logging and engineering units
@@ -23,6 +42,14 @@ class EnhancedS7ClientWithLogging extends EnhancedS7Client {
         this.loggingStartTime = null;
         this.engineeringUnitsCache = new Map(); // Cache for EU calculations
         this.alarmStates = new Map(); // Track current alarm states for hysteresis
+
+        this.config.totalizers = {
+            ...DEFAULT_TOTALIZERS,
+            ...(config && config.totalizers)
+        };
+        this.totalizers = new Map();    // totalizer tag -> Totalizer
+        this.totalizerTimer = null;
+        this.totalizersSavedAt = 0;
         
         // Set up logging event handlers
         this.setupLoggingEvents();
@@ -127,23 +154,29 @@ class EnhancedS7ClientWithLogging extends EnhancedS7Client {
     /**
      * Enhanced cycle callback with engineering units and advanced data logging
      */
-    cycleCallback(values) {
+    cycleCallback(values, scanClass, timestamp = new Date()) {
+        values = this.assembleUdtTags(values);
+
         // Store old values for comparison and alarm processing
         const oldValues = { ...this.currentData };
         
-        // Update current data
-        this.currentData = { ...values };
+        // Update current data (each scan class only delivers its own tags)
+        this.currentData = { ...this.currentData, ...values };
 
         // Process engineering units and create enhanced data
         const enhancedValues = {};
         const logDataPoints = [];
 
-        Object.entries(values).forEach(([tagName, rawValue]) => {
+        const processValue = (tagName, rawValue, inputQuality = null) => {
             const tagMeta = this.tagMetadata.get(tagName);
             
             if (tagMeta) {
                 // Create engineering units object with enhanced metadata
                 const euObject = this.createEnhancedEuObject(rawValue, tagMeta);
+                if (inputQuality !== null) {
+                    // Calculated tags are no better than their worst input
+                    euObject.quality = QualityCodes.worst(euObject.quality, inputQuality);
+                }
                 
                 // Store in enhanced values
                 enhancedValues[tagName] = {
@@ -151,27 +184,33 @@ class EnhancedS7ClientWithLogging extends EnhancedS7Client {
                     value: euObject.euValue, // EU value as the primary value
                     formattedValue: euObject.formattedValue,
                     units: euObject.units,
-                    quality: euObject.quality,
+                    ...QualityCodes.describe(euObject.quality),
+                    timestamp: timestamp,
                     metadata: tagMeta
                 };
 
                 // Cache EU calculation for performance
                 this.engineeringUnitsCache.set(tagName, euObject);
+                this.updateTagQuality(tagName, euObject.quality, timestamp);
 
-                // Prepare for enhanced logging if enabled
-                if (this.isLoggingEnabled && this.dataLogger.isInitialized && tagMeta.loggingConfig.enabled) {
+                // Prepare for enhanced logging if enabled (DataHistory holds numbers, UDT objects and failed calculations are not logged)
+                if (this.isLoggingEnabled && this.dataLogger.isInitialized && tagMeta.loggingConfig.enabled && !tagMeta.udtName &&
+                    rawValue !== null) {
                     logDataPoints.push({
-                        //plcName: plcName,
+                        plcName: tagMeta.plcName,
                         tagName: tagName,
                         euValue: euObject.euValue,
                         rawValue: rawValue,
                         logType: 'PERIODIC',
-                        quality: 192
+                        quality: euObject.quality,
+                        timestamp: timestamp
                     });
                 }
 
-                // Enhanced alarm processing using EU values with hysteresis
-                this.processAdvancedAlarmsWithEu(tagName, euObject.euValue, oldValues[tagName], tagMeta);
+                // Enhanced alarm processing using EU values with hysteresis (not on bad values)
+                if (!QualityCodes.isBad(euObject.quality) && !tagMeta.udtName) {
+                    this.processAdvancedAlarmsWithEu(tagName, euObject.euValue, oldValues[tagName], tagMeta);
+                }
 
             } else {
                 // No metadata available, use raw value
@@ -180,9 +219,11 @@ class EnhancedS7ClientWithLogging extends EnhancedS7Client {
                     value: rawValue,
                     formattedValue: rawValue?.toFixed(2) || 'N/A',
                     units: '',
-                    quality: 'UNKNOWN',
+                    ...QualityCodes.describe(QualityCodes.fromValue(rawValue, null)),
+                    timestamp: timestamp,
                     metadata: null
                 };
+                this.updateTagQuality(tagName, enhancedValues[tagName].quality, timestamp);
 
                 // Log without EU conversion if logging is enabled for unknown tags
                 if (this.isLoggingEnabled && this.dataLogger.isInitialized) {
@@ -192,14 +233,33 @@ class EnhancedS7ClientWithLogging extends EnhancedS7Client {
                         euValue: rawValue,
                         rawValue: rawValue,
                         logType: 'PERIODIC',
-                        quality: 192
+                        quality: enhancedValues[tagName].quality,
+                        timestamp: timestamp
                     });
                 }
             }
-        });
+        };
+
+        Object.entries(values).forEach(([tagName, rawValue]) => processValue(tagName, rawValue));
+
+        const processResults = results => {
+            if (Object.keys(results).length > 0) {
+                values = { ...values };
+                Object.entries(results).forEach(([tagName, result]) => {
+                    values[tagName] = result.value;
+                    processValue(tagName, result.value, result.quality);
+                });
+                this.currentData = { ...this.currentData, ...values };
+            }
+        };
+
+        // Calculated tags are evaluated from the EU values of this cycle and processed like PLC tags,
+        // totalizers then integrate them along with the PLC values
+        processResults(this.evaluateCalculatedTags(Object.keys(values), enhancedValues));
+        processResults(this.updateTotalizers(enhancedValues, timestamp));
 
         // Update enhanced data
-        this.enhancedData = enhancedValues;
+        this.enhancedData = { ...this.enhancedData, ...enhancedValues };
 
         // Emit enhanced data event
         this.emit('enhanced_data', enhancedValues);
@@ -232,44 +292,315 @@ class EnhancedS7ClientWithLogging extends EnhancedS7Client {
 
         // Update status
         this.manageStatus('online');
-        this.readInProgress = false;
+    }
+
+    /**
+     * Clears the cached EU value and alarm state of a tag when the related configuration changed
+     */
+    resetTagState(tagName, changes = null) {
+        super.resetTagState(tagName, changes);
+
+        if (!changes && this.currentData) {
+            delete this.currentData[tagName];
+        }
+
+        if (!changes || changes.some(key => EU_PROPERTIES.includes(key))) {
+            this.engineeringUnitsCache.delete(tagName);
+        }
+
+        if (!changes || changes.some(key => ALARM_PROPERTIES.includes(key))) {
+            this.alarmStates.delete(tagName);
+        }
+    }
+
+    /**
+     * Log the last known value of tags that went bad, so the quality change reaches DataHistory
+     */
+    markTagsBad(tagNames, error, badQuality = null) {
+        const badValues = super.markTagsBad(tagNames, error, badQuality);
+
+        // Totalizers of failed sources keep their total, which becomes uncertain
+        const timestamp = new Date();
+        this.totalizers.forEach((totalizer, name) => {
+            if (!tagNames.includes(totalizer.config.source)) return;
+
+            this.closeTotalizerPeriods(name, totalizer, totalizer.update(null, false, timestamp));
+            Object.assign(badValues, super.markTagsBad([name], null, this.getTotalizerQuality(totalizer)));
+        });
+
+        if (this.isLoggingEnabled && this.dataLogger.isInitialized) {
+            const logDataPoints = Object.entries(badValues)
+                .filter(([, entry]) => entry.rawValue !== null && entry.rawValue !== undefined && !entry.metadata?.udtName)
+                .map(([tagName, entry]) => ({
+                    plcName: entry.metadata?.plcName,
+                    tagName: tagName,
+                    euValue: entry.value,
+                    rawValue: entry.rawValue,
+                    logType: 'CHANGE',
+                    quality: entry.quality,
+                    timestamp: entry.timestamp
+                }));
+
+            if (logDataPoints.length > 0) {
+                this.logBatchDataEnhanced(logDataPoints);
+            }
+        }
+
+        return badValues;
+    }
+
+    /**
+     * Rebuilds the totalizers after the tags were reloaded
+     */
+    async updateS7Variables() {
+        const result = await super.updateS7Variables();
+        this.buildTotalizers();
+        return result;
+    }
+
+    /**
+     * Creates the totalizers of the TOTALIZER tags. Unchanged totalizers keep running, reconfigured ones
+     * keep their total and new ones continue from the state saved in SQL
+     */
+    buildTotalizers() {
+        const previous = this.totalizers;
+        const now = new Date();
+        this.totalizers = new Map();
+
+        for (const tag of this.tagMetadata.values()) {
+            if (tag.sourceType !== 'TOTALIZER' || tag.enabled === false) continue;
+
+            if (!tag.totalizer) {
+                console.warn(`⚠️ Totalizer tag ${tag.name} has no totalizer configuration`);
+                continue;
+            }
+
+            try {
+                const totalizer = new Totalizer({ ...tag.totalizer, name: tag.name });
+                const existing = previous.get(tag.name);
+
+                if (existing && JSON.stringify(existing.config) === JSON.stringify(totalizer.config)) {
+                    this.totalizers.set(tag.name, existing);
+                    continue;
+                }
+
+                if (!this.tagMetadata.has(totalizer.config.source)) {
+                    console.warn(`⚠️ Totalizer ${tag.name} reads unknown tag ${totalizer.config.source}`);
+                }
+
+                const state = existing ? existing.getState() : this.sqlTagManager.getTotalizerState(tag.name, tag.plcName);
+                if (state) {
+                    // The last sample of another source or mode cannot be continued from
+                    if (existing && (existing.config.source !== totalizer.config.source || existing.config.mode !== totalizer.config.mode)) {
+                        state.lastValue = null;
+                    }
+                    this.closeTotalizerPeriods(tag.name, totalizer, totalizer.restore(state, now));
+                } else {
+                    totalizer.start(now);
+                }
+
+                this.totalizers.set(tag.name, totalizer);
+
+            } catch (error) {
+                console.error(`Totalizer ${tag.name} skipped: ${error.message}`);
+            }
+        }
+
+        if (this.totalizers.size > 0 && !this.totalizerTimer) {
+            this.totalizerTimer = setInterval(() => this.checkTotalizers(), this.config.totalizers.checkInterval);
+        } else if (this.totalizers.size === 0) {
+            this.stopTotalizers();
+        }
+    }
+
+    /**
+     * Feeds the EU values of this cycle to the totalizers reading them
+     * @returns {object} - {value, quality} by totalizer tag
+     */
+    updateTotalizers(enhancedValues, timestamp) {
+        const results = {};
+
+        this.totalizers.forEach((totalizer, name) => {
+            const source = enhancedValues[totalizer.config.source];
+            if (!source) return;
+
+            const closed = totalizer.update(source.value, !QualityCodes.isBad(source.quality), timestamp);
+            this.closeTotalizerPeriods(name, totalizer, closed);
+
+            results[name] = { value: totalizer.total, quality: this.getTotalizerQuality(totalizer) };
+        });
+
+        return results;
+    }
+
+    /**
+     * GOOD while the source is good, uncertain while the total is held or integrated from the last good rate
+     */
+    getTotalizerQuality(totalizer) {
+        if (totalizer.isGood()) return QualityCodes.GOOD;
+        return totalizer.config.badQualityPolicy === 'LAST_GOOD' ? QualityCodes.UNCERTAIN : QualityCodes.UNCERTAIN_LAST_USABLE_VALUE;
+    }
+
+    /**
+     * Closes due periods of totalizers whose source stopped delivering and saves the totals periodically
+     */
+    checkTotalizers() {
+        const due = new Date(Date.now() - this.config.totalizers.resetGrace);
+
+        this.totalizers.forEach((totalizer, name) => {
+            this.closeTotalizerPeriods(name, totalizer, totalizer.checkReset(due));
+        });
+
+        if (Date.now() - this.totalizersSavedAt >= this.config.totalizers.saveInterval) {
+            this.saveTotalizers();
+        }
+    }
+
+    /**
+     * Stores closed totalizer periods in TotalizerHistory, one after the other
+     */
+    closeTotalizerPeriods(name, totalizer, periods) {
+        if (!periods.length) return Promise.resolve();
+
+        const tagMeta = this.tagMetadata.get(name);
+        const units = tagMeta?.engineeringUnits || '';
+
+        return periods.reduce((previous, period) => previous.then(async () => {
+            console.log(`🧮 Totalizer ${name}: ${period.total.toFixed(tagMeta?.decimalPlaces ?? 2)} ${units} ` +
+                `from ${period.periodStart.toISOString()} to ${period.periodEnd.toISOString()} (${period.reason})`);
+            this.emit('totalizer_reset', { name, plcName: tagMeta?.plcName, units, ...period });
+
+            if (this.dataLogger.isInitialized) {
+                await this.dataLogger.logTotalizerPeriod(tagMeta?.plcName, name, period, totalizer.getState());
+            }
+        }), Promise.resolve());
+    }
+
+    /**
+     * Resets a totalizer now, outside its schedule
+     * @returns {object} - The closed period
+     */
+    async resetTotalizer(name, username = 'SYSTEM') {
+        const totalizer = this.totalizers.get(name);
+        if (!totalizer) {
+            throw new Error(`Tag ${name} is no totalizer`);
+        }
+
+        const period = { ...totalizer.reset('MANUAL'), resetBy: username };
+        await this.closeTotalizerPeriods(name, totalizer, [period]);
+
+        return period;
+    }
+
+    /**
+     * Saves the running totals, so a restart continues where it stopped
+     */
+    async saveTotalizers() {
+        this.totalizersSavedAt = Date.now();
 
-        if (this.readDeferred && this.connected) {
-            this.doCycle();
-            this.readDeferred = 0;
+        if (!this.dataLogger.isInitialized || this.totalizers.size === 0) return;
+
+        const statesByPlc = new Map();
+        this.totalizers.forEach((totalizer, name) => {
+            const plcName = this.tagMetadata.get(name)?.plcName;
+            if (!statesByPlc.has(plcName)) {
+                statesByPlc.set(plcName, []);
+            }
+            statesByPlc.get(plcName).push({ tagName: name, ...totalizer.getState() });
+        });
+
+        for (const [plcName, states] of statesByPlc) {
+            await this.dataLogger.saveTotalizerStates(plcName, states);
+        }
+    }
+
+    stopTotalizers() {
+        if (this.totalizerTimer) {
+            clearInterval(this.totalizerTimer);
+            this.totalizerTimer = null;
         }
     }
 
+    /**
+     * Current totals with their period and configuration
+     */
+    getTotalizers() {
+        return Array.from(this.totalizers.entries()).map(([name, totalizer]) => {
+            const tagMeta = this.tagMetadata.get(name);
+            const { total, ...state } = totalizer.getState();
+
+            return {
+                name,
+                plcName: tagMeta?.plcName,
+                value: total,
+                units: tagMeta?.engineeringUnits || '',
+                ...QualityCodes.describe(this.getTotalizerQuality(totalizer)),
+                ...state,
+                config: totalizer.config
+            };
+        });
+    }
+
+    isVirtualTag(name) {
+        return super.isVirtualTag(name) || this.totalizers.has(name);
+    }
+
     /**
      * Create enhanced engineering units object with full metadata support
      */
     createEnhancedEuObject(rawValue, tagMeta) {
+        if (tagMeta?.udtName) {
+            // UDT tags are objects, their members are not scaled
+            return {
+                rawValue: rawValue,
+                euValue: rawValue,
+                formattedValue: JSON.stringify(rawValue),
+                units: '',
+                quality: QualityCodes.fromValue(rawValue, tagMeta),
+                scaling: null
+            };
+        }
+
         if (!tagMeta || !tagMeta.scalingConfig) {
+            // Unscaled tags, calculated tags are already in engineering units
             return {
                 rawValue: rawValue,
                 euValue: rawValue,
-                formattedValue: this.formatValue(rawValue, 2),
-                units: tagMeta?.units || '',
-                quality: 'UNKNOWN',
+                formattedValue: this.formatValue(rawValue, tagMeta?.decimalPlaces || 2, tagMeta?.formatString),
+                units: tagMeta?.engineeringUnits || tagMeta?.units || '',
+                quality: QualityCodes.fromValue(rawValue, tagMeta),
                 scaling: null
             };
         }
 
         const scaling = tagMeta.scalingConfig;
-        let euValue;
-
-        // Apply different scaling types
-        switch (scaling.type) {
-            case 'SQRT':
-                euValue = this.applySqrtScaling(rawValue, scaling);
-                break;
-            case 'POLYNOMIAL':
-                euValue = this.applyPolynomialScaling(rawValue, scaling, scaling.coefficients);
-                break;
-            case 'LINEAR':
-            default:
-                euValue = EngineeringUnitsUtils.rawToEu(rawValue, scaling);
-                break;
+        const options = {};
+        let compiledScaling = null;
+        let euValue = null;
+        let quality = QualityCodes.fromValue(rawValue, tagMeta);
+
+        try {
+            compiledScaling = this.getCompiledScaling(tagMeta);
+
+            switch (compiledScaling.type) {
+                case 'TC_J':
+                case 'TC_K':
+                case 'TC_T': {
+                    // Thermocouples are compensated with the temperature of their cold junction, measured by another tag
+                    const coldJunction = this.getColdJunction(compiledScaling);
+                    options.coldJunction = coldJunction.value;
+                    quality = QualityCodes.worst(quality, coldJunction.quality);
+                    break;
+                }
+            }
+
+            if (options.coldJunction !== null) {
+                euValue = ScalingEngine.toEu(rawValue, compiledScaling, options);
+            }
+        } catch (error) {
+            // Outside the range of a temperature sensor (wire break, short circuit), or coefficients that are no JSON,
+            // an unknown scaling type or a table without points
+            quality = error.code === 'OUT_OF_RANGE' ? QualityCodes.BAD_SENSOR_FAILURE : QualityCodes.BAD_CONFIG_ERROR;
         }
 
         const decimalPlaces = tagMeta.decimalPlaces || 2;
@@ -281,8 +612,9 @@ class EnhancedS7ClientWithLogging extends EnhancedS7Client {
             euValue: euValue,
             formattedValue: this.formatValue(euValue, decimalPlaces, formatString),
             units: units,
-            quality: 'GOOD',
+            quality: quality,
             scaling: scaling,
+            compiledScaling: compiledScaling,
             metadata: {
                 decimalPlaces: decimalPlaces,
                 formatString: formatString,
@@ -294,43 +626,77 @@ class EnhancedS7ClientWithLogging extends EnhancedS7Client {
     }
 
     /**
-     * Apply square root scaling for flow measurements
+     * Scaling of a tag compiled once, kept with its cached EU object until resetTagState() drops it
+     * @throws {ScalingError} - INVALID_SCALING for coefficients that are no JSON
      */
-    applySqrtScaling(rawValue, scaling) {
-        const linearValue = EngineeringUnitsUtils.rawToEu(rawValue, scaling);
-        
-        if (linearValue < 0) {
-            return 0; // Flow cannot be negative
+    getCompiledScaling(tagMeta) {
+        const cached = this.engineeringUnitsCache.get(tagMeta.name);
+        if (cached && cached.compiledScaling && cached.scaling === tagMeta.scalingConfig) {
+            return cached.compiledScaling;
         }
-        
-        return Math.sqrt(linearValue / (scaling.euMax || 100)) * (scaling.euMax || 100);
+        return ScalingEngine.compile(tagMeta.scalingConfig);
     }
 
     /**
-     * Apply polynomial scaling for non-linear sensors
+     * Cold junction temperature of a thermocouple in °C, from the tag named in its scaling
+     * @returns {object} - {value, quality}, value undefined without a cold junction tag, null when unknown
      */
-    applyPolynomialScaling(rawValue, scaling, coefficients) {
-        if (!coefficients || coefficients.length === 0) {
-            return EngineeringUnitsUtils.rawToEu(rawValue, scaling);
+    getColdJunction(scaling) {
+        const tagName = ScalingEngine.compile(scaling).coldJunctionTag;
+        if (!tagName) {
+            return { value: undefined, quality: QualityCodes.GOOD };
         }
 
-        // First normalize the raw value to 0-1 range
-        const normalizedValue = (rawValue - scaling.rawMin) / (scaling.rawMax - scaling.rawMin);
-        
-        // Apply polynomial
-        let result = 0;
-        for (let i = 0; i < coefficients.length; i++) {
-            result += coefficients[i] * Math.pow(normalizedValue, i);
+        const tagMeta = this.tagMetadata.get(tagName);
+        if (!tagMeta) {
+            return { value: null, quality: QualityCodes.BAD_CONFIG_ERROR };
         }
 
-        // Scale to engineering units range
-        return scaling.euMin + result * (scaling.euMax - scaling.euMin);
+        let euObject = this.engineeringUnitsCache.get(tagName);
+        const rawValue = this.currentData[tagName];
+        // A thermocouple as cold junction would need its own cold junction, it is only used once scaled
+        if (!euObject && rawValue !== null && rawValue !== undefined && !TemperatureSensors.isThermocouple(tagMeta.scalingConfig?.type)) {
+            euObject = this.createEnhancedEuObject(rawValue, tagMeta);
+        }
+        if (!euObject || typeof euObject.euValue !== 'number') {
+            return { value: null, quality: this.tagQuality.get(tagName)?.quality ?? QualityCodes.BAD };
+        }
+
+        // Cold junctions measured in °F or K
+        let value = euObject.euValue;
+        const units = tagMeta.engineeringUnits || tagMeta.units;
+        if (units && UnitRegistry.isKnown(units) && UnitRegistry.getQuantity(units) === 'temperature') {
+            value = UnitRegistry.convert(value, units, '°C');
+        }
+
+        return {
+            value,
+            quality: QualityCodes.worst(euObject.quality, this.tagQuality.get(tagName)?.quality ?? euObject.quality)
+        };
+    }
+
+    /**
+     * Apply square root scaling for flow measurements
+     */
+    applySqrtScaling(rawValue, scaling) {
+        return ScalingEngine.toEu(rawValue, { ...scaling, type: 'SQRT' });
+    }
+
+    /**
+     * Apply polynomial scaling for non-linear sensors
+     */
+    applyPolynomialScaling(rawValue, scaling, coefficients) {
+        return ScalingEngine.toEu(rawValue, { ...scaling, type: 'POLYNOMIAL', coefficients });
     }
 
     /**
      * Format value with enhanced options
      */
     formatValue(value, decimalPlaces = 2, formatString = null) {
+        if (typeof value === 'boolean' || typeof value === 'string') {
+            return String(value);
+        }
+
         if (value === null || value === undefined || isNaN(value)) {
             return 'N/A';
         }
@@ -556,10 +922,72 @@ class EnhancedS7ClientWithLogging extends EnhancedS7Client {
         }
     }
 
+    /**
+     * Read tags directly from the PLC (bypassing the poll cycle) with engineering units conversion
+     */
+    async readEnhancedVariables(tagNames) {
+        const values = await this.readVariables(tagNames);
+        const timestamp = new Date();
+        const result = {};
+
+        Object.entries(values).forEach(([tagName, rawValue]) => {
+            const tagMeta = this.tagMetadata.get(tagName);
+            const euObject = this.createEnhancedEuObject(rawValue, tagMeta);
+
+            result[tagName] = {
+                rawValue: rawValue,
+                value: euObject.euValue,
+                formattedValue: euObject.formattedValue,
+                units: euObject.units,
+                ...QualityCodes.describe(euObject.quality),
+                timestamp: timestamp
+            };
+        });
+
+        return result;
+    }
+
+    /**
+     * Raw memory area write with audit logging
+     */
+    async writeArea(area, start, data, db) {
+        await super.writeArea(area, start, data, db);
+
+        if (this.dataLogger.isInitialized) {
+            const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+            const target = String(area).toUpperCase() === 'DB' ? `DB${db}` : String(area).toUpperCase();
+
+            await this.dataLogger.logEvent({
+                type: 'RAW_AREA_WRITE',
+                category: 'WARNING',
+                message: `Raw write of ${buffer.length} byte(s) to ${target} at byte ${start}`,
+                username: 'SYSTEM',
+                source: 'EnhancedS7Client',
+                sourceVersion: '2.0.0',
+                additionalData: {
+                    area: String(area).toUpperCase(),
+                    db: db,
+                    start: start,
+                    data: buffer.toString('hex')
+                }
+            });
+        }
+    }
+
     /**
      * Enhanced write variable with engineering units conversion and comprehensive logging
      */
     async writeVariable(name, value, isEuValue = true) {
+        if (this.calculatedTags.has(name)) {
+            throw this.calculatedWriteError(name);
+        }
+        if (this.totalizers.has(name)) {
+            throw new Error(`Cannot write totalizer ${name}, reset it with resetTotalizer()`);
+        }
+        if (this.udtTags.has(name)) {
+            return this.writeUdtTag(name, value);
+        }
+
         const oldRawValue = this.currentData[name];
         let rawValueToWrite = value;
         let euValueToWrite = value;
@@ -577,7 +1005,7 @@ class EnhancedS7ClientWithLogging extends EnhancedS7Client {
 
                 if (isEuValue) {
                     // Convert EU value to raw value for writing to PLC
-                    rawValueToWrite = this.convertEuToRaw(value, tagMeta.scalingConfig);
+                    rawValueToWrite = this.convertEuToRaw(value, this.getCompiledScaling(tagMeta));
                     euValueToWrite = value;
                 } else {
                     // Value is already raw, convert to EU for logging
@@ -601,15 +1029,16 @@ class EnhancedS7ClientWithLogging extends EnhancedS7Client {
                 }
             }
 
-            // Perform the write operation with raw value
-            await super.writeVariable(name, rawValueToWrite);
+            // Perform the write operation with raw value, resolves once the value is verified
+            const writeResult = await super.writeVariable(name, rawValueToWrite);
+            const verified = writeResult.readBack !== undefined;
 
             // Log the write event with comprehensive context
             if (this.dataLogger.isInitialized) {
                 await this.dataLogger.logEvent({
                     type: 'VARIABLE_WRITE',
                     category: 'INFO',
-                    message: `Variable ${name} written successfully: EU=${euValueToWrite}${tagMeta?.engineeringUnits || ''} (Raw=${rawValueToWrite})`,
+                    message: `Variable ${name} written ${verified ? 'and verified' : 'successfully'}: EU=${euValueToWrite}${tagMeta?.engineeringUnits || ''} (Raw=${rawValueToWrite})`,
                     tagName: name,
                     oldValue: oldEuValue,
                     newValue: euValueToWrite,
@@ -621,19 +1050,30 @@ class EnhancedS7ClientWithLogging extends EnhancedS7Client {
                     additionalData: {
                         isEuValue,
                         units: tagMeta?.engineeringUnits || '',
-                        scalingType: tagMeta?.scalingConfig?.type || 'LINEAR'
+                        scalingType: tagMeta?.scalingConfig?.type || 'LINEAR',
+                        verified,
+                        readBack: writeResult.readBack,
+                        attempts: writeResult.attempts,
+                        bitWriteStrategy: writeResult.strategy,
+                        bitWriteConflict: writeResult.conflict
                     }
                 });
 
-                // Log the new value immediately using enhanced logging
-                await this.dataLogger.logData(name, euValueToWrite, rawValueToWrite, 'MANUAL', 192);
+                // Log the new value immediately using enhanced logging (array elements are logged with their tag)
+                if (this._vars[name]) {
+                    await this.dataLogger.logData(name, euValueToWrite, rawValueToWrite, 'MANUAL', 192);
+                }
             }
 
+            return writeResult;
+
         } catch (error) {
             // Log write error with enhanced context
             if (this.dataLogger.isInitialized) {
+                const verificationFailed = error instanceof WriteVerificationError && error.reason !== 'WRITE_FAILED';
+
                 await this.dataLogger.logEvent({
-                    type: 'WRITE_ERROR',
+                    type: verificationFailed ? 'WRITE_VERIFICATION_FAILED' : 'WRITE_ERROR',
                     category: 'ERROR',
                     message: `Failed to write variable ${name}: ${error.message}`,
                     tagName: name,
@@ -643,6 +1083,9 @@ class EnhancedS7ClientWithLogging extends EnhancedS7Client {
                     additionalData: {
                         isEuValue,
                         targetValue: value,
+                        reason: error.reason,
+                        readBack: error.actual,
+                        attempts: error.attempts,
                         error: error.stack
                     }
                 });
@@ -653,24 +1096,67 @@ class EnhancedS7ClientWithLogging extends EnhancedS7Client {
     }
 
     /**
-     * Convert engineering units to raw value using enhanced scaling
+     * UDT tag write with audit logging of the written members
+     */
+    async writeUdtTag(name, value) {
+        try {
+            const writeResult = await super.writeUdtTag(name, value);
+
+            if (this.dataLogger.isInitialized) {
+                await this.dataLogger.logEvent({
+                    type: 'VARIABLE_WRITE',
+                    category: 'INFO',
+                    message: `UDT tag ${name} written: ${writeResult.members.map(m => m.name).join(', ')}`,
+                    tagName: name,
+                    username: 'SYSTEM',
+                    source: 'EnhancedS7Client',
+                    sourceVersion: '2.0.0',
+                    additionalData: {
+                        udtName: this.tagMetadata.get(name)?.udtName,
+                        members: writeResult.members
+                    }
+                });
+            }
+
+            return writeResult;
+
+        } catch (error) {
+            if (this.dataLogger.isInitialized) {
+                await this.dataLogger.logEvent({
+                    type: error instanceof WriteVerificationError && error.reason !== 'WRITE_FAILED' ? 'WRITE_VERIFICATION_FAILED' : 'WRITE_ERROR',
+                    category: 'ERROR',
+                    message: `Failed to write UDT tag ${name}: ${error.message}`,
+                    tagName: name,
+                    username: 'SYSTEM',
+                    source: 'EnhancedS7Client',
+                    additionalData: {
+                        targetValue: value,
+                        member: error.variable,
+                        reason: error.reason,
+                        readBack: error.actual,
+                        error: error.stack
+                    }
+                });
+            }
+
+            throw error;
+        }
+    }
+
+    /**
+     * Convert engineering units to the raw value that reads back as them
+     * @throws {ScalingError} - For scaling without an inverse or values outside the range of the scaling
      */
     convertEuToRaw(euValue, scalingConfig) {
-        switch (scalingConfig.type) {
-            case 'SQRT':
-                // Inverse square root scaling
-                const normalizedEu = (euValue - scalingConfig.euMin) / (scalingConfig.euMax - scalingConfig.euMin);
-                const sqrtValue = Math.pow(normalizedEu, 2);
-                return scalingConfig.rawMin + sqrtValue * (scalingConfig.rawMax - scalingConfig.rawMin);
-                
-            case 'POLYNOMIAL':
-                // Would need inverse polynomial calculation - complex, fallback to linear
-                return EngineeringUnitsUtils.euToRaw(euValue, scalingConfig);
-                
-            case 'LINEAR':
-            default:
-                return EngineeringUnitsUtils.euToRaw(euValue, scalingConfig);
+        const options = {};
+        if (TemperatureSensors.isThermocouple(scalingConfig.type)) {
+            options.coldJunction = this.getColdJunction(scalingConfig).value;
+            if (options.coldJunction === null) {
+                throw new Error(`Cold junction temperature from ${ScalingEngine.compile(scalingConfig).coldJunctionTag} is not available`);
+            }
         }
+
+        return ScalingEngine.toRaw(euValue, scalingConfig, options);
     }
 
     /**
@@ -754,8 +1240,9 @@ class EnhancedS7ClientWithLogging extends EnhancedS7Client {
                 source: 'EnhancedS7Client',
                 sourceVersion: '2.0.0',
                 additionalData: {
-                    plcAddress: this.config.address,
-                    plcPort: this.config.port,
+                    plcAddress: this.endpoints[this.activeEndpoint].address,
+                    plcPort: this.endpoints[this.activeEndpoint].port,
+                    endpoint: this.endpoints[this.activeEndpoint].role,
                     cycleTime: this.config.cycletime,
                     tagCount: this.tagMetadata.size,
                     connectionTime: new Date().toISOString()
@@ -764,6 +1251,31 @@ class EnhancedS7ClientWithLogging extends EnhancedS7Client {
         }
     }
 
+    /**
+     * Endpoint switch of a redundant connection, recorded in EventHistory
+     */
+    activateEndpoint(index, reason) {
+        super.activateEndpoint(index, reason);
+
+        if (this.dataLogger.isInitialized) {
+            const change = this.lastEndpointSwitch;
+            const types = { failover: 'PLC_FAILOVER', failback: 'PLC_FAILBACK' };
+
+            this.dataLogger.logEvent({
+                type: types[reason] || 'PLC_ENDPOINT_SWITCHED',
+                category: reason === 'failover' ? 'WARNING' : 'INFO',
+                message: `Switched from ${change.from} endpoint ${change.fromAddress} to ${change.to} endpoint ${change.toAddress} (${reason})`,
+                source: 'EnhancedS7Client',
+                plcName: this.config.name,
+                additionalData: {
+                    ...change,
+                    timestamp: change.timestamp.toISOString(),
+                    switches: this.endpointSwitches
+                }
+            });
+        }
+    }
+
     onDisconnect() {
         super.onDisconnect();
         
@@ -819,6 +1331,9 @@ class EnhancedS7ClientWithLogging extends EnhancedS7Client {
                 sourceVersion: '2.0.0',
                 additionalData: {
                     tagType: tagData.type,
+                    sourceType: tagData.sourceType || 'PLC',
+                    expression: tagData.expression,
+                    totalizer: tagData.totalizer,
                     group: tagData.group,
                     engineeringUnits: tagData.engineeringUnits,
                     scalingType: tagData.scalingConfig?.type || 'LINEAR',
@@ -922,7 +1437,7 @@ class EnhancedS7ClientWithLogging extends EnhancedS7Client {
                         t.EngineeringUnits,
                         t.GroupName,
                         t.Description,
-                        COUNT(CASE WHEN dh.Quality = 192 THEN 1 END) * 100.0 / COUNT(*) as GoodQualityPercentage
+                        COUNT(CASE WHEN dh.Quality >= 192 THEN 1 END) * 100.0 / COUNT(*) as GoodQualityPercentage
                     FROM ${this.dataLogger.config.dataTable} dh
                     LEFT JOIN Tags t ON dh.TagName = t.TagName
                     WHERE dh.Timestamp BETWEEN @startDate AND @endDate
@@ -1015,7 +1530,7 @@ class EnhancedS7ClientWithLogging extends EnhancedS7Client {
             },
             engineeringUnits: {
                 cacheSize: this.engineeringUnitsCache.size,
-                supportedScaling: ['LINEAR', 'SQRT', 'POLYNOMIAL']
+                supportedScaling: ScalingEngine.SCALING_TYPES
             }
         };
     }
@@ -1030,10 +1545,14 @@ class EnhancedS7ClientWithLogging extends EnhancedS7Client {
         if (Array.isArray(a) && Array.isArray(b)) {
             if (a.length != b.length) return false;
             for (var i = 0; i < a.length; ++i) {
-                if (a[i] !== b[i]) return false;
+                if (!this.equals(a[i], b[i])) return false;
             }
             return true;
         }
+        if (typeof a === 'object' && typeof b === 'object' && !Array.isArray(a) && !Array.isArray(b)) {
+            const keys = Object.keys(a);
+            return keys.length === Object.keys(b).length && keys.every(key => this.equals(a[key], b[key]));
+        }
         return false;
     }
 
@@ -1044,6 +1563,10 @@ class EnhancedS7ClientWithLogging extends EnhancedS7Client {
         console.log('🔄 Disconnecting Enhanced S7 Client with Advanced Logging...');
         
         try {
+            // Keep the running totals for the next start
+            this.stopTotalizers();
+            await this.saveTotalizers();
+
             // Log shutdown event with comprehensive context
             if (this.dataLogger.isInitialized) {
                 const uptime = this.loggingStartTime ? (new Date() - this.loggingStartTime) / 1000 : 0;
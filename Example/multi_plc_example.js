@@ -168,8 +168,7 @@ class MultiPLCExample {
                 description: 'Demo PLC for testing',
                 address: '192.168.1.100',
                 port: 102,
-                rack: 0,
-                slot: 2,
+                plcType: 'S7-1200', // rack 0, slot 1 and the PUT/GET checklist come from the profile
                 location: 'Demo Area',
                 department: 'Testing',
                 systemType: 'DEMO',
@@ -0,0 +1,85 @@
+const S7PlcSimulator = require('../S7PlcSimulator');
+const S7Client = require('../S7Client');
+
+// Simulated CPU with one data block and a few scripted values
+const simulator = new S7PlcSimulator({
+    port: 1102,           // use 102 to look exactly like a real CPU (needs privileges on Linux)
+    rack: 0,
+    slot: 2,
+    areas: {
+        DB: { 1: 256 },
+        M: 64,
+        I: 16,
+        Q: 16
+    }
+});
+
+async function main() {
+    await simulator.start();
+
+    // Value generators
+    simulator.addGenerator('DB1,REAL4', { type: 'sine', min: 0, max: 100, period: 20000 });
+    simulator.addGenerator('DB1,INT2', { type: 'counter', min: 0, max: 1000 });
+    simulator.addGenerator('DB1,X0.0', { type: 'square', period: 5000 });
+    simulator.setValue('DB1,WORD8', 0x1234);
+
+    simulator.on('client_connected', (client) => {
+        console.log(`Simulator: client ${client.id} connected (PDU ${client.pduSize})`);
+    });
+
+    simulator.on('write', (write) => {
+        console.log(`Simulator: write to ${write.area}${write.db || ''} @ ${write.address}`, write.data);
+    });
+
+    // The client connects to the simulator exactly as it would to a real PLC
+    const s7client = new S7Client(simulator.getClientConfig({
+        cycletime: 1000,
+        timeout: 2000,
+        variables: [
+            { name: 'DB1_BOOL1', addr: 'DB1,X0.0' },
+            { name: 'DB1_INT1', addr: 'DB1,INT2' },
+            { name: 'DB1_REAL1', addr: 'DB1,REAL4' },
+            { name: 'DB1_WORD1', addr: 'DB1,WORD8' }
+        ]
+    }));
+
+    s7client.on('error', (error) => {
+        console.error('S7 Error:', error.message);
+    });
+
+    s7client.on('data_changed', (values) => {
+        console.log('Data changed:', values);
+    });
+
+    s7client.on('disconnected', () => {
+        console.log('Disconnected from simulator');
+    });
+
+    await s7client.connect();
+    console.log('Connected to simulator');
+
+    // Write a value and read it back from the simulated memory
+    setTimeout(async () => {
+        await s7client.writeVariable('DB1_WORD1', 0xBEEF);
+        console.log('Simulator value:', simulator.getValue('DB1,WORD8').toString(16));
+    }, 3000);
+
+    // Fault injection: slow responses, PDU errors and a dropped connection
+    setTimeout(() => simulator.injectFault('delay', { ms: 500 }), 6000);
+    setTimeout(() => simulator.clearFaults('delay'), 9000);
+    setTimeout(() => simulator.injectFault('pdu_error', { count: 2 }), 10000);
+    setTimeout(() => simulator.injectFault('drop'), 14000);
+
+    process.on('SIGINT', async () => {
+        console.log('Shutting down...');
+        await s7client.disconnect();
+        await simulator.stop();
+        process.exit(0);
+    });
+}
+
+main().catch(async (error) => {
+    console.error('Simulator example failed:', error);
+    await simulator.stop();
+    process.exit(1);
+});
@@ -0,0 +1,228 @@
+/**
+ * PLC Profiles
+ * Connection defaults and checks per CPU family, with the settings the CPU needs before
+ * it answers S7 communication (PUT/GET access, absolute DB addressing, TSAP connections)
+ */
+
+// Settings every S7-1200/1500 needs, without them the connection is refused or reads fail
+const TIA_CPU_SETTINGS = [
+    'Protection & Security > Connection mechanisms: enable "Permit access with PUT/GET communication from remote partner"',
+    'Protection & Security > Access level: "Full access" (or "Read access" for read-only clients)',
+    'Every data block accessed: Attributes > "Optimized block access" unchecked, so members have absolute offsets',
+    'Compile and download the hardware configuration after changing these settings'
+];
+
+const PROFILES = {
+    'S7-200': {
+        description: 'S7-200 with CP 243-1 Ethernet module',
+        defaults: { connmode: 'tsap', localtsaphi: '10', localtsaplo: '00', remotetsaphi: '10', remotetsaplo: '01' },
+        connmodes: ['tsap'],
+        cpuSettings: [
+            'Ethernet wizard of the CP 243-1: add a server connection with local TSAP 10.01 and remote (client) TSAP 10.00',
+            'Enable "Accept all connection requests" or enter the IP address of this server as partner',
+            'Download the system block and the wizard program blocks'
+        ],
+        notes: ['V memory is addressed as DB1 (VW10 -> DB1,INT10)']
+    },
+    'S7-200 SMART': {
+        description: 'S7-200 SMART with on-board Ethernet port',
+        defaults: { connmode: 'rack-slot', rack: 0, slot: 1 },
+        connmodes: ['rack-slot'],
+        racks: [0, 0],
+        slots: [0, 1],
+        cpuSettings: [
+            'No CPU settings needed, the Ethernet port accepts S7 connections',
+            'System block: a CPU password with "Restricted" access blocks writes'
+        ],
+        notes: ['V memory is addressed as DB1 (VW10 -> DB1,INT10)']
+    },
+    'LOGO!': {
+        description: 'LOGO! 0BA7 / LOGO! 8 (0BA8 and later)',
+        defaults: { connmode: 'tsap', localtsaphi: '01', localtsaplo: '00', remotetsaphi: '02', remotetsaplo: '00' },
+        connmodes: ['tsap'],
+        cpuSettings: [
+            'LOGO!Soft Comfort > Tools > Ethernet Connections: add a server connection (S7 connection) with local TSAP 02.00 and remote TSAP 01.00',
+            'Enable "Accept all connection requests" or enter the IP address of this server as partner',
+            'LOGO! 8: Online settings > Access control: "Allow access for S7 and Modbus"',
+            'Download the program, the connection settings are part of it'
+        ],
+        notes: ['V memory is addressed as DB1 (VW10 -> DB1,INT10)', 'Only one request at a time, keep cycle times at 500 ms or more']
+    },
+    'S7-300': {
+        description: 'S7-300 and ET 200 CPUs (on-board PN port or CP 343-1)',
+        defaults: { connmode: 'rack-slot', rack: 0, slot: 2 },
+        connmodes: ['rack-slot', 'tsap'],
+        racks: [0, 0],
+        slots: [2, 2],
+        cpuSettings: ['No CPU settings needed, the CPU is always in rack 0, slot 2 (also through a CP)'],
+        notes: []
+    },
+    'S7-400': {
+        description: 'S7-400 and S7-400H CPUs',
+        defaults: { connmode: 'rack-slot', rack: 0, slot: 3 },
+        connmodes: ['rack-slot', 'tsap'],
+        racks: [0, 1],
+        slots: [1, 18],
+        cpuSettings: [
+            'Use the slot of the CPU in HW Config: 3 behind a two-slot power supply, 2 behind a single-slot one',
+            'S7-400H: configure the standby CPU (usually rack 1) as backup endpoint'
+        ],
+        notes: []
+    },
+    'S7-1200': {
+        description: 'S7-1200 CPUs',
+        defaults: { connmode: 'rack-slot', rack: 0, slot: 1 },
+        connmodes: ['rack-slot', 'tsap'],
+        racks: [0, 0],
+        slots: [0, 1],
+        cpuSettings: TIA_CPU_SETTINGS,
+        notes: ['PUT/GET is only configurable from firmware 4.0, older CPUs always permit it']
+    },
+    'S7-1500': {
+        description: 'S7-1500, ET 200SP CPU and S7-1500 software controller',
+        defaults: { connmode: 'rack-slot', rack: 0, slot: 1 },
+        connmodes: ['rack-slot', 'tsap'],
+        racks: [0, 0],
+        slots: [0, 1],
+        cpuSettings: TIA_CPU_SETTINGS,
+        notes: ['Software controllers and ET 200SP CPUs use the same rack 0, slot 1']
+    }
+};
+
+// Alternative spellings, compared without spaces, dashes and case
+const ALIASES = {
+    S7200: 'S7-200', CP243: 'S7-200',
+    S7200SMART: 'S7-200 SMART', SMART: 'S7-200 SMART',
+    LOGO: 'LOGO!', LOGO8: 'LOGO!', LOGO0BA7: 'LOGO!', LOGO0BA8: 'LOGO!',
+    S7300: 'S7-300', ET200: 'S7-300',
+    S7400: 'S7-400', S7400H: 'S7-400',
+    S71200: 'S7-1200',
+    S71500: 'S7-1500', ET200SP: 'S7-1500'
+};
+
+const TSAP_FIELDS = ['localtsaphi', 'localtsaplo', 'remotetsaphi', 'remotetsaplo'];
+
+function normalizeKey(type) {
+    return String(type).toUpperCase().replace(/[\s\-_!]/g, '');
+}
+
+function formatRange([min, max]) {
+    return min === max ? String(min) : `${min}-${max}`;
+}
+
+function formatTsap(config, side) {
+    return `${config[`${side}tsaphi`]}.${config[`${side}tsaplo`]}`;
+}
+
+class PlcProfiles {
+    /**
+     * Looks up a profile by name or alias ('S7-1200', 's71200', 'LOGO')
+     * @returns {object|null} - {type, description, defaults, connmodes, racks, slots, cpuSettings, notes}
+     */
+    static get(type) {
+        if (type === null || type === undefined || type === '') return null;
+
+        const name = PROFILES[type] ? type : ALIASES[normalizeKey(type)];
+        return name ? { type: name, ...PROFILES[name] } : null;
+    }
+
+    static has(type) {
+        return this.get(type) !== null;
+    }
+
+    /**
+     * Lists every profile, for the API and the dashboard
+     */
+    static list() {
+        return Object.keys(PROFILES).map(type => this.get(type));
+    }
+
+    /**
+     * Connection defaults of a PLC type, an empty object without a type
+     */
+    static getDefaults(type) {
+        const profile = this.get(type);
+        if (type && !profile) {
+            throw new Error(`Unknown PLC type: ${type} (known types: ${Object.keys(PROFILES).join(', ')})`);
+        }
+        return profile ? { ...profile.defaults } : {};
+    }
+
+    /**
+     * Fills the fields a configuration leaves empty with the defaults of its plcType
+     */
+    static applyDefaults(config) {
+        const defined = Object.entries(config).filter(([, value]) => value !== null && value !== undefined && value !== '');
+        return { ...this.getDefaults(config.plcType), ...Object.fromEntries(defined) };
+    }
+
+    /**
+     * Checks a connection configuration against the profile of its plcType
+     * @param {object} config - {plcType, connmode, rack, slot, TSAPs, backup}
+     * @returns {object} - {valid, errors, warnings, profile}
+     */
+    static validate(config) {
+        const errors = [];
+        const warnings = [];
+        const profile = this.get(config.plcType);
+
+        if (!profile) {
+            errors.push(`Unknown PLC type: ${config.plcType} (known types: ${Object.keys(PROFILES).join(', ')})`);
+            return { valid: false, errors, warnings, profile: null };
+        }
+
+        const connmode = config.connmode || profile.defaults.connmode;
+        if (!profile.connmodes.includes(connmode)) {
+            errors.push(`${profile.type} needs connection mode ${profile.connmodes.join(' or ')}, not ${connmode}`);
+        }
+
+        if (connmode === 'rack-slot' && profile.racks) {
+            const endpoints = [{ label: '', ...config }];
+            if (config.backup) {
+                endpoints.push({ label: 'backup ', rack: config.rack, slot: config.slot, ...config.backup });
+            }
+
+            endpoints.forEach(endpoint => {
+                const rack = Number(endpoint.rack);
+                const slot = Number(endpoint.slot);
+
+                if (!(rack >= profile.racks[0] && rack <= profile.racks[1])) {
+                    errors.push(`${profile.type} ${endpoint.label}rack must be ${formatRange(profile.racks)}, not ${endpoint.rack}`);
+                }
+                if (!(slot >= profile.slots[0] && slot <= profile.slots[1])) {
+                    errors.push(`${profile.type} ${endpoint.label}slot must be ${formatRange(profile.slots)}, not ${endpoint.slot}`);
+                }
+            });
+        }
+
+        // TSAPs are configured on the device, other values only work when the device was set up for them
+        if (connmode === 'tsap' && profile.defaults.connmode === 'tsap') {
+            const expected = profile.defaults;
+            if (TSAP_FIELDS.some(field => String(config[field] ?? '').toUpperCase() !== expected[field])) {
+                warnings.push(`${profile.type} TSAPs ${formatTsap(config, 'local')}/${formatTsap(config, 'remote')} differ from the usual ` +
+                    `${formatTsap(expected, 'local')}/${formatTsap(expected, 'remote')}, they must match the connection configured on the device`);
+            }
+        }
+
+        return { valid: errors.length === 0, errors, warnings, profile };
+    }
+
+    /**
+     * Explains what the CPU needs for S7 communication
+     * @returns {string} - Checklist, one setting per line
+     */
+    static describe(type) {
+        const profile = this.get(type);
+        if (!profile) return '';
+
+        return [
+            `${profile.type} (${profile.description}):`,
+            ...profile.cpuSettings.map(setting => `  - ${setting}`),
+            ...profile.notes.map(note => `  * ${note}`)
+        ].join('\n');
+    }
+}
+
+Object.assign(PlcProfiles, { PROFILES });
+
+module.exports = PlcProfiles;
@@ -0,0 +1,406 @@
+const { EventEmitter } = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Block types that make up the user program and hardware configuration
+const PROGRAM_BLOCK_TYPES = ['OB', 'FB', 'FC', 'DB', 'SDB'];
+
+// Blocks provided by the CPU firmware
+const SYSTEM_BLOCK_TYPES = ['SFB', 'SFC'];
+
+// Block properties that identify a change of the program. The content of a DB is
+// excluded because it holds the actual values, which change while the PLC runs
+const CODE_FIELDS = ['sha256', 'checksum', 'codeDate', 'interfaceDate', 'mc7Size'];
+const DB_FIELDS = ['checksum', 'codeDate', 'interfaceDate', 'mc7Size'];
+
+const SNAPSHOT_ID_PATTERN = /^[0-9TZ-]+$/;
+const BLOCK_NAME_PATTERN = /^(OB|FB|FC|DB|SDB|SFB|SFC)(\d+)$/;
+
+/**
+ * Compares two block properties, dates read back from a manifest are ISO strings
+ */
+function sameValue(a, b) {
+    const normalize = value => value instanceof Date ? value.toISOString() : String(value ?? '');
+    return normalize(a) === normalize(b);
+}
+
+/**
+ * Writes a ustar header block for a file of the archive
+ */
+function createTarHeader(name, size, mtime) {
+    const header = Buffer.alloc(512, 0);
+    const writeOctal = (value, offset, length) => {
+        header.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+    };
+
+    header.write(name, 0, 100, 'ascii');
+    writeOctal(0o644, 100, 8);
+    writeOctal(0, 108, 8);
+    writeOctal(0, 116, 8);
+    writeOctal(size, 124, 12);
+    writeOctal(Math.floor(mtime.getTime() / 1000), 136, 12);
+    header.fill(0x20, 148, 156);
+    header.write('0', 156, 1, 'ascii');
+    header.write('ustar\0', 257, 6, 'ascii');
+    header.write('00', 263, 2, 'ascii');
+
+    let sum = 0;
+    for (let i = 0; i < 512; i++) sum += header[i];
+    header.write(sum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+
+    return header;
+}
+
+/**
+ * PLC Program Backup
+ * Uploads the blocks of a PLC into a versioned on-disk archive and detects program changes
+ * by comparing block checksums, timestamps and content between snapshots.
+ *
+ * Archive layout: <directory>/<PLC name>/<snapshot id>/manifest.json + blocks/<block>.mc7
+ */
+class ProgramBackup extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            directory: './backups',
+            maxSnapshots: 0,            // snapshots kept per PLC, 0 = keep all
+            includeSystemBlocks: false, // also archive SFB/SFC blocks
+            keepUnchanged: false,       // store a snapshot even when the program did not change
+            ...config
+        };
+
+        this.lastResults = new Map();   // PLCName -> result of the last backup
+    }
+
+    getPLCDirectory(plcName) {
+        return path.join(this.config.directory, String(plcName).replace(/[^A-Za-z0-9_.-]/g, '_'));
+    }
+
+    getSnapshotDirectory(plcName, snapshotId) {
+        if (!SNAPSHOT_ID_PATTERN.test(snapshotId || '')) {
+            throw new Error(`Invalid snapshot id: ${snapshotId}`);
+        }
+        return path.join(this.getPLCDirectory(plcName), snapshotId);
+    }
+
+    /**
+     * Reads all blocks of a PLC and stores them as a new snapshot when the program changed
+     * @param {string} plcName - PLC name
+     * @param {S7Client} client - Connected client of the PLC
+     * @param {object} options - {reason, force}
+     * @returns {object} - {stored, snapshot, changes}
+     */
+    async createSnapshot(plcName, client, options = {}) {
+        const types = this.config.includeSystemBlocks
+            ? [...PROGRAM_BLOCK_TYPES, ...SYSTEM_BLOCK_TYPES]
+            : PROGRAM_BLOCK_TYPES;
+
+        console.log(`💾 Backing up program of PLC ${plcName}...`);
+
+        // Blocks are read one by one instead of with getAllBlockInfo()/uploadAllBlocks(),
+        // which return them without type and number and skip failed uploads silently
+        const blockList = await client.listBlocks(types);
+        const blocks = [];
+        const contents = new Map();
+
+        for (const type of types) {
+            for (const { number } of blockList[type] || []) {
+                const name = `${type}${number}`;
+                const info = await client.getBlockInfo(type, number);
+                const entry = {
+                    block: name,
+                    type,
+                    number,
+                    language: info.language,
+                    name: info.name,
+                    family: info.family,
+                    author: info.author,
+                    version: info.version,
+                    checksum: info.checksum,
+                    codeDate: info.codeDate,
+                    interfaceDate: info.interfaceDate,
+                    loadSize: info.loadSize,
+                    mc7Size: info.mc7Size
+                };
+
+                try {
+                    const data = await client.uploadBlock(type, number);
+                    entry.size = data.length;
+                    entry.sha256 = crypto.createHash('sha256').update(data).digest('hex');
+                    entry.file = `blocks/${name}.mc7`;
+                    contents.set(name, data);
+                } catch (error) {
+                    // Know-how protected blocks are refused by the PLC, keep their info anyway
+                    if (typeof error.code !== 'number') throw error;
+                    entry.uploadError = error.message;
+                }
+
+                blocks.push(entry);
+            }
+        }
+
+        const previous = await this.getLatestSnapshot(plcName);
+        const changes = this.compareSnapshots(previous, { blocks });
+        const now = new Date();
+
+        const result = {
+            plcName,
+            stored: false,
+            snapshot: previous ? previous.id : null,
+            changes,
+            timestamp: now
+        };
+
+        if (previous && !changes.programChanged && !this.config.keepUnchanged && !options.force) {
+            console.log(`💾 Program of PLC ${plcName} unchanged since snapshot ${previous.id}`);
+            this.lastResults.set(plcName, result);
+            return result;
+        }
+
+        const manifest = {
+            id: now.toISOString().replace(/[:.]/g, '-'),
+            plcName,
+            created: now,
+            reason: options.reason || 'SCHEDULED',
+            previousSnapshot: previous ? previous.id : null,
+            identification: client.identification || null,
+            blockCount: blocks.length,
+            totalSize: blocks.reduce((sum, block) => sum + (block.size || 0), 0),
+            changes,
+            blocks
+        };
+
+        await this.writeSnapshot(plcName, manifest, contents);
+        await this.applyRetention(plcName);
+
+        result.stored = true;
+        result.snapshot = manifest.id;
+        this.lastResults.set(plcName, result);
+
+        console.log(`💾 PLC ${plcName}: snapshot ${manifest.id} stored (${blocks.length} blocks)`);
+        this.emit('snapshot_created', { plcName, snapshot: this.summarize(manifest) });
+
+        if (previous && changes.programChanged) {
+            this.emit('program_changed', {
+                plcName,
+                snapshot: manifest.id,
+                previousSnapshot: previous.id,
+                changes
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Writes a snapshot into a temporary directory first, so incomplete snapshots are never listed
+     */
+    async writeSnapshot(plcName, manifest, contents) {
+        const directory = this.getSnapshotDirectory(plcName, manifest.id);
+        const tempDirectory = `${directory}.tmp`;
+
+        await fs.rm(tempDirectory, { recursive: true, force: true });
+        await fs.mkdir(path.join(tempDirectory, 'blocks'), { recursive: true });
+
+        for (const [name, data] of contents) {
+            await fs.writeFile(path.join(tempDirectory, 'blocks', `${name}.mc7`), data);
+        }
+        await fs.writeFile(path.join(tempDirectory, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+        await fs.rename(tempDirectory, directory);
+    }
+
+    /**
+     * Compares the blocks of two snapshots
+     * @returns {object} - {programChanged, added, removed, modified, dataChanged}
+     */
+    compareSnapshots(previous, current) {
+        const changes = {
+            programChanged: false,
+            added: [],
+            removed: [],
+            modified: [],
+            dataChanged: []
+        };
+
+        if (!previous) {
+            return changes;
+        }
+
+        const previousBlocks = new Map(previous.blocks.map(block => [block.block, block]));
+        const currentBlocks = new Map(current.blocks.map(block => [block.block, block]));
+
+        for (const [name, block] of currentBlocks) {
+            const before = previousBlocks.get(name);
+            if (!before) {
+                changes.added.push(name);
+                continue;
+            }
+
+            const fields = (block.type === 'DB' ? DB_FIELDS : CODE_FIELDS)
+                .filter(field => !sameValue(before[field], block[field]));
+
+            if (fields.length) {
+                changes.modified.push({
+                    block: name,
+                    fields,
+                    previous: { checksum: before.checksum, codeDate: before.codeDate, size: before.size },
+                    current: { checksum: block.checksum, codeDate: block.codeDate, size: block.size }
+                });
+            } else if (block.type === 'DB' && !sameValue(before.sha256, block.sha256)) {
+                changes.dataChanged.push(name);
+            }
+        }
+
+        for (const name of previousBlocks.keys()) {
+            if (!currentBlocks.has(name)) {
+                changes.removed.push(name);
+            }
+        }
+
+        changes.programChanged = changes.added.length > 0 || changes.removed.length > 0 || changes.modified.length > 0;
+        return changes;
+    }
+
+    /**
+     * Lists the stored snapshots of a PLC, newest first
+     */
+    async listSnapshots(plcName) {
+        let entries;
+        try {
+            entries = await fs.readdir(this.getPLCDirectory(plcName));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const snapshots = [];
+        for (const id of entries.filter(entry => SNAPSHOT_ID_PATTERN.test(entry)).sort().reverse()) {
+            const manifest = await this.getSnapshot(plcName, id);
+            if (manifest) {
+                snapshots.push(this.summarize(manifest));
+            }
+        }
+
+        return snapshots;
+    }
+
+    /**
+     * Lists the PLCs that have snapshots
+     */
+    async listPLCs() {
+        try {
+            const entries = await fs.readdir(this.config.directory, { withFileTypes: true });
+            return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async getSnapshot(plcName, snapshotId) {
+        try {
+            const file = path.join(this.getSnapshotDirectory(plcName, snapshotId), 'manifest.json');
+            return JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async getLatestSnapshot(plcName) {
+        const snapshots = await this.listSnapshots(plcName);
+        return snapshots.length ? this.getSnapshot(plcName, snapshots[0].id) : null;
+    }
+
+    /**
+     * Reads the uploaded content of a single block of a snapshot
+     */
+    async readBlock(plcName, snapshotId, blockName) {
+        const name = String(blockName).toUpperCase();
+        if (!BLOCK_NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid block name: ${blockName}`);
+        }
+
+        return fs.readFile(path.join(this.getSnapshotDirectory(plcName, snapshotId), 'blocks', `${name}.mc7`));
+    }
+
+    /**
+     * Packs a snapshot (manifest and blocks) into a tar archive
+     */
+    async createArchive(plcName, snapshotId) {
+        const manifest = await this.getSnapshot(plcName, snapshotId);
+        if (!manifest) {
+            throw new Error(`Snapshot not found: ${plcName}/${snapshotId}`);
+        }
+
+        const mtime = new Date(manifest.created);
+        const files = [['manifest.json', Buffer.from(JSON.stringify(manifest, null, 2))]];
+
+        for (const block of manifest.blocks.filter(block => block.file)) {
+            files.push([block.file, await this.readBlock(plcName, snapshotId, block.block)]);
+        }
+
+        const parts = [];
+        for (const [name, data] of files) {
+            parts.push(createTarHeader(`${snapshotId}/${name}`, data.length, mtime));
+            parts.push(data);
+            parts.push(Buffer.alloc((512 - (data.length % 512)) % 512));
+        }
+        parts.push(Buffer.alloc(1024));
+
+        return Buffer.concat(parts);
+    }
+
+    /**
+     * Removes the oldest snapshots beyond maxSnapshots
+     */
+    async applyRetention(plcName) {
+        const maxSnapshots = parseInt(this.config.maxSnapshots) || 0;
+        if (maxSnapshots <= 0) return;
+
+        const snapshots = await this.listSnapshots(plcName);
+        for (const snapshot of snapshots.slice(maxSnapshots)) {
+            await fs.rm(this.getSnapshotDirectory(plcName, snapshot.id), { recursive: true, force: true });
+            console.log(`🗑️ PLC ${plcName}: snapshot ${snapshot.id} removed (retention)`);
+        }
+    }
+
+    summarize(manifest) {
+        return {
+            id: manifest.id,
+            plcName: manifest.plcName,
+            created: manifest.created,
+            reason: manifest.reason,
+            previousSnapshot: manifest.previousSnapshot,
+            blockCount: manifest.blockCount,
+            totalSize: manifest.totalSize,
+            programChanged: manifest.changes.programChanged,
+            added: manifest.changes.added.length,
+            removed: manifest.changes.removed.length,
+            modified: manifest.changes.modified.length
+        };
+    }
+
+    getStatus() {
+        const plcs = {};
+        for (const [plcName, result] of this.lastResults) {
+            plcs[plcName] = {
+                lastBackup: result.timestamp,
+                snapshot: result.snapshot,
+                stored: result.stored,
+                programChanged: result.changes.programChanged
+            };
+        }
+
+        return {
+            directory: path.resolve(this.config.directory),
+            maxSnapshots: this.config.maxSnapshots,
+            plcs
+        };
+    }
+}
+
+module.exports = ProgramBackup;
@@ -0,0 +1,171 @@
+/**
+ * OPC Quality Codes
+ * Provides OPC DA style quality codes (QQSSSSLL) for values read from the PLC
+ */
+
+// Quality codes, limit bits (LL) left at zero
+const QUALITY = Object.freeze({
+    // Bad (0x00 - 0x3F)
+    BAD: 0x00,
+    BAD_CONFIG_ERROR: 0x04,
+    BAD_NOT_CONNECTED: 0x08,
+    BAD_DEVICE_FAILURE: 0x0C,
+    BAD_SENSOR_FAILURE: 0x10,
+    BAD_LAST_KNOWN_VALUE: 0x14,
+    BAD_COMM_FAILURE: 0x18,
+    BAD_OUT_OF_SERVICE: 0x1C,
+
+    // Uncertain (0x40 - 0x7F)
+    UNCERTAIN: 0x40,
+    UNCERTAIN_LAST_USABLE_VALUE: 0x44,
+    UNCERTAIN_SENSOR_NOT_ACCURATE: 0x50,
+    UNCERTAIN_EU_EXCEEDED: 0x54,
+    UNCERTAIN_SUB_NORMAL: 0x58,
+
+    // Good (0xC0 - 0xFF)
+    GOOD: 0xC0,
+    GOOD_LOCAL_OVERRIDE: 0xD8
+});
+
+const SUBSTATUS_NAMES = {
+    0x00: {
+        0x00: 'NON_SPECIFIC',
+        0x04: 'CONFIG_ERROR',
+        0x08: 'NOT_CONNECTED',
+        0x0C: 'DEVICE_FAILURE',
+        0x10: 'SENSOR_FAILURE',
+        0x14: 'LAST_KNOWN_VALUE',
+        0x18: 'COMM_FAILURE',
+        0x1C: 'OUT_OF_SERVICE'
+    },
+    0x40: {
+        0x00: 'NON_SPECIFIC',
+        0x04: 'LAST_USABLE_VALUE',
+        0x10: 'SENSOR_NOT_ACCURATE',
+        0x14: 'EU_EXCEEDED',
+        0x18: 'SUB_NORMAL'
+    },
+    0xC0: {
+        0x00: 'NON_SPECIFIC',
+        0x18: 'LOCAL_OVERRIDE'
+    }
+};
+
+// S7 item return codes caused by the tag configuration rather than the device
+const CONFIG_RETURN_CODES = [0x03, 0x05, 0x06, 0x07, 0x0A];
+
+class QualityCodes {
+    /**
+     * Get the quality status part of a code
+     * @param {number} quality - OPC quality code
+     * @returns {string} - 'GOOD', 'UNCERTAIN' or 'BAD'
+     */
+    static getStatus(quality) {
+        const status = quality & 0xC0;
+
+        if (status === 0xC0) return 'GOOD';
+        if (status === 0x40) return 'UNCERTAIN';
+        return 'BAD';
+    }
+
+    /**
+     * Get the substatus name of a code
+     * @param {number} quality - OPC quality code
+     * @returns {string} - Substatus name (e.g. 'COMM_FAILURE')
+     */
+    static getSubstatus(quality) {
+        const names = SUBSTATUS_NAMES[quality & 0xC0] || SUBSTATUS_NAMES[0x00];
+        return names[quality & 0x3C] || 'NON_SPECIFIC';
+    }
+
+    static isGood(quality) {
+        return (quality & 0xC0) === 0xC0;
+    }
+
+    static isUncertain(quality) {
+        return (quality & 0xC0) === 0x40;
+    }
+
+    static isBad(quality) {
+        return (quality & 0xC0) === 0x00;
+    }
+
+    /**
+     * Get the worse of two codes, for values derived from several inputs
+     * @returns {number} - Code with the lower status, the first one when both have the same status
+     */
+    static worst(a, b) {
+        return (b & 0xC0) < (a & 0xC0) ? b : a;
+    }
+
+    /**
+     * Create the quality fields attached to every value
+     * @param {number} quality - OPC quality code
+     * @returns {object} - {quality, qualityStatus, qualitySubstatus}
+     */
+    static describe(quality) {
+        return {
+            quality: quality,
+            qualityStatus: this.getStatus(quality),
+            qualitySubstatus: this.getSubstatus(quality)
+        };
+    }
+
+    /**
+     * Evaluate the quality of a value that was read successfully
+     * @param {*} rawValue - Raw value from PLC
+     * @param {object} tagMetadata - Tag metadata with scaling and validation rules
+     * @returns {number} - OPC quality code
+     */
+    static fromValue(rawValue, tagMetadata) {
+        if (typeof rawValue !== 'number') {
+            return QUALITY.GOOD;
+        }
+
+        if (!isFinite(rawValue)) {
+            return QUALITY.BAD_SENSOR_FAILURE;
+        }
+
+        if (!tagMetadata) {
+            return QUALITY.GOOD;
+        }
+
+        // Values reported by analog modules on wire break or overflow, e.g. [32767, -32768]
+        const sensorFailValues = tagMetadata.validationRules?.sensorFailValues;
+        if (Array.isArray(sensorFailValues) && sensorFailValues.includes(rawValue)) {
+            return QUALITY.BAD_SENSOR_FAILURE;
+        }
+
+        const scaling = tagMetadata.scalingConfig;
+        if (scaling && scaling.rawMin !== null && scaling.rawMax !== null &&
+            (rawValue < scaling.rawMin || rawValue > scaling.rawMax)) {
+            return QUALITY.UNCERTAIN_EU_EXCEEDED;
+        }
+
+        return QUALITY.GOOD;
+    }
+
+    /**
+     * Evaluate the quality of values whose read failed
+     * @param {Error} error - Error from the read request
+     * @param {boolean} hasLastValue - Whether a previously read value is available
+     * @returns {number} - OPC quality code
+     */
+    static fromReadError(error, hasLastValue = false) {
+        const code = error && error.code;
+
+        if (typeof code === 'number') {
+            // Item return codes are a single byte, PDU header errors carry the error class as well
+            if (code <= 0xFF && CONFIG_RETURN_CODES.includes(code)) {
+                return QUALITY.BAD_CONFIG_ERROR;
+            }
+            return QUALITY.BAD_DEVICE_FAILURE;
+        }
+
+        return hasLastValue ? QUALITY.BAD_LAST_KNOWN_VALUE : QUALITY.BAD_COMM_FAILURE;
+    }
+}
+
+Object.assign(QualityCodes, QUALITY);
+
+module.exports = QualityCodes;
@@ -0,0 +1,344 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Default equipment settings
+ */
+const DEFAULT_EQUIPMENT = {
+    name: null,
+    plcName: null,
+    runTag: null,               // BOOL run feedback, or a UDT member as 'Blower_1.Running'
+    maintenanceHours: null,     // service interval in run hours, null = none
+    maintenanceStarts: null     // service interval in starts, null = none
+};
+
+// Reset scopes: MAINTENANCE = after a service, ALL = also the lifetime counters (equipment replaced)
+const RESET_SCOPES = ['MAINTENANCE', 'ALL'];
+
+function emptyState() {
+    return {
+        running: null,              // null = not seen yet
+        runSeconds: 0,
+        starts: 0,
+        completedRuns: 0,           // runs whose start and stop were both seen
+        completedRunSeconds: 0,
+        serviceRunSeconds: 0,       // since the last maintenance reset
+        serviceStarts: 0,
+        lastStart: null,
+        lastStop: null,
+        hoursDue: false,
+        startsDue: false,
+        lastResetAt: null
+    };
+}
+
+/**
+ * Reads the run feedback of an equipment from a variable_changed event
+ * @returns {*} - undefined when the change is about another tag
+ */
+function readRunValue(runTag, change) {
+    const value = change.rawValue !== undefined ? change.rawValue : change.value;
+    if (change.key === runTag) return value;
+    if (!runTag.startsWith(change.key + '.')) return undefined;
+
+    return runTag.slice(change.key.length + 1).split('.')
+        .reduce((member, name) => member === null || member === undefined ? undefined : member[name], value);
+}
+
+/**
+ * Runtime Accounting
+ * Counts run hours and starts of equipment (pumps, blowers, mixers) from their run feedback bits.
+ * Fed with the variable_changed events of the PLC clients, raises 'maintenance_due' when the run hours
+ * or starts since the last service reach the configured interval.
+ */
+class RuntimeAccounting extends EventEmitter {
+    constructor() {
+        super();
+
+        this.equipment = new Map();     // PLCName -> Map(EquipmentName -> {config, state, since, paused, startSeen})
+    }
+
+    /**
+     * Checks an equipment configuration
+     * @returns {object} - {valid, errors}
+     */
+    static validate(config) {
+        config = { ...DEFAULT_EQUIPMENT, ...config };
+        const errors = [];
+
+        if (!config.name) errors.push('Equipment name is required');
+        if (!config.plcName) errors.push('PLC name is required');
+        if (!config.runTag) errors.push('Run tag is required');
+        if (config.maintenanceHours !== null && config.maintenanceHours !== undefined && !(config.maintenanceHours > 0)) {
+            errors.push('Maintenance hours must be greater than 0');
+        }
+        if (config.maintenanceStarts !== null && config.maintenanceStarts !== undefined && !(config.maintenanceStarts > 0)) {
+            errors.push('Maintenance starts must be greater than 0');
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Replaces the equipment list. Equipment already counted keeps its counters in memory,
+     * new equipment continues from its stored state
+     * @param {object[]} configs - {name, plcName, runTag, maintenanceHours, maintenanceStarts, state}
+     */
+    configure(configs, now = new Date()) {
+        const equipment = new Map();
+
+        configs.forEach(({ state, ...settings }) => {
+            const config = { ...DEFAULT_EQUIPMENT, ...settings };
+            const { valid, errors } = RuntimeAccounting.validate(config);
+            if (!valid) {
+                console.warn(`⚠️ Skipping runtime counters of ${config.plcName}.${config.name}: ${errors.join(', ')}`);
+                return;
+            }
+
+            const existing = this.getEntry(config.plcName, config.name);
+            let entry;
+            if (existing) {
+                this.accrue(existing, now);
+                entry = existing;
+                // The feedback of another tag is seen fresh, the counters are kept
+                if (config.runTag !== entry.config.runTag) {
+                    entry.state.running = null;
+                    entry.since = null;
+                    entry.paused = false;
+                    entry.startSeen = false;
+                }
+                // A new interval is watched from scratch
+                if (config.maintenanceHours !== entry.config.maintenanceHours) entry.state.hoursDue = false;
+                if (config.maintenanceStarts !== entry.config.maintenanceStarts) entry.state.startsDue = false;
+                entry.config = config;
+            } else {
+                // A run started before the restart has no known duration, its stop is not a completed run
+                entry = { config, state: { ...emptyState(), ...state }, since: null, paused: false, startSeen: false };
+            }
+
+            if (!equipment.has(config.plcName)) equipment.set(config.plcName, new Map());
+            equipment.get(config.plcName).set(config.name, entry);
+        });
+
+        this.equipment = equipment;
+        this.checkMaintenance(now);
+    }
+
+    getEntry(plcName, name) {
+        const equipment = this.equipment.get(plcName);
+        return equipment ? equipment.get(name) : undefined;
+    }
+
+    /**
+     * Counts a change of a PLC variable
+     * @param {object} change - variable_changed event: {key, rawValue} or {key, value}
+     */
+    handleChange(plcName, change, now = new Date()) {
+        const equipment = this.equipment.get(plcName);
+        if (!equipment) return;
+
+        equipment.forEach(entry => {
+            const value = readRunValue(entry.config.runTag, change);
+            if (value === undefined || value === null) return;
+
+            const running = Boolean(value);
+            const { state } = entry;
+
+            if (running && state.running === false) {
+                state.starts++;
+                state.serviceStarts++;
+                state.lastStart = now;
+                entry.since = now;
+                entry.startSeen = true;
+            } else if (running) {
+                // Running when first seen or after a pause, the start was not seen
+                if (!entry.since) entry.since = now;
+            } else if (state.running) {
+                this.accrue(entry, now);
+                // Run duration only when this process saw the start and the run without a gap
+                if (entry.startSeen) {
+                    state.completedRuns++;
+                    state.completedRunSeconds += (now - state.lastStart) / 1000;
+                }
+                state.lastStop = now;
+                entry.since = null;
+                entry.startSeen = false;
+            }
+
+            state.running = running;
+            entry.paused = false;
+            this.checkEntry(entry);
+        });
+    }
+
+    /**
+     * Stops counting the equipment of a PLC while it is disconnected
+     */
+    pause(plcName, now = new Date()) {
+        const equipment = this.equipment.get(plcName);
+        if (!equipment) return;
+
+        equipment.forEach(entry => {
+            if (!entry.since) return;
+            this.accrue(entry, now);
+            entry.since = null;
+            entry.paused = true;
+            // The stop may fall into the disconnection, the run duration is not known
+            entry.startSeen = false;
+        });
+    }
+
+    /**
+     * Continues counting after a reconnection, equipment that stopped meanwhile stops at its next change
+     */
+    resume(plcName, now = new Date()) {
+        const equipment = this.equipment.get(plcName);
+        if (!equipment) return;
+
+        equipment.forEach(entry => {
+            if (entry.paused && entry.state.running) entry.since = now;
+            entry.paused = false;
+        });
+    }
+
+    /**
+     * Adds the run time since the last accrual
+     */
+    accrue(entry, now = new Date()) {
+        if (!entry.since || now <= entry.since) return;
+
+        const seconds = (now - entry.since) / 1000;
+        entry.state.runSeconds += seconds;
+        entry.state.serviceRunSeconds += seconds;
+        entry.since = now;
+    }
+
+    /**
+     * Brings the run hours up to date and raises the maintenance intervals reached
+     */
+    checkMaintenance(now = new Date()) {
+        this.equipment.forEach(equipment => equipment.forEach(entry => {
+            this.accrue(entry, now);
+            this.checkEntry(entry);
+        }));
+    }
+
+    checkEntry(entry) {
+        const { config, state } = entry;
+
+        if (config.maintenanceHours && !state.hoursDue && state.serviceRunSeconds >= config.maintenanceHours * 3600) {
+            state.hoursDue = true;
+            this.emit('maintenance_due', this.describeDue(entry, 'HOURS'));
+        }
+        if (config.maintenanceStarts && !state.startsDue && state.serviceStarts >= config.maintenanceStarts) {
+            state.startsDue = true;
+            this.emit('maintenance_due', this.describeDue(entry, 'STARTS'));
+        }
+    }
+
+    describeDue(entry, reason) {
+        const { config, state } = entry;
+        return {
+            plcName: config.plcName,
+            equipment: config.name,
+            runTag: config.runTag,
+            reason: reason,
+            runHours: state.serviceRunSeconds / 3600,
+            starts: state.serviceStarts,
+            threshold: reason === 'HOURS' ? config.maintenanceHours : config.maintenanceStarts
+        };
+    }
+
+    /**
+     * Resets the counters of an equipment
+     * @param {string} scope - MAINTENANCE (after a service) or ALL
+     * @returns {object} - Counters before the reset
+     * @throws {Error} - code INVALID_SCOPE or UNKNOWN_EQUIPMENT
+     */
+    reset(plcName, name, scope = 'MAINTENANCE', now = new Date()) {
+        if (!RESET_SCOPES.includes(scope)) {
+            throw Object.assign(new Error(`Reset scope must be ${RESET_SCOPES.join(' or ')}`), { code: 'INVALID_SCOPE' });
+        }
+
+        const entry = this.getEntry(plcName, name);
+        if (!entry) {
+            throw Object.assign(new Error(`Equipment ${name} of PLC ${plcName} has no runtime counters`), { code: 'UNKNOWN_EQUIPMENT' });
+        }
+
+        this.accrue(entry, now);
+        const before = this.describe(entry);
+        const { state } = entry;
+
+        if (scope === 'ALL') {
+            Object.assign(state, { ...emptyState(), running: state.running });
+            // A run in progress is counted from now on, its duration is not known
+            state.lastStart = null;
+            entry.startSeen = false;
+        }
+        state.serviceRunSeconds = 0;
+        state.serviceStarts = 0;
+        state.hoursDue = false;
+        state.startsDue = false;
+        state.lastResetAt = now;
+
+        return before;
+    }
+
+    /**
+     * Counters of one equipment in hours
+     */
+    describe(entry) {
+        const { config, state } = entry;
+        return {
+            plcName: config.plcName,
+            equipment: config.name,
+            runTag: config.runTag,
+            running: state.running,
+            counting: !!entry.since,
+            runHours: state.runSeconds / 3600,
+            starts: state.starts,
+            meanRunSeconds: state.completedRuns > 0 ? state.completedRunSeconds / state.completedRuns : null,
+            lastStart: state.lastStart,
+            lastStop: state.lastStop,
+            serviceRunHours: state.serviceRunSeconds / 3600,
+            serviceStarts: state.serviceStarts,
+            maintenanceHours: config.maintenanceHours,
+            maintenanceStarts: config.maintenanceStarts,
+            maintenanceDue: state.hoursDue || state.startsDue,
+            hoursDue: state.hoursDue,
+            startsDue: state.startsDue,
+            lastResetAt: state.lastResetAt
+        };
+    }
+
+    /**
+     * Current counters, grouped by PLC
+     */
+    getCounters(plcName = null, now = new Date()) {
+        const counters = {};
+        this.equipment.forEach((equipment, name) => {
+            if (plcName && name !== plcName) return;
+            counters[name] = Array.from(equipment.values()).map(entry => {
+                this.accrue(entry, now);
+                return this.describe(entry);
+            });
+        });
+        return counters;
+    }
+
+    /**
+     * States to persist, configure() continues from them
+     * @returns {object[]} - {plcName, name, state}
+     */
+    getStates(now = new Date()) {
+        const states = [];
+        this.equipment.forEach(equipment => equipment.forEach(entry => {
+            this.accrue(entry, now);
+            states.push({ plcName: entry.config.plcName, name: entry.config.name, state: { ...entry.state } });
+        }));
+        return states;
+    }
+}
+
+Object.assign(RuntimeAccounting, { DEFAULT_EQUIPMENT, RESET_SCOPES });
+
+module.exports = RuntimeAccounting;
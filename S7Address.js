@@ -0,0 +1,431 @@
+/**
+ * S7 Address Parser
+ * Strict grammar for S7 tag addresses in nodes7 notation (DB1,REAL4 / MW2 / PIW256) and Siemens
+ * notation (DB1.DBD4 / DB1.DBX0.3 / Z3), with the parsed layout and error positions for diagnostics
+ */
+
+// Data types of DB addresses in nodes7 notation, short forms included
+const DB_TYPES = {
+    X: 'X', BYTE: 'BYTE', CHAR: 'CHAR', STRING: 'STRING',
+    INT: 'INT', DINT: 'DINT', WORD: 'WORD', DWORD: 'DWORD', REAL: 'REAL',
+    RINT: 'RINT', RDINT: 'RDINT', RWORD: 'RWORD', RDWORD: 'RDWORD', RREAL: 'RREAL',
+    DT: 'DT', DTZ: 'DTZ', DTL: 'DTL', DTLZ: 'DTLZ',
+    B: 'BYTE', C: 'CHAR', S: 'STRING', I: 'INT', DI: 'DINT', W: 'WORD', D: 'DWORD', DW: 'DWORD',
+    R: 'REAL', RI: 'RINT', RDI: 'RDINT', RW: 'RWORD', RD: 'RDWORD', RDW: 'RDWORD', RR: 'RREAL'
+};
+
+// Data type suffixes of I/Q/M/P addresses, an empty suffix is a bit
+const AREA_TYPES = {
+    '': 'X', B: 'BYTE', C: 'CHAR', I: 'INT', DI: 'DINT', W: 'WORD', D: 'DWORD', DW: 'DWORD',
+    R: 'REAL', RI: 'RINT', RDI: 'RDINT', RW: 'RWORD', RD: 'RDWORD', RDW: 'RDWORD', RR: 'RREAL'
+};
+
+// Shortest nodes7 suffix of each data type, used to format I/Q/M/P addresses
+const AREA_SUFFIXES = {
+    X: '', BYTE: 'B', CHAR: 'C', INT: 'I', DINT: 'DI', WORD: 'W', DWORD: 'D',
+    REAL: 'R', RINT: 'RI', RDINT: 'RDI', RWORD: 'RW', RDWORD: 'RD', RREAL: 'RR'
+};
+
+// Access widths of Siemens notation (DBX / DBB / DBW / DBD, MB / MW / MD ...)
+const SIEMENS_WIDTHS = { X: 'X', B: 'BYTE', W: 'WORD', D: 'DWORD' };
+
+// Length in bytes of one element of each data type, strings depend on their length
+const TYPE_LENGTHS = {
+    X: 1, BYTE: 1, CHAR: 1,
+    INT: 2, WORD: 2, RINT: 2, RWORD: 2, TIMER: 2, COUNTER: 2,
+    DINT: 4, DWORD: 4, REAL: 4, RDINT: 4, RDWORD: 4, RREAL: 4,
+    DT: 8, DTZ: 8, DTL: 12, DTLZ: 12
+};
+
+// Tag types (TagType column) and the data type they read as, used to resolve Siemens widths
+const TAG_TYPES = {
+    BOOL: 'X', BIT: 'X', X: 'X',
+    BYTE: 'BYTE', USINT: 'BYTE', SINT: 'BYTE', CHAR: 'CHAR',
+    INT: 'INT', WORD: 'WORD', UINT: 'WORD',
+    DINT: 'DINT', DWORD: 'DWORD', UDINT: 'DWORD', REAL: 'REAL',
+    STRING: 'STRING', DT: 'DT', DATE_AND_TIME: 'DT', DTL: 'DTL',
+    TIMER: 'TIMER', COUNTER: 'COUNTER'
+};
+
+// Areas of non-DB addresses, German mnemonics included
+const AREAS = { I: 'I', E: 'I', Q: 'Q', A: 'Q', M: 'M', T: 'T', C: 'C', Z: 'C' };
+
+const MAX_DB_NUMBER = 65535;
+const MAX_BYTE_OFFSET = 0x1FFFFF;   // 24 bit address = byte offset << 3 | bit
+const MAX_STRING_LENGTH = 254;
+
+class S7AddressError extends Error {
+    constructor(code, message, address, position) {
+        super(`Invalid S7 address "${address}": ${message} (position ${position})`);
+        this.name = 'S7AddressError';
+        this.code = code;
+        this.reason = message;
+        this.address = address;
+        this.position = position;
+    }
+}
+
+/**
+ * Reads an address from left to right, positions refer to the original string
+ */
+class Scanner {
+    constructor(address) {
+        this.address = address;
+        this.text = address.toUpperCase();
+        this.pos = address.length - address.trimStart().length;
+        this.end = address.trimEnd().length;
+    }
+
+    peek(length = 1) {
+        return this.text.substr(this.pos, Math.min(length, this.end - this.pos));
+    }
+
+    atEnd() {
+        return this.pos >= this.end;
+    }
+
+    accept(token) {
+        if (this.peek(token.length) === token) {
+            this.pos += token.length;
+            return true;
+        }
+        return false;
+    }
+
+    letters() {
+        const start = this.pos;
+        while (!this.atEnd() && /[A-Z_]/.test(this.text[this.pos])) this.pos++;
+        return this.text.slice(start, this.pos);
+    }
+
+    /**
+     * Reads an unsigned integer, null when there is no digit at the current position
+     */
+    number() {
+        const start = this.pos;
+        while (!this.atEnd() && /[0-9]/.test(this.text[this.pos])) this.pos++;
+        return this.pos > start ? { value: parseInt(this.text.slice(start, this.pos), 10), position: start } : null;
+    }
+
+    fail(code, message, position = this.pos) {
+        throw new S7AddressError(code, message, this.address, position);
+    }
+
+    expectNumber(code, what) {
+        const number = this.number();
+        if (!number) {
+            this.fail(code, this.atEnd() ? `${what} expected` : `${what} expected, found '${this.address[this.pos]}'`);
+        }
+        return number;
+    }
+
+    /**
+     * Reads the optional ".n.m" tail of an address
+     */
+    suffixes() {
+        const parts = [];
+        while (parts.length < 2 && this.accept('.')) {
+            parts.push(this.expectNumber('ERR_ADDRESS_SYNTAX', 'Number'));
+        }
+        return parts;
+    }
+
+    expectEnd() {
+        if (!this.atEnd()) {
+            this.fail('ERR_ADDRESS_SYNTAX', `Unexpected '${this.address[this.pos]}'`);
+        }
+    }
+}
+
+class S7Address {
+    /**
+     * Parses an S7 address
+     * @param {string} address - Address in nodes7 or Siemens notation
+     * @param {object} options - {type}: tag type resolving the width of Siemens notation (DBD4 + REAL = REAL)
+     * @returns {object} - Parsed address with area, offsets, data type, byte length and nodes7 notation
+     * @throws {S7AddressError} - With code and position of the first error
+     */
+    static parse(address, { type = null } = {}) {
+        if (typeof address !== 'string' || !address.trim()) {
+            throw new S7AddressError('ERR_ADDRESS_EMPTY', 'Address is empty', String(address ?? ''), 0);
+        }
+
+        const scanner = new Scanner(address);
+        scanner.accept('%');    // TIA Portal absolute address prefix
+
+        const parsed = scanner.peek(2) === 'DB' && /[0-9]/.test(scanner.text[scanner.pos + 2] || '')
+            ? this.parseDB(scanner)
+            : this.parseArea(scanner);
+
+        scanner.expectEnd();
+
+        if (parsed.notation === 'siemens' && parsed.generic) {
+            parsed.dataType = this.resolveWidth(parsed.dataType, type);
+        }
+        delete parsed.generic;
+
+        parsed.typeLength = parsed.dataType === 'STRING' ? parsed.stringLength + 2 : TYPE_LENGTHS[parsed.dataType];
+        parsed.byteLength = parsed.dataType === 'X'
+            ? Math.ceil((parsed.bitOffset + parsed.arrayLength) / 8)
+            : parsed.typeLength * parsed.arrayLength;
+        parsed.address = address;
+        parsed.nodes7 = this.format(parsed);
+
+        return parsed;
+    }
+
+    /**
+     * Parses DB1,REAL4 / DB1,X0.3 / DB1,S10.20 / DB1,INT2.5 and DB1.DBD4 / DB1.DBX0.3
+     */
+    static parseDB(scanner) {
+        scanner.accept('DB');
+        const db = scanner.expectNumber('ERR_ADDRESS_DB_NUMBER', 'DB number');
+        if (db.value < 1 || db.value > MAX_DB_NUMBER) {
+            scanner.fail('ERR_ADDRESS_DB_NUMBER', `DB number must be 1-${MAX_DB_NUMBER}`, db.position);
+        }
+
+        const result = { area: 'DB', dbNumber: db.value };
+
+        if (scanner.accept(',')) {
+            const typePosition = scanner.pos;
+            const token = scanner.letters();
+            if (!token) {
+                scanner.fail('ERR_ADDRESS_DATATYPE', 'Data type expected');
+            }
+            if (!DB_TYPES[token]) {
+                scanner.fail('ERR_ADDRESS_DATATYPE', `Unknown data type '${token}'`, typePosition);
+            }
+
+            const offset = this.expectOffset(scanner);
+            return Object.assign(result, { notation: 'nodes7', offset }, this.parseTail(scanner, DB_TYPES[token]));
+        }
+
+        if (scanner.accept('.')) {
+            if (!scanner.accept('DB')) {
+                scanner.fail('ERR_ADDRESS_SYNTAX', "Expected 'DB' after the DB number (DB1.DBX0.0)");
+            }
+            const widthPosition = scanner.pos;
+            const width = scanner.letters();
+            if (!SIEMENS_WIDTHS[width]) {
+                scanner.fail('ERR_ADDRESS_DATATYPE', width ? `Unknown access width 'DB${width}', expected DBX, DBB, DBW or DBD` : 'Access width expected (DBX, DBB, DBW or DBD)', widthPosition);
+            }
+
+            const offset = this.expectOffset(scanner);
+            return Object.assign(result, { notation: 'siemens', offset }, this.parseSiemensTail(scanner, SIEMENS_WIDTHS[width]));
+        }
+
+        return scanner.fail('ERR_ADDRESS_SYNTAX', scanner.atEnd()
+            ? "Expected ',' or '.' after the DB number"
+            : `Expected ',' or '.' after the DB number, found '${scanner.address[scanner.pos]}'`);
+    }
+
+    /**
+     * Parses I/E, Q/A, M, PI/PE/PQ/PA, T and C/Z addresses
+     */
+    static parseArea(scanner) {
+        const areaPosition = scanner.pos;
+        const token = scanner.letters();
+        if (!token) {
+            scanner.fail('ERR_ADDRESS_AREA', scanner.atEnd() ? 'Area expected' : `Area expected, found '${scanner.address[scanner.pos]}'`);
+        }
+
+        let area = AREAS[token[0]];
+        let suffix = token.slice(1);
+        let notation = token[0] === 'Z' ? 'siemens' : 'nodes7';
+
+        if (token[0] === 'P') {
+            area = { I: 'PI', E: 'PI', Q: 'PQ', A: 'PQ' }[token[1]];
+            suffix = token.slice(2);
+            if (!area) {
+                scanner.fail('ERR_ADDRESS_AREA', `Unknown peripheral area '${token.slice(0, 2)}', expected PI/PE or PQ/PA`, areaPosition);
+            }
+        }
+
+        if (!area) {
+            scanner.fail('ERR_ADDRESS_AREA', `Unknown area '${token[0]}'`, areaPosition);
+        }
+
+        const suffixPosition = areaPosition + token.length - suffix.length;
+
+        if (area === 'T' || area === 'C') {
+            if (suffix) {
+                scanner.fail('ERR_ADDRESS_DATATYPE', `${area === 'T' ? 'Timers' : 'Counters'} take no data type`, suffixPosition);
+            }
+            const number = scanner.expectNumber('ERR_ADDRESS_OFFSET', `${area === 'T' ? 'Timer' : 'Counter'} number`);
+            if (number.value > MAX_DB_NUMBER) {
+                scanner.fail('ERR_ADDRESS_OFFSET', `${area === 'T' ? 'Timer' : 'Counter'} number must be 0-${MAX_DB_NUMBER}`, number.position);
+            }
+            const [length, extra] = scanner.suffixes();
+            if (extra) {
+                scanner.fail('ERR_ADDRESS_SYNTAX', `Unexpected '.'`, extra.position - 1);
+            }
+            return {
+                notation, area, dbNumber: null, dataType: area === 'T' ? 'TIMER' : 'COUNTER',
+                offset: number.value, bitOffset: 0, stringLength: null,
+                arrayLength: this.checkArrayLength(scanner, length)
+            };
+        }
+
+        if (AREA_TYPES[suffix] === undefined) {
+            scanner.fail('ERR_ADDRESS_DATATYPE', `Unknown data type '${suffix}'`, suffixPosition);
+        }
+        if (area.startsWith('P') && !suffix) {
+            scanner.fail('ERR_ADDRESS_DATATYPE', 'Peripheral addresses need a data type (PIB, PIW, PID ...), bits cannot be accessed', suffixPosition);
+        }
+
+        const offset = this.expectOffset(scanner);
+        return Object.assign({ notation, area, dbNumber: null, offset }, this.parseTail(scanner, AREA_TYPES[suffix]));
+    }
+
+    static expectOffset(scanner) {
+        const offset = scanner.expectNumber('ERR_ADDRESS_OFFSET', 'Byte offset');
+        if (offset.value > MAX_BYTE_OFFSET) {
+            scanner.fail('ERR_ADDRESS_OFFSET', `Byte offset must be 0-${MAX_BYTE_OFFSET}`, offset.position);
+        }
+        return offset.value;
+    }
+
+    /**
+     * Parses the ".bit[.count]", ".length[.count]" or ".count" tail of nodes7 notation
+     */
+    static parseTail(scanner, dataType) {
+        const [first, second] = scanner.suffixes();
+
+        if (dataType === 'X') {
+            if (!first) {
+                scanner.fail('ERR_ADDRESS_BIT_OFFSET', 'Bit offset expected (.0 to .7)');
+            }
+            return {
+                dataType, bitOffset: this.checkBit(scanner, first), stringLength: null,
+                arrayLength: this.checkArrayLength(scanner, second)
+            };
+        }
+
+        if (dataType === 'STRING') {
+            if (!first) {
+                scanner.fail('ERR_ADDRESS_STRING_LENGTH', 'String length expected (S10.20)');
+            }
+            if (first.value < 1 || first.value > MAX_STRING_LENGTH) {
+                scanner.fail('ERR_ADDRESS_STRING_LENGTH', `String length must be 1-${MAX_STRING_LENGTH}`, first.position);
+            }
+            return {
+                dataType, bitOffset: 0, stringLength: first.value,
+                arrayLength: this.checkArrayLength(scanner, second)
+            };
+        }
+
+        if (second) {
+            scanner.fail('ERR_ADDRESS_BIT_OFFSET', `Bit offset is only valid for bits, ${dataType} takes '.count' only`, first.position);
+        }
+        return { dataType, bitOffset: 0, stringLength: null, arrayLength: this.checkArrayLength(scanner, first) };
+    }
+
+    /**
+     * Parses the tail of Siemens notation: a bit for DBX, nothing for DBB/DBW/DBD
+     */
+    static parseSiemensTail(scanner, dataType) {
+        const bitPosition = scanner.pos;
+        const [bit, extra] = scanner.suffixes();
+
+        if (extra) {
+            scanner.fail('ERR_ADDRESS_SYNTAX', `Unexpected '.'`, extra.position - 1);
+        }
+        if (dataType === 'X') {
+            if (!bit) {
+                scanner.fail('ERR_ADDRESS_BIT_OFFSET', 'Bit offset expected (DBX0.0 to DBX0.7)');
+            }
+            return { dataType, bitOffset: this.checkBit(scanner, bit), stringLength: null, arrayLength: 1 };
+        }
+        if (bit) {
+            scanner.fail('ERR_ADDRESS_BIT_OFFSET', `Bit offset is only valid for DBX`, bitPosition);
+        }
+        return { dataType, bitOffset: 0, stringLength: null, arrayLength: 1, generic: true };
+    }
+
+    static checkBit(scanner, bit) {
+        if (bit.value > 7) {
+            scanner.fail('ERR_ADDRESS_BIT_OFFSET', 'Bit offset must be 0-7', bit.position);
+        }
+        return bit.value;
+    }
+
+    static checkArrayLength(scanner, length) {
+        if (!length) return 1;
+        if (length.value < 1) {
+            scanner.fail('ERR_ADDRESS_ARRAY_LENGTH', 'Array length must be at least 1', length.position);
+        }
+        return length.value;
+    }
+
+    /**
+     * Resolves the width of Siemens notation (BYTE/WORD/DWORD) to the tag type when they have the same length
+     */
+    static resolveWidth(dataType, type) {
+        const resolved = TAG_TYPES[String(type || '').toUpperCase()];
+        return resolved && TYPE_LENGTHS[resolved] === TYPE_LENGTHS[dataType] ? resolved : dataType;
+    }
+
+    /**
+     * Formats a parsed address in nodes7 notation, as used by the item group
+     * @param {object} parsed - Result of parse()
+     * @returns {string} - Address in nodes7 notation
+     */
+    static format(parsed) {
+        const count = parsed.arrayLength > 1 ? `.${parsed.arrayLength}` : '';
+
+        if (parsed.area === 'T' || parsed.area === 'C') {
+            return `${parsed.area}${parsed.offset}${count}`;
+        }
+
+        let tail = count;
+        if (parsed.dataType === 'X') tail = `.${parsed.bitOffset}${count}`;
+        if (parsed.dataType === 'STRING') tail = `.${parsed.stringLength}${count}`;
+
+        if (parsed.area === 'DB') {
+            return `DB${parsed.dbNumber},${parsed.dataType}${parsed.offset}${tail}`;
+        }
+        return `${parsed.area}${AREA_SUFFIXES[parsed.dataType]}${parsed.offset}${tail}`;
+    }
+
+    /**
+     * Validates an address without throwing
+     * @param {string} address - Address in nodes7 or Siemens notation
+     * @param {object} options - {type}: tag type, also checked against the data type of the address
+     * @returns {object} - {valid, errors: [{code, message, position}], warnings, parsed}
+     */
+    static validate(address, options = {}) {
+        let parsed;
+        try {
+            parsed = this.parse(address, options);
+        } catch (error) {
+            if (!(error instanceof S7AddressError)) throw error;
+            return {
+                valid: false,
+                errors: [{ code: error.code, message: error.reason, position: error.position }],
+                warnings: [],
+                parsed: null
+            };
+        }
+
+        const warnings = [];
+        const expected = TAG_TYPES[String(options.type || '').toUpperCase()];
+        if (options.type && !expected) {
+            warnings.push(`Unknown tag type '${options.type}'`);
+        } else if (expected && expected !== parsed.dataType.replace(/^R(?=INT|DINT|WORD|DWORD|REAL)/, '')) {
+            warnings.push(`Tag type ${String(options.type).toUpperCase()} does not match the ${parsed.dataType} data type of address ${parsed.nodes7}`);
+        }
+        if (parsed.notation === 'siemens') {
+            warnings.push(`Address ${address} is stored as ${parsed.nodes7}`);
+        }
+
+        return { valid: true, errors: [], warnings, parsed };
+    }
+
+    static isValid(address) {
+        return this.validate(address).valid;
+    }
+}
+
+Object.assign(S7Address, { S7AddressError, DB_TYPES, AREA_TYPES, TYPE_LENGTHS, TAG_TYPES });
+
+module.exports = S7Address;
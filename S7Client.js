@@ -1,8 +1,54 @@
 const { EventEmitter } = require('events');
 const nodes7 = require('@st-one-io/nodes7');
+const DiagnosticBuffer = require('./DiagnosticBuffer');
+const CycleMetrics = require('./CycleMetrics');
+const S7Address = require('./S7Address');
+const PlcProfiles = require('./PlcProfiles');
+const S7Replay = require('./S7Replay');
+
+// Scan class used by variables without an explicit one (runs at config.cycletime)
+const DEFAULT_SCAN_CLASS = 'default';
+
+// Memory areas accessible through readArea/writeArea
+const RAW_AREAS = {
+    DB: nodes7.s7constants.proto.area.DB,
+    M: nodes7.s7constants.proto.area.FLAGS,
+    I: nodes7.s7constants.proto.area.INPUTS,
+    Q: nodes7.s7constants.proto.area.OUTPUTS
+};
+
+// Largest byte range accepted by a single readArea/writeArea call
+const MAX_RAW_AREA_LENGTH = 65535;
+
+// Block types that can be listed and uploaded
+const BLOCK_TYPES = ['OB', 'DB', 'SDB', 'FC', 'SFC', 'FB', 'SFB'];
+
+const BLOCK_LANGUAGES = {
+    0x01: 'AWL',
+    0x02: 'KOP',
+    0x03: 'FUP',
+    0x04: 'SCL',
+    0x05: 'DB',
+    0x06: 'GRAPH'
+};
+
+// CPU operating modes reported in SSL 0x0424 (requested mode, low nibble)
+const CPU_STATES = {
+    0x01: 'STOP',       // update
+    0x02: 'STOP',       // memory reset
+    0x03: 'STOP',       // self initialization
+    0x04: 'STOP',
+    0x05: 'STARTUP',    // complete restart
+    0x06: 'STARTUP',    // cold restart
+    0x07: 'STARTUP',    // restart
+    0x08: 'RUN',
+    0x09: 'RUN',        // redundant
+    0x0A: 'HOLD',
+    0x0D: 'DEFECT'
+};
 
 /**
- * Compares values for equality, includes special handling for arrays
+ * Compares values for equality, includes special handling for arrays and objects (UDT tags)
  */
 function equals(a, b) {
     if (a === b) return true;
@@ -11,13 +57,30 @@ function equals(a, b) {
     if (Array.isArray(a) && Array.isArray(b)) {
         if (a.length != b.length) return false;
         for (var i = 0; i < a.length; ++i) {
-            if (a[i] !== b[i]) return false;
+            if (!equals(a[i], b[i])) return false;
         }
         return true;
     }
+    if (typeof a === 'object' && typeof b === 'object' && !Array.isArray(a) && !Array.isArray(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => equals(a[key], b[key]));
+    }
     return false;
 }
 
+/**
+ * Picks the connection target of an endpoint from a configuration, leaving out missing fields
+ */
+function pickEndpoint(source) {
+    const endpoint = {};
+    ['address', 'port', 'rack', 'slot'].forEach(key => {
+        if (source[key] !== undefined && source[key] !== null && source[key] !== '') {
+            endpoint[key] = source[key];
+        }
+    });
+    return endpoint;
+}
+
 /**
  * Creates translation table from variable configuration
  */
@@ -30,6 +93,67 @@ function createTranslationTable(vars) {
     return res;
 }
 
+/**
+ * Creates variable name -> scan class table from variable configuration
+ */
+function createScanClassTable(vars) {
+    const res = {};
+    vars.forEach(function (elm) {
+        if (!elm.name || !elm.addr) return;
+        res[elm.name] = elm.scanClass || DEFAULT_SCAN_CLASS;
+    });
+    return res;
+}
+
+/**
+ * Converts a number to its BCD representation
+ */
+function toBCD(n) {
+    return ((Math.floor(n / 10) % 10) << 4) | (n % 10);
+}
+
+/**
+ * Decodes a block timestamp (ms since midnight + days since 1984-01-01)
+ */
+function decodeBlockTimestamp(buf, offset) {
+    const ms = buf.readUInt32BE(offset);
+    const days = buf.readUInt16BE(offset + 4);
+    return new Date(Date.UTC(1984, 0, 1) + days * 86400000 + ms);
+}
+
+/**
+ * Parses the response of a block info request
+ */
+function parseBlockInfo(buf) {
+    if (!buf || buf.length < 70) {
+        throw new Error(`Unexpected block info length: ${buf ? buf.length : 0}`);
+    }
+
+    const subtype = buf.readUInt8(11);
+    const version = buf.readUInt8(66);
+    const text = (start) => buf.toString('ascii', start, start + 8).replace(/\x00/g, '').trim();
+
+    return {
+        type: Object.keys(nodes7.s7constants.proto.block.subtype)
+            .find(key => nodes7.s7constants.proto.block.subtype[key] === subtype) || null,
+        number: buf.readUInt16BE(12),
+        flags: buf.readUInt8(9),
+        language: BLOCK_LANGUAGES[buf.readUInt8(10)] || null,
+        loadSize: buf.readUInt32BE(14),
+        codeDate: decodeBlockTimestamp(buf, 22),
+        interfaceDate: decodeBlockTimestamp(buf, 28),
+        sbbLength: buf.readUInt16BE(34),
+        addLength: buf.readUInt16BE(36),
+        localData: buf.readUInt16BE(38),
+        mc7Size: buf.readUInt16BE(40),
+        author: text(42),
+        family: text(50),
+        name: text(58),
+        version: `${version >> 4}.${version & 0x0f}`,
+        checksum: buf.readUInt16BE(68)
+    };
+}
+
 /**
  * Validates TSAP configuration
  */
@@ -42,6 +166,119 @@ function validateTSAP(num) {
     return true;
 }
 
+/**
+ * Default reconnection policy
+ */
+const DEFAULT_RECONNECT_POLICY = {
+    enabled: true,
+    initialDelay: 1000,     // delay before the first attempt (ms)
+    maxDelay: 30000,        // upper bound for the delay between attempts (ms)
+    factor: 2,              // backoff multiplier applied after every attempt
+    jitter: 0.2,            // +/- fraction of randomness added to each delay
+    maxAttempts: 0          // 0 = retry forever
+};
+
+/**
+ * Default failover policy of clients with a backup endpoint
+ */
+const DEFAULT_FAILOVER_POLICY = {
+    failoverAfter: 1,       // failed reconnection attempts on the active endpoint before switching to the other one
+    failback: 'auto',       // 'auto': back to the primary once it is healthy again, 'manual': only through switchEndpoint()
+    failbackDelay: 60000,   // how long the primary must keep answering its probes before failing back (ms)
+    probeInterval: 10000    // how often the primary is probed while the backup is active (ms)
+};
+
+/**
+ * Default write verification policy
+ */
+const DEFAULT_WRITE_VERIFICATION = {
+    enabled: true,          // read every written variable back and compare it
+    retries: 2,             // additional attempts after a transient communication failure
+    retryDelay: 200,        // delay between attempts (ms)
+    readBackDelay: 0,       // delay between write and read-back (ms)
+    reconnectWait: 5000,    // how long a retry waits for a dropped connection to come back (ms)
+    realTolerance: 1e-6     // relative tolerance when comparing REAL values
+};
+
+// nodes7 error codes worth retrying a write for
+const TRANSIENT_WRITE_ERRORS = ['ERR_TIMEOUT', 'ERR_INTERRUPTED', 'ERR_UNEXPECTED_RESPONSE'];
+
+/**
+ * Default policy for writes of BOOL variables and BOOL array elements
+ */
+const DEFAULT_BIT_WRITES = {
+    strategy: 'auto',       // 'native', 'readModifyWrite' or 'auto' (native until the PLC rejects a bit write)
+    conflictRetries: 3,     // additional read-modify-write attempts when the PLC changes the byte meanwhile
+    conflictDelay: 20       // delay between those attempts (ms)
+};
+
+// PLC return codes of a rejected bit access, 'auto' falls back to read-modify-write on these
+const BIT_WRITE_UNSUPPORTED = [
+    nodes7.s7constants.proto.retval.DATA_NOT_SUP,
+    nodes7.s7constants.proto.retval.DATA_SIZEMISMATCH
+];
+
+// Memory areas of S7Address, for the byte access of read-modify-write
+const BIT_WRITE_AREAS = {
+    DB: nodes7.s7constants.proto.area.DB,
+    I: nodes7.s7constants.proto.area.INPUTS,
+    Q: nodes7.s7constants.proto.area.OUTPUTS,
+    M: nodes7.s7constants.proto.area.FLAGS,
+    PI: nodes7.s7constants.proto.area.PERIPHALS,
+    PQ: nodes7.s7constants.proto.area.PERIPHALS
+};
+
+/**
+ * Error of a write that failed or whose value could not be confirmed by reading it back
+ */
+class WriteVerificationError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'WriteVerificationError';
+        this.code = 'ERR_WRITE_VERIFICATION';
+        this.variable = details.variable;
+        this.reason = details.reason;       // 'WRITE_FAILED', 'READ_BACK_FAILED', 'MISMATCH' or 'CONFLICT'
+        this.expected = details.expected;
+        this.actual = details.actual;
+        this.attempts = details.attempts;
+        this.cause = details.cause;
+    }
+}
+
+/**
+ * Compares a written value with the value read back from the PLC
+ */
+function valuesMatch(expected, actual, isReal, tolerance) {
+    if (Array.isArray(expected) || Array.isArray(actual)) {
+        return Array.isArray(expected) && Array.isArray(actual) && expected.length === actual.length &&
+            expected.every((value, i) => valuesMatch(value, actual[i], isReal, tolerance));
+    }
+
+    if (expected instanceof Date || actual instanceof Date) {
+        return new Date(expected).getTime() === new Date(actual).getTime();
+    }
+
+    if (Buffer.isBuffer(expected) || Buffer.isBuffer(actual)) {
+        return Buffer.isBuffer(expected) && Buffer.isBuffer(actual) && expected.equals(actual);
+    }
+
+    if (typeof actual === 'boolean') {
+        return actual === Boolean(expected);
+    }
+
+    if (typeof actual === 'number') {
+        const value = Number(expected);
+        if (isReal) {
+            // The PLC stores REAL as 32 bit float, compare with the rounded value
+            const rounded = Math.fround(value);
+            return rounded === actual || Math.abs(actual - rounded) <= tolerance * Math.max(1, Math.abs(rounded));
+        }
+        return value === actual;
+    }
+
+    return expected === actual;
+}
+
 class S7Client extends EventEmitter {
     constructor(config) {
         super();
@@ -60,20 +297,74 @@ class S7Client extends EventEmitter {
             remotetsaphi: '01',
             remotetsaplo: '00',
             variables: [],
+            scanClasses: {},        // scan class name -> cycle time (ms)
+            diagnosticsInterval: 10000, // CPU state poll interval (ms), 0 = disabled
+            diagnosticBufferInterval: 60000, // diagnostic buffer poll interval (ms), 0 = disabled
+            clockUtc: false,        // PLC clock runs on UTC instead of the server's local time
+            metricsWindow: 300000,  // rolling window of the cycle metrics (ms)
+            backup: null,           // redundant endpoint {address, port, rack, slot}, missing fields as the primary
+            plcType: null,          // device profile ('S7-300', 'S7-1200', 'LOGO!', ...) providing connection defaults
+            replay: null,           // play a recording {file, speed, loop} instead of reading the PLC
+            ...PlcProfiles.getDefaults(config && config.plcType),
             ...config
         };
 
+        this.config.failover = {
+            ...DEFAULT_FAILOVER_POLICY,
+            ...(config && config.failover)
+        };
+
+        this.config.reconnect = {
+            ...DEFAULT_RECONNECT_POLICY,
+            ...(config && config.reconnect)
+        };
+
+        this.config.writeVerification = {
+            ...DEFAULT_WRITE_VERIFICATION,
+            ...(config && config.writeVerification)
+        };
+
+        this.config.bitWrites = {
+            ...DEFAULT_BIT_WRITES,
+            ...(config && config.bitWrites)
+        };
+
         this.MIN_CYCLE_TIME = 50;
         this.oldValues = {};
         this.status = 'offline';
-        this.readInProgress = false;
-        this.readDeferred = 0;
         this.connected = false;
         this.currentCycleTime = this.config.cycletime;
         this.endpoint = null;
+        this.endpoints = [];
+        this.activeEndpoint = 0;
+        this.endpointSwitches = 0;
+        this.lastEndpointSwitch = null;
+        this._endpointFailures = 0;     // failed connection attempts on the active endpoint
+        this._failbackTimer = null;
+        this._failbackProbeInProgress = false;
+        this._primaryHealthySince = null;
         this.itemGroup = null;
+        this.scanGroups = new Map();
         this._vars = {};
-        this._cycleTimer = null;
+        this._scanClassOf = {};
+        this.reconnectAttempts = 0;
+        this._reconnectTimer = null;
+        this._shouldReconnect = false;
+        this.identification = null;
+        this.cpuState = null;
+        this.cpuStateChanged = null;
+        this.lastDiagnosticsUpdate = null;
+        this._diagnosticsTimer = null;
+        this._diagnosticsInProgress = false;
+        this._diagnosticBufferTimer = null;
+        this._diagnosticBufferInProgress = false;
+        this._diagnosticBufferKeys = null;
+        this._writeQueue = Promise.resolve();
+        this.pendingWrites = 0;
+        this.bitWriteStrategy = null;   // strategy learned by 'auto' bit writes
+        this.profile = null;
+        this._profileHintShown = false;
+        this.replay = null;
 
         this.setMaxListeners(0);
         this.init();
@@ -81,7 +372,42 @@ class S7Client extends EventEmitter {
 
     init() {
         this._vars = createTranslationTable(this.config.variables);
-        
+
+        if (this.config.plcType) {
+            const check = PlcProfiles.validate(this.config);
+            if (!check.valid) {
+                throw new Error(`Invalid ${this.config.plcType} configuration: ${check.errors.join('; ')}`);
+            }
+            check.warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
+            this.profile = check.profile;
+        }
+
+        // Primary first, then the redundant endpoint (second CP or standby CPU of an H-system)
+        this.endpoints = [{ role: 'primary', ...pickEndpoint(this.config) }];
+        if (this.config.backup && Object.keys(pickEndpoint(this.config.backup)).length) {
+            this.endpoints.push({ role: 'backup', ...pickEndpoint(this.config), ...pickEndpoint(this.config.backup) });
+        }
+        this.activeEndpoint = 0;
+
+        this.createEndpoint(this.endpoints[0]);
+
+        if (this.config.replay) {
+            this.attachReplay(this.config.replay);
+        }
+
+        const varKeys = Object.keys(this._vars);
+        if (!varKeys || !varKeys.length) {
+            console.warn('No variables configured');
+        }
+
+        this.rebuildItemGroups();
+        this.manageStatus('offline');
+    }
+
+    /**
+     * Builds the nodes7 connection options for an endpoint
+     */
+    getEndpointOptions(endpoint) {
         let connOpts;
         const s7ConnOpts = { timeout: parseInt(this.config.timeout) };
         const transport = this.config.transport;
@@ -90,10 +416,10 @@ class S7Client extends EventEmitter {
             switch (this.config.connmode) {
                 case "rack-slot":
                     connOpts = {
-                        host: this.config.address,
-                        port: Number(this.config.port),
-                        rack: Number(this.config.rack),
-                        slot: Number(this.config.slot),
+                        host: endpoint.address,
+                        port: Number(endpoint.port),
+                        rack: Number(endpoint.rack),
+                        slot: Number(endpoint.slot),
                         s7ConnOpts: s7ConnOpts
                     };
                     break;
@@ -111,8 +437,8 @@ class S7Client extends EventEmitter {
                     remoteTSAP += parseInt(this.config.remotetsaplo, 16);
 
                     connOpts = {
-                        host: this.config.address,
-                        port: this.config.port,
+                        host: endpoint.address,
+                        port: endpoint.port,
                         srcTSAP: localTSAP,
                         dstTSAP: remoteTSAP,
                         s7ConnOpts: s7ConnOpts
@@ -125,24 +451,306 @@ class S7Client extends EventEmitter {
             throw new Error(`Invalid transport: ${transport}`);
         }
 
-        this.endpoint = new nodes7.S7Endpoint(connOpts);
+        // Reconnection is handled by the client's own policy, so the endpoint
+        // must neither connect on construction nor retry on its own
+        connOpts.autoReconnect = 0;
+
+        return connOpts;
+    }
+
+    /**
+     * Creates the nodes7 endpoint of the active connection
+     */
+    createEndpoint(endpoint) {
+        this.endpoint = new nodes7.S7Endpoint(this.getEndpointOptions(endpoint));
+        this.endpoint.setMaxListeners(0);
         this.endpoint.on('connecting', () => this.manageStatus('connecting'));
         this.endpoint.on('connect', () => this.onConnect());
         this.endpoint.on('disconnect', () => this.onDisconnect());
         this.endpoint.on('error', (e) => this.onError(e));
+    }
+
+    /**
+     * Takes the cycle data and connection state from a recording instead of the PLC.
+     * The recorded values run through cycleCallback, so subclasses process them like live data
+     */
+    attachReplay(replay) {
+        this.replay = replay instanceof S7Replay ? replay : new S7Replay(replay);
+        this.replay.on('connected', () => this.onConnect());
+        this.replay.on('disconnected', () => this.onDisconnect());
+        this.replay.on('error', (e) => this.onError(e));
+        this.replay.on('data', (values, info) => this.cycleCallback(values, DEFAULT_SCAN_CLASS, info.timestamp));
+    }
 
+    getReplayStatus() {
+        return this.replay ? this.replay.getReplayStatus() : null;
+    }
+
+    /**
+     * Recreates the write item group and one read item group per scan class
+     * from the current variable configuration
+     */
+    rebuildItemGroups() {
+        this._vars = createTranslationTable(this.config.variables);
+        this._scanClassOf = createScanClassTable(this.config.variables);
+
+        // Writes go through a single group holding every variable
+        if (this.itemGroup) {
+            this.itemGroup.destroy();
+        }
         this.itemGroup = new nodes7.S7ItemGroup(this.endpoint);
-        this.itemGroup.setTranslationCB(k => this._vars[k]);
+        this.itemGroup.setTranslationCB(k => this._vars[k] || k);  // array elements are written by address
 
         const varKeys = Object.keys(this._vars);
-        if (!varKeys || !varKeys.length) {
-            console.warn('No variables configured');
-            return;
-        } else {
+        if (varKeys.length) {
             this.itemGroup.addItems(varKeys);
         }
 
-        this.manageStatus('offline');
+        // Reads are split by scan class, each with its own group and timer
+        const oldGroups = this.scanGroups;
+        this.scanGroups = new Map();
+
+        for (const group of oldGroups.values()) {
+            this.retireScanGroup(group);
+        }
+
+        const cycleTimes = this.getScanClassCycleTimes();
+
+        for (const [scanClass, members] of this.groupByScanClass(varKeys, cycleTimes)) {
+            const group = this.createScanGroup(scanClass, cycleTimes[scanClass], members, oldGroups.get(scanClass));
+            this.scanGroups.set(scanClass, group);
+
+            if (this.connected) {
+                this.startScanGroup(group);
+            }
+        }
+    }
+
+    /**
+     * Applies a new variable configuration incrementally. Only added, removed and changed variables
+     * are touched, unchanged ones keep their items, last values and scan timers
+     * @param {object[]} variables - Variable configuration ({name, addr, scanClass})
+     * @returns {object} - {added, removed, modified} variable names
+     */
+    updateVariables(variables) {
+        const newVars = createTranslationTable(variables);
+        const newScanClasses = createScanClassTable(variables);
+        const diff = { added: [], removed: [], modified: [] };
+
+        Object.keys(newVars).forEach(name => {
+            if (!(name in this._vars)) {
+                diff.added.push(name);
+            } else if (this._vars[name] !== newVars[name] || this._scanClassOf[name] !== newScanClasses[name]) {
+                diff.modified.push(name);
+            }
+        });
+        Object.keys(this._vars).forEach(name => {
+            if (!(name in newVars)) {
+                diff.removed.push(name);
+            }
+        });
+
+        // Validate new addresses before anything is changed
+        [...diff.added, ...diff.modified].forEach(name => {
+            try {
+                new nodes7.S7Item(name, newVars[name]);
+            } catch (e) {
+                throw new Error(`Invalid address for variable ${name}: ${newVars[name]} (${e.message})`);
+            }
+        });
+
+        const readdressed = diff.modified.filter(name => this._vars[name] !== newVars[name]);
+
+        this.config.variables = variables;
+        this._vars = newVars;
+        this._scanClassOf = newScanClasses;
+
+        // The write group resolves items by name, so changed ones have to be replaced right away
+        const stale = [...diff.removed, ...readdressed];
+        if (stale.length) {
+            this.itemGroup.removeItems(stale);
+        }
+        const fresh = [...diff.added, ...readdressed];
+        if (fresh.length) {
+            this.itemGroup.addItems(fresh);
+        }
+
+        // Last values of variables that now point to another address are meaningless
+        stale.forEach(name => { delete this.oldValues[name]; });
+
+        this.syncScanGroups();
+
+        return diff;
+    }
+
+    /**
+     * Moves variables between scan groups after a configuration change, creating and retiring groups as needed
+     */
+    syncScanGroups() {
+        const cycleTimes = this.getScanClassCycleTimes();
+        const membersByClass = this.groupByScanClass(Object.keys(this._vars), cycleTimes);
+
+        for (const group of Array.from(this.scanGroups.values())) {
+            if (!membersByClass.has(group.name)) {
+                this.scanGroups.delete(group.name);
+                this.retireScanGroup(group);
+            }
+        }
+
+        for (const [scanClass, members] of membersByClass) {
+            let group = this.scanGroups.get(scanClass);
+
+            if (!group) {
+                group = this.createScanGroup(scanClass, cycleTimes[scanClass], members);
+                this.scanGroups.set(scanClass, group);
+                if (this.connected) {
+                    this.startScanGroup(group);
+                }
+                continue;
+            }
+
+            group.variables = members;
+            group.itemsStale = true;
+
+            // Items must not change while a read is running, doCycle applies them before the next read then
+            if (!group.readInProgress) {
+                this.applyScanGroupItems(group);
+            }
+
+            if (group.cycleTime !== cycleTimes[scanClass]) {
+                this.applyScanClassCycleTime(scanClass, cycleTimes[scanClass]);
+            }
+        }
+    }
+
+    /**
+     * Brings the items of a scan group in line with its variables
+     */
+    applyScanGroupItems(group) {
+        const remove = Array.from(group.items.keys())
+            .filter(name => !group.variables.includes(name) || group.items.get(name) !== this._vars[name]);
+        if (remove.length) {
+            group.itemGroup.removeItems(remove);
+            remove.forEach(name => group.items.delete(name));
+        }
+
+        const add = group.variables.filter(name => !group.items.has(name));
+        if (add.length) {
+            group.itemGroup.addItems(add);
+            add.forEach(name => group.items.set(name, this._vars[name]));
+        }
+
+        group.itemsStale = false;
+    }
+
+    /**
+     * Splits variables by scan class, unknown scan classes fall back to the default one
+     */
+    groupByScanClass(varKeys, cycleTimes) {
+        const membersByClass = new Map();
+
+        varKeys.forEach(name => {
+            let scanClass = this._scanClassOf[name];
+            if (!(scanClass in cycleTimes)) {
+                console.warn(`Unknown scan class '${scanClass}' for variable ${name}, using '${DEFAULT_SCAN_CLASS}'`);
+                scanClass = DEFAULT_SCAN_CLASS;
+                this._scanClassOf[name] = scanClass;
+            }
+            if (!membersByClass.has(scanClass)) {
+                membersByClass.set(scanClass, []);
+            }
+            membersByClass.get(scanClass).push(name);
+        });
+
+        return membersByClass;
+    }
+
+    createScanGroup(scanClass, cycleTime, members, previous = null) {
+        const group = {
+            name: scanClass,
+            cycleTime: cycleTime,
+            variables: members,
+            items: new Map(),       // variable name -> address currently in the item group
+            itemsStale: false,
+            itemGroup: new nodes7.S7ItemGroup(this.endpoint),
+            timer: null,
+            readInProgress: false,
+            readDeferred: 0,
+            retired: false,
+            stats: previous ? previous.stats : {
+                cycles: 0,
+                overruns: 0,
+                errors: 0,
+                lastReadTime: null,
+                lastDuration: null,
+                maxDuration: 0
+            },
+            metrics: previous ? previous.metrics : new CycleMetrics({ window: this.config.metricsWindow })
+        };
+
+        group.itemGroup.setTranslationCB(k => this._vars[k]);
+        this.applyScanGroupItems(group);
+
+        return group;
+    }
+
+    /**
+     * Stops a scan group, its item group is destroyed once a running read has finished
+     */
+    retireScanGroup(group) {
+        this.stopScanGroup(group);
+        group.retired = true;
+        if (!group.readInProgress) {
+            group.itemGroup.destroy();
+        }
+    }
+
+    /**
+     * Gets the cycle time of every known scan class
+     */
+    getScanClassCycleTimes() {
+        const cycleTimes = { [DEFAULT_SCAN_CLASS]: this.currentCycleTime };
+
+        Object.entries(this.config.scanClasses || {}).forEach(([name, cycleTime]) => {
+            const time = parseInt(cycleTime);
+            if (isNaN(time) || time < 0) {
+                console.warn(`Invalid cycle time for scan class '${name}': ${cycleTime}`);
+                return;
+            }
+            cycleTimes[name] = time;
+        });
+
+        return cycleTimes;
+    }
+
+    startScanGroup(group) {
+        this.stopScanGroup(group);
+
+        // don't set a timer if the cycle time is zero, or when a replay delivers the data
+        if (!group.cycleTime || this.replay) return;
+
+        group.timer = setInterval(() => this.doCycle(group.name), group.cycleTime);
+    }
+
+    stopScanGroup(group) {
+        if (group.timer) {
+            clearInterval(group.timer);
+            group.timer = null;
+        }
+    }
+
+    startScanTimers() {
+        for (const group of this.scanGroups.values()) {
+            group.readInProgress = false;
+            group.readDeferred = 0;
+            this.startScanGroup(group);
+        }
+    }
+
+    stopScanTimers() {
+        for (const group of this.scanGroups.values()) {
+            this.stopScanGroup(group);
+        }
     }
 
     manageStatus(newStatus) {
@@ -152,18 +760,32 @@ class S7Client extends EventEmitter {
     }
 
     onConnect() {
-        this.readInProgress = false;
-        this.readDeferred = 0;
+        const attempts = this.reconnectAttempts;
+
+        this.clearReconnectTimer();
+        this.reconnectAttempts = 0;
+        this._endpointFailures = 0;
         this.connected = true;
         this.manageStatus('online');
-        this.updateCycleTime(this.currentCycleTime);
+        this.startScanTimers();
+        if (!this.replay) {
+            this.startDiagnostics();
+            this.startFailbackProbe();
+        }
         this.emit('connected');
+
+        if (attempts > 0) {
+            this.emit('reconnected', { attempts });
+        }
     }
 
     onDisconnect() {
         this.manageStatus('offline');
         this.connected = false;
+        this.stopDiagnostics();
+        this.stopFailbackProbe();
         this.emit('disconnected');
+        this.scheduleReconnect();
     }
 
     onError(error) {
@@ -171,14 +793,7 @@ class S7Client extends EventEmitter {
         this.emit('error', error);
     }
 
-    cycleCallback(values) {
-        this.readInProgress = false;
-
-        if (this.readDeferred && this.connected) {
-            this.doCycle();
-            this.readDeferred = 0;
-        }
-
+    cycleCallback(values, scanClass, timestamp) {
         this.manageStatus('online');
 
         let changed = false;
@@ -197,115 +812,1336 @@ class S7Client extends EventEmitter {
         }
     }
 
-    doCycle() {
-        if (!this.readInProgress && this.connected) {
-            this.itemGroup.readAllItems()
-                .then((values) => this.cycleCallback(values))
-                .catch((e) => {
-                    this.emit('error', e);
-                    this.readInProgress = false;
-                });
-            this.readInProgress = true;
-        } else {
-            this.readDeferred++;
+    doCycle(scanClass = DEFAULT_SCAN_CLASS) {
+        const group = this.scanGroups.get(scanClass);
+        if (!group || !this.connected) return;
+
+        if (group.readInProgress) {
+            // previous read of this scan class still running: read again as soon as it finishes
+            group.readDeferred++;
+            group.stats.overruns++;
+            group.metrics.recordOverrun();
+            this.emit('scan_overrun', {
+                scanClass: group.name,
+                cycleTime: group.cycleTime,
+                overruns: group.stats.overruns
+            });
+            return;
+        }
+
+        if (group.itemsStale) {
+            this.applyScanGroupItems(group);
         }
+
+        const startTime = Date.now();
+        group.readInProgress = true;
+
+        group.itemGroup.readAllItems()
+            .then((values) => this.onScanComplete(group, values, Date.now() - startTime))
+            .catch((e) => {
+                group.readInProgress = false;
+                group.stats.errors++;
+                group.metrics.recordError();
+                if (group.retired) {
+                    group.itemGroup.destroy();
+                    return;
+                }
+                this.cycleErrorCallback(e, group.name);
+            });
     }
 
-    updateCycleTime(interval) {
-        const time = parseInt(interval);
+    onScanComplete(group, values, duration) {
+        group.readInProgress = false;
 
-        if (isNaN(time) || time < 0) {
-            throw new Error(`Invalid time interval: ${interval}`);
+        if (group.retired) {
+            group.itemGroup.destroy();
+            return;
         }
 
-        if (this._cycleTimer) {
-            clearInterval(this._cycleTimer);
-            this._cycleTimer = null;
+        group.stats.cycles++;
+        group.stats.lastReadTime = new Date();
+        group.stats.lastDuration = duration;
+        group.stats.maxDuration = Math.max(group.stats.maxDuration, duration);
+
+        // The item group sends one request PDU per prepared read packet
+        group.metrics.recordRead(duration, {
+            pdus: group.itemGroup._readPackets ? group.itemGroup._readPackets.length : null,
+            items: group.variables.length
+        });
+
+        if (group.readDeferred && this.connected) {
+            group.readDeferred = 0;
+            this.doCycle(group.name);
         }
 
-        // don't set a new timer if value is zero
-        if (!time) return;
+        this.cycleCallback(values, group.name, group.stats.lastReadTime);
+    }
+
+    /**
+     * Called when reading the variables of a scan class fails
+     */
+    cycleErrorCallback(error, scanClass) {
+        this.emit('error', error);
+    }
+
+    /**
+     * Changes the cycle time of the default scan class
+     */
+    updateCycleTime(interval) {
+        let time = parseInt(interval);
+
+        if (isNaN(time) || time < 0) {
+            throw new Error(`Invalid time interval: ${interval}`);
+        }
 
-        if (time < this.MIN_CYCLE_TIME) {
+        if (time && time < this.MIN_CYCLE_TIME) {
             console.warn(`Cycle time too short, enforcing minimum of ${this.MIN_CYCLE_TIME} ms`);
             time = this.MIN_CYCLE_TIME;
         }
 
         this.currentCycleTime = time;
-        this._cycleTimer = setInterval(() => this.doCycle(), time);
+        this.applyScanClassCycleTime(DEFAULT_SCAN_CLASS, time);
     }
 
-    async writeVariable(name, value) {
-        return new Promise((resolve, reject) => {
-            if (!this._vars[name]) {
-                reject(new Error(`Unknown variable: ${name}`));
-                return;
-            }
+    /**
+     * Changes the cycle time of a scan class, restarting its timer
+     */
+    updateScanClassCycleTime(scanClass, interval) {
+        if (scanClass === DEFAULT_SCAN_CLASS) {
+            return this.updateCycleTime(interval);
+        }
 
-            this.itemGroup.writeItems(name, value)
-                .then(() => resolve())
-                .catch((e) => reject(e));
-        });
-    }
+        let time = parseInt(interval);
 
-    async writeVariables(variables) {
-        const promises = [];
-        
-        if (Array.isArray(variables)) {
-            variables.forEach(({ name, value }) => {
-                promises.push(this.writeVariable(name, value));
-            });
-        } else {
-            Object.entries(variables).forEach(([name, value]) => {
-                promises.push(this.writeVariable(name, value));
-            });
+        if (isNaN(time) || time < 0) {
+            throw new Error(`Invalid time interval: ${interval}`);
         }
 
-        return Promise.all(promises);
-    }
+        if (time && time < this.MIN_CYCLE_TIME) {
+            console.warn(`Cycle time too short, enforcing minimum of ${this.MIN_CYCLE_TIME} ms`);
+            time = this.MIN_CYCLE_TIME;
+        }
 
-    getStatus() {
-        return this.status;
+        this.config.scanClasses = { ...this.config.scanClasses, [scanClass]: time };
+        this.applyScanClassCycleTime(scanClass, time);
     }
 
-    getVariables() {
-        return this._vars;
+    applyScanClassCycleTime(scanClass, time) {
+        const group = this.scanGroups.get(scanClass);
+        if (!group) return;
+
+        group.cycleTime = time;
+        if (this.connected) {
+            this.startScanGroup(group);
+        }
     }
 
-    async connect() {
-        // Connection is handled automatically by the endpoint
-        return new Promise((resolve, reject) => {
-            if (this.connected) {
-                resolve();
-                return;
+    /**
+     * Gets timing and overrun statistics per scan class
+     */
+    getScanClassStatus() {
+        const status = {};
+
+        for (const group of this.scanGroups.values()) {
+            status[group.name] = {
+                cycleTime: group.cycleTime,
+                variables: group.variables.length,
+                running: !!group.timer,
+                readInProgress: group.readInProgress,
+                ...group.stats
+            };
+        }
+
+        return status;
+    }
+
+    /**
+     * Gets the rolling cycle metrics (read durations, PDUs per read, overruns, effective rate)
+     * per scan class and combined for the PLC
+     */
+    getCycleMetrics() {
+        const scanClasses = {};
+
+        for (const group of this.scanGroups.values()) {
+            scanClasses[group.name] = {
+                cycleTime: group.cycleTime,
+                readDeferred: group.readDeferred,
+                ...group.metrics.getSnapshot(group.cycleTime)
+            };
+        }
+
+        return {
+            total: CycleMetrics.combine(Object.values(scanClasses)),
+            scanClasses
+        };
+    }
+
+    /**
+     * Clears the cycle metrics of all scan classes
+     */
+    resetCycleMetrics() {
+        for (const group of this.scanGroups.values()) {
+            group.metrics.reset();
+        }
+    }
+
+    /**
+     * Reads variables directly from the PLC, bypassing the poll cycle.
+     * Accepts configured variable names as well as plain S7 addresses (e.g. 'DB1,REAL4')
+     */
+    async readVariables(names) {
+        const keys = Array.isArray(names) ? names : [names];
+
+        if (!this.connected) {
+            throw new Error('Not connected');
+        }
+
+        if (!keys.length) {
+            return {};
+        }
+
+        if (this.replay) {
+            return this.replay.readVariables(keys);
+        }
+
+        // A dedicated group, so the cyclic groups and their optimization stay untouched
+        const itemGroup = new nodes7.S7ItemGroup(this.endpoint);
+        itemGroup.setTranslationCB(k => this._vars[k] || k);
+
+        try {
+            keys.forEach(key => {
+                try {
+                    itemGroup.addItems(key);
+                } catch (e) {
+                    throw new Error(`Unknown variable or invalid address: ${key}`);
+                }
+            });
+
+            return await itemGroup.readAllItems();
+        } finally {
+            itemGroup.destroy();
+        }
+    }
+
+    /**
+     * Validates a raw memory area request and returns the nodes7 area code
+     */
+    resolveRawArea(area, start, length, db) {
+        const areaCode = RAW_AREAS[String(area).toUpperCase()];
+        if (areaCode === undefined) {
+            throw new Error(`Invalid memory area: ${area} (expected one of ${Object.keys(RAW_AREAS).join(', ')})`);
+        }
+
+        if (!Number.isInteger(start) || start < 0) {
+            throw new Error(`Invalid start address: ${start}`);
+        }
+
+        if (!Number.isInteger(length) || length < 1 || length > MAX_RAW_AREA_LENGTH) {
+            throw new Error(`Invalid length: ${length}`);
+        }
+
+        if (areaCode === RAW_AREAS.DB && (!Number.isInteger(db) || db < 1)) {
+            throw new Error(`Invalid DB number: ${db}`);
+        }
+
+        if (!this.connected) {
+            throw new Error('Not connected');
+        }
+
+        return areaCode;
+    }
+
+    /**
+     * Reads a byte range of a memory area (DB, M, I or Q), regardless of configured variables
+     */
+    async readArea(area, start, length, db) {
+        const areaCode = this.resolveRawArea(area, start, length, db);
+        return this.endpoint.readArea(areaCode, start, length, areaCode === RAW_AREAS.DB ? db : undefined);
+    }
+
+    /**
+     * Writes a byte range of a memory area (DB, M, I or Q), regardless of configured variables
+     */
+    async writeArea(area, start, data, db) {
+        if (this.replay) {
+            throw new Error('Cannot write memory areas while replaying a recording');
+        }
+
+        const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+        const areaCode = this.resolveRawArea(area, start, buffer.length, db);
+        const areaDb = areaCode === RAW_AREAS.DB ? db : undefined;
+
+        // Queued with the variable writes, so raw and variable writes keep their order
+        await this.enqueueWrite(async () => {
+            // Split by PDU size here, the endpoint does not slice multi-request writes correctly
+            const maxPayload = this.endpoint.pduSize - 28;
+            for (let ptr = 0; ptr < buffer.length; ptr += maxPayload) {
+                const chunk = buffer.subarray(ptr, Math.min(buffer.length, ptr + maxPayload));
+                await this.endpoint.writeArea(areaCode, start + ptr, chunk, areaDb);
+            }
+        });
+
+        this.emit('area_written', {
+            area: String(area).toUpperCase(),
+            db: areaDb,
+            start,
+            length: buffer.length
+        });
+    }
+
+    /**
+     * Reads the CPU identification: order numbers, firmware version, serial number and names
+     */
+    async getIdentification() {
+        if (!this.connected) {
+            throw new Error('Not connected');
+        }
+
+        const identification = {
+            moduleOrderNumber: null,
+            hardwareOrderNumber: null,
+            firmwareVersion: null,
+            serialNumber: null,
+            moduleName: null,
+            plcName: null,
+            plantID: null,
+            partType: null
+        };
+
+        // SSL 0x0011 is read directly, getModuleIdentification() leaves the version fields out
+        const modules = await this.endpoint.getSSL(0x0011, 0);
+        modules.forEach(entry => {
+            if (entry.length < 28) return;
+
+            switch (entry.readUInt16BE(0) & 0xff) {
+                case 1:
+                    identification.moduleOrderNumber = entry.toString('ascii', 2, 22).trim();
+                    break;
+                case 6:
+                    identification.hardwareOrderNumber = entry.toString('ascii', 2, 22).trim();
+                    break;
+                case 7:
+                    // 'V' followed by major, minor and patch bytes
+                    if (entry[24] === 0x56) {
+                        identification.firmwareVersion = `V${entry[25]}.${entry[26]}.${entry[27]}`;
+                    }
+                    break;
+            }
+        });
+
+        // Component identification is not supported by every CPU
+        try {
+            const component = await this.endpoint.getComponentIdentification();
+            identification.serialNumber = component.serialNumber;
+            identification.moduleName = component.moduleName;
+            identification.plcName = component.plcName;
+            identification.plantID = component.plantID;
+            identification.partType = component.partType;
+        } catch (error) {
+            if (!this.connected) throw error;
+        }
+
+        return identification;
+    }
+
+    /**
+     * Reads the CPU operating state (RUN, STOP, STARTUP, HOLD, DEFECT or UNKNOWN)
+     */
+    async getCpuState() {
+        if (!this.connected) {
+            throw new Error('Not connected');
+        }
+
+        const [entry] = await this.endpoint.getSSL(0x0424, 0);
+        if (!entry || entry.length < 4) {
+            return 'UNKNOWN';
+        }
+
+        return CPU_STATES[entry[3] & 0x0f] || 'UNKNOWN';
+    }
+
+    /**
+     * Updates identification and CPU state, emitting events on changes
+     */
+    async refreshDiagnostics(includeIdentification = false) {
+        if (includeIdentification || !this.identification) {
+            const previous = this.identification;
+            const identification = await this.getIdentification();
+
+            this.identification = identification;
+            this.emit('identification', identification);
+
+            if (previous && previous.firmwareVersion !== identification.firmwareVersion) {
+                this.emit('firmware_changed', {
+                    previousVersion: previous.firmwareVersion,
+                    version: identification.firmwareVersion,
+                    identification
+                });
+            }
+        }
+
+        const state = await this.getCpuState();
+        if (state !== this.cpuState) {
+            const previousState = this.cpuState;
+
+            this.cpuState = state;
+            this.cpuStateChanged = new Date();
+            this.emit('cpu_state_changed', { previousState, state });
+
+            if (state === 'STOP') {
+                this.emit('cpu_stopped', { previousState });
+            }
+
+            // The reason of a mode change is in the diagnostic buffer, fetch it right away
+            if (previousState && this._diagnosticBufferTimer) {
+                this.pollDiagnosticBuffer();
+            }
+        }
+
+        this.lastDiagnosticsUpdate = new Date();
+        return this.getDiagnostics();
+    }
+
+    /**
+     * Reads the identification once and polls the CPU state while connected
+     */
+    startDiagnostics() {
+        this.stopDiagnostics();
+
+        const interval = parseInt(this.config.diagnosticsInterval) || 0;
+        const poll = (includeIdentification) => {
+            if (this._diagnosticsInProgress || !this.connected) return;
+
+            this._diagnosticsInProgress = true;
+            this.refreshDiagnostics(includeIdentification)
+                .catch(error => this.emit('diagnostics_error', error))
+                .finally(() => { this._diagnosticsInProgress = false; });
+        };
+
+        // The identification is re-read on every connect to catch firmware updates
+        poll(true);
+
+        if (interval > 0) {
+            this._diagnosticsTimer = setInterval(() => poll(false), interval);
+        }
+
+        const bufferInterval = parseInt(this.config.diagnosticBufferInterval) || 0;
+        if (bufferInterval > 0) {
+            this.pollDiagnosticBuffer();
+            this._diagnosticBufferTimer = setInterval(() => this.pollDiagnosticBuffer(), bufferInterval);
+        }
+    }
+
+    pollDiagnosticBuffer() {
+        if (this._diagnosticBufferInProgress || !this.connected) return;
+
+        this._diagnosticBufferInProgress = true;
+        this.checkDiagnosticBuffer()
+            .catch(error => this.emit('diagnostics_error', error))
+            .finally(() => { this._diagnosticBufferInProgress = false; });
+    }
+
+    stopDiagnostics() {
+        if (this._diagnosticsTimer) {
+            clearInterval(this._diagnosticsTimer);
+            this._diagnosticsTimer = null;
+        }
+
+        if (this._diagnosticBufferTimer) {
+            clearInterval(this._diagnosticBufferTimer);
+            this._diagnosticBufferTimer = null;
+        }
+    }
+
+    /**
+     * Reads and decodes the CPU diagnostic buffer, newest entry first
+     * @param {number} count - Number of most recent entries to read, 0 = all
+     */
+    async readDiagnosticBuffer(count = 0) {
+        if (!this.connected) {
+            throw new Error('Not connected');
+        }
+
+        // 0x00A0 returns the complete buffer, 0x01A0 the given number of most recent entries
+        const entries = count > 0
+            ? await this.endpoint.getSSL(0x01A0, count)
+            : await this.endpoint.getSSL(0x00A0, 0);
+
+        return DiagnosticBuffer.decode(entries, !!this.config.clockUtc);
+    }
+
+    /**
+     * Reads the diagnostic buffer and emits 'diagnostic_events' with the entries not seen before.
+     * The first read after start reports the complete buffer, consumers dedupe it against their history
+     */
+    async checkDiagnosticBuffer() {
+        const entries = await this.readDiagnosticBuffer();
+        const previousKeys = this._diagnosticBufferKeys;
+
+        this._diagnosticBufferKeys = new Set(entries.map(entry => entry.key));
+
+        const newEntries = previousKeys
+            ? entries.filter(entry => !previousKeys.has(entry.key))
+            : entries;
+
+        if (newEntries.length) {
+            // Oldest first, in the order the events happened
+            this.emit('diagnostic_events', newEntries.reverse());
+        }
+
+        return newEntries;
+    }
+
+    getDiagnostics() {
+        return {
+            identification: this.identification,
+            cpuState: this.cpuState,
+            cpuStateChanged: this.cpuStateChanged,
+            lastUpdate: this.lastDiagnosticsUpdate
+        };
+    }
+
+    /**
+     * Reads the PLC clock
+     */
+    async getPlcTime() {
+        if (!this.connected) {
+            throw new Error('Not connected');
+        }
+
+        // nodes7 decodes the clock fields as server local time
+        const time = await this.endpoint.getTime();
+        return this.config.clockUtc
+            ? new Date(time.getTime() - time.getTimezoneOffset() * 60000)
+            : time;
+    }
+
+    /**
+     * Sets the PLC clock
+     */
+    async setPlcTime(date = new Date()) {
+        if (!this.connected) {
+            throw new Error('Not connected');
+        }
+
+        const time = this.config.clockUtc
+            ? new Date(date.getTime() + date.getTimezoneOffset() * 60000)
+            : date;
+        const ms = time.getMilliseconds();
+
+        // Encoded here, the endpoint's setTime() overwrites the seconds with the weekday byte
+        const buf = Buffer.alloc(10);
+        buf.writeUInt8(0, 0);
+        buf.writeUInt8(toBCD(Math.floor(time.getFullYear() / 100)), 1);
+        buf.writeUInt8(toBCD(time.getFullYear() % 100), 2);
+        buf.writeUInt8(toBCD(time.getMonth() + 1), 3);
+        buf.writeUInt8(toBCD(time.getDate()), 4);
+        buf.writeUInt8(toBCD(time.getHours()), 5);
+        buf.writeUInt8(toBCD(time.getMinutes()), 6);
+        buf.writeUInt8(toBCD(time.getSeconds()), 7);
+        buf.writeUInt8(toBCD(Math.floor(ms / 10)), 8);
+        buf.writeUInt8(((ms % 10) << 4) | (time.getDay() + 1), 9);
+
+        const { userData } = nodes7.s7constants.proto;
+        await this.endpoint._connection.sendUserData(userData.function.TIME, userData.subfunction.TIME.SET, buf);
+
+        this.emit('clock_set', { time: date });
+    }
+
+    /**
+     * Measures the PLC clock drift against server time.
+     * A positive drift means the PLC clock is ahead
+     */
+    async measureClockDrift() {
+        const requestTime = Date.now();
+        const plcTime = await this.getPlcTime();
+        const responseTime = Date.now();
+
+        // The PLC read its clock roughly halfway through the round trip
+        const serverTime = new Date((requestTime + responseTime) / 2);
+
+        return {
+            plcTime,
+            serverTime,
+            drift: plcTime.getTime() - serverTime.getTime(),
+            roundTrip: responseTime - requestTime
+        };
+    }
+
+    /**
+     * Lists the blocks loaded in the PLC, by block type
+     */
+    async listBlocks(types = BLOCK_TYPES) {
+        if (!this.connected) {
+            throw new Error('Not connected');
+        }
+
+        const blocks = {};
+        for (const type of types) {
+            try {
+                blocks[type] = await this.endpoint.listBlocks(type);
+            } catch (error) {
+                // The PLC rejects the request for types it has no blocks of
+                if (typeof error.code !== 'number') throw error;
+                blocks[type] = [];
+            }
+        }
+
+        return blocks;
+    }
+
+    /**
+     * Reads the header information of a block (timestamps, sizes, checksum, author)
+     */
+    async getBlockInfo(type, number) {
+        if (!this.connected) {
+            throw new Error('Not connected');
+        }
+
+        return parseBlockInfo(await this.endpoint.getBlockInfo(type, number));
+    }
+
+    /**
+     * Uploads the complete content of a block
+     */
+    async uploadBlock(type, number) {
+        if (!this.connected) {
+            throw new Error('Not connected');
+        }
+
+        return this.endpoint.uploadBlock(type, number);
+    }
+
+    /**
+     * Writes a variable, or one element of an array variable ('Levels[3]'), through the write queue,
+     * so writes reach the PLC one at a time and in order. BOOL variables and elements only change their own bits.
+     * With write verification enabled the value is read back, resolves with {name, value, readBack, attempts}
+     * (plus strategy and conflict for BOOL writes)
+     */
+    async writeVariable(name, value) {
+        if (this.replay) {
+            return this.replay.writeVariable(name, value);
+        }
+
+        const target = this.resolveWriteTarget(name);
+
+        if (target.bits) {
+            return this.enqueueWrite(() => this.performBitWrite(target, value));
+        }
+        return this.enqueueWrite(() => this.performWrite(name, value, target.key));
+    }
+
+    /**
+     * Resolves the item a write goes to. Array elements are written on their own, by address;
+     * BOOL targets get the bits they cover: [{offset, bit, addr}]
+     */
+    resolveWriteTarget(name) {
+        let base = name;
+        let index = null;
+
+        if (!this._vars[name]) {
+            const match = /^(.+)\[(\d+)\]$/.exec(name);
+            if (!match || !this._vars[match[1]]) {
+                throw new Error(`Unknown variable: ${name}`);
+            }
+            base = match[1];
+            index = parseInt(match[2], 10);
+        }
+
+        let parsed;
+        try {
+            parsed = S7Address.parse(this._vars[base]);
+        } catch (error) {
+            if (index !== null) {
+                throw new Error(`Cannot write ${name}: ${error.message}`);
+            }
+            return { name, key: name, index, bits: null };
+        }
+
+        if (index !== null) {
+            if (parsed.arrayLength < 2) {
+                throw new Error(`Cannot write ${name}: ${base} is not an array`);
+            }
+            if (index >= parsed.arrayLength) {
+                throw new Error(`Cannot write ${name}: index out of range (0-${parsed.arrayLength - 1})`);
+            }
+
+            const element = { ...parsed, arrayLength: 1 };
+            if (parsed.dataType === 'X') {
+                element.offset = parsed.offset + Math.floor((parsed.bitOffset + index) / 8);
+                element.bitOffset = (parsed.bitOffset + index) % 8;
+            } else {
+                element.offset = parsed.offset + index * parsed.typeLength;
+            }
+            parsed = element;
+        }
+
+        const key = index === null ? name : S7Address.format(parsed);
+        if (parsed.dataType !== 'X') {
+            return { name, key, index, bits: null };
+        }
+
+        const bits = [];
+        for (let i = 0; i < parsed.arrayLength; i++) {
+            const position = parsed.bitOffset + i;
+            const bit = { offset: parsed.offset + Math.floor(position / 8), bit: position % 8 };
+            bit.addr = S7Address.format({ ...parsed, ...bit, bitOffset: bit.bit, arrayLength: 1 });
+            bits.push(bit);
+        }
+
+        return { name, key, index, parsed, bits };
+    }
+
+    /**
+     * Appends a task to the write queue, a failed task does not stop the following ones
+     */
+    enqueueWrite(task) {
+        const result = this._writeQueue.then(() => task());
+        const done = () => { this.pendingWrites--; };
+
+        this.pendingWrites++;
+        this._writeQueue = result.then(done, done);
+
+        return result;
+    }
+
+    /**
+     * Writes a variable and reads it back, retrying transient communication failures
+     * @param {string} key - Item written and read back, the variable name or the address of an array element
+     */
+    async performWrite(name, value, key = name) {
+        const policy = this.config.writeVerification;
+        const maxAttempts = 1 + (policy.enabled ? Math.max(0, parseInt(policy.retries) || 0) : 0);
+        let attempt = 0;
+        let stage = 'WRITE_FAILED';
+
+        while (true) {
+            attempt++;
+            stage = 'WRITE_FAILED';
+
+            try {
+                if (!this.connected) {
+                    throw new Error('Not connected');
+                }
+
+                // Passed as lists, a single tag with an array value is taken for several tags otherwise
+                await this.itemGroup.writeItems([key], [value]);
+
+                if (!policy.enabled) {
+                    return { name, value, readBack: undefined, attempts: attempt };
+                }
+
+                if (policy.readBackDelay > 0) {
+                    await new Promise(resolve => setTimeout(resolve, policy.readBackDelay));
+                }
+
+                stage = 'READ_BACK_FAILED';
+                const readBack = (await this.readVariables([key]))[key];
+
+                if (!valuesMatch(value, readBack, this.isRealVariable(key), policy.realTolerance)) {
+                    throw new WriteVerificationError(
+                        `Write verification failed for ${name}: wrote ${value}, read back ${readBack}`,
+                        { variable: name, reason: 'MISMATCH', expected: value, actual: readBack, attempts: attempt }
+                    );
+                }
+
+                return { name, value, readBack, attempts: attempt };
+
+            } catch (error) {
+                if (error instanceof WriteVerificationError) {
+                    throw error;
+                }
+
+                if (attempt < maxAttempts && TRANSIENT_WRITE_ERRORS.includes(error.code)) {
+                    console.warn(`Write of ${name} failed (${error.message}), retrying (${attempt}/${maxAttempts - 1})`);
+                    await new Promise(resolve => setTimeout(resolve, policy.retryDelay));
+
+                    // A timeout usually drops the connection, give the reconnection a chance
+                    if (!this.connected && this._shouldReconnect) {
+                        await this.waitForConnection(policy.reconnectWait);
+                    }
+                    continue;
+                }
+
+                if (!policy.enabled) {
+                    throw error;
+                }
+
+                throw new WriteVerificationError(
+                    `Write of ${name} failed after ${attempt} attempt(s): ${error.message}`,
+                    { variable: name, reason: stage, expected: value, attempts: attempt, cause: error }
+                );
+            }
+        }
+    }
+
+    /**
+     * Writes BOOL bits without touching the other bits of their bytes, which the PLC may change at the same time.
+     * Native bit writes are used where the PLC supports them, otherwise an explicit read-modify-write
+     */
+    async performBitWrite(target, value) {
+        const values = target.bits.length > 1 ? value : [value];
+        if (!Array.isArray(values) || values.length !== target.bits.length) {
+            throw new Error(`${target.name} is an array of ${target.bits.length} BOOL, expected as many values`);
+        }
+
+        const policy = this.config.bitWrites;
+        let strategy = policy.strategy === 'auto' ? (this.bitWriteStrategy || 'native') : policy.strategy;
+        let result;
+
+        if (strategy === 'native') {
+            try {
+                result = await this.writeBitsNative(target, values);
+            } catch (error) {
+                const code = error.cause ? error.cause.code : error.code;
+                if (policy.strategy !== 'auto' || !BIT_WRITE_UNSUPPORTED.includes(code)) {
+                    throw error;
+                }
+
+                console.warn(`⚠️ PLC rejected the bit write of ${target.name} (${(error.cause || error).message}), using read-modify-write for bit writes`);
+                this.bitWriteStrategy = strategy = 'readModifyWrite';
+            }
+        } else if (strategy !== 'readModifyWrite') {
+            throw new Error(`Unknown bit write strategy: ${strategy}`);
+        }
+
+        if (!result) {
+            result = await this.writeBitsReadModifyWrite(target, values);
+        }
+
+        console.log(`✏️ ${target.name} written by ${strategy === 'native' ? 'native bit write' : 'read-modify-write'}` +
+            (result.conflict ? ', the PLC changed neighbouring bits meanwhile' : ''));
+        this.emit('bit_write', {
+            name: target.name,
+            strategy,
+            bits: target.bits.map(bit => bit.addr),
+            attempts: result.attempts,
+            conflict: result.conflict
+        });
+
+        return { ...result, strategy };
+    }
+
+    /**
+     * Writes every bit as its own single bit item. The PLC sets the bits itself, so nothing else in the byte changes
+     */
+    async writeBitsNative(target, values) {
+        if (target.bits.length === 1) {
+            const result = await this.performWrite(target.name, values[0], target.key);
+            return { ...result, conflict: false };
+        }
+
+        // Arrays are split, the S7 protocol allows only one bit per bit item
+        const results = [];
+        for (let i = 0; i < target.bits.length; i++) {
+            results.push(await this.performWrite(`${target.name}[${i}]`, values[i], target.bits[i].addr));
+        }
+
+        return {
+            name: target.name,
+            value: values,
+            readBack: this.config.writeVerification.enabled ? results.map(result => result.readBack) : undefined,
+            attempts: Math.max(...results.map(result => result.attempts)),
+            conflict: false
+        };
+    }
+
+    /**
+     * Reads the bytes holding the bits, changes only the bits written and writes the bytes back.
+     * The bytes are read twice before the write, so a byte the PLC changed meanwhile is not written back stale,
+     * and once after it to detect neighbouring bits that changed while the write was in flight
+     */
+    async writeBitsReadModifyWrite(target, values) {
+        const policy = this.config.bitWrites;
+        const verify = this.config.writeVerification.enabled;
+        const { parsed, bits } = target;
+        const area = BIT_WRITE_AREAS[parsed.area];
+        const db = parsed.area === 'DB' ? parsed.dbNumber : undefined;
+        const start = bits[0].offset;
+        const length = bits[bits.length - 1].offset - start + 1;
+        const maxAttempts = 1 + Math.max(0, parseInt(policy.conflictRetries) || 0);
+
+        // Mask of the written bits and their new state, per byte
+        const mask = Buffer.alloc(length);
+        const state = Buffer.alloc(length);
+        bits.forEach((bit, i) => {
+            mask[bit.offset - start] |= 1 << bit.bit;
+            if (values[i]) state[bit.offset - start] |= 1 << bit.bit;
+        });
+
+        const readBits = buffer => bits.map(bit => Boolean(buffer[bit.offset - start] & (1 << bit.bit)));
+        const fail = (message, details) => new WriteVerificationError(message, {
+            variable: target.name,
+            expected: bits.length > 1 ? values : values[0],
+            ...details
+        });
+
+        let stage = 'WRITE_FAILED';
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            try {
+                if (!this.connected) {
+                    throw new Error('Not connected');
+                }
+
+                stage = 'WRITE_FAILED';
+                const before = await this.endpoint.readArea(area, start, length, db);
+                const modified = Buffer.from(before.map((byte, i) => (byte & ~mask[i]) | state[i]));
+
+                const check = await this.endpoint.readArea(area, start, length, db);
+                if (!check.equals(before)) {
+                    console.warn(`⚠️ ${target.name}: the PLC changed the byte during read-modify-write, retrying (${attempt}/${maxAttempts})`);
+                    await new Promise(resolve => setTimeout(resolve, policy.conflictDelay));
+                    continue;
+                }
+
+                await this.endpoint.writeArea(area, start, modified, db);
+
+                stage = 'READ_BACK_FAILED';
+                const after = await this.endpoint.readArea(area, start, length, db);
+                const conflict = after.some((byte, i) => ((byte ^ before[i]) & ~mask[i] & 0xff) !== 0);
+                const readBack = readBits(after);
+
+                if (conflict) {
+                    this.emit('bit_write_conflict', {
+                        name: target.name,
+                        address: S7Address.format({ ...parsed, dataType: 'BYTE', bitOffset: 0, offset: start, arrayLength: length }),
+                        before: Array.from(before),
+                        written: Array.from(modified),
+                        after: Array.from(after)
+                    });
+                }
+
+                if (verify && readBack.some((bit, i) => bit !== Boolean(values[i]))) {
+                    throw fail(
+                        `Write verification failed for ${target.name}: wrote ${values}, read back ${readBack}`,
+                        { reason: 'MISMATCH', actual: bits.length > 1 ? readBack : readBack[0], attempts: attempt }
+                    );
+                }
+
+                return {
+                    name: target.name,
+                    value: bits.length > 1 ? values : values[0],
+                    readBack: verify ? (bits.length > 1 ? readBack : readBack[0]) : undefined,
+                    attempts: attempt,
+                    conflict
+                };
+
+            } catch (error) {
+                if (error instanceof WriteVerificationError || !verify) {
+                    throw error;
+                }
+                throw fail(
+                    `Write of ${target.name} failed after ${attempt} attempt(s): ${error.message}`,
+                    { reason: stage, attempts: attempt, cause: error }
+                );
             }
+        }
+
+        throw fail(
+            `Write of ${target.name} abandoned: the PLC kept changing the byte during ${maxAttempts} read-modify-write attempt(s)`,
+            { reason: 'CONFLICT', attempts: maxAttempts }
+        );
+    }
+
+    /**
+     * Resolves with true once connected, or false after the timeout
+     */
+    waitForConnection(timeout) {
+        if (this.connected) {
+            return Promise.resolve(true);
+        }
 
+        return new Promise(resolve => {
             const onConnected = () => {
-                this.removeListener('error', onError);
-                resolve();
+                clearTimeout(timer);
+                resolve(true);
             };
+            const timer = setTimeout(() => {
+                this.off('connected', onConnected);
+                resolve(false);
+            }, timeout);
+
+            this.once('connected', onConnected);
+        });
+    }
+
+    /**
+     * Checks whether a variable is a REAL, whose read-back is compared with a tolerance
+     */
+    isRealVariable(name) {
+        try {
+            return /REAL$/.test(new nodes7.S7Item(name, this._vars[name] || name).datatype);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    async writeVariables(variables) {
+        const promises = [];
+        
+        if (Array.isArray(variables)) {
+            variables.forEach(({ name, value }) => {
+                promises.push(this.writeVariable(name, value));
+            });
+        } else {
+            Object.entries(variables).forEach(([name, value]) => {
+                promises.push(this.writeVariable(name, value));
+            });
+        }
+
+        return Promise.all(promises);
+    }
+
+    /**
+     * Computes the delay before the given reconnection attempt (0-based)
+     */
+    getReconnectDelay(attempt) {
+        const policy = this.config.reconnect;
+        const initialDelay = Math.max(0, Number(policy.initialDelay) || 0);
+        const maxDelay = Math.max(initialDelay, Number(policy.maxDelay) || initialDelay);
+        const factor = Math.max(1, Number(policy.factor) || 1);
+        const jitter = Math.min(1, Math.max(0, Number(policy.jitter) || 0));
+
+        const delay = Math.min(maxDelay, initialDelay * Math.pow(factor, attempt));
+        const randomized = delay * (1 + jitter * (Math.random() * 2 - 1));
+
+        return Math.round(Math.min(maxDelay, Math.max(0, randomized)));
+    }
+
+    /**
+     * Schedules the next reconnection attempt according to the reconnect policy
+     */
+    scheduleReconnect() {
+        const policy = this.config.reconnect;
+
+        // A replay reconnects when the recording does
+        if (!policy.enabled || !this._shouldReconnect || this.connected || this._reconnectTimer || this.replay) {
+            return;
+        }
+
+        const maxAttempts = parseInt(policy.maxAttempts) || 0;
+        if (maxAttempts > 0 && this.reconnectAttempts >= maxAttempts) {
+            this._shouldReconnect = false;
+            console.warn(`Giving up reconnecting to ${this.endpoints.map(e => e.address).join(' / ')} after ${this.reconnectAttempts} attempts`);
+            this.emit('reconnect_failed', { attempts: this.reconnectAttempts });
+            return;
+        }
 
-            const onError = (error) => {
-                this.removeListener('connected', onConnected);
+        // The active endpoint stopped answering, continue on the other one
+        if (this.endpoints.length > 1 && this._endpointFailures >= Math.max(0, parseInt(this.config.failover.failoverAfter) || 0)) {
+            this.activateEndpoint(1 - this.activeEndpoint, 'failover');
+        }
+
+        const delay = this.getReconnectDelay(this.reconnectAttempts);
+        this.reconnectAttempts++;
+
+        this.manageStatus('reconnecting');
+        this.emit('reconnecting', {
+            attempt: this.reconnectAttempts,
+            maxAttempts: maxAttempts,
+            delay: delay
+        });
+
+        this._reconnectTimer = setTimeout(() => {
+            this._reconnectTimer = null;
+
+            if (!this._shouldReconnect || this.connected) return;
+
+            this.connectEndpoint()
+                .catch(() => {
+                    // Errors are already reported through onError
+                    this._endpointFailures++;
+                    this.scheduleReconnect();
+                });
+        }, delay);
+    }
+
+    /**
+     * Connects a nodes7 endpoint, the active one by default, within config.timeout. nodes7 only limits opening
+     * the transport (to 10 s): a PLC that accepts the TCP connection and then drops it keeps the attempt pending.
+     * A timed out endpoint is discarded, the active one replaced by a fresh endpoint for the next attempt
+     */
+    connectEndpoint(endpoint = this.endpoint) {
+        const timeout = parseInt(this.config.timeout) || 0;
+        if (timeout <= 0) {
+            return endpoint.connect();
+        }
+
+        let timer;
+        const timedOut = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error(`Connection timeout after ${timeout} ms`);
+                this.discardEndpoint(endpoint);
+
+                if (endpoint === this.endpoint) {
+                    this.createEndpoint(this.endpoints[this.activeEndpoint]);
+                    this.rebuildItemGroups();
+                    this.onError(error);
+                }
                 reject(error);
-            };
+            }, timeout);
+        });
 
-            this.once('connected', onConnected);
-            this.once('error', onError);
+        return Promise.race([endpoint.connect(), timedOut]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Closes an endpoint that is no longer used without it reporting to the client
+     */
+    discardEndpoint(endpoint) {
+        endpoint.removeAllListeners();
+        endpoint.on('error', () => { });
+        // A transport still being opened completes the connection later, it is closed then
+        endpoint.on('connect', () => endpoint.disconnect().catch(() => { }));
+        endpoint.disconnect().catch(() => { });
+    }
+
+    /**
+     * Replaces the endpoint by another configured one. Item groups are rebuilt on the new endpoint,
+     * the caller connects it
+     */
+    activateEndpoint(index, reason) {
+        const from = this.endpoints[this.activeEndpoint];
+        const to = this.endpoints[index];
+        const previous = this.endpoint;
+
+        this.stopFailbackProbe();
+
+        // The old connection must not report a disconnect anymore
+        this.discardEndpoint(previous);
+
+        this.activeEndpoint = index;
+        this._endpointFailures = 0;
+        this.createEndpoint(to);
+        this.rebuildItemGroups();
+
+        this.endpointSwitches++;
+        this.lastEndpointSwitch = {
+            from: from.role,
+            to: to.role,
+            fromAddress: from.address,
+            toAddress: to.address,
+            reason,
+            timestamp: new Date()
+        };
+
+        console.warn(`🔀 Switching from ${from.role} ${from.address}:${from.port} to ${to.role} ${to.address}:${to.port} (${reason})`);
+        this.emit('endpoint_switched', { ...this.lastEndpointSwitch });
+    }
+
+    /**
+     * Switches the connection to the 'primary' or 'backup' endpoint. Pending writes complete first.
+     * Resolves once connected to the new endpoint, failing over again when it does not answer
+     */
+    async switchEndpoint(role, reason = 'manual') {
+        const index = this.endpoints.findIndex(endpoint => endpoint.role === role);
+        if (index < 0) {
+            throw new Error(`No ${role} endpoint configured`);
+        }
+
+        return this.enqueueWrite(async () => {
+            if (index === this.activeEndpoint) {
+                return this.getEndpointStatus();
+            }
+
+            const reconnect = this._shouldReconnect;
+            this.clearReconnectTimer();
+            this.connected = false;
+            this.stopScanTimers();
+            this.stopDiagnostics();
+            this.manageStatus('offline');
+
+            this.activateEndpoint(index, reason);
+
+            if (reconnect) {
+                try {
+                    await this.connectEndpoint();
+                } catch (error) {
+                    this._endpointFailures++;
+                    this.scheduleReconnect();
+                    throw error;
+                }
+            }
+
+            return this.getEndpointStatus();
         });
     }
 
+    /**
+     * Probes the primary while the backup is active, for the automatic failback
+     */
+    startFailbackProbe() {
+        const policy = this.config.failover;
+
+        if (this._failbackTimer || this.activeEndpoint === 0 || policy.failback !== 'auto') {
+            return;
+        }
+
+        this._primaryHealthySince = null;
+        this._failbackTimer = setInterval(() => {
+            this.probePrimary().catch(error => console.warn(`Failback to the primary failed: ${error.message}`));
+        }, Math.max(this.MIN_CYCLE_TIME, Number(policy.probeInterval) || DEFAULT_FAILOVER_POLICY.probeInterval));
+    }
+
+    stopFailbackProbe() {
+        if (this._failbackTimer) {
+            clearInterval(this._failbackTimer);
+            this._failbackTimer = null;
+        }
+        this._primaryHealthySince = null;
+    }
+
+    /**
+     * Opens and closes a test connection to the primary. Fails back once it answered for the failback delay
+     */
+    async probePrimary() {
+        if (this._failbackProbeInProgress || !this.connected || this.activeEndpoint === 0) return;
+        this._failbackProbeInProgress = true;
+
+        const probe = new nodes7.S7Endpoint(this.getEndpointOptions(this.endpoints[0]));
+        probe.on('error', () => { });
+
+        let healthy = false;
+        try {
+            await this.connectEndpoint(probe);
+            healthy = true;
+        } catch (error) {
+            this._primaryHealthySince = null;
+        } finally {
+            await probe.disconnect().catch(() => { });
+            this._failbackProbeInProgress = false;
+        }
+
+        if (!healthy || !this._failbackTimer) return;
+
+        const now = Date.now();
+        this._primaryHealthySince = this._primaryHealthySince || now;
+
+        if (now - this._primaryHealthySince >= this.config.failover.failbackDelay) {
+            this.stopFailbackProbe();
+            await this.switchEndpoint('primary', 'failback');
+        }
+    }
+
+    /**
+     * Describes the configured endpoints and which one is in use
+     */
+    getEndpointStatus() {
+        const active = this.endpoints[this.activeEndpoint];
+
+        return {
+            active: active.role,
+            address: active.address,
+            port: active.port,
+            redundant: this.endpoints.length > 1,
+            endpoints: this.endpoints.map(endpoint => ({ ...endpoint, active: endpoint === active })),
+            switches: this.endpointSwitches,
+            lastSwitch: this.lastEndpointSwitch,
+            failback: this.config.failover.failback,
+            primaryHealthySince: this._primaryHealthySince ? new Date(this._primaryHealthySince) : null
+        };
+    }
+
+    /**
+     * Device profile of the PLC, null without a configured plcType
+     */
+    getProfile() {
+        if (!this.profile) return null;
+
+        return {
+            type: this.profile.type,
+            description: this.profile.description,
+            connmode: this.config.connmode,
+            cpuSettings: this.profile.cpuSettings,
+            notes: this.profile.notes
+        };
+    }
+
+    /**
+     * Lists the CPU-side settings once when the first connection fails,
+     * a refused connection is usually a missing PUT/GET permission or server connection
+     */
+    showProfileHint(error) {
+        if (!this.profile || this._profileHintShown) return;
+
+        this._profileHintShown = true;
+        console.warn(`💡 Connection failed (${error.message}), check the CPU settings of ${PlcProfiles.describe(this.profile.type)}`);
+    }
+
+    clearReconnectTimer() {
+        if (this._reconnectTimer) {
+            clearTimeout(this._reconnectTimer);
+            this._reconnectTimer = null;
+        }
+    }
+
+    getReconnectStatus() {
+        return {
+            enabled: !!this.config.reconnect.enabled,
+            active: this._shouldReconnect && !this.connected,
+            attempts: this.reconnectAttempts,
+            maxAttempts: parseInt(this.config.reconnect.maxAttempts) || 0
+        };
+    }
+
+    getStatus() {
+        return this.status;
+    }
+
+    getVariables() {
+        return this._vars;
+    }
+
+    async connect() {
+        if (this.connected) return;
+
+        // An explicit connect starts a fresh reconnection cycle
+        this._shouldReconnect = true;
+        this.clearReconnectTimer();
+        this.reconnectAttempts = 0;
+
+        if (this.replay) {
+            return this.replay.connect();
+        }
+
+        // Errors of this attempt are reported through the returned promise
+        const onError = () => { };
+        this.on('error', onError);
+
+        try {
+            try {
+                await this.connectEndpoint();
+            } catch (error) {
+                // Go straight to the other endpoint, a dead primary must not keep the client offline
+                if (this.endpoints.length < 2) throw error;
+
+                this.activateEndpoint(1 - this.activeEndpoint, 'failover');
+                await this.connectEndpoint().catch(() => { throw error; });
+            }
+        } catch (error) {
+            this._endpointFailures++;
+            this.showProfileHint(error);
+            this.scheduleReconnect();
+            throw error;
+        } finally {
+            this.removeListener('error', onError);
+        }
+    }
+
     async disconnect() {
         return new Promise((resolve) => {
+            this._shouldReconnect = false;
+            this.clearReconnectTimer();
+            this.reconnectAttempts = 0;
             this.manageStatus('offline');
             this.connected = false;
-            
-            if (this._cycleTimer) {
-                clearInterval(this._cycleTimer);
-                this._cycleTimer = null;
-            }
+            this.stopScanTimers();
+            this.stopDiagnostics();
+            this.stopFailbackProbe();
 
-            if (this.endpoint) {
+            if (this.replay) {
+                this.replay.disconnect().then(() => resolve());
+            } else if (this.endpoint) {
                 this.endpoint.disconnect()
                     .then(() => resolve())
                     .catch(() => resolve()); // Resolve anyway
@@ -316,4 +2152,6 @@ class S7Client extends EventEmitter {
     }
 }
 
+Object.assign(S7Client, { WriteVerificationError });
+
 module.exports = S7Client;
@@ -0,0 +1,1475 @@
+const { EventEmitter } = require('events');
+const net = require('net');
+const nodes7 = require('@st-one-io/nodes7');
+
+const proto = nodes7.s7constants.proto;
+
+// COTP TPDU types and variable parameter codes
+const TPDU_CR = 0x0e;
+const TPDU_CC = 0x0d;
+const TPDU_DT = 0x0f;
+const TPDU_DR = 0x08;
+const PARAM_TPDU_SIZE = 0xc0;
+const PARAM_SRC_TSAP = 0xc1;
+const PARAM_DST_TSAP = 0xc2;
+const DR_REASON_NOT_ATTACHED = 0x02;
+
+// Userdata error codes returned on unsupported requests
+const USERDATA_ERR_NOT_AVAILABLE = 0x8104;
+const USERDATA_ERR_SZL_NOT_AVAILABLE = 0xd401;
+const USERDATA_ERR_BLOCK_NOT_FOUND = 0xd209;
+
+// Program blocks loaded when no 'blocks' are configured (DBs are created from the memory areas)
+const DEFAULT_BLOCKS = [
+    { type: 'OB', number: 1, name: 'MAIN', language: 'FUP' },
+    { type: 'FC', number: 1, name: 'SCALE', language: 'SCL' },
+    { type: 'FB', number: 1, name: 'PID_CTRL', language: 'SCL' }
+];
+
+// Size of the header and footer around the MC7 code of an uploaded block
+const BLOCK_HEADER_LENGTH = 36;
+const BLOCK_FOOTER_LENGTH = 36;
+
+// Byte size of a single element for each S7ANY transport size
+const TRANSPORT_ELEMENT_SIZE = {
+    [proto.transport.BIT]: 1,
+    [proto.transport.BYTE]: 1,
+    [proto.transport.CHAR]: 1,
+    [proto.transport.WORD]: 2,
+    [proto.transport.INT]: 2,
+    [proto.transport.DWORD]: 4,
+    [proto.transport.DINT]: 4,
+    [proto.transport.REAL]: 4,
+    [proto.transport.DATE]: 2,
+    [proto.transport.TOD]: 4,
+    [proto.transport.TIME]: 4,
+    [proto.transport.S5TIME]: 2,
+    [proto.transport.DATE_AND_TIME]: 8,
+    [proto.transport.COUNTER]: 2,
+    [proto.transport.TIMER]: 2
+};
+
+const AREA_NAMES = {
+    [proto.area.INPUTS]: 'I',
+    [proto.area.OUTPUTS]: 'Q',
+    [proto.area.FLAGS]: 'M',
+    [proto.area.DB]: 'DB'
+};
+
+const CPU_STATE_CODES = {
+    RUN: 0x08,
+    STOP: 0x04,
+    STARTUP: 0x05
+};
+
+// Diagnostic buffer events recorded when the CPU state is changed
+const CPU_STATE_EVENTS = {
+    RUN: 0x4302,        // Mode transition from STARTUP to RUN
+    STOP: 0x4304,       // STOP caused by PG STOP operation
+    STARTUP: 0x4301     // Mode transition from STOP to STARTUP
+};
+
+/**
+ * Validates TSAP configuration
+ */
+function validateTSAP(num) {
+    num = num.toString();
+    if (num.length != 2) return false;
+    if (!(/^[0-9a-fA-F]+$/.test(num))) return false;
+    const i = parseInt(num, 16);
+    if (isNaN(i) || i < 0 || i > 0xff) return false;
+    return true;
+}
+
+/**
+ * Converts a number to its BCD representation
+ */
+function toBCD(n) {
+    return ((Math.floor(n / 10) % 10) << 4) | (n % 10);
+}
+
+/**
+ * Converts a BCD encoded byte to a number
+ */
+function fromBCD(n) {
+    return ((n >> 4) * 10) + (n & 0x0f);
+}
+
+/**
+ * Encodes a block timestamp (ms since midnight + days since 1984-01-01)
+ */
+function writeBlockTimestamp(buf, date, offset) {
+    const time = date.getTime() - Date.UTC(1984, 0, 1);
+    buf.writeUInt32BE(time % 86400000, offset);
+    buf.writeUInt16BE(Math.floor(time / 86400000), offset + 4);
+}
+
+/**
+ * Simple 16 bit checksum of a buffer
+ */
+function checksum16(buf) {
+    let sum = 0;
+    for (let i = 0; i < buf.length; i++) {
+        sum = ((sum << 1) | (sum >> 15)) & 0xffff;
+        sum = (sum + buf[i]) & 0xffff;
+    }
+    return sum;
+}
+
+/**
+ * Writes an ASCII string into a fixed length, space padded field
+ */
+function writePaddedString(buf, str, offset, length, pad = 0x20) {
+    buf.fill(pad, offset, offset + length);
+    buf.write(String(str || '').substring(0, length), offset, 'ascii');
+}
+
+/**
+ * In-process ISO-on-TCP / S7comm server that behaves like an S7 CPU.
+ * Lets S7Client and the classes built on top of it run without hardware.
+ */
+class S7PlcSimulator extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            host: '127.0.0.1',
+            port: 102,
+            rack: 0,
+            slot: 2,
+            connmode: 'rack-slot',
+            localtsaphi: '01',
+            localtsaplo: '02',
+            pduSize: 480,
+            maxJobs: 8,
+            tpduSize: 1024,
+            generatorInterval: 100,
+            cpuState: 'RUN',
+            diagnosticBufferSize: 100,
+            bitWrites: true,        // false rejects single bit writes, like CPUs and gateways without bit access
+            blocks: DEFAULT_BLOCKS,
+            areas: {
+                DB: { 1: 1024 },
+                M: 256,
+                I: 128,
+                Q: 128
+            },
+            identification: {},
+            ...config
+        };
+
+        this.identification = {
+            moduleOrderNumber: '6ES7 315-2EH14-0AB0',
+            hardwareOrderNumber: '6ES7 315-2EH14-0AB0',
+            firmwareVersion: 'V3.2.8',
+            plcName: 'S7 Simulator',
+            moduleName: 'CPU 315-2 PN/DP',
+            plantID: '',
+            copyright: 'Original Siemens Equipment',
+            serialNumber: 'S SIM-00000001',
+            partType: 'CPU 315-2 PN/DP',
+            ...this.config.identification
+        };
+
+        this.server = null;
+        this.sessions = new Map();
+        this.memory = {
+            DB: new Map(),
+            [proto.area.FLAGS]: null,
+            [proto.area.INPUTS]: null,
+            [proto.area.OUTPUTS]: null
+        };
+        this.generators = new Map();
+        this.faults = {
+            responseDelay: 0,
+            pduError: null,
+            itemError: null,
+            dropAfter: null,
+            rejectConnections: false
+        };
+        this.cpuState = this.config.cpuState;
+        this.diagnosticBuffer = [];     // raw 20 byte entries, newest first
+        this.clockOffset = 0;
+        this.isRunning = false;
+        this.stats = {
+            connections: 0,
+            requests: 0,
+            reads: 0,
+            writes: 0,
+            faultsInjected: 0
+        };
+
+        this._sessionCounter = 0;
+        this._generatorTimer = null;
+        this._startTime = null;
+
+        this.blocks = new Map();        // 'OB1' -> program block
+
+        this.setMaxListeners(0);
+        this.initMemory();
+        (this.config.blocks || []).forEach(block => this.addBlock(block.type, block.number, block));
+    }
+
+    /**
+     * Allocates the configured memory areas
+     */
+    initMemory() {
+        const areas = this.config.areas || {};
+
+        this.memory[proto.area.FLAGS] = Buffer.alloc(Number(areas.M) || 0);
+        this.memory[proto.area.INPUTS] = Buffer.alloc(Number(areas.I) || 0);
+        this.memory[proto.area.OUTPUTS] = Buffer.alloc(Number(areas.Q) || 0);
+
+        this.memory.DB.clear();
+        this.blocks.forEach((block, key) => {
+            if (block.type === 'DB') this.blocks.delete(key);
+        });
+        Object.keys(areas.DB || {}).forEach(dbNumber => {
+            this.addDataBlock(parseInt(dbNumber), areas.DB[dbNumber]);
+        });
+    }
+
+    /**
+     * Gets the TSAP the simulator answers to
+     */
+    getLocalTSAP() {
+        if (this.config.connmode === 'tsap') {
+            if (!validateTSAP(this.config.localtsaphi) || !validateTSAP(this.config.localtsaplo)) {
+                throw new Error('Invalid TSAP configuration');
+            }
+            return (parseInt(this.config.localtsaphi, 16) << 8) + parseInt(this.config.localtsaplo, 16);
+        }
+
+        if (this.config.connmode !== 'rack-slot') {
+            throw new Error(`Invalid connection mode: ${this.config.connmode}`);
+        }
+
+        return 0x0100 | (Number(this.config.rack) << 5) | Number(this.config.slot);
+    }
+
+    /**
+     * Starts listening for S7 connections
+     */
+    start() {
+        if (this.isRunning) {
+            return Promise.resolve(this.getAddress());
+        }
+
+        const localTSAP = this.getLocalTSAP();
+
+        return new Promise((resolve, reject) => {
+            this.server = net.createServer(socket => this.onConnection(socket));
+
+            const onStartError = (error) => {
+                this.server = null;
+                reject(error);
+            };
+
+            this.server.once('error', onStartError);
+            this.server.listen(Number(this.config.port), this.config.host, () => {
+                this.server.removeListener('error', onStartError);
+                this.server.on('error', (error) => this.emit('error', error));
+
+                this.isRunning = true;
+                this._startTime = Date.now();
+                this.startGenerators();
+
+                const address = this.getAddress();
+                console.log(`🧪 S7 PLC simulator listening on ${address.host}:${address.port} (TSAP 0x${localTSAP.toString(16).padStart(4, '0')})`);
+                this.emit('listening', address);
+                resolve(address);
+            });
+        });
+    }
+
+    /**
+     * Stops the server and drops every client connection
+     */
+    async stop() {
+        this.stopGenerators();
+
+        if (!this.server) return;
+
+        this.dropConnections();
+
+        await new Promise(resolve => this.server.close(() => resolve()));
+        this.server = null;
+        this.isRunning = false;
+
+        console.log('🧪 S7 PLC simulator stopped');
+        this.emit('stopped');
+    }
+
+    /**
+     * Gets the address the server is bound to
+     */
+    getAddress() {
+        const address = this.server && this.server.address();
+        return {
+            host: this.config.host,
+            port: address ? address.port : Number(this.config.port)
+        };
+    }
+
+    /**
+     * Creates a client configuration that points to this simulator
+     */
+    getClientConfig(overrides = {}) {
+        const address = this.getAddress();
+        const clientConfig = {
+            transport: 'iso-on-tcp',
+            address: address.host,
+            port: address.port,
+            connmode: this.config.connmode
+        };
+
+        if (this.config.connmode === 'tsap') {
+            clientConfig.remotetsaphi = this.config.localtsaphi;
+            clientConfig.remotetsaplo = this.config.localtsaplo;
+        } else {
+            clientConfig.rack = this.config.rack;
+            clientConfig.slot = this.config.slot;
+        }
+
+        return { ...clientConfig, ...overrides };
+    }
+
+    // ---------------------------------------------------------------
+    // Connection handling (TPKT / COTP)
+    // ---------------------------------------------------------------
+
+    onConnection(socket) {
+        if (this.faults.rejectConnections) {
+            socket.destroy();
+            return;
+        }
+
+        const session = {
+            id: ++this._sessionCounter,
+            socket: socket,
+            remoteAddress: socket.remoteAddress,
+            inBuffer: Buffer.alloc(0),
+            dtBuffers: [],
+            isoConnected: false,
+            s7Connected: false,
+            tpduSize: this.config.tpduSize,
+            pduSize: this.config.pduSize,
+            sourceRef: Math.floor(Math.random() * 0xffff),
+            destRef: 0,
+            uploads: new Map(),
+            uploadCounter: 0,
+            parser: new nodes7.S7Parser(),
+            serializer: new nodes7.S7Serializer()
+        };
+
+        session.parser.on('data', (message) => this.handleMessage(session, message));
+        session.parser.on('error', (error) => this.onSessionError(session, error));
+        session.serializer.on('data', (payload) => this.sendDT(session, payload));
+        session.serializer.on('error', (error) => this.onSessionError(session, error));
+
+        socket.on('data', (chunk) => this.onSocketData(session, chunk));
+        socket.on('error', (error) => this.onSessionError(session, error));
+        socket.on('close', () => this.onSocketClose(session));
+
+        this.sessions.set(session.id, session);
+        this.stats.connections++;
+    }
+
+    onSocketData(session, chunk) {
+        session.inBuffer = Buffer.concat([session.inBuffer, chunk]);
+
+        while (session.inBuffer.length >= 4) {
+            if (session.inBuffer.readUInt8(0) !== 3) {
+                this.onSessionError(session, new Error('Invalid TPKT version'));
+                return;
+            }
+
+            const length = session.inBuffer.readUInt16BE(2);
+            if (session.inBuffer.length < length) return;
+
+            const frame = session.inBuffer.slice(0, length);
+            session.inBuffer = session.inBuffer.slice(length);
+            this.handleTPDU(session, frame);
+        }
+    }
+
+    handleTPDU(session, frame) {
+        const headerLength = frame.readUInt8(4);
+        const type = frame.readUInt8(5) >> 4;
+        const payloadStart = 5 + headerLength;
+
+        switch (type) {
+            case TPDU_CR:
+                this.handleConnectionRequest(session, frame, payloadStart);
+                break;
+            case TPDU_DT:
+                if (!session.isoConnected) {
+                    this.onSessionError(session, new Error('Data received before connection was established'));
+                    return;
+                }
+                session.dtBuffers.push(frame.slice(payloadStart));
+                if (frame.readUInt8(6) & 0x80) {
+                    const payload = Buffer.concat(session.dtBuffers);
+                    session.dtBuffers = [];
+                    session.parser.write(payload);
+                }
+                break;
+            case TPDU_DR:
+                session.socket.end();
+                break;
+            default:
+                this.onSessionError(session, new Error(`Unsupported TPDU type [${type}]`));
+        }
+    }
+
+    handleConnectionRequest(session, frame, payloadStart) {
+        const request = {
+            sourceRef: frame.readUInt16BE(8),
+            tpduSizeCode: null,
+            srcTSAP: null,
+            dstTSAP: null
+        };
+
+        let ptr = 11;
+        while (ptr + 2 <= payloadStart) {
+            const code = frame.readUInt8(ptr);
+            const length = frame.readUInt8(ptr + 1);
+            const value = frame.slice(ptr + 2, ptr + 2 + length);
+            switch (code) {
+                case PARAM_TPDU_SIZE:
+                    request.tpduSizeCode = value.readUInt8(0);
+                    break;
+                case PARAM_SRC_TSAP:
+                    request.srcTSAP = value.readUInt16BE(0);
+                    break;
+                case PARAM_DST_TSAP:
+                    request.dstTSAP = value.readUInt16BE(0);
+                    break;
+            }
+            ptr += 2 + length;
+        }
+
+        session.destRef = request.sourceRef;
+
+        const localTSAP = this.getLocalTSAP();
+        if (request.dstTSAP !== localTSAP) {
+            console.warn(`🧪 Simulator rejected connection to TSAP 0x${(request.dstTSAP || 0).toString(16)}, expected 0x${localTSAP.toString(16)}`);
+            this.sendDR(session, DR_REASON_NOT_ATTACHED);
+            session.socket.end();
+            return;
+        }
+
+        const ownSizeCode = Math.round(Math.log2(this.config.tpduSize));
+        const sizeCode = request.tpduSizeCode ? Math.min(request.tpduSizeCode, ownSizeCode) : ownSizeCode;
+        session.tpduSize = 1 << sizeCode;
+
+        const cc = Buffer.alloc(22);
+        cc.writeUInt8(3, 0);
+        cc.writeUInt16BE(cc.length, 2);
+        cc.writeUInt8(17, 4);
+        cc.writeUInt8(TPDU_CC << 4, 5);
+        cc.writeUInt16BE(session.destRef, 6);
+        cc.writeUInt16BE(session.sourceRef, 8);
+        cc.writeUInt8(0, 10);
+        cc.writeUInt8(PARAM_TPDU_SIZE, 11);
+        cc.writeUInt8(1, 12);
+        cc.writeUInt8(sizeCode, 13);
+        cc.writeUInt8(PARAM_SRC_TSAP, 14);
+        cc.writeUInt8(2, 15);
+        cc.writeUInt16BE(request.srcTSAP || 0, 16);
+        cc.writeUInt8(PARAM_DST_TSAP, 18);
+        cc.writeUInt8(2, 19);
+        cc.writeUInt16BE(localTSAP, 20);
+
+        session.isoConnected = true;
+        session.socket.write(cc);
+    }
+
+    sendDT(session, payload) {
+        if (session.socket.destroyed) return;
+
+        const maxPayload = session.tpduSize - 7;
+        for (let offset = 0; offset < payload.length || offset === 0; offset += maxPayload) {
+            const part = payload.slice(offset, offset + maxPayload);
+            const isLast = offset + maxPayload >= payload.length;
+            const frame = Buffer.alloc(7 + part.length);
+            frame.writeUInt8(3, 0);
+            frame.writeUInt16BE(frame.length, 2);
+            frame.writeUInt8(2, 4);
+            frame.writeUInt8(TPDU_DT << 4, 5);
+            frame.writeUInt8(isLast ? 0x80 : 0x00, 6);
+            part.copy(frame, 7);
+            session.socket.write(frame);
+            if (isLast) break;
+        }
+    }
+
+    sendDR(session, reason) {
+        const dr = Buffer.alloc(11);
+        dr.writeUInt8(3, 0);
+        dr.writeUInt16BE(dr.length, 2);
+        dr.writeUInt8(6, 4);
+        dr.writeUInt8(TPDU_DR << 4, 5);
+        dr.writeUInt16BE(session.destRef, 6);
+        dr.writeUInt16BE(session.sourceRef, 8);
+        dr.writeUInt8(reason, 10);
+        session.socket.write(dr);
+    }
+
+    onSessionError(session, error) {
+        console.error(`🧪 Simulator session ${session.id} error:`, error.message);
+        session.socket.destroy();
+    }
+
+    onSocketClose(session) {
+        if (!this.sessions.has(session.id)) return;
+
+        this.sessions.delete(session.id);
+        session.parser.removeAllListeners('data');
+        session.serializer.removeAllListeners('data');
+
+        if (session.s7Connected) {
+            this.emit('client_disconnected', { id: session.id, remoteAddress: session.remoteAddress });
+        }
+    }
+
+    /**
+     * Forcibly closes every client connection
+     */
+    dropConnections() {
+        for (const session of this.sessions.values()) {
+            session.socket.destroy();
+        }
+    }
+
+    // ---------------------------------------------------------------
+    // S7comm handling
+    // ---------------------------------------------------------------
+
+    handleMessage(session, message) {
+        const header = message.header;
+        const isSetup = message.param && message.param.function === proto.function.COMM_SETUP;
+
+        if (!isSetup) {
+            this.stats.requests++;
+
+            if (this.faults.dropAfter !== null && --this.faults.dropAfter <= 0) {
+                this.faults.dropAfter = null;
+                this.stats.faultsInjected++;
+                this.emit('fault', { type: 'drop', sessionId: session.id });
+                session.socket.destroy();
+                return;
+            }
+        }
+
+        let response;
+        if (!isSetup && this.faults.pduError) {
+            response = this.createPduErrorResponse(header);
+        } else if (header.type === proto.type.REQUEST) {
+            response = this.handleRequest(session, message);
+        } else if (header.type === proto.type.USERDATA) {
+            response = this.handleUserData(message);
+        } else {
+            this.onSessionError(session, new Error(`Unexpected S7 telegram type [${header.type}]`));
+            return;
+        }
+
+        if (!response) return;
+
+        const send = () => {
+            if (!session.socket.destroyed) {
+                session.serializer.write(response);
+            }
+        };
+
+        if (!isSetup && this.faults.responseDelay > 0) {
+            setTimeout(send, this.faults.responseDelay);
+        } else {
+            send();
+        }
+    }
+
+    createPduErrorResponse(header) {
+        const fault = this.faults.pduError;
+        this.stats.faultsInjected++;
+        if (--fault.count <= 0) {
+            this.faults.pduError = null;
+        }
+
+        this.emit('fault', { type: 'pdu_error', errorClass: fault.errorClass, errorCode: fault.errorCode });
+
+        return {
+            header: {
+                type: proto.type.RESPONSE,
+                rid: header.rid,
+                pduReference: header.pduReference,
+                errorClass: fault.errorClass,
+                errorCode: fault.errorCode
+            }
+        };
+    }
+
+    handleRequest(session, message) {
+        const header = {
+            type: proto.type.RESPONSE,
+            rid: message.header.rid,
+            pduReference: message.header.pduReference
+        };
+
+        switch (message.param.function) {
+            case proto.function.COMM_SETUP:
+                return this.handleSetupCommunication(session, message, header);
+            case proto.function.READ_VAR:
+                return this.handleReadVar(message, header);
+            case proto.function.WRITE_VAR:
+                return this.handleWriteVar(message, header);
+            case proto.function.UPLOAD_START:
+            case proto.function.UPLOAD_BLOCK:
+            case proto.function.UPLOAD_END:
+                return this.handleUpload(session, message, header);
+            default:
+                return {
+                    header: { ...header, errorClass: 0x81, errorCode: 0x04 }
+                };
+        }
+    }
+
+    handleSetupCommunication(session, message, header) {
+        const param = message.param;
+
+        session.pduSize = Math.min(param.pduLength, this.config.pduSize);
+        session.s7Connected = true;
+
+        this.emit('client_connected', {
+            id: session.id,
+            remoteAddress: session.remoteAddress,
+            pduSize: session.pduSize
+        });
+
+        return {
+            header: header,
+            param: {
+                function: proto.function.COMM_SETUP,
+                maxJobsCalling: Math.min(param.maxJobsCalling, this.config.maxJobs),
+                maxJobsCalled: Math.min(param.maxJobsCalled, this.config.maxJobs),
+                pduLength: session.pduSize
+            }
+        };
+    }
+
+    /**
+     * Handles the upload sequence of a block: start, one or more block transfers, end
+     */
+    handleUpload(session, message, header) {
+        const param = message.param;
+
+        if (param.function === proto.function.UPLOAD_START) {
+            const file = this.parseBlockFilename(param.filename);
+            const block = file && this.getBlock(file.subtype, file.number);
+            if (!block) {
+                return { header: { ...header, errorClass: 0xd2, errorCode: 0x09 } };
+            }
+
+            const uploadID = ++session.uploadCounter;
+            const image = this.buildBlockImage(block);
+            session.uploads.set(uploadID, { image, offset: 0 });
+
+            this.emit('upload', { type: block.type, number: block.number, length: image.length });
+
+            return {
+                header: header,
+                param: {
+                    function: proto.function.UPLOAD_START,
+                    status: 0,
+                    uploadID: uploadID,
+                    blockLength: String(image.length).padStart(7, '0')
+                }
+            };
+        }
+
+        const upload = session.uploads.get(param.uploadID);
+
+        if (param.function === proto.function.UPLOAD_END) {
+            session.uploads.delete(param.uploadID);
+            return { header: header, param: { function: proto.function.UPLOAD_END } };
+        }
+
+        if (!upload) {
+            return { header: { ...header, errorClass: 0xd2, errorCode: 0x04 } };
+        }
+
+        const chunkSize = Math.max(1, session.pduSize - 32);
+        const chunk = upload.image.subarray(upload.offset, upload.offset + chunkSize);
+        upload.offset += chunk.length;
+
+        return {
+            header: header,
+            param: {
+                function: proto.function.UPLOAD_BLOCK,
+                status: upload.offset < upload.image.length ? 0x01 : 0x00
+            },
+            data: { payload: chunk }
+        };
+    }
+
+    handleReadVar(message, header) {
+        const items = message.param.items.map(item => this.readItem(item));
+
+        this.stats.reads++;
+        this.emit('read', { items: message.param.items.length });
+
+        return {
+            header: header,
+            param: { function: proto.function.READ_VAR, itemCount: items.length },
+            data: { items: items }
+        };
+    }
+
+    readItem(item) {
+        const returnCode = this.getItemFault();
+        if (returnCode !== null) {
+            return { returnCode, transportSize: proto.dataTransport.NULL, data: Buffer.alloc(0) };
+        }
+
+        const location = this.resolveItem(item);
+        if (location.error) {
+            return { returnCode: location.error, transportSize: proto.dataTransport.NULL, data: Buffer.alloc(0) };
+        }
+
+        if (item.transport === proto.transport.BIT) {
+            const bit = (location.buffer.readUInt8(location.offset) >> location.bit) & 0x01;
+            return {
+                returnCode: proto.retval.DATA_OK,
+                transportSize: proto.dataTransport.BBIT,
+                data: Buffer.from([bit])
+            };
+        }
+
+        return {
+            returnCode: proto.retval.DATA_OK,
+            transportSize: proto.dataTransport.BBYTE,
+            data: Buffer.from(location.buffer.slice(location.offset, location.offset + location.length))
+        };
+    }
+
+    handleWriteVar(message, header) {
+        const items = message.param.items.map((item, i) => {
+            const returnCode = this.getItemFault();
+            if (returnCode !== null) {
+                return { returnCode };
+            }
+            return { returnCode: this.writeItem(item, message.data.items[i]) };
+        });
+
+        this.stats.writes++;
+
+        return {
+            header: header,
+            param: { function: proto.function.WRITE_VAR, itemCount: items.length },
+            data: { items: items }
+        };
+    }
+
+    writeItem(item, dataItem) {
+        const location = this.resolveItem(item);
+        if (location.error) return location.error;
+
+        if (!dataItem || !dataItem.data) return proto.retval.DATA_SIZEMISMATCH;
+
+        if (item.transport === proto.transport.BIT) {
+            if (!this.config.bitWrites) return proto.retval.DATA_NOT_SUP;
+
+            let byte = location.buffer.readUInt8(location.offset);
+            if (dataItem.data.readUInt8(0) & 0x01) {
+                byte |= (1 << location.bit);
+            } else {
+                byte &= ~(1 << location.bit);
+            }
+            location.buffer.writeUInt8(byte & 0xff, location.offset);
+        } else {
+            if (dataItem.data.length !== location.length) return proto.retval.DATA_SIZEMISMATCH;
+            dataItem.data.copy(location.buffer, location.offset);
+        }
+
+        this.emit('write', {
+            area: AREA_NAMES[item.area],
+            db: item.area === proto.area.DB ? item.db : undefined,
+            address: location.offset,
+            bit: item.transport === proto.transport.BIT ? location.bit : undefined,
+            data: Buffer.from(dataItem.data)
+        });
+
+        return proto.retval.DATA_OK;
+    }
+
+    /**
+     * Maps a request item to a slice of simulator memory
+     */
+    resolveItem(item) {
+        const elementSize = TRANSPORT_ELEMENT_SIZE[item.transport];
+        if (!elementSize) return { error: proto.retval.DATA_NOT_SUP };
+
+        const buffer = this.getAreaBuffer(item.area, item.db);
+        if (!buffer) {
+            return { error: item.area === proto.area.DB ? proto.retval.DATA_ERR : proto.retval.DATA_NOT_SUP };
+        }
+
+        const offset = item.address >> 3;
+        const bit = item.address & 0x07;
+        const length = item.transport === proto.transport.BIT ? 1 : item.length * elementSize;
+
+        if (offset + length > buffer.length) return { error: proto.retval.DATA_OUTOFRANGE };
+
+        return { buffer, offset, bit, length };
+    }
+
+    getItemFault() {
+        const fault = this.faults.itemError;
+        if (!fault) return null;
+
+        this.stats.faultsInjected++;
+        if (--fault.count <= 0) {
+            this.faults.itemError = null;
+        }
+
+        this.emit('fault', { type: 'item_error', returnCode: fault.returnCode });
+        return fault.returnCode;
+    }
+
+    handleUserData(message) {
+        const param = message.param;
+        const response = {
+            header: {
+                type: proto.type.USERDATA,
+                rid: message.header.rid,
+                pduReference: message.header.pduReference
+            },
+            param: {
+                method: proto.userData.method.RESPONSE,
+                type: proto.userData.type.RESPONSE,
+                function: param.function,
+                subfunction: param.subfunction,
+                sequenceNumber: 0,
+                dataUnitReference: 0,
+                hasMoreData: false,
+                errorCode: 0
+            },
+            data: {
+                returnCode: proto.retval.DATA_OK,
+                transportSize: proto.dataTransport.BSTR,
+                payload: Buffer.alloc(0)
+            }
+        };
+
+        let result = null;
+        const payload = message.data && message.data.payload;
+
+        if (param.function === proto.userData.function.CPU_FUNC &&
+            param.subfunction === proto.userData.subfunction.CPU_FUNC.READSZL && payload && payload.length >= 4) {
+            result = this.buildSZL(payload.readUInt16BE(0), payload.readUInt16BE(2));
+            if (!result) {
+                response.param.errorCode = USERDATA_ERR_SZL_NOT_AVAILABLE;
+            }
+        } else if (param.function === proto.userData.function.BLOCK_FUNC &&
+            param.subfunction === proto.userData.subfunction.BLOCK_FUNC.TYPE && payload && payload.length >= 2) {
+            const subtype = parseInt(payload.toString('ascii', 0, 2), 16);
+            const blocks = Array.from(this.blocks.values())
+                .filter(block => proto.block.subtype[block.type] === subtype)
+                .sort((a, b) => a.number - b.number);
+
+            result = Buffer.alloc(blocks.length * 4);
+            blocks.forEach((block, i) => {
+                result.writeUInt16BE(block.number, i * 4);
+                result.writeUInt8(0x22, i * 4 + 2);
+                result.writeUInt8(proto.block.language[block.language] || 0, i * 4 + 3);
+            });
+        } else if (param.function === proto.userData.function.BLOCK_FUNC &&
+            param.subfunction === proto.userData.subfunction.BLOCK_FUNC.BLOCKINFO && payload && payload.length >= 8) {
+            const file = this.parseBlockFilename(payload.toString('ascii', 0, 8));
+            const block = file && this.getBlock(file.subtype, file.number);
+            if (block) {
+                result = this.buildBlockInfo(block);
+            } else {
+                response.param.errorCode = USERDATA_ERR_BLOCK_NOT_FOUND;
+            }
+        } else if (param.function === proto.userData.function.TIME &&
+            param.subfunction === proto.userData.subfunction.TIME.READ) {
+            result = this.encodeTime(this.getClock());
+        } else if (param.function === proto.userData.function.TIME &&
+            param.subfunction === proto.userData.subfunction.TIME.SET && payload && payload.length >= 10) {
+            this.setClock(this.decodeTime(payload));
+            result = Buffer.alloc(0);
+        } else {
+            response.param.errorCode = USERDATA_ERR_NOT_AVAILABLE;
+        }
+
+        if (result) {
+            response.data.payload = result;
+        } else {
+            response.data.returnCode = proto.retval.DATA_ERR;
+            response.data.transportSize = proto.dataTransport.NULL;
+        }
+
+        return response;
+    }
+
+    /**
+     * Builds the payload of a system status list (SZL) response
+     */
+    buildSZL(id, index) {
+        let entries;
+
+        switch (id) {
+            case 0x0000:
+                entries = [0x0000, 0x0011, 0x001c, 0x00a0, 0x0424].map(szlId => {
+                    const entry = Buffer.alloc(2);
+                    entry.writeUInt16BE(szlId, 0);
+                    return entry;
+                });
+                break;
+            case 0x0011:
+                entries = [
+                    this.createModuleEntry(0x0001, this.identification.moduleOrderNumber),
+                    this.createModuleEntry(0x0006, this.identification.hardwareOrderNumber),
+                    this.createModuleEntry(0x0007, '', this.identification.firmwareVersion)
+                ];
+                break;
+            case 0x001c:
+                entries = [
+                    [0x0001, this.identification.plcName],
+                    [0x0002, this.identification.moduleName],
+                    [0x0003, this.identification.plantID],
+                    [0x0004, this.identification.copyright],
+                    [0x0005, this.identification.serialNumber],
+                    [0x0007, this.identification.partType]
+                ].map(([entryIndex, text]) => {
+                    const entry = Buffer.alloc(34);
+                    entry.writeUInt16BE(entryIndex, 0);
+                    writePaddedString(entry, text, 2, 32, 0x00);
+                    return entry;
+                });
+                break;
+            case 0x00a0:
+                entries = this.diagnosticBuffer.slice();
+                break;
+            case 0x01a0:
+                // Index holds the number of most recent entries requested
+                entries = this.diagnosticBuffer.slice(0, index);
+                break;
+            case 0x0424: {
+                const entry = Buffer.alloc(20);
+                entry.writeUInt16BE(0x4303, 0);
+                entry.writeUInt8(0xff, 2);
+                entry.writeUInt8(CPU_STATE_CODES[this.cpuState] || 0x00, 3);
+                this.encodeTime(this.getClock()).copy(entry, 12, 2);
+                entries = [entry];
+                break;
+            }
+            default:
+                return null;
+        }
+
+        const entryLength = entries.length ? entries[0].length : (id & 0xff) === 0xa0 ? 20 : 0;
+        const header = Buffer.alloc(8);
+        header.writeUInt16BE(id, 0);
+        header.writeUInt16BE(index, 2);
+        header.writeUInt16BE(entryLength, 4);
+        header.writeUInt16BE(entries.length, 6);
+
+        return Buffer.concat([header, ...entries]);
+    }
+
+    createModuleEntry(entryIndex, orderNumber, version) {
+        const entry = Buffer.alloc(28);
+        entry.writeUInt16BE(entryIndex, 0);
+        writePaddedString(entry, orderNumber, 2, 20);
+
+        const match = /^V?(\d+)\.(\d+)(?:\.(\d+))?/i.exec(version || '');
+        if (match) {
+            entry.write('V', 24, 'ascii');
+            entry.writeUInt8(parseInt(match[1]), 25);
+            entry.writeUInt8(parseInt(match[2]), 26);
+            entry.writeUInt8(parseInt(match[3] || '0'), 27);
+        }
+        return entry;
+    }
+
+    encodeTime(date) {
+        const buf = Buffer.alloc(10);
+        const ms = date.getMilliseconds();
+        buf.writeUInt8(0, 0);
+        buf.writeUInt8(toBCD(Math.floor(date.getFullYear() / 100)), 1);
+        buf.writeUInt8(toBCD(date.getFullYear() % 100), 2);
+        buf.writeUInt8(toBCD(date.getMonth() + 1), 3);
+        buf.writeUInt8(toBCD(date.getDate()), 4);
+        buf.writeUInt8(toBCD(date.getHours()), 5);
+        buf.writeUInt8(toBCD(date.getMinutes()), 6);
+        buf.writeUInt8(toBCD(date.getSeconds()), 7);
+        buf.writeUInt8(toBCD(Math.floor(ms / 10)), 8);
+        buf.writeUInt8(((ms % 10) << 4) | (date.getDay() + 1), 9);
+        return buf;
+    }
+
+    decodeTime(buf) {
+        const year = fromBCD(buf.readUInt8(2));
+        return new Date(
+            year + (year > 89 ? 1900 : 2000),
+            fromBCD(buf.readUInt8(3)) - 1,
+            fromBCD(buf.readUInt8(4)),
+            fromBCD(buf.readUInt8(5)),
+            fromBCD(buf.readUInt8(6)),
+            fromBCD(buf.readUInt8(7)) % 60,
+            fromBCD(buf.readUInt8(8)) * 10
+        );
+    }
+
+    /**
+     * Gets the simulated CPU clock
+     */
+    getClock() {
+        return new Date(Date.now() + this.clockOffset);
+    }
+
+    /**
+     * Sets the simulated CPU clock, keeping it running from the given time
+     */
+    setClock(date) {
+        this.clockOffset = date.getTime() - Date.now();
+        this.emit('clock_set', { time: date, offset: this.clockOffset });
+    }
+
+    /**
+     * Changes the reported CPU operating state (RUN, STOP or STARTUP)
+     */
+    setCpuState(state) {
+        const normalized = String(state).toUpperCase();
+        if (!(normalized in CPU_STATE_CODES)) {
+            throw new Error(`Invalid CPU state: ${state}`);
+        }
+
+        const previousState = this.cpuState;
+        this.cpuState = normalized;
+        if (previousState !== normalized) {
+            this.addDiagnosticEvent(CPU_STATE_EVENTS[normalized]);
+            this.emit('cpu_state_changed', { previousState, state: normalized });
+        }
+    }
+
+    /**
+     * Adds an entry to the diagnostic buffer (SZL 0x00A0), e.g. 0x4562 for a STOP caused by a programming error
+     */
+    addDiagnosticEvent(eventId, options = {}) {
+        const entry = Buffer.alloc(20);
+        entry.writeUInt16BE(eventId, 0);
+        entry.writeUInt8(options.priorityClass || 0xff, 2);
+        entry.writeUInt8(options.obNumber || 0, 3);
+        entry.writeUInt16BE(options.datId || 0, 4);
+        entry.writeUInt16BE(options.info1 || 0, 6);
+        entry.writeUInt32BE(options.info2 || 0, 8);
+        this.encodeTime(options.time || this.getClock()).copy(entry, 12, 2);
+
+        this.diagnosticBuffer.unshift(entry);
+        this.diagnosticBuffer.length = Math.min(this.diagnosticBuffer.length, this.config.diagnosticBufferSize);
+        this.emit('diagnostic_event', { eventId, ...options });
+    }
+
+    clearDiagnosticBuffer() {
+        this.diagnosticBuffer = [];
+    }
+
+    // ---------------------------------------------------------------
+    // Memory access
+    // ---------------------------------------------------------------
+
+    /**
+     * Adds (or replaces) a data block with the given size in bytes
+     */
+    addDataBlock(dbNumber, size) {
+        if (isNaN(dbNumber) || dbNumber < 1) {
+            throw new Error(`Invalid DB number: ${dbNumber}`);
+        }
+        const buffer = Buffer.alloc(Number(size) || 0);
+        this.memory.DB.set(dbNumber, buffer);
+
+        // The block of a DB holds its actual values, only its structure is part of the program
+        const now = new Date();
+        this.blocks.set(`DB${dbNumber}`, {
+            type: 'DB',
+            number: dbNumber,
+            language: 'DB',
+            name: `DB${dbNumber}`,
+            family: '',
+            author: 'SIM',
+            version: 0x01,
+            codeDate: now,
+            interfaceDate: now
+        });
+        return buffer;
+    }
+
+    // ---------------------------------------------------------------
+    // Program blocks
+    // ---------------------------------------------------------------
+
+    /**
+     * Adds (or replaces) a program block (OB, FC, FB, SFC, SFB or SDB).
+     * Replacing a block with different code simulates a program download
+     */
+    addBlock(type, number, options = {}) {
+        const blockType = String(type).toUpperCase();
+        if (!(blockType in proto.block.subtype) || blockType === 'DB') {
+            throw new Error(`Invalid block type: ${type} (DBs are created with addDataBlock)`);
+        }
+        if (!Number.isInteger(number) || number < 0 || number > 0xffff) {
+            throw new Error(`Invalid block number: ${number}`);
+        }
+
+        const name = options.name || `${blockType}${number}`;
+        const code = Buffer.isBuffer(options.code)
+            ? options.code
+            : Buffer.from(options.code !== undefined ? String(options.code) : `${blockType}${number} ${name}`, 'ascii');
+        const now = options.date || new Date();
+
+        this.blocks.set(`${blockType}${number}`, {
+            type: blockType,
+            number,
+            language: options.language || 'AWL',
+            name,
+            family: options.family || '',
+            author: options.author || 'SIM',
+            version: options.version || 0x01,
+            code,
+            codeDate: now,
+            interfaceDate: options.interfaceDate || now
+        });
+
+        this.emit('block_changed', { type: blockType, number });
+    }
+
+    removeBlock(type, number) {
+        const key = `${String(type).toUpperCase()}${number}`;
+        const removed = this.blocks.delete(key);
+        if (removed) {
+            this.emit('block_changed', { type: String(type).toUpperCase(), number, removed: true });
+        }
+        return removed;
+    }
+
+    getBlock(subtype, number) {
+        const type = Object.keys(proto.block.subtype).find(key => proto.block.subtype[key] === subtype);
+        return type ? this.blocks.get(`${type}${number}`) || null : null;
+    }
+
+    getBlockCode(block) {
+        return block.type === 'DB' ? (this.memory.DB.get(block.number) || Buffer.alloc(0)) : block.code;
+    }
+
+    getBlockChecksum(block) {
+        // DB checksums only cover the structure, not the actual values
+        return block.type === 'DB'
+            ? checksum16(Buffer.from(`DB${block.number}:${this.getBlockCode(block).length}`))
+            : checksum16(block.code);
+    }
+
+    /**
+     * Builds the complete block as returned by an upload (header, MC7 code, footer)
+     */
+    buildBlockImage(block) {
+        const code = this.getBlockCode(block);
+        const image = Buffer.alloc(BLOCK_HEADER_LENGTH + code.length + BLOCK_FOOTER_LENGTH);
+
+        image.writeUInt16BE(0x7070, 0);
+        image.writeUInt8(0x01, 2);
+        image.writeUInt8(0x01, 3);
+        image.writeUInt8(proto.block.language[block.language] || 0, 4);
+        image.writeUInt8(proto.block.subtype[block.type], 5);
+        image.writeUInt16BE(block.number, 6);
+        image.writeUInt32BE(image.length, 8);
+        writeBlockTimestamp(image, block.codeDate, 16);
+        writeBlockTimestamp(image, block.interfaceDate, 22);
+        image.writeUInt16BE(code.length, 34);
+        code.copy(image, BLOCK_HEADER_LENGTH);
+
+        const footer = BLOCK_HEADER_LENGTH + code.length;
+        writePaddedString(image, block.author, footer, 8, 0x00);
+        writePaddedString(image, block.family, footer + 8, 8, 0x00);
+        writePaddedString(image, block.name, footer + 16, 8, 0x00);
+        image.writeUInt8(block.version, footer + 24);
+        image.writeUInt16BE(this.getBlockChecksum(block), footer + 26);
+
+        return image;
+    }
+
+    /**
+     * Builds the response of a block info request
+     */
+    buildBlockInfo(block) {
+        const code = this.getBlockCode(block);
+        const info = Buffer.alloc(78);
+
+        info.writeUInt8(0x01, 0);
+        info.writeUInt8(0x00, 1);
+        info.writeUInt16BE(info.length - 4, 2);
+        info.writeUInt16BE(0x7070, 6);
+        info.writeUInt8(0x01, 9);
+        info.writeUInt8(proto.block.language[block.language] || 0, 10);
+        info.writeUInt8(proto.block.subtype[block.type], 11);
+        info.writeUInt16BE(block.number, 12);
+        info.writeUInt32BE(BLOCK_HEADER_LENGTH + code.length + BLOCK_FOOTER_LENGTH, 14);
+        writeBlockTimestamp(info, block.codeDate, 22);
+        writeBlockTimestamp(info, block.interfaceDate, 28);
+        info.writeUInt16BE(code.length, 40);
+        writePaddedString(info, block.author, 42, 8, 0x00);
+        writePaddedString(info, block.family, 50, 8, 0x00);
+        writePaddedString(info, block.name, 58, 8, 0x00);
+        info.writeUInt8(block.version, 66);
+        info.writeUInt16BE(this.getBlockChecksum(block), 68);
+
+        return info;
+    }
+
+    /**
+     * Parses a block filename ('_0800001A', '0800001A') into block subtype and number
+     */
+    parseBlockFilename(filename) {
+        const match = /^[_$]?([0-9A-F]{2})(\d{5})[APB]$/i.exec(filename || '');
+        return match ? { subtype: parseInt(match[1], 16), number: parseInt(match[2], 10) } : null;
+    }
+
+    /**
+     * Gets the backing buffer of a memory area
+     */
+    getAreaBuffer(area, db) {
+        if (area === proto.area.DB) {
+            return this.memory.DB.get(db) || null;
+        }
+        return this.memory[area] || null;
+    }
+
+    /**
+     * Sets a value using a nodes7 style address (e.g. 'DB1,REAL4', 'M0.1', 'IW2')
+     */
+    setValue(address, value) {
+        const item = new nodes7.S7Item(address, address);
+        const buffer = this.getAreaBuffer(item.areaCode, item.dbNumber);
+
+        if (!buffer || item.offset + item.byteLength > buffer.length) {
+            throw new Error(`Address ${address} is outside the simulated memory`);
+        }
+
+        if (item.datatype === 'X') {
+            const values = Array.isArray(value) ? value : [value];
+            values.forEach((bitValue, i) => {
+                const bitIndex = item.bitOffset + i;
+                const byteOffset = item.offset + (bitIndex >> 3);
+                const mask = 1 << (bitIndex & 0x07);
+                const byte = buffer.readUInt8(byteOffset);
+                buffer.writeUInt8(bitValue ? (byte | mask) : (byte & ~mask), byteOffset);
+            });
+        } else {
+            item.getWriteBuffer(value).copy(buffer, item.offset);
+        }
+    }
+
+    /**
+     * Gets a value using a nodes7 style address
+     */
+    getValue(address) {
+        const item = new nodes7.S7Item(address, address);
+        const buffer = this.getAreaBuffer(item.areaCode, item.dbNumber);
+
+        if (!buffer || item.offset + item.byteLength > buffer.length) {
+            throw new Error(`Address ${address} is outside the simulated memory`);
+        }
+
+        item.readValueFromResponse({
+            returnCode: proto.retval.DATA_OK,
+            data: buffer.slice(item.offset, item.offset + item.byteLength)
+        }, { address: item.offset });
+        item.updateValueFromBuffer();
+
+        return item.value;
+    }
+
+    /**
+     * Sets several values at once from a { address: value } object
+     */
+    setValues(values) {
+        Object.keys(values).forEach(address => this.setValue(address, values[address]));
+    }
+
+    // ---------------------------------------------------------------
+    // Value generators
+    // ---------------------------------------------------------------
+
+    /**
+     * Adds a scripted value generator for an address.
+     * Types: sine, ramp, square, random, counter, toggle, constant, or a custom fn(elapsedMs, previousValue)
+     */
+    addGenerator(address, options = {}) {
+        const item = new nodes7.S7Item(address, address);
+
+        const generator = {
+            address: address,
+            type: typeof options === 'function' ? 'custom' : (options.type || 'sine'),
+            fn: typeof options === 'function' ? options : options.fn,
+            min: options.min !== undefined ? Number(options.min) : 0,
+            max: options.max !== undefined ? Number(options.max) : 100,
+            period: Number(options.period) || 10000,
+            step: options.step !== undefined ? Number(options.step) : 1,
+            value: options.value,
+            isBool: item.datatype === 'X',
+            isInteger: !['REAL', 'RREAL', 'X', 'CHAR', 'STRING'].includes(item.datatype),
+            previous: undefined
+        };
+
+        if (generator.type === 'custom' && typeof generator.fn !== 'function') {
+            throw new Error(`Generator for ${address} needs a function`);
+        }
+
+        this.generators.set(address, generator);
+        return generator;
+    }
+
+    removeGenerator(address) {
+        return this.generators.delete(address);
+    }
+
+    startGenerators() {
+        this.stopGenerators();
+        this._generatorTimer = setInterval(() => this.runGenerators(), this.config.generatorInterval);
+    }
+
+    stopGenerators() {
+        if (this._generatorTimer) {
+            clearInterval(this._generatorTimer);
+            this._generatorTimer = null;
+        }
+    }
+
+    runGenerators() {
+        const elapsed = Date.now() - (this._startTime || Date.now());
+
+        for (const generator of this.generators.values()) {
+            try {
+                let value = this.computeGeneratorValue(generator, elapsed);
+                if (generator.isBool) {
+                    value = !!value;
+                } else if (generator.isInteger && typeof value === 'number') {
+                    value = Math.round(value);
+                }
+                this.setValue(generator.address, value);
+                generator.previous = value;
+            } catch (error) {
+                console.error(`🧪 Generator for ${generator.address} failed:`, error.message);
+                this.generators.delete(generator.address);
+            }
+        }
+    }
+
+    computeGeneratorValue(generator, elapsed) {
+        const { min, max, period } = generator;
+        const phase = (elapsed % period) / period;
+
+        switch (generator.type) {
+            case 'sine':
+                return min + (max - min) * (0.5 + 0.5 * Math.sin(2 * Math.PI * phase));
+            case 'ramp':
+                return min + (max - min) * phase;
+            case 'square':
+                if (generator.isBool) return phase < 0.5;
+                return phase < 0.5 ? max : min;
+            case 'random':
+                return min + Math.random() * (max - min);
+            case 'counter': {
+                const next = generator.previous === undefined ? min : generator.previous + generator.step;
+                return next > max ? min : next;
+            }
+            case 'toggle':
+                return !generator.previous;
+            case 'constant':
+                return generator.value;
+            case 'custom':
+                return generator.fn(elapsed, generator.previous);
+            default:
+                throw new Error(`Unknown generator type: ${generator.type}`);
+        }
+    }
+
+    // ---------------------------------------------------------------
+    // Fault injection
+    // ---------------------------------------------------------------
+
+    /**
+     * Injects a fault:
+     *  - 'drop':       drops the connection when the nth next request arrives ({ afterRequests })
+     *  - 'delay':      delays every response ({ ms })
+     *  - 'pdu_error':  answers requests with an S7 header error ({ errorClass, errorCode, count })
+     *  - 'item_error': answers read/write items with a return code ({ returnCode, count })
+     *  - 'reject':     refuses new TCP connections
+     */
+    injectFault(type, options = {}) {
+        switch (type) {
+            case 'drop': {
+                const afterRequests = parseInt(options.afterRequests) || 0;
+                if (afterRequests > 0) {
+                    this.faults.dropAfter = afterRequests;
+                } else {
+                    this.stats.faultsInjected++;
+                    this.dropConnections();
+                }
+                break;
+            }
+            case 'delay':
+                this.faults.responseDelay = Number(options.ms) || 0;
+                break;
+            case 'pdu_error':
+                this.faults.pduError = {
+                    errorClass: options.errorClass !== undefined ? options.errorClass : 0x81,
+                    errorCode: options.errorCode !== undefined ? options.errorCode : 0x04,
+                    count: options.count !== undefined ? options.count : Infinity
+                };
+                break;
+            case 'item_error':
+                this.faults.itemError = {
+                    returnCode: options.returnCode !== undefined ? options.returnCode : proto.retval.DATA_HW_FAULT,
+                    count: options.count !== undefined ? options.count : Infinity
+                };
+                break;
+            case 'reject':
+                this.faults.rejectConnections = true;
+                break;
+            default:
+                throw new Error(`Unknown fault type: ${type}`);
+        }
+
+        console.log(`🧪 Simulator fault injected: ${type}`);
+    }
+
+    /**
+     * Clears one fault type, or all of them when no type is given
+     */
+    clearFaults(type) {
+        const clearAll = !type;
+        if (clearAll || type === 'drop') this.faults.dropAfter = null;
+        if (clearAll || type === 'delay') this.faults.responseDelay = 0;
+        if (clearAll || type === 'pdu_error') this.faults.pduError = null;
+        if (clearAll || type === 'item_error') this.faults.itemError = null;
+        if (clearAll || type === 'reject') this.faults.rejectConnections = false;
+    }
+
+    getStatus() {
+        return {
+            isRunning: this.isRunning,
+            address: this.getAddress(),
+            cpuState: this.cpuState,
+            blocks: Array.from(this.blocks.keys()),
+            clients: this.sessions.size,
+            generators: Array.from(this.generators.keys()),
+            faults: { ...this.faults },
+            stats: { ...this.stats }
+        };
+    }
+}
+
+module.exports = S7PlcSimulator;
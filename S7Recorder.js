@@ -0,0 +1,264 @@
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// Identifies recording files, checked by the replay
+const FORMAT = 's7-recording';
+const VERSION = 1;
+
+/**
+ * Serializes a value set, keeping what JSON loses (dates, buffers, NaN and infinite REALs)
+ */
+function encodeValue(value) {
+    return JSON.stringify(value, function (key, converted) {
+        const raw = this[key];
+        if (raw instanceof Date) return { $date: raw.getTime() };
+        if (Buffer.isBuffer(raw)) return { $buffer: raw.toString('base64') };
+        if (typeof raw === 'number' && !Number.isFinite(raw)) return { $number: String(raw) };
+        return converted;
+    });
+}
+
+function decodeValue(json) {
+    return JSON.parse(json, (key, value) => {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) return value;
+        if ('$date' in value) return new Date(value.$date);
+        if ('$buffer' in value) return Buffer.from(value.$buffer, 'base64');
+        if ('$number' in value) return Number(value.$number);
+        return value;
+    });
+}
+
+/**
+ * S7 Recorder
+ * Captures the cycle data of a client (S7Client or any subclass) to a file that S7Replay plays back.
+ *
+ * File layout, one JSON document per line (gzip compressed when the file name ends in .gz):
+ *   {"format": "s7-recording", "version": 1, "startTime": ..., "source": {...}, "variables": {...}}
+ *   [t, "k", id, [names]]   - variable set of a data event, declared before its first use
+ *   [t, id, {index: value}] - data event, only values that changed since the last event holding them
+ *   [t, "c"] / [t, "x"]     - connected / disconnected
+ *   [t, "e", message]       - error
+ * t is the time in ms since startTime.
+ */
+class S7Recorder extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            file: null,
+            events: true,           // also record connects, disconnects and errors
+            flushInterval: 1000,    // ms between flushes of a .gz file, what is not flushed is lost in a crash
+            ...config
+        };
+
+        this.client = null;
+        this.stream = null;
+        this.output = null;
+        this.startTime = null;
+        this.stopTime = null;
+        this.samples = 0;
+        this.events = 0;
+        this.bytes = 0;
+        this._keySets = new Map();      // joined variable names -> {id, names}
+        this._lastValues = new Map();   // variable name -> last recorded value (encoded)
+        this._listeners = null;
+        this._flushTimer = null;
+        this._unflushed = false;
+    }
+
+    /**
+     * Starts recording the events of a client
+     * @param {S7Client} client - Client to record
+     * @param {object} source - Description of the recorded PLC stored in the header, defaults to the client config
+     */
+    async start(client, source = {}) {
+        if (this.stream) {
+            throw new Error(`Already recording to ${this.config.file}`);
+        }
+        if (!this.config.file) {
+            throw new Error('Recording file is required');
+        }
+
+        await fs.promises.mkdir(path.dirname(path.resolve(this.config.file)), { recursive: true });
+
+        this.output = fs.createWriteStream(this.config.file);
+        if (this.config.file.endsWith('.gz')) {
+            this.stream = zlib.createGzip();
+            this.stream.pipe(this.output);
+            this.startFlushTimer();
+        } else {
+            this.stream = this.output;
+        }
+        this.output.on('error', (error) => this.onWriteError(error));
+
+        this.client = client;
+        this.startTime = Date.now();
+        this.stopTime = null;
+        this.samples = 0;
+        this.events = 0;
+        this.bytes = 0;
+        this._keySets.clear();
+        this._lastValues.clear();
+
+        this.writeLine(JSON.stringify({
+            format: FORMAT,
+            version: VERSION,
+            startTime: new Date(this.startTime).toISOString(),
+            source: {
+                name: client.config.name,
+                address: client.config.address,
+                plcType: client.config.plcType,
+                ...source
+            },
+            variables: client.getVariables()
+        }));
+
+        this._listeners = {
+            data: (values) => this.recordData(values),
+            connected: () => this.recordEvent('c'),
+            disconnected: () => this.recordEvent('x'),
+            error: (error) => this.recordEvent('e', error && error.message ? error.message : String(error))
+        };
+        if (!this.config.events) {
+            this._listeners = { data: this._listeners.data };
+        }
+        Object.entries(this._listeners).forEach(([event, listener]) => client.on(event, listener));
+
+        if (client.connected && this.config.events) {
+            this.recordEvent('c');
+        }
+
+        console.log(`⏺️ Recording ${client.config.name || client.config.address} to ${this.config.file}`);
+        this.emit('started', { file: this.config.file, startTime: new Date(this.startTime) });
+    }
+
+    /**
+     * Stops recording and closes the file
+     * @returns {object} - Recording status
+     */
+    async stop() {
+        if (!this.stream) {
+            return this.getStatus();
+        }
+
+        this.detach();
+        this.stopFlushTimer();
+
+        const finished = new Promise((resolve) => {
+            this.output.once('close', resolve);
+            this.output.once('error', resolve);
+        });
+        this.stream.end();
+        await finished;
+
+        this.stream = null;
+        this.output = null;
+        this.stopTime = Date.now();
+
+        const status = this.getStatus();
+        console.log(`⏹️ Recording ${this.config.file} stopped: ${this.samples} samples, ${this.events} events in ${Math.round(status.duration / 1000)}s`);
+        this.emit('stopped', status);
+
+        return status;
+    }
+
+    /**
+     * Flushes the gzip stream regularly, so a crash leaves a file that replays up to the last flush
+     */
+    startFlushTimer() {
+        const interval = Number(this.config.flushInterval) || 0;
+        if (interval <= 0) return;
+
+        this._flushTimer = setInterval(() => {
+            if (!this.stream || !this._unflushed) return;
+            this._unflushed = false;
+            this.stream.flush(zlib.constants.Z_SYNC_FLUSH);
+        }, interval);
+        this._flushTimer.unref();
+    }
+
+    stopFlushTimer() {
+        if (this._flushTimer) {
+            clearInterval(this._flushTimer);
+            this._flushTimer = null;
+        }
+        this._unflushed = false;
+    }
+
+    detach() {
+        if (this.client && this._listeners) {
+            Object.entries(this._listeners).forEach(([event, listener]) => this.client.removeListener(event, listener));
+        }
+        this._listeners = null;
+    }
+
+    recordData(values) {
+        const names = Object.keys(values);
+        const joined = names.join('\n');
+        const t = Date.now() - this.startTime;
+
+        let keySet = this._keySets.get(joined);
+        if (!keySet) {
+            keySet = { id: this._keySets.size, names };
+            this._keySets.set(joined, keySet);
+            this.writeLine(JSON.stringify([t, 'k', keySet.id, names]));
+        }
+
+        // Only changed values are stored, the replay carries the others forward
+        const changes = [];
+        names.forEach((name, index) => {
+            const encoded = encodeValue(values[name] === undefined ? null : values[name]);
+            if (this._lastValues.get(name) !== encoded) {
+                this._lastValues.set(name, encoded);
+                changes.push(`"${index}":${encoded}`);
+            }
+        });
+
+        this.writeLine(`[${t},${keySet.id},{${changes.join(',')}}]`);
+        this.samples++;
+    }
+
+    recordEvent(type, message) {
+        const t = Date.now() - this.startTime;
+        this.writeLine(JSON.stringify(message === undefined ? [t, type] : [t, type, message]));
+        this.events++;
+    }
+
+    writeLine(line) {
+        if (!this.stream) return;
+
+        const chunk = line + '\n';
+        this.bytes += Buffer.byteLength(chunk);
+        this.stream.write(chunk);
+        this._unflushed = true;
+    }
+
+    onWriteError(error) {
+        console.error(`❌ Recording ${this.config.file} failed:`, error.message);
+        this.detach();
+        this.stopFlushTimer();
+        this.stream = null;
+        this.stopTime = Date.now();
+        this.emit('error', error);
+    }
+
+    getStatus() {
+        const end = this.stopTime || Date.now();
+
+        return {
+            recording: !!this.stream,
+            file: this.config.file ? path.resolve(this.config.file) : null,
+            startTime: this.startTime ? new Date(this.startTime) : null,
+            duration: this.startTime ? end - this.startTime : 0,
+            samples: this.samples,
+            events: this.events,
+            bytes: this.bytes
+        };
+    }
+}
+
+Object.assign(S7Recorder, { FORMAT, VERSION, encodeValue, decodeValue });
+
+module.exports = S7Recorder;
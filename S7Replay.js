@@ -0,0 +1,340 @@
+const { EventEmitter } = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const S7Recorder = require('./S7Recorder');
+
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * S7 Replay
+ * Plays a recording of S7Recorder back with the events of an S7Client ('data', 'variable_changed',
+ * 'data_changed', 'connected', 'disconnected', 'status', 'error'), at any speed and optionally in a loop.
+ * Used on its own or as the data source of an S7Client (config.replay), so recorded field data runs
+ * through EnhancedS7ClientWithLogging and MultiPLCManager without a PLC.
+ */
+class S7Replay extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            file: null,
+            speed: 1,               // playback speed, 2 = twice as fast, 0 = as fast as possible
+            loop: false,            // start over at the end of the recording
+            timestamps: 'replay',   // 'replay' = data is stamped with the current time, 'recorded' = with the recording time
+            ...config
+        };
+
+        this.header = null;
+        this.frames = [];
+        this.keySets = [];
+        this.values = {};
+        this.status = 'offline';
+        this.connected = false;     // connection state of the recorded PLC
+        this.playing = false;
+        this.position = 0;          // index of the next frame
+        this.loops = 0;
+        this.finished = false;
+        this._timer = null;
+        this._immediate = false;
+        this._anchorTime = 0;       // recording time (ms) at _anchorWall
+        this._anchorWall = 0;
+
+        this.setMaxListeners(0);
+        this.setSpeed(this.config.speed);
+    }
+
+    /**
+     * Reads the recording file
+     */
+    async load() {
+        if (!this.config.file) {
+            throw new Error('Recording file is required');
+        }
+
+        let content = await fs.readFile(this.config.file);
+        if (this.config.file.endsWith('.gz')) {
+            // A recording cut off by a crash has no gzip trailer, what was flushed before is decompressed
+            content = await gunzip(content, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+        }
+
+        const lines = content.toString('utf8').split('\n').filter(line => line.trim());
+        const header = lines.length ? JSON.parse(lines[0]) : null;
+
+        if (!header || header.format !== S7Recorder.FORMAT) {
+            throw new Error(`${this.config.file} is not an S7 recording`);
+        }
+        if (header.version > S7Recorder.VERSION) {
+            throw new Error(`Recording version ${header.version} is not supported (up to ${S7Recorder.VERSION})`);
+        }
+
+        this.header = header;
+        this.keySets = [];
+        this.frames = [];
+
+        lines.slice(1).forEach((line, i) => {
+            let frame;
+            try {
+                frame = S7Recorder.decodeValue(line);
+            } catch (error) {
+                // A recording cut off by a crash ends with a partial line
+                if (i === lines.length - 2) return;
+                throw new Error(`Invalid line ${i + 2} in ${this.config.file}: ${error.message}`);
+            }
+
+            if (frame[1] === 'k') {
+                this.keySets[frame[2]] = frame[3];
+            } else {
+                this.frames.push(frame);
+            }
+        });
+
+        this.position = 0;
+        this.values = {};
+        this.finished = false;
+
+        console.log(`▶️ Loaded recording ${path.basename(this.config.file)}: ${this.frames.length} frames, ` +
+            `${Math.round(this.getDuration() / 1000)}s of ${header.source.name || header.source.address || 'PLC'} from ${header.startTime}`);
+    }
+
+    /**
+     * Starts the playback, from the beginning after the recording was finished
+     */
+    async connect() {
+        if (this.playing) return;
+
+        if (!this.header) {
+            await this.load();
+        }
+        if (this.finished) {
+            this.rewind();
+        }
+
+        this.playing = true;
+        this.setConnected(true);
+        this.anchor(this.getCurrentTime());
+        this.scheduleNext();
+    }
+
+    /**
+     * Stops the playback, connect() continues where it stopped
+     */
+    async disconnect() {
+        this.playing = false;
+        this.clearTimer();
+        this.setConnected(false);
+    }
+
+    /**
+     * Changes the playback speed, also while playing
+     */
+    setSpeed(speed) {
+        const value = Number(speed);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error(`Invalid replay speed: ${speed}`);
+        }
+
+        const currentTime = this.getCurrentTime();
+        this.config.speed = value;
+
+        if (this._timer) {
+            this.clearTimer();
+            this.anchor(currentTime);
+            this.scheduleNext();
+        }
+    }
+
+    rewind() {
+        this.position = 0;
+        this.values = {};
+        this.finished = false;
+    }
+
+    anchor(time) {
+        this._anchorTime = time;
+        this._anchorWall = Date.now();
+    }
+
+    clearTimer() {
+        if (this._timer) {
+            (this._immediate ? clearImmediate : clearTimeout)(this._timer);
+            this._timer = null;
+        }
+    }
+
+    scheduleNext() {
+        if (this.position >= this.frames.length) {
+            this.onEnd();
+            return;
+        }
+
+        const speed = this.config.speed;
+        const frameTime = this.frames[this.position][0];
+
+        this._immediate = speed === 0;
+        if (speed === 0) {
+            this._timer = setImmediate(() => this.playNext());
+            return;
+        }
+
+        const delay = (frameTime - this._anchorTime) / speed - (Date.now() - this._anchorWall);
+        this._timer = setTimeout(() => this.playNext(), Math.max(0, delay));
+    }
+
+    playNext() {
+        this._timer = null;
+
+        const frame = this.frames[this.position++];
+        this.playFrame(frame);
+
+        // Listeners may have stopped the playback
+        if (this.playing) {
+            this.scheduleNext();
+        }
+    }
+
+    playFrame(frame) {
+        const [t, type] = frame;
+
+        switch (type) {
+            case 'c':
+                this.setConnected(true);
+                break;
+            case 'x':
+                this.setConnected(false);
+                break;
+            case 'e':
+                if (this.listenerCount('error')) {
+                    this.emit('error', new Error(frame[2]));
+                }
+                break;
+            default:
+                this.playData(t, this.keySets[type] || [], frame[2] || {});
+        }
+    }
+
+    playData(t, names, changes) {
+        const values = {};
+        const changed = [];
+
+        names.forEach((name, index) => {
+            if (index in changes) {
+                this.values[name] = changes[index];
+                changed.push(name);
+            }
+            values[name] = this.values[name];
+        });
+
+        const recordedAt = new Date(Date.parse(this.header.startTime) + t);
+        const timestamp = this.config.timestamps === 'recorded' ? recordedAt : new Date();
+
+        this.status = 'online';
+        this.emit('data', values, { timestamp, recordedAt });
+
+        changed.forEach(key => this.emit('variable_changed', { key, value: values[key] }));
+        if (changed.length) {
+            this.emit('data_changed', values);
+        }
+    }
+
+    setConnected(connected) {
+        if (this.connected === connected) return;
+
+        this.connected = connected;
+        this.status = connected ? 'online' : 'offline';
+        this.emit('status', { status: this.status });
+        this.emit(connected ? 'connected' : 'disconnected');
+    }
+
+    onEnd() {
+        if (this.config.loop && this.frames.length) {
+            this.loops++;
+            this.rewind();
+            this.anchor(0);
+            this.emit('replay_loop', { loops: this.loops });
+            this.scheduleNext();
+            return;
+        }
+
+        this.finished = true;
+        this.playing = false;
+        this.clearTimer();
+        console.log(`⏹️ Replay of ${path.basename(this.config.file)} finished`);
+        this.emit('replay_end', { loops: this.loops, frames: this.frames.length });
+    }
+
+    /**
+     * Recording time (ms since the start of the recording) the playback is at
+     */
+    getCurrentTime() {
+        if (this._timer && this.config.speed > 0) {
+            return Math.min(this.getDuration(), this._anchorTime + (Date.now() - this._anchorWall) * this.config.speed);
+        }
+        const previous = this.frames[this.position - 1];
+        return previous ? previous[0] : 0;
+    }
+
+    getDuration() {
+        return this.frames.length ? this.frames[this.frames.length - 1][0] : 0;
+    }
+
+    getReplayStatus() {
+        const position = this.getCurrentTime();
+        const startTime = this.header ? Date.parse(this.header.startTime) : null;
+
+        return {
+            file: this.config.file ? path.resolve(this.config.file) : null,
+            source: this.header ? this.header.source : null,
+            playing: this.playing && !this.finished,
+            finished: this.finished,
+            speed: this.config.speed,
+            loop: !!this.config.loop,
+            loops: this.loops,
+            frame: this.position,
+            frames: this.frames.length,
+            position,
+            duration: this.getDuration(),
+            recordedAt: startTime !== null ? new Date(startTime + position) : null
+        };
+    }
+
+    getStatus() {
+        return this.status;
+    }
+
+    getVariables() {
+        return this.header ? { ...this.header.variables } : {};
+    }
+
+    /**
+     * Returns the last replayed values
+     */
+    async readVariables(names) {
+        const keys = Array.isArray(names) ? names : [names];
+
+        if (!this.connected) {
+            throw new Error('Not connected');
+        }
+
+        const result = {};
+        keys.forEach(key => {
+            if (!(key in this.values)) {
+                throw new Error(`Unknown variable or no value replayed yet: ${key}`);
+            }
+            result[key] = this.values[key];
+        });
+        return result;
+    }
+
+    async writeVariable(name) {
+        throw new Error(`Cannot write ${name}, the data comes from the recording ${path.basename(this.config.file)}`);
+    }
+
+    async writeVariables(variables) {
+        const names = Array.isArray(variables) ? variables.map(v => v.name) : Object.keys(variables);
+        return this.writeVariable(names.join(', '));
+    }
+}
+
+module.exports = S7Replay;
@@ -0,0 +1,515 @@
+/**
+ * Scaling Engine
+ * Converts raw PLC values to engineering units and back for every Tags.ScalingType.
+ * Each type has a forward (raw -> EU) and an inverse (EU -> raw) transform, so writes in engineering units
+ * land on the raw value that reads back as the written value. Non-linear types are inverted numerically,
+ * which needs them to be strictly monotonic: validate() rejects configurations without an inverse.
+ *
+ * Types and their Tags.ScalingCoefficients (JSON):
+ *   LINEAR      none
+ *   SQRT        none, square root extraction of differential pressure flow over the raw and EU ranges
+ *   POLYNOMIAL  [a0, a1, a2, ...], EU = EuMin + (a0 + a1*x + a2*x² + ...) * (EuMax - EuMin), x = raw normalized to 0..1
+ *   LOOKUP      [{raw, eu}, ...] or [[raw, eu], ...], interpolated between the points, held at the first and last point
+ *   STRAPPING   {levelMin, levelMax, points: [{level, volume}, ...]}, the raw range is scaled linearly to the level
+ *               range (default: the levels of the table), the tank strapping table gives the volume at that level
+ *   PT100, PT1000, TC_J, TC_K, TC_T
+ *               {signalMin, signalMax, coldJunctionTag, coldJunction}, temperature in °C of a platinum resistance
+ *               thermometer (Ω) or thermocouple (mV), see TemperatureSensors. The raw range is scaled linearly to
+ *               signalMin .. signalMax, without them the raw value is the signal. Thermocouples measure against
+ *               their cold junction: the temperature of coldJunctionTag (passed in by the client) or the fixed
+ *               coldJunction, default 0 °C (compensated by the input module). Signals outside the range of the
+ *               sensor are OUT_OF_RANGE.
+ */
+
+const TemperatureSensors = require('./TemperatureSensors');
+
+const SCALING_TYPES = ['LINEAR', 'SQRT', 'POLYNOMIAL', 'LOOKUP', 'STRAPPING', ...Object.keys(TemperatureSensors.SENSOR_TYPES)];
+
+/**
+ * Default scaling settings
+ */
+const DEFAULT_SCALING = {
+    type: 'LINEAR',
+    rawMin: 0,
+    rawMax: 32767,
+    euMin: 0,
+    euMax: 100,
+    coefficients: null
+};
+
+const POLYNOMIAL_SAMPLES = 1000;    // points of 0..1 a polynomial is checked for monotonicity at
+const INVERSE_ITERATIONS = 60;      // bisection steps, enough for double precision
+
+class ScalingError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'ScalingError';
+        this.code = code;       // INVALID_SCALING, NOT_INVERTIBLE, OUT_OF_RANGE
+    }
+}
+
+// Sampled polynomials by coefficients, shared by all tags with the same curve
+const polynomialCache = new Map();
+
+// Configurations returned by compile(), passed to toEu() and toRaw() as they are
+const compiledConfigs = new WeakSet();
+
+function isNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+/**
+ * Reads the points of a LOOKUP or STRAPPING table, as objects or as [x, y] pairs
+ * @returns {object[]} - {x, y} in table order
+ */
+function readPoints(points, xName, yName) {
+    if (!Array.isArray(points)) return [];
+    return points.map(point => Array.isArray(point)
+        ? { x: point[0], y: point[1] }
+        : { x: point?.[xName], y: point?.[yName] });
+}
+
+/**
+ * Checks a table: numeric points, strictly increasing x and strictly monotonic y
+ */
+function checkPoints(points, xName, yName, errors) {
+    if (points.length < 2) {
+        errors.push(`At least 2 {${xName}, ${yName}} points are required`);
+        return;
+    }
+    if (points.some(point => !isNumber(point.x) || !isNumber(point.y))) {
+        errors.push(`Every point needs a numeric ${xName} and ${yName}`);
+        return;
+    }
+
+    const sorted = [...points].sort((a, b) => a.x - b.x);
+    for (let i = 1; i < sorted.length; i++) {
+        if (sorted[i].x === sorted[i - 1].x) {
+            errors.push(`Duplicate ${xName} ${sorted[i].x}`);
+            return;
+        }
+    }
+    if (!isMonotonic(sorted.map(point => point.y))) {
+        errors.push(`${yName} must strictly increase or strictly decrease with ${xName} to be invertible`);
+    }
+}
+
+function isMonotonic(values) {
+    const direction = Math.sign(values[values.length - 1] - values[0]);
+    if (direction === 0) return false;
+    return values.every((value, i) => i === 0 || Math.sign(value - values[i - 1]) === direction);
+}
+
+function evaluatePolynomial(coefficients, x) {
+    // Horner's scheme
+    return coefficients.reduceRight((result, coefficient) => result * x + coefficient, 0);
+}
+
+/**
+ * Samples a polynomial over 0..1 for its monotonicity check and inversion
+ * @returns {object} - {values, increasing, monotonic}
+ */
+function samplePolynomial(coefficients) {
+    const key = coefficients.join(',');
+    if (polynomialCache.has(key)) return polynomialCache.get(key);
+
+    const values = [];
+    const slopes = [];
+    const derivative = coefficients.slice(1).map((coefficient, i) => coefficient * (i + 1));
+    for (let i = 0; i <= POLYNOMIAL_SAMPLES; i++) {
+        values.push(evaluatePolynomial(coefficients, i / POLYNOMIAL_SAMPLES));
+        slopes.push(evaluatePolynomial(derivative, i / POLYNOMIAL_SAMPLES));
+    }
+
+    // Strictly monotonic values, and a slope that does not change sign in between the samples
+    const increasing = values[POLYNOMIAL_SAMPLES] > values[0];
+    const monotonic = isMonotonic(values) && slopes.every(slope => increasing ? slope >= 0 : slope <= 0);
+
+    const sampled = { values, increasing, monotonic };
+    polynomialCache.set(key, sampled);
+    return sampled;
+}
+
+/**
+ * Interpolates y at x in a table sorted by x, held at the first and last point
+ */
+function interpolate(points, x) {
+    if (x <= points[0].x) return points[0].y;
+    const last = points[points.length - 1];
+    if (x >= last.x) return last.y;
+
+    const i = points.findIndex(point => point.x >= x);
+    const [a, b] = [points[i - 1], points[i]];
+    return a.y + (x - a.x) * (b.y - a.y) / (b.x - a.x);
+}
+
+/**
+ * Interpolates x at y in a table sorted by x with monotonic y
+ * @returns {number|null} - null when y is outside the table
+ */
+function interpolateInverse(points, y) {
+    for (let i = 1; i < points.length; i++) {
+        const [a, b] = [points[i - 1], points[i]];
+        if ((y - a.y) * (y - b.y) <= 0) {
+            return a.x + (y - a.y) * (b.x - a.x) / (b.y - a.y);
+        }
+    }
+    return null;
+}
+
+/**
+ * Checks the settings of a temperature sensor
+ */
+function checkSensor(config, errors) {
+    const sensor = config.coefficients ?? {};
+    if (typeof sensor !== 'object' || Array.isArray(sensor)) {
+        errors.push(`${config.type} coefficients must be an object {signalMin, signalMax, coldJunctionTag, coldJunction}`);
+        return;
+    }
+
+    const { signalMin, signalMax, coldJunctionTag, coldJunction } = sensor;
+    const { signalUnits } = TemperatureSensors.SENSOR_TYPES[config.type];
+    if ((signalMin === undefined || signalMin === null) !== (signalMax === undefined || signalMax === null)) {
+        errors.push(`signalMin and signalMax (${signalUnits} at RawMin and RawMax) are needed together`);
+    } else if (signalMin !== undefined && signalMin !== null) {
+        if (!isNumber(signalMin) || !isNumber(signalMax)) {
+            errors.push('signalMin and signalMax must be numbers');
+        } else if (signalMin === signalMax || config.rawMin === config.rawMax) {
+            errors.push('signalMin and signalMax, RawMin and RawMax must differ');
+        }
+    }
+
+    const hasColdJunction = (coldJunctionTag !== undefined && coldJunctionTag !== null) ||
+        (coldJunction !== undefined && coldJunction !== null);
+    if (!TemperatureSensors.isThermocouple(config.type)) {
+        if (hasColdJunction) errors.push(`${config.type} has no cold junction`);
+        return;
+    }
+    if (coldJunctionTag !== undefined && coldJunctionTag !== null && (typeof coldJunctionTag !== 'string' || !coldJunctionTag)) {
+        errors.push('coldJunctionTag must be a tag name');
+    }
+    if (coldJunction !== undefined && coldJunction !== null) {
+        const [min, max] = TemperatureSensors.getRange(config.type);
+        if (!isNumber(coldJunction) || coldJunction < min || coldJunction > max) {
+            errors.push(`coldJunction must be a temperature of ${min} .. ${max} °C`);
+        }
+    }
+}
+
+function linear(value, fromMin, fromMax, toMin, toMax) {
+    if (fromMax === fromMin) return toMin;
+    return toMin + (value - fromMin) * (toMax - toMin) / (fromMax - fromMin);
+}
+
+/**
+ * Scaling Engine
+ */
+class ScalingEngine {
+    /**
+     * Complete scaling configuration: defaults, upper case type and parsed coefficients
+     * @param {object} scaling - {type, rawMin, rawMax, euMin, euMax, coefficients}
+     */
+    static normalize(scaling = {}) {
+        const config = { ...DEFAULT_SCALING };
+        Object.entries(scaling || {}).forEach(([key, value]) => {
+            if (value !== null && value !== undefined) config[key] = value;
+        });
+        config.type = String(config.type).toUpperCase();
+
+        if (typeof config.coefficients === 'string') {
+            try {
+                config.coefficients = config.coefficients.trim() ? JSON.parse(config.coefficients) : null;
+            } catch (error) {
+                throw new ScalingError('INVALID_SCALING', `Scaling coefficients are no valid JSON: ${error.message}`);
+            }
+        }
+
+        return config;
+    }
+
+    /**
+     * Scaling configuration of tag data, from its scalingConfig or the flat
+     * rawMin/rawMax/euMin/euMax/scalingType/scalingCoefficients properties
+     */
+    static fromTag(tagData) {
+        const scaling = tagData.scalingConfig || {};
+        return {
+            type: scaling.type || tagData.scalingType,
+            rawMin: tagData.rawMin ?? scaling.rawMin,
+            rawMax: tagData.rawMax ?? scaling.rawMax,
+            euMin: tagData.euMin ?? scaling.euMin,
+            euMax: tagData.euMax ?? scaling.euMax,
+            coefficients: scaling.coefficients ?? tagData.scalingCoefficients
+        };
+    }
+
+    /**
+     * Checks that a scaling configuration can be used in both directions
+     * @returns {object} - {valid, errors}
+     */
+    static validate(scaling) {
+        const errors = [];
+        let config;
+        try {
+            config = ScalingEngine.normalize(scaling);
+        } catch (error) {
+            return { valid: false, errors: [error.message] };
+        }
+
+        if (!SCALING_TYPES.includes(config.type)) {
+            errors.push(`Unknown scaling type '${config.type}', use ${SCALING_TYPES.join(', ')}`);
+            return { valid: false, errors };
+        }
+
+        ['rawMin', 'rawMax', 'euMin', 'euMax'].forEach(name => {
+            if (!isNumber(config[name])) errors.push(`${name} must be a number`);
+        });
+        if (errors.length > 0) return { valid: false, errors };
+
+        const { rawMin, rawMax, euMin, euMax, coefficients } = config;
+        if (['LINEAR', 'SQRT', 'POLYNOMIAL', 'STRAPPING'].includes(config.type) && rawMin === rawMax) {
+            errors.push('RawMin and RawMax must differ');
+        }
+        if (['LINEAR', 'SQRT', 'POLYNOMIAL'].includes(config.type) && euMin === euMax) {
+            errors.push('EuMin and EuMax must differ');
+        }
+
+        switch (config.type) {
+            case 'POLYNOMIAL':
+                if (!Array.isArray(coefficients) || coefficients.length < 2 || !coefficients.every(isNumber)) {
+                    errors.push('Polynomial coefficients must be an array of at least 2 numbers [a0, a1, ...]');
+                } else if (!samplePolynomial(coefficients).monotonic) {
+                    errors.push('Polynomial must strictly increase or strictly decrease over the raw range to be invertible');
+                }
+                break;
+            case 'LOOKUP':
+                checkPoints(readPoints(coefficients, 'raw', 'eu'), 'raw', 'eu', errors);
+                break;
+            case 'STRAPPING': {
+                const table = Array.isArray(coefficients) ? { points: coefficients } : coefficients || {};
+                const points = readPoints(table.points, 'level', 'volume');
+                checkPoints(points, 'level', 'volume', errors);
+                ['levelMin', 'levelMax'].forEach(name => {
+                    if (table[name] !== undefined && table[name] !== null && !isNumber(table[name])) {
+                        errors.push(`${name} must be a number`);
+                    }
+                });
+                if (errors.length === 0) {
+                    const { levelMin, levelMax } = ScalingEngine.compile(config);
+                    if (levelMin === levelMax) errors.push('levelMin and levelMax must differ');
+                }
+                break;
+            }
+            case 'PT100':
+            case 'PT1000':
+            case 'TC_J':
+            case 'TC_K':
+            case 'TC_T':
+                checkSensor(config, errors);
+                break;
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Throws when a scaling configuration has no inverse
+     * @returns {object} - The normalized configuration
+     * @throws {ScalingError} - NOT_INVERTIBLE
+     */
+    static assertInvertible(scaling, name = null) {
+        const { valid, errors } = ScalingEngine.validate(scaling);
+        if (!valid) {
+            throw new ScalingError('NOT_INVERTIBLE', `Invalid scaling${name ? ` of ${name}` : ''}: ${errors.join(', ')}`);
+        }
+        return ScalingEngine.normalize(scaling);
+    }
+
+    /**
+     * Configuration with its coefficients parsed and its tables read and sorted. Compile the scaling of a tag
+     * once and pass the result to toEu() and toRaw(), a compiled configuration must not be modified
+     */
+    static compile(scaling) {
+        if (compiledConfigs.has(scaling)) return scaling;
+
+        const config = ScalingEngine.normalize(scaling);
+
+        if (config.type === 'LOOKUP') {
+            config.points = readPoints(config.coefficients, 'raw', 'eu').sort((a, b) => a.x - b.x);
+        } else if (config.type === 'STRAPPING') {
+            const table = Array.isArray(config.coefficients) ? { points: config.coefficients } : config.coefficients || {};
+            config.points = readPoints(table.points, 'level', 'volume').sort((a, b) => a.x - b.x);
+            config.levelMin = table.levelMin ?? config.points[0]?.x;
+            config.levelMax = table.levelMax ?? config.points[config.points.length - 1]?.x;
+        } else if (TemperatureSensors.isSensorType(config.type)) {
+            const sensor = config.coefficients || {};
+            config.signalMin = sensor.signalMin ?? null;
+            config.signalMax = sensor.signalMax ?? null;
+            config.coldJunctionTag = sensor.coldJunctionTag || null;
+            config.coldJunction = sensor.coldJunction ?? 0;
+        }
+
+        compiledConfigs.add(config);
+        return config;
+    }
+
+    /**
+     * Convert a raw PLC value to engineering units
+     * @param {object} scaling - Scaling configuration, compiled or not
+     * @param {object} options - {coldJunction}: temperature of the cold junction of thermocouples in °C
+     * @returns {number|null} - null for missing values
+     * @throws {ScalingError} - INVALID_SCALING for a configuration that cannot be evaluated,
+     *                          OUT_OF_RANGE for signals outside the range of a temperature sensor
+     */
+    static toEu(rawValue, scaling, options = {}) {
+        if (rawValue === null || rawValue === undefined || isNaN(rawValue)) {
+            return null;
+        }
+
+        const config = ScalingEngine.compile(scaling);
+        const { rawMin, rawMax, euMin, euMax, coefficients } = config;
+        const x = rawMax === rawMin ? 0 : (rawValue - rawMin) / (rawMax - rawMin);
+
+        switch (config.type) {
+            case 'LINEAR':
+                return linear(rawValue, rawMin, rawMax, euMin, euMax);
+
+            case 'SQRT':
+                // No flow below the raw minimum
+                return euMin + Math.sqrt(Math.max(x, 0)) * (euMax - euMin);
+
+            case 'POLYNOMIAL':
+                if (!Array.isArray(coefficients) || coefficients.length === 0) {
+                    return linear(rawValue, rawMin, rawMax, euMin, euMax);
+                }
+                return euMin + evaluatePolynomial(coefficients, x) * (euMax - euMin);
+
+            case 'LOOKUP':
+                if (config.points.length === 0) {
+                    throw new ScalingError('INVALID_SCALING', 'Lookup scaling without points');
+                }
+                return interpolate(config.points, rawValue);
+
+            case 'STRAPPING':
+                if (config.points.length === 0) {
+                    throw new ScalingError('INVALID_SCALING', 'Strapping table without points');
+                }
+                return interpolate(config.points, linear(rawValue, rawMin, rawMax, config.levelMin, config.levelMax));
+
+            case 'PT100':
+            case 'PT1000':
+            case 'TC_J':
+            case 'TC_K':
+            case 'TC_T': {
+                const signal = config.signalMin === null
+                    ? rawValue : linear(rawValue, rawMin, rawMax, config.signalMin, config.signalMax);
+                return sensorRange(() => TemperatureSensors.toTemperature(config.type, signal, options.coldJunction ?? config.coldJunction));
+            }
+
+            default:
+                throw new ScalingError('INVALID_SCALING', `Unknown scaling type '${config.type}'`);
+        }
+    }
+
+    /**
+     * Convert an engineering units value to the raw PLC value that reads back as it
+     * @param {object} options - {coldJunction}: temperature of the cold junction of thermocouples in °C
+     * @returns {number|null} - null for missing values
+     * @throws {ScalingError} - NOT_INVERTIBLE for configurations without an inverse,
+     *                          OUT_OF_RANGE for values the scaling does not reach
+     */
+    static toRaw(euValue, scaling, options = {}) {
+        if (euValue === null || euValue === undefined || isNaN(euValue)) {
+            return null;
+        }
+
+        ScalingEngine.assertInvertible(scaling);
+        const config = ScalingEngine.compile(scaling);
+        const { rawMin, rawMax, euMin, euMax, coefficients } = config;
+
+        switch (config.type) {
+            case 'LINEAR':
+                return linear(euValue, euMin, euMax, rawMin, rawMax);
+
+            case 'SQRT': {
+                const y = (euValue - euMin) / (euMax - euMin);
+                if (y < 0) {
+                    throw outOfRange(euValue, euMin, null);
+                }
+                return rawMin + y * y * (rawMax - rawMin);
+            }
+
+            case 'POLYNOMIAL': {
+                const { values, increasing } = samplePolynomial(coefficients);
+                const y = (euValue - euMin) / (euMax - euMin);
+                const [low, high] = increasing ? [values[0], values[POLYNOMIAL_SAMPLES]] : [values[POLYNOMIAL_SAMPLES], values[0]];
+                if (y < low || y > high) {
+                    throw outOfRange(euValue, euMin + low * (euMax - euMin), euMin + high * (euMax - euMin));
+                }
+
+                // Bracket between two samples, then bisect
+                const i = Math.max(values.findIndex(value => increasing ? value >= y : value <= y), 1);
+                let [a, b] = [(i - 1) / POLYNOMIAL_SAMPLES, i / POLYNOMIAL_SAMPLES];
+                for (let step = 0; step < INVERSE_ITERATIONS; step++) {
+                    const middle = (a + b) / 2;
+                    if ((evaluatePolynomial(coefficients, middle) < y) === increasing) a = middle;
+                    else b = middle;
+                }
+                return rawMin + (a + b) / 2 * (rawMax - rawMin);
+            }
+
+            case 'LOOKUP': {
+                const raw = interpolateInverse(config.points, euValue);
+                if (raw === null) {
+                    throw outOfRange(euValue, ...tableRange(config.points));
+                }
+                return raw;
+            }
+
+            case 'STRAPPING': {
+                const level = interpolateInverse(config.points, euValue);
+                if (level === null) {
+                    throw outOfRange(euValue, ...tableRange(config.points));
+                }
+                return linear(level, config.levelMin, config.levelMax, rawMin, rawMax);
+            }
+
+            case 'PT100':
+            case 'PT1000':
+            case 'TC_J':
+            case 'TC_K':
+            case 'TC_T': {
+                const signal = sensorRange(() => TemperatureSensors.toSignal(config.type, euValue, options.coldJunction ?? config.coldJunction));
+                return config.signalMin === null ? signal : linear(signal, config.signalMin, config.signalMax, rawMin, rawMax);
+            }
+        }
+    }
+}
+
+/**
+ * Runs a temperature sensor conversion, its range errors are OUT_OF_RANGE
+ */
+function sensorRange(convert) {
+    try {
+        return convert();
+    } catch (error) {
+        if (error instanceof TemperatureSensors.TemperatureRangeError) {
+            throw new ScalingError('OUT_OF_RANGE', error.message);
+        }
+        throw error;
+    }
+}
+
+function tableRange(points) {
+    const values = points.map(point => point.y);
+    return [Math.min(...values), Math.max(...values)];
+}
+
+function outOfRange(euValue, min, max) {
+    const range = max === null ? `below ${min}` : `outside ${min} .. ${max}`;
+    return new ScalingError('OUT_OF_RANGE', `EU value ${euValue} is ${range}, the scaling has no raw value for it`);
+}
+
+Object.assign(ScalingEngine, { ScalingError, SCALING_TYPES, DEFAULT_SCALING });
+
+module.exports = ScalingEngine;
@@ -120,9 +120,9 @@ class SqlDataLogger extends EventEmitter {
 
     /**
      * Log PLC data values with engineering units using enhanced stored procedure
-     * Updated to include PLCName parameter
+     * Updated to include PLCName parameter and the source timestamp of the value
      */
-    async logData(tagName, euValue, rawValue = null, logType = 'PERIODIC', quality = 192, plcName = null) {
+    async logData(tagName, euValue, rawValue = null, logType = 'PERIODIC', quality = 192, plcName = null, timestamp = null) {
         if (!this.config.enableDataLogging || !this.isInitialized) {
             return;
         }
@@ -142,6 +142,11 @@ class SqlDataLogger extends EventEmitter {
                 request.input('PLCName', sql.NVarChar, plcName);
             }
 
+            // Time the value was read from the PLC (defaults to the insert time)
+            if (timestamp) {
+                request.input('Timestamp', sql.DateTime2, timestamp);
+            }
+
             const result = await request.execute('sp_LogDataWithEU');
             
             if (result.recordset && result.recordset[0] && result.recordset[0].Logged === 1) {
@@ -152,7 +157,7 @@ class SqlDataLogger extends EventEmitter {
                     quality,
                     logType,
                     plcName,
-                    timestamp: new Date()
+                    timestamp: timestamp || new Date()
                 });
             }
 
@@ -181,8 +186,9 @@ class SqlDataLogger extends EventEmitter {
                         point.euValue || point.value,
                         point.rawValue,
                         point.logType || 'BATCH',
-                        point.quality || 192,
-                        point.plcName  // Include PLCName in batch logging
+                        point.quality ?? 192,
+                        point.plcName,  // Include PLCName in batch logging
+                        point.timestamp
                     )
                 );
             }
@@ -279,6 +285,75 @@ class SqlDataLogger extends EventEmitter {
         }
     }
 
+    /**
+     * Store the running state of the totalizers of a PLC
+     * @param {object[]} states - [{tagName, total, lifetimeTotal, periodStart, goodSeconds, lastValue, lastTimestamp}]
+     */
+    async saveTotalizerStates(plcName, states) {
+        if (!this.isInitialized || !states.length) {
+            return;
+        }
+
+        try {
+            const rows = states.map(state => ({
+                TagName: state.tagName,
+                CurrentTotal: state.total,
+                LifetimeTotal: state.lifetimeTotal,
+                PeriodStart: state.periodStart,
+                GoodSeconds: state.goodSeconds,
+                LastValue: state.lastValue,
+                LastTimestamp: state.lastTimestamp
+            }));
+
+            await this.connectionPool.request()
+                .input('PLCName', sql.NVarChar, plcName)
+                .input('States', sql.NVarChar(sql.MAX), JSON.stringify(rows))
+                .execute('sp_SaveTotalizerStates');
+
+        } catch (error) {
+            console.error('Error saving totalizer states:', error);
+            this.emit('error', error);
+        }
+    }
+
+    /**
+     * Store a closed totalizer period together with the state of the new period
+     * @param {object} period - {periodStart, periodEnd, total, goodSeconds, coverage, reason, resetBy}
+     * @param {object} state - State of the totalizer after the reset
+     */
+    async logTotalizerPeriod(plcName, tagName, period, state) {
+        if (!this.isInitialized) {
+            return;
+        }
+
+        try {
+            const result = await this.connectionPool.request()
+                .input('PLCName', sql.NVarChar, plcName)
+                .input('TagName', sql.NVarChar, tagName)
+                .input('PeriodStart', sql.DateTime2, period.periodStart)
+                .input('PeriodEnd', sql.DateTime2, period.periodEnd)
+                .input('Total', sql.Float, period.total)
+                .input('GoodSeconds', sql.Float, period.goodSeconds)
+                .input('Coverage', sql.Float, period.coverage)
+                .input('ResetReason', sql.NVarChar, period.reason)
+                .input('ResetBy', sql.NVarChar, period.resetBy || null)
+                .input('CurrentTotal', sql.Float, state.total)
+                .input('LifetimeTotal', sql.Float, state.lifetimeTotal)
+                .execute('sp_CloseTotalizerPeriod');
+
+            this.emit('totalizer_period_logged', {
+                historyId: result.recordset[0]?.HistoryID,
+                plcName,
+                tagName,
+                ...period
+            });
+
+        } catch (error) {
+            console.error('Error logging totalizer period:', error);
+            this.emit('error', error);
+        }
+    }
+
     /**
      * Get historical data for a specific tag with optional PLC filtering
      */
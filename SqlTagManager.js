@@ -1,5 +1,21 @@
 const { EventEmitter } = require('events');
 const sql = require('mssql/msnodesqlv8');
+const S7Address = require('./S7Address');
+const UdtLayout = require('./UdtLayout');
+const TagExpression = require('./TagExpression');
+const Totalizer = require('./Totalizer');
+const ScalingEngine = require('./ScalingEngine');
+
+// Tags whose value is produced by the client instead of being read from the PLC
+const VIRTUAL_SOURCE_TYPES = ['CALCULATED', 'TOTALIZER'];
+
+/**
+ * Whether a query failed on a table that does not exist (SQL Server error 208). Databases created before
+ * a feature was introduced have no tables for it, its loader then continues without the feature
+ */
+function isMissingTable(error) {
+    return error.number === 208 || /Invalid object name/i.test(error.message);
+}
 
 /**
  * Enhanced SQL Tag Manager - Updated for Multi-PLC Schema
@@ -41,6 +57,9 @@ class SqlTagManager extends EventEmitter {
         this.connectionPool = null;
         this.tagCache = new Map();
         this.plcCache = new Map();
+        this.scanClassCache = new Map();
+        this.udtLayout = new UdtLayout();
+        this.totalizerStates = new Map();   // totalizer tag -> state saved in the Totalizers table
         this.lastRefresh = null;
         this.refreshTimer = null;
         this.isConnected = false;
@@ -81,6 +100,9 @@ class SqlTagManager extends EventEmitter {
             // Load PLC configurations first
             await this.refreshPLCConfigurations();
 
+            // Scan classes must be known before tags are handed to the S7 client
+            await this.refreshScanClasses();
+
             // Initial tag refresh
             await this.refreshTags();
 
@@ -197,6 +219,153 @@ class SqlTagManager extends EventEmitter {
         }
     }
 
+    /**
+     * Refresh scan class definitions from database
+     */
+    async refreshScanClasses() {
+        if (!this.isConnected || !this.connectionPool) {
+            throw new Error('Not connected to SQL Server');
+        }
+
+        try {
+            const result = await this.connectionPool.request().query(`
+                SELECT ScanClassName, CycleTime, Description
+                FROM ScanClasses
+                WHERE Enabled = 1
+            `);
+
+            this.scanClassCache.clear();
+
+            result.recordset.forEach(row => {
+                this.scanClassCache.set(row.ScanClassName, {
+                    name: row.ScanClassName,
+                    cycleTime: row.CycleTime,
+                    description: row.Description
+                });
+            });
+
+            console.log(`Refreshed ${this.scanClassCache.size} scan classes`);
+
+        } catch (error) {
+            if (!isMissingTable(error)) throw error;
+            console.warn('Could not load scan classes, using default cycle time only:', error.message);
+            this.scanClassCache.clear();
+        }
+    }
+
+    /**
+     * Refresh UDT definitions from database, members in their declaration order
+     */
+    async refreshUdtTypes() {
+        if (!this.isConnected || !this.connectionPool) {
+            throw new Error('Not connected to SQL Server');
+        }
+
+        try {
+            const result = await this.connectionPool.request().query(`
+                SELECT u.UdtName, u.Description, u.Version,
+                       m.MemberName, m.DataType, m.ByteOffset, m.BitOffset, m.ArrayLength, m.StringLength
+                FROM UdtTypes u
+                INNER JOIN UdtMembers m ON m.UdtID = u.UdtID
+                ORDER BY u.UdtName, m.SortOrder, m.MemberID
+            `);
+
+            const definitions = new Map();
+            result.recordset.forEach(row => {
+                if (!definitions.has(row.UdtName)) {
+                    definitions.set(row.UdtName, {
+                        name: row.UdtName,
+                        description: row.Description,
+                        version: row.Version,
+                        members: []
+                    });
+                }
+                definitions.get(row.UdtName).members.push({
+                    name: row.MemberName,
+                    type: row.DataType,
+                    offset: row.ByteOffset,
+                    bitOffset: row.BitOffset,
+                    arrayLength: row.ArrayLength || 1,
+                    stringLength: row.StringLength
+                });
+            });
+
+            this.udtLayout = new UdtLayout(Array.from(definitions.values()));
+
+            console.log(`Refreshed ${definitions.size} UDT types`);
+
+        } catch (error) {
+            if (!isMissingTable(error)) throw error;
+            console.warn('Could not load UDT types, UDT tags are not available:', error.message);
+            this.udtLayout = new UdtLayout();
+        }
+    }
+
+    /**
+     * Get UDT definitions with their computed layout
+     */
+    getUdtTypes() {
+        return this.udtLayout.getDefinitions().map(definition => {
+            try {
+                return { ...definition, layout: this.udtLayout.compile(definition.name) };
+            } catch (error) {
+                return { ...definition, layout: null, error: error.message };
+            }
+        });
+    }
+
+    /**
+     * Add or replace a UDT definition, members are replaced as a whole
+     * @param {object} definition - {name, description, members: [{name, type, offset, bitOffset, arrayLength, stringLength}]}
+     */
+    async saveUdtType(definition) {
+        if (!this.isConnected || !this.connectionPool) {
+            throw new Error('Not connected to SQL Server');
+        }
+
+        // Compile against the known types first, so an invalid layout never reaches the database
+        const layout = new UdtLayout(this.udtLayout.getDefinitions().filter(d => d.name !== definition.name));
+        layout.define(definition);
+        const compiled = layout.compile(definition.name);
+
+        const members = definition.members.map((member, index) => ({
+            MemberName: member.name,
+            DataType: member.type,
+            ByteOffset: member.offset ?? null,
+            BitOffset: member.bitOffset ?? null,
+            ArrayLength: member.arrayLength || 1,
+            StringLength: member.stringLength ?? null,
+            SortOrder: index,
+            Description: member.description || null
+        }));
+
+        const result = await this.connectionPool.request()
+            .input('UdtName', sql.NVarChar, definition.name)
+            .input('Description', sql.NVarChar, definition.description || null)
+            .input('Members', sql.NVarChar(sql.MAX), JSON.stringify(members))
+            .input('ModifiedBy', sql.NVarChar, definition.createdBy || 'API_USER')
+            .execute('sp_SaveUdtType');
+
+        await this.refreshUdtTypes();
+        await this.refreshTags();
+
+        this.emit('udt_saved', { name: definition.name, size: compiled.size });
+        return { ...result.recordset[0], size: compiled.size, members: compiled.members };
+    }
+
+    /**
+     * Get scan classes as name -> cycle time (ms)
+     */
+    getScanClasses() {
+        const scanClasses = {};
+
+        for (const scanClass of this.scanClassCache.values()) {
+            scanClasses[scanClass.name] = scanClass.cycleTime;
+        }
+
+        return scanClasses;
+    }
+
     /**
      * Refresh tags from database with enhanced multi-PLC schema support
      */
@@ -207,6 +376,9 @@ class SqlTagManager extends EventEmitter {
 
         try {
             console.log('Refreshing tags from enhanced multi-PLC database...');
+
+            // UDT tags are expanded with the current definitions
+            await this.refreshUdtTypes();
             
             let query = `
                 SELECT 
@@ -215,9 +387,13 @@ class SqlTagManager extends EventEmitter {
                     TagName,
                     TagAddress,
                     TagType,
+                    UdtName,
+                    SourceType,
+                    Expression,
                     Description,
                     Enabled,
                     GroupName,
+                    ScanClass,
                     
                     -- Engineering Units Configuration
                     RawMin,
@@ -287,6 +463,7 @@ class SqlTagManager extends EventEmitter {
             const plcTagCounts = new Map();
             
             result.recordset.forEach(row => {
+                const virtual = VIRTUAL_SOURCE_TYPES.includes(row.SourceType);
                 const tag = {
                     // Basic tag information
                     id: row.TagID,
@@ -294,9 +471,14 @@ class SqlTagManager extends EventEmitter {
                     name: row.TagName,
                     addr: row.TagAddress,
                     type: row.TagType,
+                    udtName: row.UdtName || null,
+                    sourceType: row.SourceType || 'PLC',
+                    expression: row.Expression || null,
+                    totalizer: null,    // TOTALIZER tags, see refreshTotalizers()
                     description: row.Description,
                     enabled: row.Enabled,
                     group: row.GroupName,
+                    scanClass: row.ScanClass || null,
                     
                     // Engineering Units Configuration
                     rawMin: row.RawMin || 0,
@@ -311,8 +493,8 @@ class SqlTagManager extends EventEmitter {
                     scaling: row.ScalingFactor || 1,
                     units: row.EngineeringUnits || row.Units || '',
                     
-                    // Scaling configuration
-                    scalingConfig: {
+                    // Scaling configuration, calculated tags and totalizers are computed in engineering units
+                    scalingConfig: virtual ? null : {
                         rawMin: row.RawMin || 0,
                         rawMax: row.RawMax || 32767,
                         euMin: row.EuMin || 0,
@@ -372,6 +554,13 @@ class SqlTagManager extends EventEmitter {
                     }
                 };
 
+                if (tag.scalingConfig && !tag.udtName) {
+                    const { valid, errors } = ScalingEngine.validate(tag.scalingConfig);
+                    if (!valid) {
+                        console.warn(`⚠️ Scaling of tag ${tag.plcName}.${tag.name} has no inverse, writes in engineering units will fail: ${errors.join(', ')}`);
+                    }
+                }
+
                 // Create composite key for multi-PLC support
                 const tagKey = this.config.plcName ? tag.name : `${tag.plcName}.${tag.name}`;
                 this.tagCache.set(tagKey, tag);
@@ -390,6 +579,8 @@ class SqlTagManager extends EventEmitter {
                 plcTagCounts.set(tag.plcName, plcTagCounts.get(tag.plcName) + 1);
             });
 
+            await this.refreshTotalizers();
+
             this.lastRefresh = new Date();
             
             console.log(`Refreshed ${this.tagCache.size} enhanced tags from database`);
@@ -427,18 +618,94 @@ class SqlTagManager extends EventEmitter {
     }
 
     /**
-     * Get all tags in S7Client format (for specific PLC if configured)
+     * Attach the totalizer configurations to the cached TOTALIZER tags and load their saved state
+     */
+    async refreshTotalizers() {
+        try {
+            const request = this.connectionPool.request();
+            let query = `
+                SELECT PLCName, TagName, SourceTag, Mode, RateTimeBase, Factor, ResetSchedule, ResetTimes, ResetDay,
+                       BadQualityPolicy, MaxGapSeconds, LowFlowCutoff, RolloverValue,
+                       CurrentTotal, LifetimeTotal, PeriodStart, GoodSeconds, LastValue, LastTimestamp, StateSavedAt
+                FROM Totalizers
+                WHERE Enabled = 1
+            `;
+            if (this.config.plcName) {
+                query += ' AND PLCName = @plcName';
+                request.input('plcName', sql.NVarChar, this.config.plcName);
+            }
+
+            const result = await request.query(query);
+
+            this.totalizerStates.clear();
+
+            result.recordset.forEach(row => {
+                const tagKey = this.config.plcName ? row.TagName : `${row.PLCName}.${row.TagName}`;
+                const tag = this.tagCache.get(tagKey);
+                if (!tag || tag.sourceType !== 'TOTALIZER') return;
+
+                tag.totalizer = {
+                    source: row.SourceTag,
+                    mode: row.Mode,
+                    timeBase: row.RateTimeBase,
+                    factor: row.Factor ?? 1,
+                    resetSchedule: row.ResetSchedule,
+                    resetTimes: row.ResetTimes.split(',').map(time => time.trim()),
+                    resetDay: row.ResetDay,
+                    badQualityPolicy: row.BadQualityPolicy,
+                    maxGap: row.MaxGapSeconds,
+                    lowFlowCutoff: row.LowFlowCutoff || 0,
+                    rolloverValue: row.RolloverValue ?? null
+                };
+
+                // Kept apart from the tag, the state changes on every save and is no configuration change
+                this.totalizerStates.set(tagKey, {
+                    total: row.CurrentTotal,
+                    lifetimeTotal: row.LifetimeTotal,
+                    periodStart: row.PeriodStart,
+                    goodSeconds: row.GoodSeconds,
+                    lastValue: row.LastValue,
+                    lastTimestamp: row.LastTimestamp,
+                    savedAt: row.StateSavedAt
+                });
+            });
+
+        } catch (error) {
+            if (!isMissingTable(error)) throw error;
+            console.warn('Could not load totalizers, totalizer tags are not available:', error.message);
+            this.totalizerStates.clear();
+        }
+    }
+
+    /**
+     * Saved state of a totalizer tag, null if it never ran
+     */
+    getTotalizerState(tagName, plcName = null) {
+        const state = this.totalizerStates.get(this.config.plcName ? tagName : `${plcName}.${tagName}`);
+        return state && state.periodStart ? state : null;
+    }
+
+    /**
+     * Get all tags in S7Client format (for specific PLC if configured).
+     * UDT tags are expanded to one variable per elementary member, named 'Tag.Member'.
+     * Calculated tags and totalizers are not read from the PLC and left out
      */
     getTagsForS7Client() {
         const tags = [];
         
         for (const tag of this.tagCache.values()) {
-            if (tag.enabled) {
+            if (tag.enabled && !VIRTUAL_SOURCE_TYPES.includes(tag.sourceType)) {
                 // Only include tags for the configured PLC, or all if no PLC specified
                 if (!this.config.plcName || tag.plcName === this.config.plcName) {
+                    if (tag.udtName) {
+                        tags.push(...this.expandUdtTag(tag));
+                        continue;
+                    }
+
                     tags.push({
                         name: tag.name,
-                        addr: tag.addr
+                        addr: tag.addr,
+                        scanClass: tag.scanClass || undefined
                     });
                 }
             }
@@ -447,6 +714,22 @@ class SqlTagManager extends EventEmitter {
         return tags;
     }
 
+    /**
+     * Get the member variables of a UDT tag, none if its UDT cannot be laid out
+     */
+    expandUdtTag(tag) {
+        try {
+            return this.udtLayout.expand(tag.name, tag.udtName, tag.addr).map(member => ({
+                ...member,
+                scanClass: tag.scanClass || undefined,
+                udtTag: tag.name
+            }));
+        } catch (error) {
+            console.error(`UDT tag ${tag.name} skipped: ${error.message}`);
+            return [];
+        }
+    }
+
     /**
      * Get tags by group (optionally filtered by PLC)
      */
@@ -554,16 +837,40 @@ class SqlTagManager extends EventEmitter {
                 throw new Error(`PLC ${plcName} not found in configuration`);
             }
 
+            // Reject bad addresses, expressions and totalizers before they reach the client, addresses are stored in nodes7 notation
+            const sourceType = tagData.sourceType || 'PLC';
+            const calculated = sourceType === 'CALCULATED';
+            const totalizer = sourceType === 'TOTALIZER';
+            const address = calculated || totalizer ? null : S7Address.parse(tagData.addr, { type: tagData.type });
+            if (calculated) {
+                TagExpression.compile(tagData.expression);
+            } else if (totalizer) {
+                const { valid, errors } = Totalizer.validate(tagData.totalizer);
+                if (!valid) {
+                    throw new Error(`Invalid totalizer ${tagData.name}: ${errors.join(', ')}`);
+                }
+            } else if (tagData.udtName) {
+                this.udtLayout.expand(tagData.name, tagData.udtName, address.nodes7);
+            }
+
+            // Scaling needs an inverse for writes in engineering units, UDT members are not scaled
+            const scaling = calculated || totalizer || tagData.udtName
+                ? null : ScalingEngine.assertInvertible(ScalingEngine.fromTag(tagData), tagData.name);
+
             // Use enhanced stored procedure for tag creation
             const request = this.connectionPool.request();
             
             // Input parameters for the enhanced stored procedure
             request.input('PLCName', sql.NVarChar, plcName);
             request.input('TagName', sql.NVarChar, tagData.name);
-            request.input('TagAddress', sql.NVarChar, tagData.addr);
-            request.input('TagType', sql.NVarChar, tagData.type || 'REAL');
+            request.input('TagAddress', sql.NVarChar, address ? address.nodes7 : null);
+            request.input('TagType', sql.NVarChar, tagData.udtName && address ? 'UDT' : tagData.type || 'REAL');
+            request.input('UdtName', sql.NVarChar, address ? tagData.udtName || null : null);
+            request.input('SourceType', sql.NVarChar, sourceType);
+            request.input('Expression', sql.NVarChar, calculated ? tagData.expression : null);
             request.input('Description', sql.NVarChar, tagData.description || '');
             request.input('GroupName', sql.NVarChar, tagData.group || 'Default');
+            request.input('ScanClass', sql.NVarChar, tagData.scanClass || null);
             
             // Engineering Units
             request.input('RawMin', sql.Float, tagData.rawMin || tagData.scalingConfig?.rawMin || 0);
@@ -572,6 +879,8 @@ class SqlTagManager extends EventEmitter {
             request.input('EuMax', sql.Float, tagData.euMax || tagData.scalingConfig?.euMax || 100);
             request.input('EngineeringUnits', sql.NVarChar, tagData.engineeringUnits || tagData.units || '');
             request.input('DecimalPlaces', sql.Int, tagData.decimalPlaces || 2);
+            request.input('ScalingType', sql.NVarChar, scaling ? scaling.type : 'LINEAR');
+            request.input('ScalingCoefficients', sql.NVarChar, scaling && scaling.coefficients ? JSON.stringify(scaling.coefficients) : null);
             
             // Operating limits
             request.input('MinValue', sql.Float, tagData.limits?.min || null);
@@ -583,11 +892,15 @@ class SqlTagManager extends EventEmitter {
             request.input('CreatedBy', sql.NVarChar, tagData.createdBy || 'API_USER');
 
             const result = await request.execute('sp_AddEnhancedTagWithPLC');
+
+            if (totalizer) {
+                await this.saveTotalizer(plcName, tagData.name, tagData.totalizer);
+            }
             
             // Refresh cache
             await this.refreshTags();
             
-            this.emit('tag_saved', { ...tagData, plcName });
+            this.emit('tag_saved', { ...tagData, addr: address ? address.nodes7 : null, plcName });
             return result.recordset[0];
 
         } catch (error) {
@@ -597,6 +910,33 @@ class SqlTagManager extends EventEmitter {
         }
     }
 
+    /**
+     * Store the configuration of a totalizer tag, its running total is kept
+     * @param {object} config - {source, mode, timeBase, factor, resetSchedule, resetTimes, resetDay,
+     *                          badQualityPolicy, maxGap, lowFlowCutoff, rolloverValue}
+     */
+    async saveTotalizer(plcName, tagName, config) {
+        const totalizer = { ...Totalizer.DEFAULT_CONFIG, ...config };
+
+        const result = await this.connectionPool.request()
+            .input('PLCName', sql.NVarChar, plcName)
+            .input('TagName', sql.NVarChar, tagName)
+            .input('SourceTag', sql.NVarChar, totalizer.source)
+            .input('Mode', sql.NVarChar, totalizer.mode)
+            .input('RateTimeBase', sql.NVarChar, totalizer.timeBase)
+            .input('Factor', sql.Float, totalizer.factor)
+            .input('ResetSchedule', sql.NVarChar, totalizer.resetSchedule)
+            .input('ResetTimes', sql.NVarChar, [].concat(totalizer.resetTimes).join(',').replace(/\s/g, ''))
+            .input('ResetDay', sql.Int, totalizer.resetDay)
+            .input('BadQualityPolicy', sql.NVarChar, totalizer.badQualityPolicy)
+            .input('MaxGapSeconds', sql.Int, totalizer.maxGap)
+            .input('LowFlowCutoff', sql.Float, totalizer.lowFlowCutoff)
+            .input('RolloverValue', sql.Float, totalizer.rolloverValue)
+            .execute('sp_SaveTotalizer');
+
+        return result.recordset[0];
+    }
+
     /**
      * Delete a tag from database
      */
@@ -701,6 +1041,7 @@ class SqlTagManager extends EventEmitter {
             connected: this.isConnected,
             tagCount: this.tagCache.size,
             plcCount: this.plcCache.size,
+            udtTypeCount: this.udtLayout.types.size,
             plcContext: this.config.plcName,
             lastRefresh: this.lastRefresh,
             autoRefresh: !!this.refreshTimer,
@@ -815,8 +1156,11 @@ class SqlTagManager extends EventEmitter {
                 name: row.TagName,
                 addr: row.TagAddress,
                 type: row.TagType,
+                sourceType: row.SourceType || 'PLC',
+                expression: row.Expression || null,
                 description: row.Description,
                 group: row.GroupName,
+                scanClass: row.ScanClass || null,
                 enabled: row.Enabled,
                 
                 // Engineering Units
@@ -959,10 +1303,17 @@ class SqlTagManager extends EventEmitter {
     validateTagConfig(tagData) {
         const errors = [];
         const warnings = [];
+        let addressErrors = [];
+        let address = null;
 
-        // Required fields
+        // Required fields, calculated tags have an expression and totalizers a source tag instead of an address
+        const calculated = tagData.sourceType === 'CALCULATED';
+        const totalizer = tagData.sourceType === 'TOTALIZER';
         if (!tagData.name) errors.push('Tag name is required');
-        if (!tagData.addr) errors.push('Tag address is required');
+        if (!calculated && !totalizer && !tagData.addr) errors.push('Tag address is required');
+        if (tagData.sourceType && !['PLC', ...VIRTUAL_SOURCE_TYPES].includes(tagData.sourceType)) {
+            errors.push(`Unknown source type '${tagData.sourceType}', use PLC, ${VIRTUAL_SOURCE_TYPES.join(' or ')}`);
+        }
         
         // PLC validation
         const plcName = tagData.plcName || this.config.plcName;
@@ -994,16 +1345,65 @@ class SqlTagManager extends EventEmitter {
             }
         }
 
-        // Address format validation
-        const addressPattern = /^(DB\d+,|M|I|Q)/i;
-        if (!addressPattern.test(tagData.addr)) {
-            warnings.push('Tag address format may not be valid for S7 PLCs');
+        // Expression validation, references are only checked when the tags are loaded
+        if (calculated) {
+            const result = TagExpression.validate(tagData.expression);
+            errors.push(...result.errors);
+            if (tagData.addr) {
+                warnings.push('Calculated tags are not read from the PLC, the address is ignored');
+            }
+        }
+
+        // Totalizer validation, the source is a tag of the same PLC
+        if (totalizer) {
+            const result = Totalizer.validate(tagData.totalizer);
+            errors.push(...result.errors);
+            const source = tagData.totalizer?.source;
+            if (source && plcName && !this.getAllTags().some(tag => tag.plcName === plcName && tag.name === source)) {
+                warnings.push(`Totalizer source tag ${source} is not configured on PLC ${plcName}`);
+            }
+            if (tagData.addr) {
+                warnings.push('Totalizers are not read from the PLC, the address is ignored');
+            }
+        }
+
+        // Address validation, UDT instances only use the start of the address
+        if (tagData.addr && !calculated && !totalizer) {
+            const result = S7Address.validate(tagData.addr, { type: tagData.udtName ? null : tagData.type });
+            addressErrors = result.errors;
+            address = result.parsed;
+            errors.push(...result.errors.map(e => `Invalid address '${tagData.addr}' at position ${e.position}: ${e.message}`));
+            warnings.push(...result.warnings);
+        }
+
+        // Scaling validation, every type needs an inverse for writes in engineering units
+        if (!calculated && !totalizer && !tagData.udtName) {
+            errors.push(...ScalingEngine.validate(ScalingEngine.fromTag(tagData)).errors);
+        }
+
+        // UDT validation
+        if (tagData.udtName && address) {
+            try {
+                this.udtLayout.expand(tagData.name, tagData.udtName, address.nodes7);
+                if (address.offset % 2 !== 0) {
+                    warnings.push(`UDT instances start at an even byte in the PLC, ${address.nodes7} is odd`);
+                }
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+
+        // Scan class validation
+        if (tagData.scanClass && this.scanClassCache.size > 0 && !this.scanClassCache.has(tagData.scanClass)) {
+            warnings.push(`Unknown scan class '${tagData.scanClass}', tag will be read at the PLC cycle time`);
         }
 
         return {
             valid: errors.length === 0,
             errors,
-            warnings
+            warnings,
+            addressErrors,
+            address
         };
     }
 
@@ -1043,7 +1443,8 @@ class SqlTagManager extends EventEmitter {
                         results.errors.push({
                             index: i,
                             tag: tag.name || `Tag ${i}`,
-                            errors: validation.errors
+                            errors: validation.errors,
+                            addressErrors: validation.addressErrors
                         });
                         continue;
                     }
@@ -1122,8 +1523,12 @@ class SqlTagManager extends EventEmitter {
                     name: tag.name,
                     addr: tag.addr,
                     type: tag.type,
+                    sourceType: tag.sourceType,
+                    expression: tag.expression,
+                    totalizer: tag.totalizer,
                     description: tag.description,
                     group: tag.group,
+                    scanClass: tag.scanClass,
                     enabled: tag.enabled,
                     
                     // Engineering units
@@ -0,0 +1,448 @@
+/**
+ * Tag Expression
+ * Safe expression language of calculated tags ('FlowIn - FlowOut', 'avg(Level1, Level2)',
+ * 'Pump1_Run && !Pump1_Fault'). Expressions are parsed into a tree and evaluated by walking it,
+ * without eval, so they can only read tag values and call the functions listed below.
+ *
+ * Grammar (lowest precedence first):
+ *   ||   &&   == !=   < <= > >=   + -   * / %   unary ! - +
+ * Operands: numbers, 'strings', true/false, tag references and function calls.
+ * References: Tag, Udt_Tag.Member, OtherPLC:Tag, or [Any name:With spaces] for names that are no identifiers.
+ */
+
+// Functions available in expressions: [minimum, maximum] number of arguments, arguments are numbers
+const FUNCTIONS = {
+    abs: { args: [1, 1], fn: Math.abs },
+    sqrt: { args: [1, 1], fn: Math.sqrt },
+    exp: { args: [1, 1], fn: Math.exp },
+    log: { args: [1, 1], fn: Math.log },
+    log10: { args: [1, 1], fn: Math.log10 },
+    floor: { args: [1, 1], fn: Math.floor },
+    ceil: { args: [1, 1], fn: Math.ceil },
+    round: { args: [1, 2], fn: (x, digits = 0) => Math.round(x * 10 ** digits) / 10 ** digits },
+    pow: { args: [2, 2], fn: Math.pow },
+    min: { args: [1, Infinity], fn: Math.min },
+    max: { args: [1, Infinity], fn: Math.max },
+    sum: { args: [1, Infinity], fn: (...values) => values.reduce((total, value) => total + value, 0) },
+    avg: { args: [1, Infinity], fn: (...values) => values.reduce((total, value) => total + value, 0) / values.length },
+    count: { args: [1, Infinity], fn: (...values) => values.filter(value => value !== 0).length },
+    clamp: { args: [3, 3], fn: (x, low, high) => Math.min(Math.max(x, low), high) },
+    if: { args: [3, 3], fn: null }     // if(condition, then, else), only the chosen branch is evaluated
+};
+
+const OPERATORS = ['&&', '||', '==', '!=', '<=', '>=', '<', '>', '!', '+', '-', '*', '/', '%', '(', ')', ','];
+
+// Binary operators by precedence level, lowest first
+const BINARY_LEVELS = [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+
+const MAX_LENGTH = 1000;    // Tags.Expression column
+const MAX_DEPTH = 50;       // nesting of parentheses, calls and unary operators
+
+const NAME = '[A-Za-z_][A-Za-z0-9_]*(?:\\.[A-Za-z0-9_]+)*';
+const IDENTIFIER = new RegExp(`^(?:${NAME}:)?${NAME}`);
+const NUMBER = /^(?:[0-9]+(?:\.[0-9]*)?|\.[0-9]+)(?:[eE][+-]?[0-9]+)?/;
+
+class TagExpressionError extends Error {
+    constructor(code, message, expression, position = null) {
+        super(position === null
+            ? `Expression "${expression}": ${message}`
+            : `Invalid expression "${expression}": ${message} (position ${position})`);
+        this.name = 'TagExpressionError';
+        this.code = code;
+        this.reason = message;
+        this.expression = expression;
+        this.position = position;
+    }
+}
+
+/**
+ * Splits an expression into tokens {type, value, position}
+ */
+function tokenize(source) {
+    const tokens = [];
+    let pos = 0;
+
+    const fail = (message, position = pos) => {
+        throw new TagExpressionError('ERR_EXPRESSION_SYNTAX', message, source, position);
+    };
+
+    while (pos < source.length) {
+        const rest = source.slice(pos);
+        const char = source[pos];
+        let match;
+
+        if (/\s/.test(char)) {
+            pos++;
+        } else if ((match = NUMBER.exec(rest))) {
+            tokens.push({ type: 'number', value: Number(match[0]), position: pos });
+            pos += match[0].length;
+        } else if (char === '\'' || char === '"') {
+            const end = source.indexOf(char, pos + 1);
+            if (end < 0) fail('Unterminated string');
+            tokens.push({ type: 'string', value: source.slice(pos + 1, end), position: pos });
+            pos = end + 1;
+        } else if (char === '[') {
+            const end = source.indexOf(']', pos + 1);
+            const name = end < 0 ? '' : source.slice(pos + 1, end).trim();
+            if (end < 0) fail('Missing ]');
+            if (!name) fail('Empty tag reference');
+            tokens.push({ type: 'reference', value: name, position: pos });
+            pos = end + 1;
+        } else if ((match = IDENTIFIER.exec(rest))) {
+            const keyword = match[0].toLowerCase();
+            if (keyword === 'true' || keyword === 'false') {
+                tokens.push({ type: 'boolean', value: keyword === 'true', position: pos });
+            } else {
+                tokens.push({ type: 'identifier', value: match[0], position: pos });
+            }
+            pos += match[0].length;
+        } else {
+            const operator = OPERATORS.find(op => source.startsWith(op, pos));
+            if (!operator) {
+                fail(char === '=' ? 'Use == to compare' : `Unexpected '${char}'`);
+            }
+            tokens.push({ type: 'operator', value: operator, position: pos });
+            pos += operator.length;
+        }
+    }
+
+    tokens.push({ type: 'end', value: null, position: source.length });
+    return tokens;
+}
+
+/**
+ * Recursive descent parser building the expression tree
+ */
+class Parser {
+    constructor(source) {
+        this.source = source;
+        this.tokens = tokenize(source);
+        this.index = 0;
+        this.depth = 0;
+        this.references = new Set();
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    accept(operator) {
+        const token = this.peek();
+        if (token.type === 'operator' && token.value === operator) {
+            this.index++;
+            return true;
+        }
+        return false;
+    }
+
+    fail(message, token = this.peek()) {
+        throw new TagExpressionError('ERR_EXPRESSION_SYNTAX', message, this.source, token.position);
+    }
+
+    describe(token) {
+        return token.type === 'end' ? 'end of expression' : `'${this.source.slice(token.position).split(/\s/)[0] || token.value}'`;
+    }
+
+    expect(operator) {
+        if (!this.accept(operator)) {
+            this.fail(`'${operator}' expected, found ${this.describe(this.peek())}`);
+        }
+    }
+
+    parse() {
+        if (!this.source.trim()) {
+            this.fail('Expression is empty');
+        }
+
+        const node = this.parseBinary(0);
+        if (this.peek().type !== 'end') {
+            this.fail(`Unexpected ${this.describe(this.peek())}`);
+        }
+        return node;
+    }
+
+    parseBinary(level) {
+        if (level === BINARY_LEVELS.length) {
+            return this.parseUnary();
+        }
+
+        let left = this.parseBinary(level + 1);
+        let token = this.peek();
+
+        while (token.type === 'operator' && BINARY_LEVELS[level].includes(token.value)) {
+            this.next();
+            const right = this.parseBinary(level + 1);
+            left = { type: 'binary', op: token.value, left, right, position: token.position };
+            token = this.peek();
+        }
+
+        return left;
+    }
+
+    parseUnary() {
+        const token = this.peek();
+
+        if (token.type === 'operator' && ['!', '-', '+'].includes(token.value)) {
+            this.next();
+            return this.nested(() => ({ type: 'unary', op: token.value, arg: this.parseUnary(), position: token.position }));
+        }
+
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.next();
+
+        switch (token.type) {
+            case 'number':
+            case 'string':
+            case 'boolean':
+                return { type: 'literal', value: token.value, position: token.position };
+
+            case 'reference':
+                this.references.add(token.value);
+                return { type: 'reference', name: token.value, position: token.position };
+
+            case 'identifier':
+                if (this.accept('(')) {
+                    return this.nested(() => this.parseCall(token));
+                }
+                this.references.add(token.value);
+                return { type: 'reference', name: token.value, position: token.position };
+
+            case 'operator':
+                if (token.value === '(') {
+                    const node = this.nested(() => this.parseBinary(0));
+                    this.expect(')');
+                    return node;
+                }
+                return this.fail(`Unexpected ${this.describe(token)}`, token);
+
+            default:
+                return this.fail('Unexpected end of expression', token);
+        }
+    }
+
+    parseCall(token) {
+        const name = token.value.toLowerCase();
+        const definition = Object.prototype.hasOwnProperty.call(FUNCTIONS, name) ? FUNCTIONS[name] : null;
+        if (!definition) {
+            this.fail(`Unknown function '${token.value}' (available: ${Object.keys(FUNCTIONS).join(', ')})`, token);
+        }
+
+        const args = [];
+        if (!this.accept(')')) {
+            do {
+                args.push(this.parseBinary(0));
+            } while (this.accept(','));
+            this.expect(')');
+        }
+
+        const [min, max] = definition.args;
+        if (args.length < min || args.length > max) {
+            const expected = min === max ? String(min) : max === Infinity ? `at least ${min}` : `${min}-${max}`;
+            this.fail(`${name}() takes ${expected} argument${expected === '1' ? '' : 's'}, not ${args.length}`, token);
+        }
+
+        return { type: 'call', name, args, position: token.position };
+    }
+
+    nested(parse) {
+        if (++this.depth > MAX_DEPTH) {
+            this.fail(`Expression is nested deeper than ${MAX_DEPTH} levels`);
+        }
+        const node = parse();
+        this.depth--;
+        return node;
+    }
+}
+
+class TagExpression {
+    /**
+     * Parses an expression
+     * @param {string} source - Expression text
+     * @throws {TagExpressionError} - With code and position of the first error
+     */
+    constructor(source) {
+        if (typeof source !== 'string') {
+            throw new TagExpressionError('ERR_EXPRESSION_SYNTAX', 'Expression is empty', String(source ?? ''), 0);
+        }
+        if (source.length > MAX_LENGTH) {
+            throw new TagExpressionError('ERR_EXPRESSION_SYNTAX', `Expression is longer than ${MAX_LENGTH} characters`, source.slice(0, 40) + '...', MAX_LENGTH);
+        }
+
+        const parser = new Parser(source);
+        this.source = source;
+        this.ast = parser.parse();
+        this.references = Array.from(parser.references);
+    }
+
+    static compile(source) {
+        return new TagExpression(source);
+    }
+
+    /**
+     * Checks an expression without throwing
+     * @returns {object} - {valid, errors, references}
+     */
+    static validate(source) {
+        try {
+            const expression = new TagExpression(source);
+            return { valid: true, errors: [], references: expression.references };
+        } catch (error) {
+            if (!(error instanceof TagExpressionError)) throw error;
+            return { valid: false, errors: [error.message], references: [] };
+        }
+    }
+
+    /**
+     * Splits a reference into PLC and tag name ('PLC_2:Flow' -> {plcName: 'PLC_2', tagName: 'Flow'})
+     */
+    static parseReference(reference) {
+        const separator = reference.indexOf(':');
+        return separator < 0
+            ? { plcName: null, tagName: reference }
+            : { plcName: reference.slice(0, separator).trim(), tagName: reference.slice(separator + 1).trim() };
+    }
+
+    /**
+     * Reads a member of a UDT value by its path ('Speed', 'Motor.Speed'), only own properties
+     * @returns {*} - Member value, undefined when the path does not exist
+     */
+    static getMember(value, path) {
+        return path.split('.').reduce((current, key) => (
+            current !== null && typeof current === 'object' && !Buffer.isBuffer(current) && !(current instanceof Date) &&
+            Object.prototype.hasOwnProperty.call(current, key) ? current[key] : undefined
+        ), value);
+    }
+
+    /**
+     * Evaluates the expression
+     * @param {Function} resolve - Returns the value of a reference, null or undefined when it has none
+     * @returns {number|boolean|string} - Result
+     * @throws {TagExpressionError} - On missing inputs, type errors, division by zero and non-finite results
+     */
+    evaluate(resolve) {
+        const result = this.evaluateNode(this.ast, resolve);
+
+        if (typeof result === 'number' && !Number.isFinite(result)) {
+            this.fail('ERR_EXPRESSION_RESULT', `Result is ${result}`);
+        }
+        if (!['number', 'boolean', 'string'].includes(typeof result)) {
+            this.fail('ERR_EXPRESSION_TYPE', 'Result is not a number, boolean or string');
+        }
+        return result;
+    }
+
+    evaluateNode(node, resolve) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+
+            case 'reference': {
+                const value = resolve(node.name);
+                if (value === null || value === undefined) {
+                    this.fail('ERR_EXPRESSION_INPUT', `No value for ${node.name}`);
+                }
+                return value;
+            }
+
+            case 'unary': {
+                const value = this.evaluateNode(node.arg, resolve);
+                if (node.op === '!') return !this.toBoolean(value, node.arg);
+                return node.op === '-' ? -this.toNumber(value, node.arg) : this.toNumber(value, node.arg);
+            }
+
+            case 'binary':
+                return this.evaluateBinary(node, resolve);
+
+            case 'call': {
+                if (node.name === 'if') {
+                    const condition = this.toBoolean(this.evaluateNode(node.args[0], resolve), node.args[0]);
+                    return this.evaluateNode(node.args[condition ? 1 : 2], resolve);
+                }
+                const args = node.args.map(arg => this.toNumber(this.evaluateNode(arg, resolve), arg));
+                return FUNCTIONS[node.name].fn(...args);
+            }
+
+            default:
+                throw new Error(`Unknown expression node ${node.type}`);
+        }
+    }
+
+    evaluateBinary(node, resolve) {
+        const { op } = node;
+
+        // Logical operators only evaluate the right side when needed
+        if (op === '&&' || op === '||') {
+            const left = this.toBoolean(this.evaluateNode(node.left, resolve), node.left);
+            if (op === '&&' ? !left : left) return left;
+            return this.toBoolean(this.evaluateNode(node.right, resolve), node.right);
+        }
+
+        const left = this.evaluateNode(node.left, resolve);
+        const right = this.evaluateNode(node.right, resolve);
+
+        if (op === '==' || op === '!=') {
+            const equal = typeof left === 'string' || typeof right === 'string'
+                ? left === right
+                : this.toNumber(left, node.left) === this.toNumber(right, node.right);
+            return op === '==' ? equal : !equal;
+        }
+
+        if (typeof left === 'string' && typeof right === 'string' && ['<', '<=', '>', '>='].includes(op)) {
+            return op === '<' ? left < right : op === '<=' ? left <= right : op === '>' ? left > right : left >= right;
+        }
+
+        const a = this.toNumber(left, node.left);
+        const b = this.toNumber(right, node.right);
+
+        switch (op) {
+            case '+': return a + b;
+            case '-': return a - b;
+            case '*': return a * b;
+            case '/':
+            case '%':
+                if (b === 0) this.fail('ERR_EXPRESSION_RESULT', 'Division by zero');
+                return op === '/' ? a / b : a % b;
+            case '<': return a < b;
+            case '<=': return a <= b;
+            case '>': return a > b;
+            default: return a >= b;
+        }
+    }
+
+    toNumber(value, node) {
+        if (typeof value === 'number') return value;
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        return this.fail('ERR_EXPRESSION_TYPE', `${this.describeOperand(node)} is not a number`);
+    }
+
+    toBoolean(value, node) {
+        if (typeof value === 'boolean') return value;
+        if (typeof value === 'number') return value !== 0;
+        return this.fail('ERR_EXPRESSION_TYPE', `${this.describeOperand(node)} is not a boolean`);
+    }
+
+    describeOperand(node) {
+        if (node.type === 'reference') return node.name;
+        if (node.type === 'literal') return JSON.stringify(node.value);
+        return `Operand at position ${node.position}`;
+    }
+
+    fail(code, message) {
+        throw new TagExpressionError(code, message, this.source);
+    }
+
+    toString() {
+        return this.source;
+    }
+}
+
+Object.assign(TagExpression, { TagExpressionError, FUNCTIONS, MAX_LENGTH });
+
+module.exports = TagExpression;
@@ -0,0 +1,237 @@
+/**
+ * Temperature Sensors
+ * Reference functions of platinum resistance thermometers (IEC 60751, Callendar–Van Dusen) and
+ * thermocouples J, K and T (NIST ITS-90 reference functions, E in mV at a reference junction of 0 °C).
+ * Temperatures are found by inverting the reference functions numerically, which is exact to the
+ * reference function instead of carrying the error of the published inverse polynomials.
+ * Below 0 °C type T uses the NIST inverse polynomial (-200 .. 0 °C, within 0.04 °C of the reference function).
+ */
+
+// Callendar–Van Dusen coefficients of IEC 60751 (α = 0.00385)
+const CVD = {
+    A: 3.9083e-3,
+    B: -5.775e-7,
+    C: -4.183e-12
+};
+
+// Thermocouple reference functions per temperature range: coefficients c0..cn of °C -> mV, or inverse d0..dn
+// of mV -> °C over the voltage bracket (reaching a little beyond the range so its end can be found)
+const THERMOCOUPLES = {
+    J: {
+        range: [-210, 1200],
+        ranges: [
+            {
+                max: 760,
+                coefficients: [0, 5.0381187815e-2, 3.047583693e-5, -8.568106572e-8, 1.3228195295e-10,
+                    -1.7052958337e-13, 2.0948090697e-16, -1.2538395336e-19, 1.5631725697e-23]
+            },
+            {
+                max: 1200,
+                coefficients: [2.9645625681e2, -1.4976127786, 3.1787103924e-3, -3.1847686701e-6,
+                    1.5720819004e-9, -3.0691369056e-13]
+            }
+        ]
+    },
+    K: {
+        range: [-270, 1372],
+        ranges: [
+            {
+                max: 0,
+                coefficients: [0, 3.945012802500e-2, 2.362237359800e-5, -3.285890678400e-7, -4.990482877700e-9,
+                    -6.750905917300e-11, -5.741032742800e-13, -3.108887289400e-15, -1.045160936500e-17,
+                    -1.988926687800e-20, -1.632269748600e-23]
+            },
+            {
+                max: 1372,
+                coefficients: [-1.7600413686e-2, 3.8921204975e-2, 1.8558770032e-5, -9.9457592874e-8,
+                    3.1840945719e-10, -5.6072844889e-13, 5.6075059059e-16, -3.2020720003e-19,
+                    9.7151147152e-23, -1.2104721275e-26],
+                // Exponential term of type K above 0 °C: a0 * exp(a1 * (t - a2)²)
+                exponential: [1.185976e-1, -1.183432e-4, 1.269686e2]
+            }
+        ]
+    },
+    T: {
+        range: [-200, 400],
+        ranges: [
+            {
+                max: 0,
+                inverse: [0, 2.5949192e1, -2.1316967e-1, 7.9018692e-1, 4.2527777e-1, 1.3304473e-1,
+                    2.0241446e-2, 1.2668171e-3],
+                voltage: [-5.61, 0]
+            },
+            {
+                max: 400,
+                coefficients: [0, 3.8748106364e-2, 3.3292227880e-5, 2.0618243404e-7, -2.1882256846e-9,
+                    1.0996880928e-11, -3.0815758772e-14, 4.5479135290e-17, -2.7512901673e-20]
+            }
+        ]
+    }
+};
+
+// Platinum resistance thermometers: R0 in Ω, range of IEC 60751 in °C
+const RTDS = {
+    PT100: { r0: 100, range: [-200, 850] },
+    PT1000: { r0: 1000, range: [-200, 850] }
+};
+
+// Scaling types, Tags.ScalingType
+const SENSOR_TYPES = {
+    PT100: { kind: 'RTD', sensor: 'PT100', signalUnits: 'Ω' },
+    PT1000: { kind: 'RTD', sensor: 'PT1000', signalUnits: 'Ω' },
+    TC_J: { kind: 'THERMOCOUPLE', sensor: 'J', signalUnits: 'mV' },
+    TC_K: { kind: 'THERMOCOUPLE', sensor: 'K', signalUnits: 'mV' },
+    TC_T: { kind: 'THERMOCOUPLE', sensor: 'T', signalUnits: 'mV' }
+};
+
+const INVERSE_ITERATIONS = 60;      // bisection steps over the range, below 1e-12 °C
+
+class TemperatureRangeError extends Error {
+    constructor(message, temperature = null) {
+        super(message);
+        this.name = 'TemperatureRangeError';
+        this.temperature = temperature;
+    }
+}
+
+function evaluatePolynomial(coefficients, x) {
+    return coefficients.reduceRight((result, coefficient) => result * x + coefficient, 0);
+}
+
+/**
+ * Finds t in [min, max] with fn(t) = y for an increasing fn
+ * @returns {number|null} - null when y is outside fn(min) .. fn(max)
+ */
+function invert(fn, y, min, max) {
+    if (!(y >= fn(min) && y <= fn(max))) return null;
+
+    let [a, b] = [min, max];
+    for (let i = 0; i < INVERSE_ITERATIONS; i++) {
+        const middle = (a + b) / 2;
+        if (fn(middle) < y) a = middle;
+        else b = middle;
+    }
+    return (a + b) / 2;
+}
+
+function checkRange(temperature, [min, max], sensor) {
+    if (!(temperature >= min && temperature <= max)) {
+        throw new TemperatureRangeError(`${temperature} °C is outside the range ${min} .. ${max} °C of ${sensor}`, temperature);
+    }
+}
+
+class TemperatureSensors {
+    static isSensorType(type) {
+        return Object.prototype.hasOwnProperty.call(SENSOR_TYPES, String(type).toUpperCase());
+    }
+
+    static isThermocouple(type) {
+        return SENSOR_TYPES[String(type).toUpperCase()]?.kind === 'THERMOCOUPLE';
+    }
+
+    /**
+     * Resistance of a platinum resistance thermometer
+     * @param {number} temperature - °C
+     * @param {string} sensor - PT100 or PT1000
+     * @returns {number} - Ω
+     */
+    static rtdResistance(temperature, sensor = 'PT100') {
+        const { r0, range } = RTDS[sensor];
+        checkRange(temperature, range, sensor);
+
+        const { A, B, C } = CVD;
+        const t = temperature;
+        return r0 * (1 + A * t + B * t * t + (t < 0 ? C * (t - 100) * t * t * t : 0));
+    }
+
+    /**
+     * Temperature of a platinum resistance thermometer
+     * @param {number} resistance - Ω
+     * @throws {TemperatureRangeError} - For resistances outside the range of the sensor (wire break, short circuit)
+     */
+    static rtdTemperature(resistance, sensor = 'PT100') {
+        const { range } = RTDS[sensor];
+        const temperature = invert(t => TemperatureSensors.rtdResistance(t, sensor), resistance, ...range);
+        if (temperature === null) {
+            throw new TemperatureRangeError(`${resistance} Ω is outside the range ${range[0]} .. ${range[1]} °C of ${sensor}`);
+        }
+        return temperature;
+    }
+
+    /**
+     * Thermoelectric voltage of a thermocouple against a reference junction at 0 °C
+     * @param {number} temperature - °C
+     * @param {string} type - J, K or T
+     * @returns {number} - mV
+     */
+    static thermocoupleVoltage(temperature, type) {
+        const thermocouple = THERMOCOUPLES[type];
+        checkRange(temperature, thermocouple.range, `type ${type} thermocouples`);
+
+        const { coefficients, exponential, inverse, voltage: bracket } = thermocouple.ranges.find(range => temperature <= range.max);
+        if (inverse) {
+            return invert(voltage => evaluatePolynomial(inverse, voltage), temperature, ...bracket);
+        }
+
+        let voltage = evaluatePolynomial(coefficients, temperature);
+        if (exponential) {
+            const [a0, a1, a2] = exponential;
+            voltage += a0 * Math.exp(a1 * (temperature - a2) ** 2);
+        }
+        return voltage;
+    }
+
+    /**
+     * Temperature of a thermocouple
+     * @param {number} voltage - mV measured at the cold junction
+     * @param {number} coldJunction - Temperature of the cold junction in °C
+     * @throws {TemperatureRangeError} - For voltages outside the range of the type (wire break, wrong type)
+     */
+    static thermocoupleTemperature(voltage, type, coldJunction = 0) {
+        const { range } = THERMOCOUPLES[type];
+        const total = voltage + TemperatureSensors.thermocoupleVoltage(coldJunction, type);
+        const temperature = invert(t => TemperatureSensors.thermocoupleVoltage(t, type), total, ...range);
+        if (temperature === null) {
+            throw new TemperatureRangeError(`${voltage} mV at a cold junction of ${coldJunction} °C is outside the range ` +
+                `${range[0]} .. ${range[1]} °C of type ${type} thermocouples`);
+        }
+        return temperature;
+    }
+
+    /**
+     * Temperature from the signal of a sensor type
+     * @param {string} type - PT100, PT1000, TC_J, TC_K or TC_T
+     * @param {number} signal - Ω for RTDs, mV for thermocouples
+     * @param {number} coldJunction - °C, thermocouples only
+     */
+    static toTemperature(type, signal, coldJunction = 0) {
+        const { kind, sensor } = SENSOR_TYPES[type];
+        return kind === 'RTD'
+            ? TemperatureSensors.rtdTemperature(signal, sensor)
+            : TemperatureSensors.thermocoupleTemperature(signal, sensor, coldJunction);
+    }
+
+    /**
+     * Signal of a sensor type at a temperature
+     * @returns {number} - Ω for RTDs, mV for thermocouples
+     */
+    static toSignal(type, temperature, coldJunction = 0) {
+        const { kind, sensor } = SENSOR_TYPES[type];
+        return kind === 'RTD'
+            ? TemperatureSensors.rtdResistance(temperature, sensor)
+            : TemperatureSensors.thermocoupleVoltage(temperature, sensor) - TemperatureSensors.thermocoupleVoltage(coldJunction, sensor);
+    }
+
+    /**
+     * Temperature range of a sensor type
+     * @returns {number[]} - [min, max] in °C
+     */
+    static getRange(type) {
+        const { kind, sensor } = SENSOR_TYPES[type];
+        return kind === 'RTD' ? RTDS[sensor].range : THERMOCOUPLES[sensor].range;
+    }
+}
+
+Object.assign(TemperatureSensors, { TemperatureRangeError, SENSOR_TYPES, CVD });
+
+module.exports = TemperatureSensors;
@@ -0,0 +1,81 @@
+const assert = require('assert');
+const S7PlcSimulator = require('../S7PlcSimulator');
+const S7Client = require('../S7Client');
+
+// A primary that accepts TCP connections and drops them ('reject' fault) must not hold up the failover
+// to a healthy backup longer than the connection timeout
+const TIMEOUT = 500;
+
+const primary = new S7PlcSimulator({ port: 0, areas: { DB: { 1: 16 } } });
+const backup = new S7PlcSimulator({ port: 0, areas: { DB: { 1: 16 } } });
+
+function waitFor(emitter, event, limit) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No ${event} within ${limit} ms`)), limit);
+        emitter.once(event, (...args) => {
+            clearTimeout(timer);
+            resolve(args);
+        });
+    });
+}
+
+async function main() {
+    await primary.start();
+    await backup.start();
+
+    const client = new S7Client(primary.getClientConfig({
+        cycletime: 0,
+        timeout: TIMEOUT,
+        backup: { port: backup.getAddress().port },
+        reconnect: { enabled: true, initialDelay: 100, maxDelay: 100, factor: 1, jitter: 0 },
+        failover: { failoverAfter: 1, failback: 'auto', probeInterval: 200, failbackDelay: 0 },
+        variables: [{ name: 'Value', addr: 'DB1,INT0' }]
+    }));
+    client.on('error', () => { });
+
+    try {
+        // Initial connect with the primary dropping every connection
+        primary.injectFault('reject');
+        let started = Date.now();
+        await client.connect();
+        assert.strictEqual(client.getEndpointStatus().active, 'backup');
+        assert.ok(Date.now() - started < TIMEOUT + 1000, `connect took ${Date.now() - started} ms`);
+        console.log(`✅ Connected to the backup after ${Date.now() - started} ms`);
+
+        // A failback probe during the outage ends within the timeout
+        started = Date.now();
+        await client.probePrimary();
+        assert.ok(Date.now() - started < TIMEOUT + 500, `probe took ${Date.now() - started} ms`);
+        assert.strictEqual(client.getEndpointStatus().active, 'backup');
+        console.log(`✅ Failback probe of the dropping primary ended after ${Date.now() - started} ms`);
+
+        // Back on the primary once it accepts connections again
+        primary.clearFaults('reject');
+        await waitFor(client, 'endpoint_switched', 5000);
+        await client.waitForConnection(2000);
+        assert.strictEqual(client.getEndpointStatus().active, 'primary');
+        console.log('✅ Failed back to the primary');
+
+        // Reconnection after the primary drops the connection and refuses new ones
+        primary.injectFault('reject');
+        started = Date.now();
+        const switched = waitFor(client, 'endpoint_switched', 5000);
+        primary.injectFault('drop');
+        const [info] = await switched;
+        assert.strictEqual(info.to, 'backup');
+        assert.ok(await client.waitForConnection(TIMEOUT + 1000), 'not connected to the backup');
+        assert.ok(Date.now() - started < TIMEOUT + 1500, `failover took ${Date.now() - started} ms`);
+        console.log(`✅ Failed over to the backup after ${Date.now() - started} ms`);
+    } finally {
+        await client.disconnect();
+        await primary.stop();
+        await backup.stop();
+    }
+}
+
+main().then(() => {
+    console.log('✅ Failover timeout tests passed');
+}).catch((error) => {
+    console.error('❌ Failover timeout tests failed:', error);
+    process.exitCode = 1;
+});
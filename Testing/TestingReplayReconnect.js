@@ -0,0 +1,96 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const S7Recorder = require('../S7Recorder');
+const S7Replay = require('../S7Replay');
+
+// Recordings are made from a stand-in client emitting the events of an S7Client
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 's7-replay-'));
+
+function createClient() {
+    const client = new EventEmitter();
+    client.config = { name: 'TestPLC', address: '127.0.0.1' };
+    client.connected = true;
+    client.getVariables = () => ({ Level: 'DB1,INT0' });
+    return client;
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function playToEnd(replay) {
+    const values = [];
+    const onData = (data) => values.push(data.Level);
+    replay.on('data', onData);
+
+    return new Promise((resolve) => {
+        replay.once('replay_end', () => {
+            replay.off('data', onData);
+            resolve(values);
+        });
+    });
+}
+
+async function testReplayAgainAfterEnd() {
+    const file = path.join(directory, 'again.s7rec');
+    const client = createClient();
+    const recorder = new S7Recorder({ file });
+    await recorder.start(client);
+    [1, 2, 3].forEach(level => client.emit('data', { Level: level }));
+    await recorder.stop();
+
+    const replay = new S7Replay({ file, speed: 0 });
+    let ended = playToEnd(replay);
+    await replay.connect();
+    assert.deepStrictEqual(await ended, [1, 2, 3]);
+    assert.strictEqual(replay.getReplayStatus().playing, false);
+
+    // A second connect without disconnect() plays the recording from the beginning
+    ended = playToEnd(replay);
+    await replay.connect();
+    assert.deepStrictEqual(await ended, [1, 2, 3]);
+    await replay.disconnect();
+
+    console.log('✅ Replay plays again from the beginning after it finished');
+}
+
+async function testTruncatedRecording() {
+    const file = path.join(directory, 'crash.s7rec.gz');
+    const copy = path.join(directory, 'crashed.s7rec.gz');
+    const client = createClient();
+    const recorder = new S7Recorder({ file, flushInterval: 20 });
+    await recorder.start(client);
+    [1, 2, 3].forEach(level => client.emit('data', { Level: level }));
+    await delay(200);
+
+    // The file as a crash would leave it: flushed, without the gzip trailer
+    fs.copyFileSync(file, copy);
+    await recorder.stop();
+
+    const replay = new S7Replay({ file: copy, speed: 0 });
+    const ended = playToEnd(replay);
+    await replay.connect();
+    assert.deepStrictEqual(await ended, [1, 2, 3]);
+    await replay.disconnect();
+
+    console.log('✅ Recording cut off by a crash replays up to its last flush');
+}
+
+async function main() {
+    try {
+        await testReplayAgainAfterEnd();
+        await testTruncatedRecording();
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+main().then(() => {
+    console.log('✅ Replay tests passed');
+}).catch((error) => {
+    console.error('❌ Replay tests failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,324 @@
+/**
+ * Totalizer
+ * Integrates a rate tag (m³/h, L/s) into a volume, or accumulates the increments of a PLC counter,
+ * per reset period (shift, day, month). Closed periods are returned to the caller, which stores them.
+ * Schedules use the local time of the server.
+ */
+
+// Milliseconds per time unit of the rate (m³/h -> 'h')
+const TIME_BASES = { s: 1000, min: 60000, h: 3600000, d: 86400000 };
+
+const MODES = ['RATE', 'COUNTER'];
+const RESET_SCHEDULES = ['NONE', 'SHIFT', 'DAILY', 'MONTHLY'];
+
+// HOLD = bad samples are not integrated, LAST_GOOD = the last good rate is integrated while the source is bad
+const BAD_QUALITY_POLICIES = ['HOLD', 'LAST_GOOD'];
+
+const DEFAULT_CONFIG = {
+    name: null,
+    source: null,               // rate or counter tag
+    mode: 'RATE',
+    timeBase: 'h',              // time unit of the rate
+    factor: 1,                  // total units per source unit (L -> m³ = 0.001, pulses -> m³)
+    resetSchedule: 'NONE',
+    resetTimes: ['00:00'],      // DAILY/MONTHLY: first entry, SHIFT: start of every shift
+    resetDay: 1,                // MONTHLY: day of the month, the last day in shorter months
+    badQualityPolicy: 'HOLD',
+    maxGap: 300,                // seconds, longer gaps between samples are not integrated
+    lowFlowCutoff: 0,           // rates below are counted as zero
+    rolloverValue: null         // COUNTER: value the PLC counter wraps at
+};
+
+// Periods closed in one go after a long downtime, one row each
+const MAX_CATCH_UP_PERIODS = 1000;
+
+// Reset times are given as an array or as comma separated text ('06:00,14:00,22:00')
+function toTimes(value) {
+    return typeof value === 'string' ? value.split(',').map(time => time.trim()) : value || [];
+}
+
+function parseTime(text) {
+    const match = /^([01]?[0-9]|2[0-3]):([0-5][0-9])$/.exec(String(text).trim());
+    return match ? { hours: Number(match[1]), minutes: Number(match[2]) } : null;
+}
+
+class Totalizer {
+    /**
+     * @param {object} config - {name, source, mode, timeBase, factor, resetSchedule, resetTimes, resetDay,
+     *                          badQualityPolicy, maxGap, lowFlowCutoff, rolloverValue}
+     */
+    constructor(config) {
+        this.config = { ...DEFAULT_CONFIG, ...config };
+        this.config.resetTimes = toTimes(this.config.resetTimes);
+
+        const { valid, errors } = Totalizer.validate(this.config);
+        if (!valid) {
+            throw new Error(`Invalid totalizer ${this.config.name}: ${errors.join(', ')}`);
+        }
+
+        this.total = 0;
+        this.lifetimeTotal = 0;
+        this.periodStart = null;
+        this.goodTime = 0;          // ms of the period integrated from good samples
+        this.last = null;           // {value, good, time} of the last sample
+        this.lastGoodValue = null;
+        this.lastSampleGood = null;     // quality of the latest sample, null = none since the start
+        this.nextReset = null;
+    }
+
+    /**
+     * Checks a totalizer configuration, missing settings take their defaults
+     * @returns {object} - {valid, errors}
+     */
+    static validate(config) {
+        config = { ...DEFAULT_CONFIG, ...config };
+        const errors = [];
+
+        if (!config.source) errors.push('Source tag is required');
+        if (!MODES.includes(config.mode)) errors.push(`Mode must be ${MODES.join(' or ')}`);
+        if (config.mode === 'RATE' && !TIME_BASES[config.timeBase]) {
+            errors.push(`Time base must be one of ${Object.keys(TIME_BASES).join(', ')}`);
+        }
+        if (!RESET_SCHEDULES.includes(config.resetSchedule)) {
+            errors.push(`Reset schedule must be one of ${RESET_SCHEDULES.join(', ')}`);
+        }
+        if (!BAD_QUALITY_POLICIES.includes(config.badQualityPolicy)) {
+            errors.push(`Bad quality policy must be ${BAD_QUALITY_POLICIES.join(' or ')}`);
+        }
+        if (config.resetSchedule !== 'NONE') {
+            const times = toTimes(config.resetTimes);
+            if (!times.length || times.some(time => !parseTime(time))) {
+                errors.push(`Reset times must be HH:MM, not ${times.join(',') || 'empty'}`);
+            }
+        }
+        if (config.resetSchedule === 'MONTHLY' && !(config.resetDay >= 1 && config.resetDay <= 31)) {
+            errors.push('Reset day must be 1-31');
+        }
+        if (typeof config.factor !== 'number' || !Number.isFinite(config.factor) || config.factor === 0) {
+            errors.push('Factor must be a number other than 0');
+        }
+        if (!(config.maxGap > 0)) errors.push('Maximum gap must be greater than 0');
+        if (config.rolloverValue !== null && config.rolloverValue !== undefined && !(config.rolloverValue > 0)) {
+            errors.push('Rollover value must be greater than 0');
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Next reset of a schedule after a time
+     * @returns {Date|null} - null for resetSchedule NONE
+     */
+    static getNextReset(config, from) {
+        if (config.resetSchedule === 'NONE') return null;
+
+        const after = new Date(from);
+        const times = config.resetSchedule === 'SHIFT' ? config.resetTimes : [config.resetTimes[0]];
+        const candidates = [];
+
+        times.map(parseTime).forEach(({ hours, minutes }) => {
+            if (config.resetSchedule === 'MONTHLY') {
+                // This and next month, the reset day moves to the last day of shorter months
+                for (let month = 0; month <= 1; month++) {
+                    const year = after.getFullYear();
+                    const monthIndex = after.getMonth() + month;
+                    const lastDay = new Date(year, monthIndex + 1, 0).getDate();
+                    candidates.push(new Date(year, monthIndex, Math.min(config.resetDay, lastDay), hours, minutes));
+                }
+            } else {
+                for (let day = 0; day <= 1; day++) {
+                    candidates.push(new Date(after.getFullYear(), after.getMonth(), after.getDate() + day, hours, minutes));
+                }
+            }
+        });
+
+        return candidates.filter(date => date > after).sort((a, b) => a - b)[0];
+    }
+
+    /**
+     * Starts a new totalizer at zero
+     */
+    start(now = new Date()) {
+        this.periodStart = new Date(now);
+        this.nextReset = Totalizer.getNextReset(this.config, this.periodStart);
+    }
+
+    /**
+     * Continues from a stored state, closing the periods that ended in the meantime
+     * @param {object} state - {total, lifetimeTotal, periodStart, goodSeconds, lastValue, lastTimestamp}
+     * @returns {object[]} - Closed periods
+     */
+    restore(state, now = new Date()) {
+        this.total = state.total || 0;
+        this.lifetimeTotal = state.lifetimeTotal || 0;
+        this.periodStart = state.periodStart ? new Date(state.periodStart) : new Date(now);
+        this.goodTime = (state.goodSeconds || 0) * 1000;
+        this.last = state.lastTimestamp && state.lastValue !== null && state.lastValue !== undefined
+            ? { value: state.lastValue, good: true, time: new Date(state.lastTimestamp) }
+            : null;
+        this.lastGoodValue = this.last ? this.last.value : null;
+        this.lastSampleGood = null;
+        this.nextReset = Totalizer.getNextReset(this.config, this.periodStart);
+
+        return this.checkReset(now);
+    }
+
+    /**
+     * Adds a sample of the source tag
+     * @param {*} value - EU value of the source tag
+     * @param {boolean} good - Whether the value is usable (quality not bad)
+     * @param {Date} timestamp - Source timestamp
+     * @returns {object[]} - Periods closed by a reset falling between the previous sample and this one
+     */
+    update(value, good, timestamp) {
+        const time = new Date(timestamp);
+        const usable = good && typeof value === 'number' && Number.isFinite(value);
+        const sample = { value: usable ? value : null, good: usable, time };
+        const closed = [];
+
+        if (!this.periodStart) {
+            this.start(time);
+        }
+
+        if (this.last && time > this.last.time) {
+            const measured = this.measure(this.last, sample);
+            const increment = measured.increment * this.config.factor;
+            const goodTime = measured.goodTime;
+
+            // An increment spanning a reset is split by time
+            let from = this.last.time;
+            while (this.nextReset && this.nextReset <= time && closed.length < MAX_CATCH_UP_PERIODS) {
+                const share = (this.nextReset - from) / (time - this.last.time);
+                this.add(increment * share, goodTime * share);
+                from = this.nextReset;
+                closed.push(this.close('SCHEDULE', this.nextReset));
+            }
+            const share = (time - from) / (time - this.last.time);
+            this.add(increment * share, goodTime * share);
+        } else {
+            closed.push(...this.checkReset(time));
+        }
+
+        // Counters keep their last good reading, so the counts made while bad are caught up
+        if (this.config.mode === 'RATE' || usable || !this.last) {
+            this.last = sample;
+        }
+        if (usable) {
+            this.lastGoodValue = value;
+        }
+        this.lastSampleGood = usable;
+
+        return closed;
+    }
+
+    /**
+     * Increment between two samples and the part of the interval covered by good data
+     */
+    measure(previous, sample) {
+        const duration = sample.time - previous.time;
+
+        if (this.config.mode === 'COUNTER') {
+            if (!previous.good || !sample.good) return { increment: 0, goodTime: 0 };
+
+            let delta = sample.value - previous.value;
+            if (delta < 0) {
+                // Wrapped at the rollover value, or restarted from zero (PLC reset, counter replaced)
+                delta = this.config.rolloverValue ? delta + this.config.rolloverValue : sample.value;
+            }
+            return { increment: delta, goodTime: duration };
+        }
+
+        if (duration > this.config.maxGap * 1000) {
+            return { increment: 0, goodTime: 0 };
+        }
+
+        const rate = value => value > this.config.lowFlowCutoff ? value : 0;
+        const elapsed = duration / TIME_BASES[this.config.timeBase];
+
+        if (previous.good && sample.good) {
+            // Trapezoidal rule
+            return { increment: (rate(previous.value) + rate(sample.value)) / 2 * elapsed, goodTime: duration };
+        }
+        if (this.config.badQualityPolicy === 'LAST_GOOD' && this.lastGoodValue !== null) {
+            return { increment: rate(this.lastGoodValue) * elapsed, goodTime: 0 };
+        }
+        return { increment: 0, goodTime: 0 };
+    }
+
+    add(increment, goodTime) {
+        this.total += increment;
+        this.lifetimeTotal += increment;
+        this.goodTime += goodTime;
+    }
+
+    /**
+     * Closes the periods whose reset time has passed (used when no samples arrive)
+     * @returns {object[]} - Closed periods
+     */
+    checkReset(now = new Date()) {
+        const closed = [];
+        while (this.nextReset && this.nextReset <= now && closed.length < MAX_CATCH_UP_PERIODS) {
+            closed.push(this.close('SCHEDULE', this.nextReset));
+        }
+        return closed;
+    }
+
+    /**
+     * Resets the total now, outside the schedule
+     * @returns {object} - Closed period
+     */
+    reset(reason = 'MANUAL', now = new Date()) {
+        return this.close(reason, new Date(now));
+    }
+
+    /**
+     * Ends the current period and starts the next one at zero
+     * @returns {object} - {periodStart, periodEnd, total, goodSeconds, coverage, reason}
+     */
+    close(reason, periodEnd) {
+        const start = this.periodStart || periodEnd;
+        const duration = periodEnd - start;
+        const period = {
+            periodStart: start,
+            periodEnd: periodEnd,
+            total: this.total,
+            goodSeconds: this.goodTime / 1000,
+            coverage: duration > 0 ? Math.min(100, this.goodTime / duration * 100) : 100,
+            reason: reason
+        };
+
+        this.total = 0;
+        this.goodTime = 0;
+        this.periodStart = periodEnd;
+        this.nextReset = Totalizer.getNextReset(this.config, periodEnd);
+
+        return period;
+    }
+
+    /**
+     * Whether the latest source sample was good. Counters carry their last good reading forward,
+     * so this.last does not tell
+     */
+    isGood() {
+        return this.lastSampleGood !== false;
+    }
+
+    /**
+     * State to persist, restore() continues from it
+     */
+    getState() {
+        return {
+            total: this.total,
+            lifetimeTotal: this.lifetimeTotal,
+            periodStart: this.periodStart,
+            goodSeconds: this.goodTime / 1000,
+            lastValue: this.last ? this.last.value : null,
+            lastTimestamp: this.last ? this.last.time : null,
+            nextReset: this.nextReset
+        };
+    }
+}
+
+Object.assign(Totalizer, { DEFAULT_CONFIG, TIME_BASES, MODES, RESET_SCHEDULES, BAD_QUALITY_POLICIES });
+
+module.exports = Totalizer;
@@ -0,0 +1,310 @@
+/**
+ * UDT Layout
+ * Compiles PLC data type (UDT) definitions to their memory layout and maps UDT instances
+ * to member addresses, member values to JSON objects and back
+ */
+
+const S7Address = require('./S7Address');
+
+// Member types and the nodes7 data type they are read as
+const MEMBER_TYPES = {
+    BOOL: 'X',
+    BYTE: 'BYTE', USINT: 'BYTE', CHAR: 'CHAR',
+    INT: 'INT', UINT: 'WORD', WORD: 'WORD',
+    DINT: 'DINT', UDINT: 'DWORD', DWORD: 'DWORD', REAL: 'REAL',
+    TIME: 'DINT',           // IEC time in ms
+    STRING: 'STRING',
+    DT: 'DT', DATE_AND_TIME: 'DT', DTL: 'DTL'
+};
+
+// Length of a STRING member without an explicit length, as in STEP 7
+const DEFAULT_STRING_LENGTH = 254;
+
+const MEMBER_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Rounds a bit position up to a multiple of the alignment
+ */
+function alignUp(bits, alignment) {
+    return Math.ceil(bits / alignment) * alignment;
+}
+
+/**
+ * Splits a member path ("Axes[1].Position") into keys and array indexes
+ */
+function splitPath(path) {
+    const parts = [];
+    path.replace(/([^.[\]]+)|\[(\d+)\]/g, (match, key, index) => {
+        parts.push(index !== undefined ? parseInt(index, 10) : key);
+        return match;
+    });
+    return parts;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        !(value instanceof Date) && !Buffer.isBuffer(value);
+}
+
+class UdtLayout {
+    /**
+     * @param {object[]} definitions - [{name, description, members: [{name, type, offset, bitOffset, arrayLength, stringLength}]}]
+     */
+    constructor(definitions = []) {
+        this.types = new Map();
+        this.compiled = new Map();
+        definitions.forEach(definition => this.define(definition));
+    }
+
+    /**
+     * Adds or replaces a UDT definition. Members without an offset are placed
+     * after the previous member following the S7 rules for standard (non-optimized) blocks
+     */
+    define(definition) {
+        if (!definition || !definition.name) {
+            throw new Error('UDT name is required');
+        }
+        if (MEMBER_TYPES[String(definition.name).toUpperCase()]) {
+            throw new Error(`UDT name ${definition.name} is an elementary data type`);
+        }
+        if (!Array.isArray(definition.members) || definition.members.length === 0) {
+            throw new Error(`UDT ${definition.name} has no members`);
+        }
+
+        this.types.set(definition.name, {
+            name: definition.name,
+            description: definition.description || '',
+            version: definition.version || 1,
+            members: definition.members
+        });
+        this.compiled.clear();
+    }
+
+    has(name) {
+        return this.types.has(name);
+    }
+
+    getDefinitions() {
+        return Array.from(this.types.values());
+    }
+
+    /**
+     * Computes the layout of a UDT
+     * @param {string} name - UDT name
+     * @returns {object} - {name, size, members: [{path, type, dataType, offset, bitOffset, arrayLength, stringLength}]},
+     *                     one entry per elementary member, offsets relative to the start of the UDT
+     */
+    compile(name, stack = []) {
+        if (this.compiled.has(name)) {
+            return this.compiled.get(name);
+        }
+
+        const definition = this.types.get(name);
+        if (!definition) {
+            throw new Error(`Unknown UDT: ${name}`);
+        }
+        if (stack.includes(name)) {
+            throw new Error(`UDT ${name} contains itself (${[...stack, name].join(' > ')})`);
+        }
+
+        const members = [];
+        const names = new Set();
+        let cursor = 0;     // bit position after the previous member
+
+        for (const member of definition.members) {
+            const where = `member ${member.name} of UDT ${name}`;
+
+            if (!MEMBER_NAME_PATTERN.test(member.name || '')) {
+                throw new Error(`Invalid member name '${member.name}' in UDT ${name}`);
+            }
+            if (names.has(member.name)) {
+                throw new Error(`Duplicate member ${member.name} in UDT ${name}`);
+            }
+            names.add(member.name);
+
+            const count = member.arrayLength ?? 1;
+            if (!Number.isInteger(count) || count < 1) {
+                throw new Error(`Invalid array length ${member.arrayLength} for ${where}`);
+            }
+
+            const dataType = MEMBER_TYPES[String(member.type || '').toUpperCase()];
+            let nested = null;
+            let elementBits;
+            let alignment;
+            let stringLength = null;
+
+            if (dataType === 'X') {
+                elementBits = 1;
+                alignment = 1;
+            } else if (dataType === 'STRING') {
+                stringLength = member.stringLength ?? DEFAULT_STRING_LENGTH;
+                if (!Number.isInteger(stringLength) || stringLength < 1 || stringLength > 254) {
+                    throw new Error(`Invalid string length ${member.stringLength} for ${where}`);
+                }
+                elementBits = (stringLength + 2) * 8;
+                alignment = 16;
+            } else if (dataType) {
+                elementBits = S7Address.TYPE_LENGTHS[dataType] * 8;
+                alignment = elementBits === 8 ? 8 : 16;
+            } else if (this.types.has(member.type)) {
+                nested = this.compile(member.type, [...stack, name]);
+                elementBits = nested.size * 8;
+                alignment = 16;
+            } else {
+                throw new Error(`Unknown data type ${member.type} for ${where}`);
+            }
+
+            // Arrays and structs start at a word boundary and occupy whole words
+            const isArray = count > 1;
+            const bits = isArray ? alignUp(elementBits * count, 16) : elementBits;
+            if (isArray) alignment = 16;
+
+            let start;
+            if (member.offset !== null && member.offset !== undefined) {
+                if (!Number.isInteger(member.offset) || member.offset < 0) {
+                    throw new Error(`Invalid offset ${member.offset} for ${where}`);
+                }
+                const bitOffset = member.bitOffset || 0;
+                if (bitOffset && dataType !== 'X') {
+                    throw new Error(`Bit offset is only valid for BOOL, ${where} is ${member.type}`);
+                }
+                if (bitOffset < 0 || bitOffset > 7) {
+                    throw new Error(`Bit offset must be 0-7 for ${where}`);
+                }
+                start = member.offset * 8 + bitOffset;
+            } else {
+                start = alignUp(cursor, alignment);
+            }
+
+            if (nested) {
+                for (let i = 0; i < count; i++) {
+                    const base = start / 8 + i * nested.size;
+                    const prefix = isArray ? `${member.name}[${i}]` : member.name;
+                    nested.members.forEach(leaf => members.push({
+                        ...leaf,
+                        path: `${prefix}.${leaf.path}`,
+                        offset: base + leaf.offset
+                    }));
+                }
+            } else {
+                members.push({
+                    path: member.name,
+                    type: String(member.type).toUpperCase(),
+                    dataType,
+                    offset: Math.floor(start / 8),
+                    bitOffset: start % 8,
+                    arrayLength: count,
+                    stringLength
+                });
+            }
+
+            cursor = start + bits;
+        }
+
+        const layout = {
+            name,
+            description: definition.description,
+            version: definition.version,
+            size: alignUp(cursor, 16) / 8,
+            members
+        };
+
+        this.compiled.set(name, layout);
+        return layout;
+    }
+
+    /**
+     * Maps a UDT instance to the variables of its elementary members
+     * @param {string} tagName - Name of the UDT tag, prefix of the member variables
+     * @param {string} udtName - UDT name
+     * @param {string} address - Start address of the instance (e.g. 'DB10,BYTE100' or 'DB10.DBB100')
+     * @returns {object[]} - [{name: 'Motor1.Speed', path: 'Speed', addr: 'DB10,REAL104'}]
+     */
+    expand(tagName, udtName, address) {
+        const base = S7Address.parse(address);
+
+        if (base.area === 'T' || base.area === 'C') {
+            throw new Error(`UDT instance ${tagName} cannot be placed in ${base.area === 'T' ? 'timers' : 'counters'}`);
+        }
+        if (base.bitOffset !== 0) {
+            throw new Error(`UDT instance ${tagName} must start at a byte boundary, not ${address}`);
+        }
+
+        return this.compile(udtName).members.map(member => ({
+            name: `${tagName}.${member.path}`,
+            path: member.path,
+            addr: S7Address.format({
+                area: base.area,
+                dbNumber: base.dbNumber,
+                dataType: member.dataType,
+                offset: base.offset + member.offset,
+                bitOffset: member.bitOffset,
+                arrayLength: member.arrayLength,
+                stringLength: member.stringLength
+            })
+        }));
+    }
+
+    /**
+     * Builds the JSON object of a UDT instance from its member values
+     * @param {object} valuesByPath - {'Speed': 12.5, 'Axes[0].Position': 3}
+     * @returns {object} - {Speed: 12.5, Axes: [{Position: 3}]}
+     */
+    static assemble(valuesByPath) {
+        const result = {};
+
+        Object.entries(valuesByPath).forEach(([path, value]) => {
+            const parts = splitPath(path);
+            let node = result;
+
+            parts.forEach((part, i) => {
+                if (i === parts.length - 1) {
+                    node[part] = value;
+                    return;
+                }
+                if (node[part] === undefined) {
+                    node[part] = typeof parts[i + 1] === 'number' ? [] : {};
+                }
+                node = node[part];
+            });
+        });
+
+        return result;
+    }
+
+    /**
+     * Splits a (partial) JSON object of a UDT instance into member values, for member-wise writes
+     * @param {object} value - Object with the members to write, null array entries are skipped
+     * @param {string[]} paths - Member paths of the UDT
+     * @returns {object} - {path: value}
+     */
+    static flatten(value, paths) {
+        if (!isPlainObject(value)) {
+            throw new Error('UDT values must be objects with the members to write');
+        }
+
+        const members = new Set(paths);
+        const result = {};
+
+        const walk = (node, path) => {
+            if (members.has(path)) {
+                result[path] = node;
+            } else if (Array.isArray(node)) {
+                node.forEach((item, i) => {
+                    if (item !== null && item !== undefined) walk(item, `${path}[${i}]`);
+                });
+            } else if (isPlainObject(node)) {
+                Object.entries(node).forEach(([key, item]) => walk(item, path ? `${path}.${key}` : key));
+            } else {
+                throw new Error(`Unknown member ${path}`);
+            }
+        };
+
+        walk(value, '');
+        return result;
+    }
+}
+
+Object.assign(UdtLayout, { MEMBER_TYPES, DEFAULT_STRING_LENGTH });
+
+module.exports = UdtLayout;
@@ -0,0 +1,403 @@
+/**
+ * Unit Registry
+ * Units of measure with their dimension, for conversions between compatible units (L/s -> m³/h, bar -> psi).
+ * Compound units are read from their parts: m³/h, kg/m³, kW·h, m/s², W/(m·K).
+ */
+
+// Base dimensions: length, mass, time, temperature, electric current
+const BASE_DIMENSIONS = ['L', 'M', 'T', 'Θ', 'I'];
+
+// Named quantities by dimension, used to describe units and to check the legacy converters
+const QUANTITIES = {
+    '0,0,0,0,0': 'ratio',
+    '1,0,0,0,0': 'length',
+    '2,0,0,0,0': 'area',
+    '3,0,0,0,0': 'volume',
+    '0,1,0,0,0': 'mass',
+    '0,0,1,0,0': 'time',
+    '0,0,0,1,0': 'temperature',
+    '0,0,0,0,1': 'current',
+    '0,0,-1,0,0': 'frequency',
+    '1,0,-1,0,0': 'velocity',
+    '3,0,-1,0,0': 'flow',
+    '0,1,-1,0,0': 'mass flow',
+    '-3,1,0,0,0': 'concentration',
+    '-1,1,-2,0,0': 'pressure',
+    '2,1,-2,0,0': 'energy',
+    '2,1,-3,0,0': 'power',
+    '2,1,-3,0,-1': 'voltage'
+};
+
+// Display unit presets for the units= preference
+const UNIT_SYSTEMS = {
+    SI: ['m³/s', 'm³', 'kg/s', 'kg', 'm', 'Pa', 'J', 'W', 'K', 'kg/m³'],
+    METRIC: ['m³/h', 'm³', 'kg/h', 'kg', 'm', 'bar', 'kWh', 'kW', '°C', 'mg/L'],
+    US: ['gal/min', 'gal', 'lb/h', 'lb', 'ft', 'psi', 'BTU', 'hp', '°F', 'mg/L']
+};
+
+const SUPERSCRIPTS = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁻': '-' };
+
+class UnitError extends Error {
+    constructor(code, message, unit) {
+        super(message);
+        this.name = 'UnitError';
+        this.code = code;
+        this.unit = unit;
+    }
+}
+
+// Symbol -> {factor, offset, dimensions}, SI value = value * factor + offset
+const units = new Map();
+// Lower case symbol -> symbol, null when two symbols only differ in case (mL, ML)
+const lowerCaseUnits = new Map();
+// Parsed unit expressions
+const cache = new Map();
+
+function dimensionsOf(spec) {
+    return BASE_DIMENSIONS.map(base => spec[base] || 0);
+}
+
+function register(symbols, definition) {
+    [].concat(symbols).forEach(symbol => {
+        units.set(symbol, definition);
+
+        const lower = symbol.toLowerCase();
+        const existing = lowerCaseUnits.get(lower);
+        if (lowerCaseUnits.has(lower) && (existing === null || units.get(existing) !== definition)) {
+            lowerCaseUnits.set(lower, null);
+        } else {
+            lowerCaseUnits.set(lower, symbol);
+        }
+    });
+    cache.clear();
+}
+
+function lookup(symbol) {
+    if (units.has(symbol)) return units.get(symbol);
+    const match = lowerCaseUnits.get(symbol.toLowerCase());
+    return match ? units.get(match) : undefined;
+}
+
+/**
+ * Reads one factor of a compound unit: a symbol with an optional exponent (m³, m3, m^3, s^-1)
+ */
+function parseTerm(term, unit) {
+    let match = /^(.+?)\^(-?[0-9]+)$/.exec(term);
+    if (!match && !lookup(term)) {
+        match = /^(.*[^0-9-])(-?[0-9]+)$/.exec(term);
+    }
+    const symbol = match ? match[1] : term;
+    const exponent = match ? Number(match[2]) : 1;
+
+    const definition = lookup(symbol);
+    if (!definition) {
+        throw new UnitError('UNKNOWN_UNIT', `Unknown unit "${symbol}" in "${unit}"`, unit);
+    }
+    return { definition, exponent };
+}
+
+function parse(unit) {
+    if (typeof unit !== 'string' || !unit.trim()) {
+        throw new UnitError('UNKNOWN_UNIT', 'Unit is required', unit);
+    }
+    if (cache.has(unit)) return cache.get(unit);
+
+    const text = unit.trim()
+        .replace(/μ/g, 'µ')
+        .replace(/\*\*/g, '^')
+        .replace(/[⁻⁰¹²³⁴-⁹]+/g, digits => '^' + Array.from(digits, digit => SUPERSCRIPTS[digit]).join(''));
+
+    const slash = text.indexOf('/');
+    const sides = slash < 0 ? [text] : [text.slice(0, slash), text.slice(slash + 1)];
+
+    let factor = 1;
+    let offset = 0;
+    const dimensions = BASE_DIMENSIONS.map(() => 0);
+    const terms = [];
+
+    sides.forEach((side, index) => {
+        // Everything after the first slash divides: J/kg·K = J/(kg·K)
+        const parts = side.replace(/[()]/g, ' ').split(/[·⋅*./\s]+/).filter(Boolean);
+        if (!parts.length && !(index === 0 && side.trim() === '1')) {
+            throw new UnitError('INVALID_UNIT', `Invalid unit "${unit}"`, unit);
+        }
+
+        parts.forEach(part => {
+            if (index === 0 && part === '1' && parts.length === 1) return;
+            const term = parseTerm(part, unit);
+            const exponent = index === 0 ? term.exponent : -term.exponent;
+            factor *= Math.pow(term.definition.factor, exponent);
+            term.definition.dimensions.forEach((power, base) => { dimensions[base] += power * exponent; });
+            terms.push({ ...term, exponent });
+        });
+    });
+
+    // An offset (°C, °F) only applies to a plain temperature, in compound units they are differences
+    if (terms.length === 1 && terms[0].exponent === 1) {
+        offset = terms[0].definition.offset;
+    }
+
+    const parsed = { unit, factor, offset, dimensions };
+    cache.set(unit, parsed);
+    return parsed;
+}
+
+class UnitRegistry {
+    /**
+     * Adds a unit, or a name for one
+     * @param {string|string[]} symbols - Symbol and aliases
+     * @param {number} factor - Size in baseUnit
+     * @param {string} baseUnit - Known unit or unit expression ('m³/d')
+     * @param {number} offset - Added to a value before scaling, for temperature scales (°F: 459.67)
+     */
+    static define(symbols, factor, baseUnit, offset = 0) {
+        const base = parse(baseUnit);
+        register(symbols, {
+            factor: factor * base.factor,
+            offset: offset * factor * base.factor + base.offset,
+            dimensions: base.dimensions
+        });
+    }
+
+    /**
+     * Reads a unit expression
+     * @returns {object} - {unit, factor, offset, dimensions} relative to SI base units
+     */
+    static parse(unit) {
+        return parse(unit);
+    }
+
+    /**
+     * Checks a unit expression
+     * @returns {object} - {valid, quantity, error}
+     */
+    static validate(unit) {
+        try {
+            return { valid: true, quantity: UnitRegistry.getQuantity(unit), error: null };
+        } catch (error) {
+            return { valid: false, quantity: null, error: error.message };
+        }
+    }
+
+    static isKnown(unit) {
+        return UnitRegistry.validate(unit).valid;
+    }
+
+    /**
+     * Name of the quantity a unit measures ('flow', 'pressure' ...), null for other combinations
+     */
+    static getQuantity(unit) {
+        return QUANTITIES[parse(unit).dimensions.join(',')] || null;
+    }
+
+    static isCompatible(fromUnit, toUnit) {
+        try {
+            return parse(fromUnit).dimensions.join(',') === parse(toUnit).dimensions.join(',');
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Converts a value between compatible units
+     * @throws {UnitError} - Unknown units (UNKNOWN_UNIT) or units of different dimensions (INCOMPATIBLE_UNITS)
+     */
+    static convert(value, fromUnit, toUnit) {
+        const from = parse(fromUnit);
+        const to = parse(toUnit);
+
+        if (from.dimensions.join(',') !== to.dimensions.join(',')) {
+            throw new UnitError('INCOMPATIBLE_UNITS',
+                `Cannot convert ${fromUnit} (${UnitRegistry.describeDimensions(from)}) to ${toUnit} (${UnitRegistry.describeDimensions(to)})`,
+                toUnit);
+        }
+        if (value === null || value === undefined || typeof value !== 'number' || isNaN(value)) {
+            return null;
+        }
+
+        return ((value * from.factor + from.offset) - to.offset) / to.factor;
+    }
+
+    /**
+     * Converts a difference (deviation, rate of change) between compatible units, temperature offsets do not apply
+     */
+    static convertDifference(value, fromUnit, toUnit) {
+        const converted = UnitRegistry.convert(value, fromUnit, toUnit);
+        if (converted === null) return null;
+
+        return value * parse(fromUnit).factor / parse(toUnit).factor;
+    }
+
+    static describeDimensions(parsed) {
+        return QUANTITIES[parsed.dimensions.join(',')] || parsed.dimensions
+            .map((power, base) => power === 0 ? '' : power === 1 ? BASE_DIMENSIONS[base] : `${BASE_DIMENSIONS[base]}^${power}`)
+            .filter(Boolean).join('·');
+    }
+
+    /**
+     * Reads a display preference: comma separated units and unit systems (SI, METRIC, US)
+     * @returns {string[]} - Display units, the first compatible one is used for a value
+     * @throws {UnitError} - Unknown units
+     */
+    static parseDisplayUnits(text) {
+        const list = Array.isArray(text) ? text : String(text || '').split(',');
+        const displayUnits = [];
+
+        list.map(unit => unit.trim()).filter(Boolean).forEach(unit => {
+            const system = UNIT_SYSTEMS[unit.toUpperCase()];
+            (system || [unit]).forEach(symbol => {
+                parse(symbol);
+                if (!displayUnits.includes(symbol)) displayUnits.push(symbol);
+            });
+        });
+
+        return displayUnits;
+    }
+
+    /**
+     * First display unit compatible with a unit
+     * @returns {string|null} - null for unknown units, without a compatible display unit or when it is the unit itself
+     */
+    static getDisplayUnit(unit, displayUnits) {
+        if (!unit || !displayUnits || !displayUnits.length || !UnitRegistry.isKnown(unit)) {
+            return null;
+        }
+
+        const target = displayUnits.find(displayUnit => UnitRegistry.isCompatible(unit, displayUnit));
+        return target && target !== unit ? target : null;
+    }
+
+    /**
+     * Converts a value to the first display unit compatible with its unit
+     * @returns {object} - {value, units, converted}, unchanged when there is nothing to convert
+     */
+    static toDisplay(value, unit, displayUnits) {
+        const target = typeof value === 'number' ? UnitRegistry.getDisplayUnit(unit, displayUnits) : null;
+        if (!target) {
+            return { value, units: unit, converted: false };
+        }
+
+        return { value: UnitRegistry.convert(value, unit, target), units: target, converted: true };
+    }
+
+    /**
+     * Converts query rows to the display units, by the unit column of each row
+     * @param {object} fields - {values, differences, units}: value columns, difference columns and the unit column
+     * @returns {object[]} - Converted copies of the rows
+     */
+    static convertRecords(records, displayUnits, { values = [], differences = [], units = 'EngineeringUnits' } = {}) {
+        if (!displayUnits || !displayUnits.length) {
+            return records;
+        }
+
+        return records.map(record => {
+            const unit = record[units];
+            const target = UnitRegistry.getDisplayUnit(unit, displayUnits);
+            if (!target) return record;
+
+            const converted = { ...record, [units]: target };
+            values.filter(field => typeof record[field] === 'number')
+                .forEach(field => { converted[field] = UnitRegistry.convert(record[field], unit, target); });
+            differences.filter(field => typeof record[field] === 'number')
+                .forEach(field => { converted[field] = UnitRegistry.convertDifference(record[field], unit, target); });
+            return converted;
+        });
+    }
+}
+
+// Base units
+register('m', { factor: 1, offset: 0, dimensions: dimensionsOf({ L: 1 }) });
+register('kg', { factor: 1, offset: 0, dimensions: dimensionsOf({ M: 1 }) });
+register('s', { factor: 1, offset: 0, dimensions: dimensionsOf({ T: 1 }) });
+register('K', { factor: 1, offset: 0, dimensions: dimensionsOf({ Θ: 1 }) });
+register('A', { factor: 1, offset: 0, dimensions: dimensionsOf({ I: 1 }) });
+register(['%', 'percent'], { factor: 0.01, offset: 0, dimensions: dimensionsOf({}) });
+
+// Length and level
+UnitRegistry.define('km', 1000, 'm');
+UnitRegistry.define('cm', 0.01, 'm');
+UnitRegistry.define('mm', 0.001, 'm');
+UnitRegistry.define(['µm', 'um'], 1e-6, 'm');
+UnitRegistry.define(['in', 'inch'], 0.0254, 'm');
+UnitRegistry.define(['ft', 'feet'], 0.3048, 'm');
+UnitRegistry.define('yd', 0.9144, 'm');
+UnitRegistry.define('mi', 1609.344, 'm');
+
+// Mass
+UnitRegistry.define('g', 0.001, 'kg');
+UnitRegistry.define('mg', 1e-6, 'kg');
+UnitRegistry.define(['µg', 'ug'], 1e-9, 'kg');
+UnitRegistry.define(['t', 'tonne'], 1000, 'kg');
+UnitRegistry.define(['lb', 'lbs'], 0.45359237, 'kg');
+UnitRegistry.define('oz', 0.028349523125, 'kg');
+
+// Time
+UnitRegistry.define('sec', 1, 's');
+UnitRegistry.define('ms', 0.001, 's');
+UnitRegistry.define('min', 60, 's');
+UnitRegistry.define(['h', 'hr'], 3600, 's');
+UnitRegistry.define(['d', 'day'], 86400, 's');
+
+// Volume
+UnitRegistry.define(['L', 'l', 'ltr'], 0.001, 'm³');
+UnitRegistry.define(['mL', 'ml'], 0.001, 'L');
+UnitRegistry.define('hL', 100, 'L');
+UnitRegistry.define('ML', 1000, 'm³');
+UnitRegistry.define(['gal', 'gallon'], 3.785411784, 'L');
+UnitRegistry.define('Mgal', 1e6, 'gal');
+
+// Flow names used in water treatment
+UnitRegistry.define('GPM', 1, 'gal/min');
+UnitRegistry.define('MGD', 1, 'Mgal/d');
+UnitRegistry.define('CFM', 1, 'ft³/min');
+
+// Concentration, ppm/ppb of dilute aqueous solutions (1 kg/L)
+UnitRegistry.define('ppm', 1, 'mg/L');
+UnitRegistry.define('ppb', 1, 'µg/L');
+
+// Pressure
+UnitRegistry.define('Pa', 1, 'kg/(m·s²)');
+UnitRegistry.define('hPa', 100, 'Pa');
+UnitRegistry.define('kPa', 1000, 'Pa');
+UnitRegistry.define('MPa', 1e6, 'Pa');
+UnitRegistry.define('bar', 100000, 'Pa');
+UnitRegistry.define('mbar', 100, 'Pa');
+UnitRegistry.define('psi', 6894.757293168, 'Pa');
+UnitRegistry.define('atm', 101325, 'Pa');
+UnitRegistry.define('mmHg', 133.322387415, 'Pa');
+UnitRegistry.define('mH2O', 9806.65, 'Pa');
+UnitRegistry.define('inH2O', 249.08891, 'Pa');
+
+// Energy and power
+UnitRegistry.define('J', 1, 'kg·m²/s²');
+UnitRegistry.define('kJ', 1000, 'J');
+UnitRegistry.define('MJ', 1e6, 'J');
+UnitRegistry.define('GJ', 1e9, 'J');
+UnitRegistry.define('W', 1, 'J/s');
+UnitRegistry.define('kW', 1000, 'W');
+UnitRegistry.define('MW', 1e6, 'W');
+UnitRegistry.define('hp', 745.69987158227, 'W');
+UnitRegistry.define('Wh', 3600, 'J');
+UnitRegistry.define('kWh', 1000, 'Wh');
+UnitRegistry.define('MWh', 1e6, 'Wh');
+UnitRegistry.define('kcal', 4186.8, 'J');
+UnitRegistry.define(['BTU', 'Btu'], 1055.05585262, 'J');
+
+// Temperature
+UnitRegistry.define(['°C', 'degC', '℃'], 1, 'K', 273.15);
+UnitRegistry.define(['°F', 'degF', '℉'], 5 / 9, 'K', 459.67);
+UnitRegistry.define(['°R', 'degR'], 5 / 9, 'K');
+
+// Electrical
+UnitRegistry.define('mA', 0.001, 'A');
+UnitRegistry.define('V', 1, 'W/A');
+UnitRegistry.define('mV', 0.001, 'V');
+UnitRegistry.define('kV', 1000, 'V');
+
+// Rotation and frequency
+UnitRegistry.define('Hz', 1, '1/s');
+UnitRegistry.define(['rpm', 'RPM'], 1, '1/min');
+
+Object.assign(UnitRegistry, { UnitError, QUANTITIES, UNIT_SYSTEMS });
+
+module.exports = UnitRegistry;
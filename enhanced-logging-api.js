@@ -61,11 +61,11 @@ class EnhancedS7LoggingHTTPServer {
         });
 
         this.s7client.on('data', (values) => {
-            this.currentData = { ...values };
+            this.currentData = { ...this.currentData, ...values };
         });
 
         this.s7client.on('enhanced_data', (data) => {
-            this.enhancedData = { ...data };
+            this.enhancedData = { ...this.enhancedData, ...data };
         });
 
         // Logging events
@@ -445,6 +445,27 @@ class EnhancedS7LoggingHTTPServer {
         });
     }
 
+    handleData(req, res) {
+        // Raw values with the quality and source timestamp of each value
+        const quality = {};
+        Object.entries(this.enhancedData).forEach(([tagName, entry]) => {
+            quality[tagName] = {
+                quality: entry.quality,
+                qualityStatus: entry.qualityStatus,
+                qualitySubstatus: entry.qualitySubstatus,
+                timestamp: entry.timestamp
+            };
+        });
+
+        const response = {
+            data: this.currentData,
+            quality: quality,
+            connected: this.isConnected,
+            timestamp: new Date().toISOString()
+        };
+        this.sendJSON(res, response);
+    }
+
     handleEnhancedData(req, res) {
         const response = {
             data: this.enhancedData,
@@ -511,7 +532,22 @@ class EnhancedS7LoggingHTTPServer {
             return;
         }
 
-        if (query.tag) {
+        if (query.tags || query.addr) {
+            // Immediate read from the PLC instead of the cached cycle values
+            try {
+                const tagNames = query.tags ? query.tags.split(',').map(t => t.trim()).filter(t => t) : [];
+                const addresses = query.addr ? [].concat(query.addr) : [];
+                const values = await this.s7client.readEnhancedVariables([...tagNames, ...addresses]);
+
+                this.sendJSON(res, {
+                    values: values,
+                    count: Object.keys(values).length,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendError(res, 500, `Read failed: ${error.message}`);
+            }
+        } else if (query.tag) {
             const enhancedTag = this.enhancedData[query.tag];
             const metadata = this.s7client.getTagMetadata(query.tag);
             
@@ -619,7 +655,8 @@ class EnhancedS7LoggingHTTPServer {
                 "Data Access": {
                     "GET /api/data": "Get current PLC data (raw)",
                     "GET /api/enhanced-data": "Get enhanced PLC data with metadata",
-                    "GET /api/read?tag=NAME": "Read specific tag with metadata"
+                    "GET /api/read?tag=NAME": "Read specific tag with metadata",
+                    "GET /api/read?tags=TAG1,TAG2&addr=DB1,REAL4": "Read tags/addresses directly from PLC (bypasses poll cycle)"
                 },
                 "Historical Data": {
                     "GET /api/history?tag=NAME&start=DATE&end=DATE&limit=N": "Get historical data for a tag",
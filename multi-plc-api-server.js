@@ -2,6 +2,13 @@ const MultiPLCManager = require('./MultiPLCManager');
 const http = require('http');
 const url = require('url');
 const sql = require('mssql/msnodesqlv8');
+const S7Address = require('./S7Address');
+const PlcProfiles = require('./PlcProfiles');
+const TagExpression = require('./TagExpression');
+const Totalizer = require('./Totalizer');
+const UnitRegistry = require('./UnitRegistry');
+const EngineeringUnitsUtils = require('./EngineeringUnitsUtils');
+const ScalingEngine = require('./ScalingEngine');
 
 /**
  * Multi-PLC API Server - Enhanced for the new database schema
@@ -109,6 +116,27 @@ class MultiPLCAPIServer {
             case '/api/plcs/status':
                 await this.handlePLCStatuses(req, res);
                 break;
+            case '/api/plcs/clock':
+                await this.handlePLCClock(req, res, query);
+                break;
+            case '/api/plcs/metrics':
+                this.handlePLCMetrics(req, res, query);
+                break;
+            case '/api/plcs/endpoints':
+                await this.handlePLCEndpoints(req, res, query);
+                break;
+            case '/api/plcs/recording':
+                await this.handlePLCRecording(req, res, query);
+                break;
+            case '/api/plcs/profiles':
+                this.handlePLCProfiles(req, res, query);
+                break;
+            case '/api/plcs/backups':
+                await this.handlePLCBackups(req, res, query);
+                break;
+            case '/api/plcs/backups/download':
+                await this.handleBackupDownload(req, res, query);
+                break;
             case '/api/plc/connect':
                 await this.handlePLCConnect(req, res, query);
                 break;
@@ -121,10 +149,10 @@ class MultiPLCAPIServer {
                 
             // Data access endpoints
             case '/api/data/all':
-                this.handleAllPLCData(req, res);
+                await this.handleAllPLCData(req, res, query);
                 break;
             case '/api/data/plc':
-                this.handlePLCData(req, res, query);
+                await this.handlePLCData(req, res, query);
                 break;
             case '/api/data/historical':
                 await this.handleHistoricalData(req, res, query);
@@ -141,7 +169,13 @@ class MultiPLCAPIServer {
                 await this.handlePLCTags(req, res, query);
                 break;
                 
-            // Write operations
+            // Read/write operations
+            case '/api/read':
+                await this.handleRead(req, res, query);
+                break;
+            case '/api/memory':
+                await this.handleMemory(req, res, query);
+                break;
             case '/api/write':
                 await this.handleWrite(req, res);
                 break;
@@ -154,6 +188,27 @@ class MultiPLCAPIServer {
                 await this.handleAlarmAcknowledge(req, res);
                 break;
                 
+            // Totalizers
+            case '/api/totalizers':
+                await this.handleTotalizers(req, res, query);
+                break;
+            case '/api/totalizers/history':
+                await this.handleTotalizerHistory(req, res, query);
+                break;
+                
+            // Equipment runtime
+            case '/api/runtime':
+                await this.handleRuntime(req, res, query);
+                break;
+            case '/api/runtime/reset':
+                await this.handleRuntimeReset(req, res, query);
+                break;
+                
+            // User preferences
+            case '/api/users/units':
+                await this.handleUserUnits(req, res, query);
+                break;
+                
             // Configuration management
             case '/api/config/refresh':
                 await this.handleConfigRefresh(req, res);
@@ -250,6 +305,228 @@ class MultiPLCAPIServer {
         }
     }
 
+    async handlePLCClock(req, res, query) {
+        if (req.method === 'GET') {
+            const clocks = this.multiPLCManager.getClockStatuses();
+            
+            this.sendJSON(res, {
+                clocks: query.plc ? { [query.plc]: clocks[query.plc] || null } : clocks,
+                timeSync: this.multiPLCManager.config.timeSync,
+                serverTime: new Date().toISOString()
+            });
+        } else if (req.method === 'POST') {
+            try {
+                const plcName = query.plc;
+                if (!plcName) {
+                    this.sendError(res, 400, 'PLC name is required');
+                    return;
+                }
+                
+                // ?correct=true sets the PLC clock to server time, otherwise the drift is only measured
+                const result = await this.multiPLCManager.syncPLCClock(plcName, {
+                    correct: query.correct === 'true' || query.correct === '1'
+                });
+                
+                this.sendJSON(res, {
+                    success: true,
+                    ...result,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendError(res, 500, `Clock sync failed: ${error.message}`);
+            }
+        } else {
+            this.sendError(res, 405, 'Method Not Allowed');
+        }
+    }
+
+    handlePLCMetrics(req, res, query) {
+        const metrics = this.multiPLCManager.getCycleMetrics(query.plc || null);
+        
+        if (query.plc && !metrics[query.plc]) {
+            this.sendError(res, 404, `PLC ${query.plc} not found`);
+            return;
+        }
+        
+        this.sendJSON(res, {
+            metrics,
+            overloaded: Object.keys(metrics).filter(name => metrics[name].overloaded),
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    async handlePLCEndpoints(req, res, query) {
+        if (req.method === 'GET') {
+            const endpoints = this.multiPLCManager.getEndpointStatuses(query.plc || null);
+            
+            if (query.plc && !endpoints[query.plc]) {
+                this.sendError(res, 404, `PLC ${query.plc} not found or not connected`);
+                return;
+            }
+            
+            this.sendJSON(res, {
+                endpoints,
+                onBackup: Object.keys(endpoints).filter(name => endpoints[name].active === 'backup'),
+                timestamp: new Date().toISOString()
+            });
+        } else if (req.method === 'POST') {
+            try {
+                const plcName = query.plc;
+                if (!plcName) {
+                    this.sendError(res, 400, 'PLC name is required');
+                    return;
+                }
+                if (!['primary', 'backup'].includes(query.endpoint)) {
+                    this.sendError(res, 400, "Endpoint must be 'primary' or 'backup'");
+                    return;
+                }
+                
+                const status = await this.multiPLCManager.switchPLCEndpoint(plcName, query.endpoint, query.user || 'API_USER');
+                
+                this.sendJSON(res, {
+                    success: true,
+                    plcName,
+                    ...status,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendError(res, 500, `Endpoint switch failed: ${error.message}`);
+            }
+        } else {
+            this.sendError(res, 405, 'Method Not Allowed');
+        }
+    }
+
+    async handlePLCRecording(req, res, query) {
+        if (req.method === 'GET') {
+            const recordings = this.multiPLCManager.getRecordingStatuses(query.plc || null);
+            
+            if (query.plc && !recordings[query.plc]) {
+                this.sendError(res, 404, `PLC ${query.plc} not found or not connected`);
+                return;
+            }
+            
+            this.sendJSON(res, {
+                recordings,
+                directory: this.multiPLCManager.config.recording.directory,
+                timestamp: new Date().toISOString()
+            });
+        } else if (req.method === 'POST') {
+            try {
+                const plcName = query.plc;
+                if (!plcName) {
+                    this.sendError(res, 400, 'PLC name is required');
+                    return;
+                }
+                
+                let status;
+                if (query.speed !== undefined) {
+                    status = { replay: this.multiPLCManager.setReplaySpeed(plcName, query.speed) };
+                } else if (query.action === 'start') {
+                    status = { recording: await this.multiPLCManager.startRecording(plcName) };
+                } else if (query.action === 'stop') {
+                    status = { recording: await this.multiPLCManager.stopRecording(plcName) };
+                } else {
+                    this.sendError(res, 400, "Action must be 'start' or 'stop', or a replay speed is required");
+                    return;
+                }
+                
+                this.sendJSON(res, {
+                    success: true,
+                    plcName,
+                    ...status,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendError(res, 500, `Recording request failed: ${error.message}`);
+            }
+        } else {
+            this.sendError(res, 405, 'Method Not Allowed');
+        }
+    }
+
+    async handlePLCBackups(req, res, query) {
+        const programBackup = this.multiPLCManager.programBackup;
+        
+        if (req.method === 'GET') {
+            try {
+                const plcNames = query.plc ? [query.plc] : await programBackup.listPLCs();
+                const snapshots = {};
+                for (const plcName of plcNames) {
+                    snapshots[plcName] = await programBackup.listSnapshots(plcName);
+                }
+                
+                this.sendJSON(res, {
+                    snapshots,
+                    status: programBackup.getStatus(),
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendError(res, 500, `Failed to list program backups: ${error.message}`);
+            }
+        } else if (req.method === 'POST') {
+            try {
+                const plcName = query.plc;
+                if (!plcName) {
+                    this.sendError(res, 400, 'PLC name is required');
+                    return;
+                }
+                
+                // ?force=true stores a snapshot even when the program did not change
+                const result = await this.multiPLCManager.backupPLCProgram(plcName, {
+                    reason: 'MANUAL',
+                    force: query.force === 'true' || query.force === '1'
+                });
+                
+                this.sendJSON(res, {
+                    success: true,
+                    ...result,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendError(res, 500, `Program backup failed: ${error.message}`);
+            }
+        } else {
+            this.sendError(res, 405, 'Method Not Allowed');
+        }
+    }
+
+    async handleBackupDownload(req, res, query) {
+        try {
+            const { plc: plcName, snapshot, block } = query;
+            if (!plcName || !snapshot) {
+                this.sendError(res, 400, 'PLC name and snapshot are required');
+                return;
+            }
+            
+            const programBackup = this.multiPLCManager.programBackup;
+            const manifest = await programBackup.getSnapshot(plcName, snapshot);
+            if (!manifest) {
+                this.sendError(res, 404, `Snapshot ${snapshot} of PLC ${plcName} not found`);
+                return;
+            }
+            
+            const fileName = `${plcName.replace(/[^A-Za-z0-9_.-]/g, '_')}_${manifest.id}`;
+            
+            // ?block=FC1 downloads a single block, otherwise the whole snapshot as tar archive
+            if (block) {
+                const data = await programBackup.readBlock(plcName, snapshot, block);
+                
+                res.setHeader('Content-Type', 'application/octet-stream');
+                res.setHeader('Content-Disposition', `attachment; filename="${fileName}_${block.toUpperCase()}.mc7"`);
+                res.end(data);
+            } else {
+                const archive = await programBackup.createArchive(plcName, snapshot);
+                
+                res.setHeader('Content-Type', 'application/x-tar');
+                res.setHeader('Content-Disposition', `attachment; filename="${fileName}.tar"`);
+                res.end(archive);
+            }
+        } catch (error) {
+            this.sendError(res, error.code === 'ENOENT' ? 404 : 500, `Failed to download program backup: ${error.message}`);
+        }
+    }
+
     async handlePLCConnect(req, res, query) {
         try {
             const plcName = query.plc;
@@ -297,6 +574,25 @@ class MultiPLCAPIServer {
         req.on('end', async () => {
             try {
                 const plcData = JSON.parse(body);
+
+                if (plcData.plcType) {
+                    if (!PlcProfiles.has(plcData.plcType)) {
+                        this.sendError(res, 400, `Unknown PLC type: ${plcData.plcType}`, {
+                            plcTypes: PlcProfiles.list().map(profile => profile.type)
+                        });
+                        return;
+                    }
+
+                    const check = PlcProfiles.validate(PlcProfiles.applyDefaults(plcData));
+                    if (!check.valid) {
+                        this.sendError(res, 400, `Invalid ${check.profile.type} configuration`, {
+                            errors: check.errors,
+                            cpuSettings: check.profile.cpuSettings
+                        });
+                        return;
+                    }
+                }
+
                 const result = await this.multiPLCManager.addPLCConfiguration(plcData);
                 
                 this.sendJSON(res, {
@@ -311,33 +607,104 @@ class MultiPLCAPIServer {
         });
     }
 
-    handleAllPLCData(req, res) {
-        const allData = this.multiPLCManager.getAllPLCData();
+    handlePLCProfiles(req, res, query) {
+        if (query.type) {
+            const profile = PlcProfiles.get(query.type);
+            if (!profile) {
+                this.sendError(res, 404, `Unknown PLC type: ${query.type}`);
+                return;
+            }
+            this.sendJSON(res, { profile, timestamp: new Date().toISOString() });
+            return;
+        }
+
         this.sendJSON(res, {
-            data: allData,
-            plcCount: Object.keys(allData).length,
+            profiles: PlcProfiles.list(),
             timestamp: new Date().toISOString()
         });
     }
 
-    handlePLCData(req, res, query) {
+    /**
+     * Display units of a request: units=m³/h,bar or units=US, else the preference of user=NAME
+     * @throws {UnitError} - Unknown units in units=
+     */
+    async getDisplayUnits(query) {
+        if (query.units !== undefined) {
+            return UnitRegistry.parseDisplayUnits(query.units);
+        }
+        if (query.user) {
+            return (await this.multiPLCManager.getUserDisplayUnits(query.user)).displayUnits;
+        }
+        return [];
+    }
+
+    /**
+     * Converts live tag values to the display units, the PLC unit is kept in sourceUnits
+     */
+    convertEnhancedData(data, displayUnits) {
+        if (!displayUnits.length) {
+            return data;
+        }
+
+        const converted = {};
+        Object.entries(data).forEach(([tagName, entry]) => {
+            const display = UnitRegistry.toDisplay(entry.value, entry.units, displayUnits);
+            converted[tagName] = display.converted ? {
+                ...entry,
+                value: display.value,
+                formattedValue: EngineeringUnitsUtils.formatValue(display.value, entry.metadata?.decimalPlaces ?? 2),
+                units: display.units,
+                sourceUnits: entry.units
+            } : entry;
+        });
+        return converted;
+    }
+
+    async handleAllPLCData(req, res, query) {
+        try {
+            const displayUnits = await this.getDisplayUnits(query);
+            const allData = this.multiPLCManager.getAllPLCData();
+            
+            Object.values(allData).forEach(plcData => {
+                plcData.data = this.convertEnhancedData(plcData.data, displayUnits);
+            });
+            
+            this.sendJSON(res, {
+                data: allData,
+                plcCount: Object.keys(allData).length,
+                displayUnits,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendError(res, error instanceof UnitRegistry.UnitError ? 400 : 500, `Failed to get PLC data: ${error.message}`);
+        }
+    }
+
+    async handlePLCData(req, res, query) {
         const plcName = query.plc;
         if (!plcName) {
             this.sendError(res, 400, 'PLC name is required');
             return;
         }
 
-        const plcData = this.multiPLCManager.getPLCData(plcName);
-        if (!plcData) {
-            this.sendError(res, 404, `PLC ${plcName} not found or not connected`);
-            return;
-        }
+        try {
+            const displayUnits = await this.getDisplayUnits(query);
+            const plcData = this.multiPLCManager.getPLCData(plcName);
+            if (!plcData) {
+                this.sendError(res, 404, `PLC ${plcName} not found or not connected`);
+                return;
+            }
 
-        this.sendJSON(res, {
-            plcName: plcName,
-            ...plcData,
-            timestamp: new Date().toISOString()
-        });
+            this.sendJSON(res, {
+                plcName: plcName,
+                ...plcData,
+                data: this.convertEnhancedData(plcData.data, displayUnits),
+                displayUnits,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendError(res, error instanceof UnitRegistry.UnitError ? 400 : 500, `Failed to get PLC data: ${error.message}`);
+        }
     }
 
     async handleHistoricalData(req, res, query) {
@@ -351,19 +718,23 @@ class MultiPLCAPIServer {
             const startDate = query.start ? new Date(query.start) : new Date(Date.now() - 24 * 60 * 60 * 1000);
             const endDate = query.end ? new Date(query.end) : new Date();
             const limit = parseInt(query.limit) || 1000;
+            const displayUnits = await this.getDisplayUnits(query);
 
-            const data = await this.multiPLCManager.getMultiPLCHistoricalData(filters, startDate, endDate, limit);
+            const data = UnitRegistry.convertRecords(
+                await this.multiPLCManager.getMultiPLCHistoricalData(filters, startDate, endDate, limit),
+                displayUnits, { values: ['EuValue'] });
             
             this.sendJSON(res, {
                 filters: filters,
                 startDate: startDate.toISOString(),
                 endDate: endDate.toISOString(),
+                displayUnits,
                 recordCount: data.length,
                 data: data,
                 timestamp: new Date().toISOString()
             });
         } catch (error) {
-            this.sendError(res, 500, `Failed to get historical data: ${error.message}`);
+            this.sendError(res, error instanceof UnitRegistry.UnitError ? 400 : 500, `Failed to get historical data: ${error.message}`);
         }
     }
 
@@ -374,7 +745,8 @@ class MultiPLCAPIServer {
                 tagNames: query.tags ? query.tags.split(',') : null,
                 startDate: query.start ? new Date(query.start) : new Date(Date.now() - 24 * 60 * 60 * 1000),
                 endDate: query.end ? new Date(query.end) : new Date(),
-                includeMetadata: query.metadata !== 'false'
+                includeMetadata: query.metadata !== 'false',
+                displayUnits: await this.getDisplayUnits(query)
             };
             
             const format = query.format || 'json';
@@ -387,10 +759,10 @@ class MultiPLCAPIServer {
                 res.end(csvData);
             } else {
                 // JSON format
-                const data = await this.multiPLCManager.getMultiPLCHistoricalData({
+                const data = UnitRegistry.convertRecords(await this.multiPLCManager.getMultiPLCHistoricalData({
                     plcName: options.plcNames ? options.plcNames[0] : null,
                     tagName: options.tagNames ? options.tagNames[0] : null
-                }, options.startDate, options.endDate, 10000);
+                }, options.startDate, options.endDate, 10000), options.displayUnits, { values: ['EuValue'] });
                 
                 this.sendJSON(res, {
                     options: options,
@@ -401,7 +773,7 @@ class MultiPLCAPIServer {
                 });
             }
         } catch (error) {
-            this.sendError(res, 500, `Failed to export data: ${error.message}`);
+            this.sendError(res, error instanceof UnitRegistry.UnitError ? 400 : 500, `Failed to export data: ${error.message}`);
         }
     }
 
@@ -420,6 +792,30 @@ class MultiPLCAPIServer {
                     return;
                 }
 
+                // Calculated tags are checked for their expression, totalizers for their configuration, all others for their address and scaling
+                const invalid = tags
+                    .map((tag, index) => {
+                        if (tag.sourceType === 'CALCULATED') {
+                            return { index, tag: tag.name, expression: tag.expression, ...TagExpression.validate(tag.expression) };
+                        }
+                        if (tag.sourceType === 'TOTALIZER') {
+                            return { index, tag: tag.name, totalizer: tag.totalizer, ...Totalizer.validate(tag.totalizer) };
+                        }
+                        const address = S7Address.validate(tag.addr, { type: tag.udtName ? null : tag.type });
+                        if (!address.valid || tag.udtName) {
+                            return { index, tag: tag.name, address: tag.addr, ...address };
+                        }
+                        const scaling = ScalingEngine.fromTag(tag);
+                        return { index, tag: tag.name, address: tag.addr, scaling: scaling.type || 'LINEAR', ...ScalingEngine.validate(scaling) };
+                    })
+                    .filter(result => !result.valid)
+                    .map(({ index, tag, address, expression, totalizer, scaling, errors }) => ({ index, tag, address, expression, totalizer, scaling, errors }));
+
+                if (invalid.length > 0) {
+                    this.sendError(res, 400, `Invalid address, expression, totalizer or scaling in ${invalid.length} of ${tags.length} tags, no tags were added`, { invalid });
+                    return;
+                }
+
                 const results = await this.multiPLCManager.addTagsToPLC(plcName, tags);
                 
                 this.sendJSON(res, {
@@ -429,7 +825,9 @@ class MultiPLCAPIServer {
                     timestamp: new Date().toISOString()
                 });
             } catch (error) {
-                this.sendError(res, 500, `Failed to add tags: ${error.message}`);
+                const badRequest = error instanceof S7Address.S7AddressError || error instanceof TagExpression.TagExpressionError ||
+                    error instanceof ScalingEngine.ScalingError;
+                this.sendError(res, badRequest ? 400 : 500, `Failed to add tags: ${error.message}`);
             }
         });
     }
@@ -457,6 +855,111 @@ class MultiPLCAPIServer {
         }
     }
 
+    async handleRead(req, res, query) {
+        try {
+            const plcName = query.plc;
+            if (!plcName) {
+                this.sendError(res, 400, 'PLC name is required');
+                return;
+            }
+
+            // Tag names are comma separated, raw addresses (which contain commas) go in repeated addr= params
+            const tagNames = query.tags ? query.tags.split(',').map(t => t.trim()).filter(t => t) : [];
+            const addresses = query.addr ? [].concat(query.addr) : [];
+            const names = [...tagNames, ...addresses];
+
+            if (names.length === 0) {
+                this.sendError(res, 400, 'At least one tag or address is required');
+                return;
+            }
+
+            const values = await this.multiPLCManager.readFromPLC(plcName, names);
+
+            this.sendJSON(res, {
+                plcName: plcName,
+                values: values,
+                count: Object.keys(values).length,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendError(res, 500, `Read failed: ${error.message}`);
+        }
+    }
+
+    async handleMemory(req, res, query) {
+        if (req.method === 'GET') {
+            try {
+                if (!query.plc || !query.area) {
+                    this.sendError(res, 400, 'PLC name and area are required');
+                    return;
+                }
+
+                const start = parseInt(query.start) || 0;
+                const length = parseInt(query.length) || 1;
+                const db = query.db !== undefined ? parseInt(query.db) : undefined;
+
+                const data = await this.multiPLCManager.readPLCArea(query.plc, query.area, start, length, db);
+
+                this.sendJSON(res, {
+                    plc: query.plc,
+                    area: query.area.toUpperCase(),
+                    db: db,
+                    start: start,
+                    length: data.length,
+                    hex: data.toString('hex'),
+                    bytes: Array.from(data),
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendError(res, 500, `Memory read failed: ${error.message}`);
+            }
+        } else if (req.method === 'POST') {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk.toString();
+            });
+
+            req.on('end', async () => {
+                try {
+                    const writeData = JSON.parse(body);
+
+                    if (!writeData.plc || !writeData.area || writeData.data === undefined) {
+                        this.sendError(res, 400, 'PLC name, area and data are required');
+                        return;
+                    }
+
+                    // Data is either a hex string ("0a1b") or an array of byte values
+                    const hex = typeof writeData.data === 'string' ? writeData.data.replace(/\s+/g, '') : null;
+                    if (hex !== null && !/^([0-9a-fA-F]{2})+$/.test(hex)) {
+                        this.sendError(res, 400, 'Data must be a hex string or an array of bytes');
+                        return;
+                    }
+
+                    const data = hex !== null ? Buffer.from(hex, 'hex') : Buffer.from(writeData.data);
+                    const start = parseInt(writeData.start) || 0;
+                    const db = writeData.db !== undefined ? parseInt(writeData.db) : undefined;
+
+                    await this.multiPLCManager.writePLCArea(writeData.plc, writeData.area, start, data, db);
+
+                    this.sendJSON(res, {
+                        success: true,
+                        message: `Successfully wrote ${data.length} byte(s) to ${writeData.plc} ${writeData.area.toUpperCase()}`,
+                        plc: writeData.plc,
+                        area: writeData.area.toUpperCase(),
+                        db: db,
+                        start: start,
+                        length: data.length,
+                        timestamp: new Date().toISOString()
+                    });
+                } catch (error) {
+                    this.sendError(res, 500, `Memory write failed: ${error.message}`);
+                }
+            });
+        } else {
+            this.sendError(res, 405, 'Method Not Allowed');
+        }
+    }
+
     async handleWrite(req, res) {
         let body = '';
         req.on('data', chunk => {
@@ -473,7 +976,7 @@ class MultiPLCAPIServer {
                 }
 
                 const isEuValue = writeData.isEuValue !== false; // Default to true
-                await this.multiPLCManager.writeToPLC(writeData.plc, writeData.tag, writeData.value, isEuValue);
+                const result = await this.multiPLCManager.writeToPLC(writeData.plc, writeData.tag, writeData.value, isEuValue);
                 
                 this.sendJSON(res, {
                     success: true,
@@ -482,10 +985,17 @@ class MultiPLCAPIServer {
                     tag: writeData.tag,
                     value: writeData.value,
                     isEuValue: isEuValue,
+                    verified: result.readBack !== undefined,
+                    rawReadBack: result.readBack,
+                    attempts: result.attempts,
                     timestamp: new Date().toISOString()
                 });
             } catch (error) {
-                this.sendError(res, 500, `Write failed: ${error.message}`);
+                // A value the PLC did not accept or overwrote right away is a conflict, not a server error,
+                // a value the tag's scaling cannot reach is a bad request
+                const status = ['MISMATCH', 'CONFLICT'].includes(error.reason) ? 409
+                    : error instanceof ScalingEngine.ScalingError ? 400 : 500;
+                this.sendError(res, status, `Write failed: ${error.message}`);
             }
         });
     }
@@ -500,16 +1010,162 @@ class MultiPLCAPIServer {
             };
             
             const limit = parseInt(query.limit) || 100;
-            const alarmHistory = await this.multiPLCManager.getMultiPLCAlarmHistory(filters, limit);
+            const displayUnits = await this.getDisplayUnits(query);
+            const alarmHistory = UnitRegistry.convertRecords(
+                await this.multiPLCManager.getMultiPLCAlarmHistory(filters, limit),
+                displayUnits, { values: ['CurrentValue', 'LimitValue'], differences: ['Deviation'] });
             
             this.sendJSON(res, {
                 filters: filters,
+                displayUnits,
                 recordCount: alarmHistory.length,
                 alarms: alarmHistory,
                 timestamp: new Date().toISOString()
             });
         } catch (error) {
-            this.sendError(res, 500, `Failed to get alarm history: ${error.message}`);
+            this.sendError(res, error instanceof UnitRegistry.UnitError ? 400 : 500, `Failed to get alarm history: ${error.message}`);
+        }
+    }
+
+    async handleTotalizers(req, res, query) {
+        if (req.method === 'GET') {
+            const totalizers = this.multiPLCManager.getTotalizers(query.plc || null);
+            
+            if (query.plc && !totalizers[query.plc]) {
+                this.sendError(res, 404, `PLC ${query.plc} not found or not connected`);
+                return;
+            }
+            
+            this.sendJSON(res, {
+                totalizers,
+                timestamp: new Date().toISOString()
+            });
+        } else if (req.method === 'POST') {
+            try {
+                if (!query.plc || !query.tag) {
+                    this.sendError(res, 400, 'PLC name and totalizer tag are required');
+                    return;
+                }
+                
+                const period = await this.multiPLCManager.resetTotalizer(query.plc, query.tag, query.user || 'API_USER');
+                
+                this.sendJSON(res, {
+                    success: true,
+                    plcName: query.plc,
+                    tagName: query.tag,
+                    period,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.sendError(res, 500, `Totalizer reset failed: ${error.message}`);
+            }
+        } else {
+            this.sendError(res, 405, 'Method Not Allowed');
+        }
+    }
+
+    async handleTotalizerHistory(req, res, query) {
+        try {
+            const filters = {
+                plcName: query.plc,
+                tagName: query.tag
+            };
+            
+            const startDate = query.start ? new Date(query.start) : new Date(Date.now() - 31 * 24 * 60 * 60 * 1000);
+            const endDate = query.end ? new Date(query.end) : new Date();
+            const limit = parseInt(query.limit) || 1000;
+            const displayUnits = await this.getDisplayUnits(query);
+
+            const periods = UnitRegistry.convertRecords(
+                await this.multiPLCManager.getTotalizerHistory(filters, startDate, endDate, limit),
+                displayUnits, { values: ['Total'] });
+            
+            this.sendJSON(res, {
+                filters: filters,
+                startDate: startDate.toISOString(),
+                endDate: endDate.toISOString(),
+                displayUnits,
+                recordCount: periods.length,
+                periods: periods,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            this.sendError(res, error instanceof UnitRegistry.UnitError ? 400 : 500, `Failed to get totalizer history: ${error.message}`);
+        }
+    }
+
+    async handleRuntime(req, res, query) {
+        const counters = this.multiPLCManager.getRuntimeCounters(query.plc || null);
+        
+        if (query.plc && !counters[query.plc]) {
+            this.sendError(res, 404, `No runtime counting configured for PLC ${query.plc}`);
+            return;
+        }
+        
+        this.sendJSON(res, {
+            counters,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    async handleRuntimeReset(req, res, query) {
+        if (req.method !== 'POST') {
+            this.sendError(res, 405, 'Method Not Allowed');
+            return;
+        }
+        
+        try {
+            if (!query.plc || !query.equipment) {
+                this.sendError(res, 400, 'PLC name and equipment are required');
+                return;
+            }
+            
+            const scope = (query.scope || 'MAINTENANCE').toUpperCase();
+            const result = await this.multiPLCManager.resetRuntimeCounters(query.plc, query.equipment, scope, query.user || 'API_USER');
+            
+            this.sendJSON(res, {
+                success: true,
+                plcName: query.plc,
+                equipment: query.equipment,
+                scope,
+                ...result,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            const status = error.code === 'UNKNOWN_EQUIPMENT' ? 404
+                : error.code === 'INVALID_SCOPE' ? 400 : 500;
+            this.sendError(res, status, `Runtime counter reset failed: ${error.message}`);
+        }
+    }
+
+    async handleUserUnits(req, res, query) {
+        if (!query.user) {
+            this.sendError(res, 400, 'User name is required');
+            return;
+        }
+        
+        try {
+            if (req.method === 'GET') {
+                const preference = await this.multiPLCManager.getUserDisplayUnits(query.user);
+                this.sendJSON(res, {
+                    user: query.user,
+                    ...preference,
+                    unitSystems: UnitRegistry.UNIT_SYSTEMS,
+                    timestamp: new Date().toISOString()
+                });
+            } else if (req.method === 'POST') {
+                const preference = await this.multiPLCManager.saveUserDisplayUnits(query.user, query.units || '');
+                this.sendJSON(res, {
+                    success: true,
+                    user: query.user,
+                    ...preference,
+                    timestamp: new Date().toISOString()
+                });
+            } else {
+                this.sendError(res, 405, 'Method Not Allowed');
+            }
+        } catch (error) {
+            this.sendError(res, error instanceof UnitRegistry.UnitError ? 400 : 500, `Display units failed: ${error.message}`);
         }
     }
 
@@ -587,25 +1243,53 @@ class MultiPLCAPIServer {
                 "PLC Management": {
                     "GET /api/plcs": "Get all PLC configurations",
                     "GET /api/plcs/status": "Get detailed PLC statuses",
+                    "GET /api/plcs/clock?plc=NAME": "Get measured PLC clock drift",
+                    "POST /api/plcs/clock?plc=NAME&correct=true": "Measure clock drift, optionally set the PLC clock to server time",
+                    "GET /api/plcs/metrics?plc=NAME": "Get read latency histograms, overruns and read rates per PLC and scan class",
+                    "GET /api/plcs/endpoints?plc=NAME": "Get primary/backup endpoints and the one in use",
+                    "POST /api/plcs/endpoints?plc=NAME&endpoint=backup": "Switch a redundant PLC to its primary or backup endpoint",
+                    "GET /api/plcs/backups?plc=NAME": "List program backup snapshots",
+                    "POST /api/plcs/backups?plc=NAME&force=true": "Back up the PLC program now",
+                    "GET /api/plcs/backups/download?plc=NAME&snapshot=ID&block=FC1": "Download a snapshot as tar archive, or a single block",
                     "POST /api/plc/connect?plc=NAME": "Connect to specific PLC",
                     "POST /api/plc/disconnect?plc=NAME": "Disconnect from PLC",
-                    "POST /api/plc/add": "Add new PLC configuration"
+                    "GET /api/plcs/recording?plc=NAME": "Get running recordings and replay positions",
+                    "POST /api/plcs/recording?plc=NAME&action=start": "Start or stop recording the cycle data of a PLC (action=stop), or set the replay speed (speed=10)",
+                    "GET /api/plcs/profiles?type=S7-1200": "List PLC device profiles with connection defaults and required CPU settings",
+                    "POST /api/plc/add": "Add new PLC configuration (plcType fills in rack/slot/TSAP defaults, 400 if they do not fit the CPU)"
                 },
                 "Data Access": {
-                    "GET /api/data/all": "Get data from all connected PLCs",
-                    "GET /api/data/plc?plc=NAME": "Get data from specific PLC",
-                    "GET /api/data/historical?plc=NAME&tag=TAG&start=DATE&end=DATE": "Get historical data",
-                    "GET /api/data/export?plcs=PLC1,PLC2&format=csv": "Export multi-PLC data"
+                    "GET /api/data/all?units=m³/h,bar": "Get data from all connected PLCs",
+                    "GET /api/data/plc?plc=NAME&units=US": "Get data from specific PLC",
+                    "GET /api/data/historical?plc=NAME&tag=TAG&start=DATE&end=DATE&units=METRIC": "Get historical data",
+                    "GET /api/data/export?plcs=PLC1,PLC2&format=csv&user=NAME": "Export multi-PLC data",
+                    "units": "Data, history, alarm history and totalizer history endpoints convert values to the first compatible unit of units= (units and SI, METRIC, US), else of the preference of user=NAME; 400 for unknown units"
                 },
                 "Tag Management": {
-                    "POST /api/tags/add": "Add tags to PLC",
+                    "POST /api/tags/add": "Add tags to PLC (addresses, expressions of sourceType CALCULATED and totalizer settings of sourceType TOTALIZER are validated, 400 with error positions if invalid; scalingType LINEAR, SQRT, POLYNOMIAL, LOOKUP, STRAPPING, PT100, PT1000, TC_J, TC_K or TC_T with scalingCoefficients must be invertible)",
                     "GET /api/tags/plc?plc=NAME": "Get tags for specific PLC"
                 },
                 "Operations": {
-                    "POST /api/write": "Write value to PLC tag",
+                    "GET /api/read?plc=NAME&tags=TAG1,TAG2&addr=DB1,REAL4": "Read tags/addresses directly from PLC (bypasses poll cycle)",
+                    "POST /api/write": "Write value to PLC tag (EU values are converted through the inverse of the tag's scaling, 400 if the scaling does not reach the value)",
+                    "GET /api/memory?plc=NAME&area=DB&db=1&start=0&length=16": "Read raw bytes of a memory area (DB, M, I, Q)",
+                    "POST /api/memory": "Write raw bytes to a memory area ({plc, area, db, start, data})",
                     "GET /api/alarms/history?plc=NAME": "Get alarm history",
                     "POST /api/alarms/acknowledge": "Acknowledge alarm"
                 },
+                "Totalizers": {
+                    "GET /api/totalizers?plc=NAME": "Get running totals with their period, coverage and next reset",
+                    "POST /api/totalizers?plc=NAME&tag=TAG&user=NAME": "Reset a totalizer now, the total so far is stored as a closed period",
+                    "GET /api/totalizers/history?plc=NAME&tag=TAG&start=DATE&end=DATE": "Get closed periods (daily, shift, monthly totals), last 31 days by default"
+                },
+                "Equipment Runtime": {
+                    "GET /api/runtime?plc=NAME": "Get run hours, starts, last start/stop, mean run duration and maintenance status per equipment",
+                    "POST /api/runtime/reset?plc=NAME&equipment=NAME&scope=MAINTENANCE|ALL&user=NAME": "Reset the counters after a service (MAINTENANCE) or a replacement (ALL, also the lifetime counters)"
+                },
+                "User Preferences": {
+                    "GET /api/users/units?user=NAME": "Get the display units preference of a user",
+                    "POST /api/users/units?user=NAME&units=US,m³/h": "Store the display units preference of a user (empty units removes it)"
+                },
                 "Configuration": {
                     "POST /api/config/refresh": "Refresh PLC configurations"
                 }
@@ -645,6 +1329,46 @@ class MultiPLCAPIServer {
                                 "units": "L/min",
                                 "alarmHigh": 900,
                                 "alarmLow": 50
+                            },
+                            {
+                                "name": "Flow_Balance",
+                                "sourceType": "CALCULATED",
+                                "expression": "New_Flow_Meter - WWTP_Secondary_PLC:Outlet_Flow",
+                                "description": "Flow difference between inlet and outlet",
+                                "group": "Flow_Meters",
+                                "units": "L/min",
+                                "alarmHigh": 100
+                            },
+                            {
+                                "name": "Sludge_Tank_Volume",
+                                "addr": "DB1,INT104",
+                                "type": "INT",
+                                "description": "Sludge tank volume from its level transmitter",
+                                "group": "Tanks",
+                                "rawMin": 0,
+                                "rawMax": 27648,
+                                "units": "m³",
+                                "scalingType": "STRAPPING",
+                                "scalingCoefficients": {
+                                    "levelMin": 0,
+                                    "levelMax": 5,
+                                    "points": [[0, 0], [0.5, 6.2], [1, 14.1], [4, 62.8], [4.8, 75]]
+                                }
+                            },
+                            {
+                                "name": "Inflow_Volume_Daily",
+                                "sourceType": "TOTALIZER",
+                                "totalizer": {
+                                    "source": "New_Flow_Meter",
+                                    "timeBase": "min",
+                                    "factor": 0.001,
+                                    "resetSchedule": "DAILY",
+                                    "resetTimes": ["00:00"],
+                                    "badQualityPolicy": "HOLD"
+                                },
+                                "description": "Inflow since midnight",
+                                "group": "Flow_Meters",
+                                "units": "m³"
                             }
                         ]
                     }
@@ -667,6 +1391,10 @@ class MultiPLCAPIServer {
                 "Tags": "Enhanced tag definitions with engineering units",
                 "DataHistory": "Historical data with raw and EU values",
                 "AlarmHistory": "Comprehensive alarm tracking",
+                "Totalizers": "Totalizer configuration and running totals",
+                "TotalizerHistory": "Closed totalizer periods (daily inflow, dosing volumes)",
+                "EquipmentRuntime": "Run hours, starts and maintenance intervals of equipment",
+                "UserPreferences": "Display units per API user",
                 "EventHistory": "System and user events"
             }
         };
@@ -961,10 +1689,11 @@ class MultiPLCAPIServer {
         res.end(JSON.stringify(data, null, 2));
     }
 
-    sendError(res, status, message) {
+    sendError(res, status, message, details = {}) {
         res.writeHead(status, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ 
             error: message, 
+            ...details,
             timestamp: new Date().toISOString() 
         }));
     }
@@ -1,6 +1,57 @@
 const { EventEmitter } = require('events');
+const path = require('path');
 const sql = require('mssql/msnodesqlv8');
 const EnhancedS7ClientWithLogging = require('./EnhancedS7ClientWithLogging');
+const DiagnosticBuffer = require('./DiagnosticBuffer');
+const ProgramBackup = require('./ProgramBackup');
+const S7Address = require('./S7Address');
+const PlcProfiles = require('./PlcProfiles');
+const S7Recorder = require('./S7Recorder');
+const TagExpression = require('./TagExpression');
+const Totalizer = require('./Totalizer');
+const RuntimeAccounting = require('./RuntimeAccounting');
+const UnitRegistry = require('./UnitRegistry');
+const ScalingEngine = require('./ScalingEngine');
+
+/**
+ * Default PLC clock synchronization settings
+ */
+const DEFAULT_TIME_SYNC = {
+    enabled: true,
+    checkInterval: 300000,      // how often the drift of every PLC clock is measured (ms)
+    warningThreshold: 2000,     // log a warning event when the drift exceeds this (ms)
+    correctionThreshold: 0,     // set the PLC clock when the drift exceeds this (ms), 0 = never
+    correctionInterval: 0,      // set the PLC clock on a fixed schedule (ms), 0 = never
+    clockUtc: false             // PLC clocks run on UTC instead of the server's local time
+};
+
+/**
+ * Default PLC program backup settings
+ */
+const DEFAULT_PROGRAM_BACKUP = {
+    enabled: true,
+    interval: 86400000,         // how often the program of every PLC is uploaded (ms), 0 = manual only
+    directory: './backups',     // root directory of the snapshot archive
+    maxSnapshots: 30,           // snapshots kept per PLC, 0 = keep all
+    includeSystemBlocks: false, // also archive SFB/SFC blocks
+    keepUnchanged: false        // store a snapshot even when the program did not change
+};
+
+/**
+ * Default cycle data recording settings
+ */
+const DEFAULT_RECORDING = {
+    directory: './recordings',  // where recordings are stored, one file per PLC and start time
+    compress: true              // gzip the recordings (.s7rec.gz)
+};
+
+/**
+ * Default equipment runtime counting settings
+ */
+const DEFAULT_RUNTIME = {
+    enabled: true,
+    interval: 60000             // how often run hours are checked against the maintenance intervals and saved (ms)
+};
 
 /**
  * Multi-PLC Manager for Dynamic PLC Connection Management
@@ -45,16 +96,48 @@ class MultiPLCManager extends EventEmitter {
             ...config
         };
 
+        this.config.timeSync = {
+            ...DEFAULT_TIME_SYNC,
+            ...config.timeSync
+        };
+
+        this.config.programBackup = {
+            ...DEFAULT_PROGRAM_BACKUP,
+            ...config.programBackup
+        };
+
+        this.config.recording = {
+            ...DEFAULT_RECORDING,
+            ...config.recording
+        };
+
+        this.config.runtime = {
+            ...DEFAULT_RUNTIME,
+            ...config.runtime
+        };
+
+        // PLCs played back from a recording instead of connected: PLCName -> {file, speed, loop}
+        this.config.replay = { ...config.replay };
+
         // Connection management
         this.connectionPool = null;
         this.plcClients = new Map();          // PLCName -> EnhancedS7ClientWithLogging
         this.plcConfigurations = new Map();   // PLCName -> Config
         this.plcStatuses = new Map();         // PLCName -> Status
+        this.clockStatuses = new Map();       // PLCName -> Clock drift status
+        this.programBackup = new ProgramBackup(this.config.programBackup);
+        this.recorders = new Map();           // PLCName -> S7Recorder
+        this.runtimeAccounting = new RuntimeAccounting();
+        this.setupRuntimeEventHandlers();
+        this.userDisplayUnits = new Map();    // Username -> display units preference
         
         // Management timers
         this.healthCheckTimer = null;
         this.reconnectTimer = null;
         this.configRefreshTimer = null;
+        this.timeSyncTimer = null;
+        this.programBackupTimer = null;
+        this.runtimeTimer = null;
         
         // Statistics
         this.systemStats = {
@@ -82,6 +165,9 @@ class MultiPLCManager extends EventEmitter {
             // Load PLC configurations
             await this.loadPLCConfigurations();
             
+            // Load the equipment counted for run hours and starts
+            await this.loadRuntimeConfigurations();
+            
             // Start management services
             this.startManagementServices();
             
@@ -155,6 +241,7 @@ class MultiPLCManager extends EventEmitter {
                     // Basic configuration
                     name: plcConfig.PLCName,
                     description: plcConfig.PLCDescription,
+                    plcType: plcConfig.PLCType || null,
                     enabled: plcConfig.Enabled,
                     autoConnect: plcConfig.AutoConnect,
                     priority: plcConfig.Priority,
@@ -175,15 +262,35 @@ class MultiPLCManager extends EventEmitter {
                     remotetsaphi: plcConfig.RemoteTSAPHi,
                     remotetsaplo: plcConfig.RemoteTSAPLo,
                     
+                    // Redundant endpoint (second CP card or H-system standby CPU)
+                    backup: plcConfig.BackupIPAddress ? {
+                        address: plcConfig.BackupIPAddress,
+                        port: plcConfig.BackupPort,
+                        rack: plcConfig.BackupRack,
+                        slot: plcConfig.BackupSlot
+                    } : null,
+                    failover: {
+                        failback: plcConfig.FailbackMode || 'auto',
+                        failbackDelay: plcConfig.FailbackDelay ?? 60000
+                    },
+                    
                     // Retry settings
                     maxRetries: plcConfig.MaxRetries,
                     retryDelay: plcConfig.RetryDelay,
+                    reconnect: {
+                        enabled: this.config.autoReconnectEnabled !== false && !!plcConfig.AutoConnect,
+                        initialDelay: plcConfig.RetryDelay || 5000,
+                        maxDelay: Math.max(plcConfig.RetryDelay || 5000, this.config.connectionRetryInterval || 30000),
+                        maxAttempts: plcConfig.MaxRetries || 0
+                    },
                     
                     // Context information
                     location: plcConfig.Location,
                     department: plcConfig.Department,
                     systemType: plcConfig.SystemType,
                     maintenanceMode: plcConfig.MaintenanceMode,
+                    clockUtc: !!this.config.timeSync.clockUtc,
+                    replay: this.config.replay[plcConfig.PLCName] || null,
                     
                     // SQL configuration for this PLC
                     sqlConfig: {
@@ -272,7 +379,9 @@ class MultiPLCManager extends EventEmitter {
                 return;
             }
             
-            console.log(`🔌 Connecting to PLC: ${plcName} (${plcConfig.address}:${plcConfig.port})`);
+            console.log(plcConfig.replay
+                ? `▶️ Replaying PLC: ${plcName} from ${plcConfig.replay.file}`
+                : `🔌 Connecting to PLC: ${plcName} (${plcConfig.address}:${plcConfig.port})`);
             
             // Update status to connecting
             await this.updatePLCStatus(plcName, false, 'CONNECTING');
@@ -322,19 +431,58 @@ class MultiPLCManager extends EventEmitter {
 
         client.on('connected', async () => {
             console.log(`🔌 PLC ${plcName} connected`);
+            this.runtimeAccounting.resume(plcName);
             await this.updatePLCStatus(plcName, true, 'ONLINE');
+            
+            // Check the clock right away, it may have drifted while the PLC was offline
+            if (this.config.timeSync.enabled) {
+                this.syncPLCClock(plcName).catch(error => {
+                    console.error(`❌ Clock check failed for PLC ${plcName}:`, error.message);
+                });
+            }
         });
 
         client.on('disconnected', async () => {
             console.log(`🔌 PLC ${plcName} disconnected`);
+            this.runtimeAccounting.pause(plcName);
             await this.updatePLCStatus(plcName, false, 'OFFLINE');
             
-            // Schedule reconnection if auto-reconnect is enabled
+            // The client reconnects on its own; only fall back to the manager when its policy is disabled
+            if (this.config.autoReconnectEnabled && plcConfig.autoConnect && !client.config.reconnect.enabled) {
+                this.scheduleReconnection(plcName);
+            }
+        });
+
+        client.on('reconnecting', async (info) => {
+            console.log(`🔄 PLC ${plcName} reconnecting (attempt ${info.attempt}${info.maxAttempts ? '/' + info.maxAttempts : ''}) in ${info.delay}ms`);
+            await this.updatePLCStatus(plcName, false, 'RECONNECTING');
+            this.emit('plc_reconnecting', { plcName, ...info });
+        });
+
+        client.on('reconnected', async (info) => {
+            console.log(`✅ PLC ${plcName} reconnected after ${info.attempts} attempt(s)`);
+            await this.logSystemEvent('PLC_RECONNECTED', `Reconnected to PLC ${plcName} after ${info.attempts} attempt(s)`, 'INFO', plcName);
+            this.emit('plc_reconnected', { plcName, ...info });
+        });
+
+        client.on('reconnect_failed', async (info) => {
+            console.error(`❌ PLC ${plcName} reconnection gave up after ${info.attempts} attempts`);
+            await this.updatePLCStatus(plcName, false, 'ERROR', null, null, `Reconnection failed after ${info.attempts} attempts`);
+            await this.logSystemEvent('PLC_RECONNECT_FAILED', `Reconnection to PLC ${plcName} failed after ${info.attempts} attempts`, 'ERROR', plcName);
+            this.emit('plc_reconnect_failed', { plcName, ...info });
+            
+            // Start a new reconnection cycle later
             if (this.config.autoReconnectEnabled && plcConfig.autoConnect) {
                 this.scheduleReconnection(plcName);
             }
         });
 
+        client.on('endpoint_switched', async (change) => {
+            console.warn(`🔀 PLC ${plcName} switched to ${change.to} endpoint ${change.toAddress} (${change.reason})`);
+            await this.updatePLCEndpoint(plcName, change);
+            this.emit('plc_endpoint_switched', { plcName, ...change });
+        });
+
         client.on('error', async (error) => {
             console.error(`❌ PLC ${plcName} error:`, error.message);
             await this.updatePLCStatus(plcName, false, 'ERROR', null, null, error.message);
@@ -342,11 +490,16 @@ class MultiPLCManager extends EventEmitter {
 
         // Data events
         client.on('enhanced_data', (data) => {
+            this.forwardCalculationInputs(plcName, data);
             this.emit('plc_data', { plcName, data });
             // Update statistics
             this.systemStats.dataPointsLogged += Object.keys(data).length;
         });
 
+        client.on('variable_changed', (change) => {
+            this.runtimeAccounting.handleChange(plcName, change);
+        });
+
         client.on('alarm', async (alarm) => {
             console.log(`🚨 ALARM from ${plcName}: ${alarm.type} - ${alarm.tagName}`);
             this.systemStats.alarmsGenerated++;
@@ -362,17 +515,126 @@ class MultiPLCManager extends EventEmitter {
             this.emit('alarm_logged', { plcName, ...entry });
         });
 
+        client.on('totalizer_reset', (period) => {
+            this.emit('plc_totalizer_reset', { plcName, ...period });
+        });
+
         // SQL events
         client.on('tags_updated', (info) => {
             console.log(`📋 Tags updated for PLC ${plcName}: ${info.tagCount} tags`);
             this.emit('plc_tags_updated', { plcName, ...info });
         });
+
+        // CPU diagnostics events
+        client.on('identification', async (identification) => {
+            console.log(`🪪 PLC ${plcName}: ${identification.moduleOrderNumber || 'unknown module'} firmware ${identification.firmwareVersion || 'unknown'}`);
+            await this.updatePLCIdentification(plcName, identification);
+        });
+
+        client.on('cpu_state_changed', async (change) => {
+            console.log(`⚙️ PLC ${plcName} CPU state: ${change.previousState || 'unknown'} -> ${change.state}`);
+            await this.updatePLCIdentification(plcName, null, change.state);
+            this.emit('plc_cpu_state_changed', { plcName, ...change });
+
+            if (change.state === 'STOP') {
+                console.error(`🛑 PLC ${plcName} CPU is in STOP`);
+                this.emit('plc_cpu_stopped', { plcName, ...change });
+            }
+        });
+
+        client.on('diagnostic_events', async (entries) => {
+            await this.logDiagnosticEvents(plcName, entries);
+        });
+
+        client.on('diagnostics_error', (error) => {
+            console.warn(`⚠️ PLC ${plcName} diagnostics read failed:`, error.message);
+        });
+    }
+
+    /**
+     * Store PLC diagnostic buffer entries in EventHistory (Source 'PLC_DIAG').
+     * Entries already stored by an earlier poll or service run are skipped by the stored procedure
+     */
+    async logDiagnosticEvents(plcName, entries) {
+        const logged = [];
+        
+        try {
+            for (const entry of entries) {
+                const request = this.connectionPool.request();
+                request.input('PLCName', sql.NVarChar, plcName);
+                request.input('EventKey', sql.NVarChar, entry.key);
+                request.input('EventCategory', sql.NVarChar, entry.category);
+                request.input('EventMessage', sql.NVarChar, DiagnosticBuffer.formatMessage(entry));
+                request.input('EventTimestamp', sql.DateTime2, entry.timestamp);
+                request.input('AdditionalData', sql.NVarChar, JSON.stringify({
+                    eventId: entry.eventIdHex,
+                    eventClass: entry.eventClass,
+                    priorityClass: entry.priorityClass,
+                    obNumber: entry.obNumber,
+                    datId: entry.datId,
+                    info1: entry.info1,
+                    info2: entry.info2
+                }));
+                
+                const result = await request.execute('sp_LogPLCDiagnosticEvent');
+                if (result.recordset[0]?.Inserted) {
+                    logged.push(entry);
+                }
+            }
+            
+            if (logged.length) {
+                console.log(`🩺 PLC ${plcName}: ${logged.length} new diagnostic buffer entr${logged.length === 1 ? 'y' : 'ies'}`);
+                this.emit('plc_diagnostic_events', { plcName, entries: logged });
+            }
+            
+        } catch (error) {
+            console.error(`Error logging diagnostic buffer for PLC ${plcName}:`, error);
+        }
+        
+        return logged;
+    }
+
+    /**
+     * Store CPU identification and/or operating state in database.
+     * Firmware changes are detected against the stored version, so they are caught across restarts too
+     */
+    async updatePLCIdentification(plcName, identification, cpuState = null) {
+        try {
+            const id = identification || {};
+            const request = this.connectionPool.request();
+            request.input('PLCName', sql.NVarChar, plcName);
+            request.input('ModuleOrderNumber', sql.NVarChar, id.moduleOrderNumber || null);
+            request.input('HardwareOrderNumber', sql.NVarChar, id.hardwareOrderNumber || null);
+            request.input('FirmwareVersion', sql.NVarChar, id.firmwareVersion || null);
+            request.input('SerialNumber', sql.NVarChar, id.serialNumber || null);
+            request.input('ModuleName', sql.NVarChar, id.moduleName || null);
+            request.input('CPUName', sql.NVarChar, id.plcName || null);
+            request.input('PlantID', sql.NVarChar, id.plantID || null);
+            request.input('PartType', sql.NVarChar, id.partType || null);
+            request.input('CpuState', sql.NVarChar, cpuState);
+            
+            const result = await request.execute('sp_UpdatePLCIdentification');
+            const previousVersion = result.recordset[0]?.PreviousFirmwareVersion;
+            
+            if (identification && previousVersion && previousVersion !== (identification.firmwareVersion || '')) {
+                console.warn(`⚠️ PLC ${plcName} firmware changed: ${previousVersion} -> ${identification.firmwareVersion}`);
+                this.emit('plc_firmware_changed', {
+                    plcName,
+                    previousVersion,
+                    version: identification.firmwareVersion,
+                    identification
+                });
+            }
+            
+        } catch (error) {
+            console.error(`Error updating identification for PLC ${plcName}:`, error);
+        }
     }
 
     /**
      * Update PLC connection status in database
      */
-    async updatePLCStatus(plcName, isConnected, connectionState = null, cycleTime = null, responseTime = null, errorMessage = null) {
+    async updatePLCStatus(plcName, isConnected, connectionState = null, cycleTime = null, responseTime = null, errorMessage = null, metrics = null) {
         try {
             const request = this.connectionPool.request();
             request.input('PLCName', sql.NVarChar, plcName);
@@ -382,6 +644,19 @@ class MultiPLCManager extends EventEmitter {
             request.input('ResponseTime', sql.Float, responseTime);
             request.input('ErrorMessage', sql.NVarChar, errorMessage);
             
+            // Rolling cycle metrics of the client (CycleMetrics snapshot)
+            if (metrics) {
+                request.input('MaxResponseTime', sql.Float, metrics.duration.max);
+                request.input('ResponseTimeP95', sql.Float, metrics.duration.p95);
+                request.input('ReadsPerSecond', sql.Float, metrics.effectiveRate);
+                request.input('PDUsPerRead', sql.Float, metrics.pdusPerRead);
+                request.input('ItemsPerRead', sql.Float, metrics.itemsPerRead);
+                request.input('ScanOverruns', sql.Int, metrics.overruns);
+                request.input('ReadErrors', sql.Int, metrics.errors);
+                request.input('CycleLoad', sql.Float, metrics.load);
+                request.input('ResponseHistogram', sql.NVarChar, JSON.stringify(metrics.histogram));
+            }
+            
             await request.execute('sp_UpdatePLCStatus');
             
             // Update local status cache
@@ -410,6 +685,10 @@ class MultiPLCManager extends EventEmitter {
             
             console.log(`🔌 Disconnecting from PLC: ${plcName}`);
             
+            if (this.recorders.has(plcName)) {
+                await this.stopRecording(plcName);
+            }
+            
             await client.disconnect();
             this.plcClients.delete(plcName);
             
@@ -428,6 +707,14 @@ class MultiPLCManager extends EventEmitter {
      */
     async addPLCConfiguration(plcData) {
         try {
+            // Catch wrong rack/slot/TSAPs here instead of as connection timeouts later
+            if (plcData.plcType) {
+                const check = PlcProfiles.validate(PlcProfiles.applyDefaults(plcData));
+                if (!check.valid) {
+                    throw new Error(`Invalid ${plcData.plcType} configuration: ${check.errors.join('; ')}`);
+                }
+            }
+
             const request = this.connectionPool.request();
             
             // Use the enhanced stored procedure
@@ -435,10 +722,16 @@ class MultiPLCManager extends EventEmitter {
             request.input('PLCDescription', sql.NVarChar, plcData.description || '');
             request.input('IPAddress', sql.NVarChar, plcData.address);
             request.input('Port', sql.Int, plcData.port || 102);
-            request.input('Rack', sql.Int, plcData.rack || 0);
-            request.input('Slot', sql.Int, plcData.slot || 2);
+            // Missing rack, slot, mode and TSAPs come from the PLC type, or the generic defaults without one
+            request.input('Rack', sql.Int, plcData.rack ?? null);
+            request.input('Slot', sql.Int, plcData.slot ?? null);
             request.input('Transport', sql.NVarChar, plcData.transport || 'iso-on-tcp');
-            request.input('ConnectionMode', sql.NVarChar, plcData.connmode || 'rack-slot');
+            request.input('ConnectionMode', sql.NVarChar, plcData.connmode || null);
+            request.input('PLCType', sql.NVarChar, PlcProfiles.get(plcData.plcType)?.type || null);
+            request.input('LocalTSAPHi', sql.NVarChar, plcData.localtsaphi || null);
+            request.input('LocalTSAPLo', sql.NVarChar, plcData.localtsaplo || null);
+            request.input('RemoteTSAPHi', sql.NVarChar, plcData.remotetsaphi || null);
+            request.input('RemoteTSAPLo', sql.NVarChar, plcData.remotetsaplo || null);
             request.input('CycleTime', sql.Int, plcData.cycletime || 1000);
             request.input('Timeout', sql.Int, plcData.timeout || 2000);
             request.input('Enabled', sql.Bit, plcData.enabled !== false);
@@ -447,6 +740,12 @@ class MultiPLCManager extends EventEmitter {
             request.input('Location', sql.NVarChar, plcData.location);
             request.input('Department', sql.NVarChar, plcData.department);
             request.input('SystemType', sql.NVarChar, plcData.systemType);
+            request.input('BackupIPAddress', sql.NVarChar, plcData.backup?.address || null);
+            request.input('BackupPort', sql.Int, plcData.backup?.port ?? null);
+            request.input('BackupRack', sql.Int, plcData.backup?.rack ?? null);
+            request.input('BackupSlot', sql.Int, plcData.backup?.slot ?? null);
+            request.input('FailbackMode', sql.NVarChar, plcData.failover?.failback || 'auto');
+            request.input('FailbackDelay', sql.Int, plcData.failover?.failbackDelay ?? 60000);
             request.input('CreatedBy', sql.NVarChar, plcData.createdBy || 'API_USER');
             
             const result = await request.execute('sp_AddPLCConnection');
@@ -484,16 +783,39 @@ class MultiPLCManager extends EventEmitter {
                 throw new Error(`PLC ${plcName} is not connected`);
             }
             
+            // Parse all addresses, expressions, totalizers and scalings first so a bad tag does not leave the others half added
+            // Calculated tags and totalizers have no address (null) and no scaling
+            const scalings = tags.map(tagData => {
+                if (['CALCULATED', 'TOTALIZER'].includes(tagData.sourceType) || tagData.udtName) return null;
+                return ScalingEngine.assertInvertible(ScalingEngine.fromTag(tagData), tagData.name);
+            });
+            const addresses = tags.map(tagData => {
+                if (tagData.sourceType === 'CALCULATED') {
+                    TagExpression.compile(tagData.expression);
+                    return null;
+                }
+                if (tagData.sourceType === 'TOTALIZER') {
+                    const { valid, errors } = Totalizer.validate(tagData.totalizer);
+                    if (!valid) {
+                        throw new Error(`Invalid totalizer ${tagData.name}: ${errors.join(', ')}`);
+                    }
+                    return null;
+                }
+                return S7Address.parse(tagData.addr, { type: tagData.type });
+            });
             const results = [];
             
-            for (const tagData of tags) {
+            for (const [index, tagData] of tags.entries()) {
                 const request = this.connectionPool.request();
                 
                 // Use the enhanced stored procedure for tag creation
                 request.input('PLCName', sql.NVarChar, plcName);
                 request.input('TagName', sql.NVarChar, tagData.name);
-                request.input('TagAddress', sql.NVarChar, tagData.addr);
-                request.input('TagType', sql.NVarChar, tagData.type || 'REAL');
+                request.input('TagAddress', sql.NVarChar, addresses[index] ? addresses[index].nodes7 : null);
+                request.input('TagType', sql.NVarChar, tagData.udtName && addresses[index] ? 'UDT' : tagData.type || 'REAL');
+                request.input('UdtName', sql.NVarChar, addresses[index] ? tagData.udtName || null : null);
+                request.input('SourceType', sql.NVarChar, addresses[index] ? 'PLC' : tagData.sourceType);
+                request.input('Expression', sql.NVarChar, tagData.sourceType === 'CALCULATED' ? tagData.expression : null);
                 request.input('Description', sql.NVarChar, tagData.description || '');
                 request.input('GroupName', sql.NVarChar, tagData.group || 'Default');
                 request.input('RawMin', sql.Float, tagData.rawMin || 0);
@@ -502,6 +824,9 @@ class MultiPLCManager extends EventEmitter {
                 request.input('EuMax', sql.Float, tagData.euMax || 100);
                 request.input('EngineeringUnits', sql.NVarChar, tagData.units || '');
                 request.input('DecimalPlaces', sql.Int, tagData.decimalPlaces || 2);
+                request.input('ScalingType', sql.NVarChar, scalings[index] ? scalings[index].type : 'LINEAR');
+                request.input('ScalingCoefficients', sql.NVarChar, scalings[index] && scalings[index].coefficients
+                    ? JSON.stringify(scalings[index].coefficients) : null);
                 request.input('MinValue', sql.Float, tagData.minValue);
                 request.input('MaxValue', sql.Float, tagData.maxValue);
                 request.input('AlarmHigh', sql.Float, tagData.alarmHigh);
@@ -511,6 +836,9 @@ class MultiPLCManager extends EventEmitter {
                 request.input('CreatedBy', sql.NVarChar, 'API_USER');
                 
                 const result = await request.execute('sp_AddEnhancedTagWithPLC');
+                if (tagData.sourceType === 'TOTALIZER') {
+                    await client.sqlTagManager.saveTotalizer(plcName, tagData.name, tagData.totalizer);
+                }
                 results.push(result.recordset[0]);
             }
             
@@ -528,6 +856,17 @@ class MultiPLCManager extends EventEmitter {
         }
     }
 
+    /**
+     * Passes the values of a PLC to the clients whose calculated tags read it ('PLC_2:Flow')
+     */
+    forwardCalculationInputs(plcName, data) {
+        for (const [name, client] of this.plcClients) {
+            if (name !== plcName && client.getReferencedPLCs().includes(plcName)) {
+                client.setExternalValues(plcName, data);
+            }
+        }
+    }
+
     /**
      * Get data from a specific PLC
      */
@@ -562,6 +901,46 @@ class MultiPLCManager extends EventEmitter {
         return allData;
     }
 
+    /**
+     * Read tags from a specific PLC immediately, without waiting for the next poll cycle
+     */
+    async readFromPLC(plcName, tagNames) {
+        const client = this.plcClients.get(plcName);
+        if (!client || !client.connected) {
+            throw new Error(`PLC ${plcName} is not connected`);
+        }
+
+        return client.readEnhancedVariables(tagNames);
+    }
+
+    /**
+     * Read a raw byte range of a memory area (DB, M, I or Q) from a specific PLC
+     */
+    async readPLCArea(plcName, area, start, length, db) {
+        const client = this.plcClients.get(plcName);
+        if (!client || !client.connected) {
+            throw new Error(`PLC ${plcName} is not connected`);
+        }
+
+        return client.readArea(area, start, length, db);
+    }
+
+    /**
+     * Write a raw byte range of a memory area (DB, M, I or Q) on a specific PLC
+     */
+    async writePLCArea(plcName, area, start, data, db) {
+        const client = this.plcClients.get(plcName);
+        if (!client || !client.connected) {
+            throw new Error(`PLC ${plcName} is not connected`);
+        }
+
+        await client.writeArea(area, start, data, db);
+
+        const target = String(area).toUpperCase() === 'DB' ? `DB${db}` : String(area).toUpperCase();
+        await this.logSystemEvent('RAW_AREA_WRITTEN',
+            `Raw write to ${plcName} ${target} at byte ${start}: ${data.length} byte(s)`, 'WARNING', plcName);
+    }
+
     /**
      * Write value to a tag on a specific PLC
      */
@@ -571,10 +950,12 @@ class MultiPLCManager extends EventEmitter {
             throw new Error(`PLC ${plcName} is not connected`);
         }
         
-        await client.writeVariable(tagName, value, isEuValue);
+        const result = await client.writeVariable(tagName, value, isEuValue);
         
         await this.logSystemEvent('VALUE_WRITTEN', 
             `Written to ${plcName}.${tagName}: ${value}`, 'INFO', plcName, tagName);
+        
+        return result;
     }
 
     /**
@@ -591,15 +972,20 @@ class MultiPLCManager extends EventEmitter {
         console.log(`⏰ Scheduling reconnection for PLC ${plcName} in ${retryDelay}ms`);
         
         setTimeout(async () => {
+            const client = this.plcClients.get(plcName);
             try {
-                if (!this.plcClients.has(plcName) || !this.plcClients.get(plcName).connected) {
+                if (client && !client.connected) {
+                    // Reuse the existing client, which starts a fresh backoff cycle
+                    console.log(`🔄 Attempting to reconnect to PLC ${plcName}`);
+                    await client.connect();
+                } else if (!client) {
                     console.log(`🔄 Attempting to reconnect to PLC ${plcName}`);
                     await this.connectToPLC(plcName);
                 }
             } catch (error) {
                 console.error(`❌ Reconnection failed for PLC ${plcName}:`, error.message);
-                // Schedule another attempt
-                if (this.config.autoReconnectEnabled) {
+                // Schedule another attempt unless the client keeps retrying by itself
+                if (this.config.autoReconnectEnabled && !(client && client.config.reconnect.enabled)) {
                     this.scheduleReconnection(plcName);
                 }
             }
@@ -623,6 +1009,593 @@ class MultiPLCManager extends EventEmitter {
         this.configRefreshTimer = setInterval(() => {
             this.refreshConfigurations();
         }, 300000); // 5 minutes
+        
+        // PLC clock synchronization timer
+        if (this.config.timeSync.enabled && this.config.timeSync.checkInterval > 0) {
+            this.timeSyncTimer = setInterval(() => {
+                this.performTimeSync();
+            }, this.config.timeSync.checkInterval);
+        }
+        
+        // PLC program backup timer
+        if (this.config.programBackup.enabled && this.config.programBackup.interval > 0) {
+            this.programBackupTimer = setInterval(() => {
+                this.backupAllPLCPrograms();
+            }, this.config.programBackup.interval);
+        }
+        
+        // Equipment runtime timer
+        if (this.config.runtime.enabled && this.config.runtime.interval > 0) {
+            this.runtimeTimer = setInterval(() => {
+                this.runtimeAccounting.checkMaintenance();
+                this.saveRuntimeCounters();
+            }, this.config.runtime.interval);
+        }
+    }
+
+    /**
+     * Measure the clock drift of all connected PLCs and correct it where configured
+     */
+    async performTimeSync() {
+        for (const [plcName, client] of this.plcClients) {
+            if (!client.connected || client.replay) continue;
+            
+            try {
+                await this.syncPLCClock(plcName);
+            } catch (error) {
+                console.error(`❌ Clock check failed for PLC ${plcName}:`, error.message);
+            }
+        }
+        
+        this.emit('time_sync_complete', { timestamp: new Date(), clocks: this.getClockStatuses() });
+    }
+
+    /**
+     * Measure the clock drift of a PLC and set its clock when requested, on schedule or above the threshold
+     */
+    async syncPLCClock(plcName, options = {}) {
+        const client = this.plcClients.get(plcName);
+        if (!client || !client.connected) {
+            throw new Error(`PLC ${plcName} is not connected`);
+        }
+        
+        const timeSync = this.config.timeSync;
+        const plcConfig = this.plcConfigurations.get(plcName) || {};
+        const previous = this.clockStatuses.get(plcName) || {};
+        const measurement = await client.measureClockDrift();
+        const now = Date.now();
+        
+        let reason = null;
+        if (options.correct) {
+            reason = 'MANUAL';
+        } else if (!plcConfig.maintenanceMode) {
+            if (timeSync.correctionThreshold > 0 && Math.abs(measurement.drift) > timeSync.correctionThreshold) {
+                reason = 'THRESHOLD';
+            } else if (timeSync.correctionInterval > 0 &&
+                (!previous.lastCorrection || now - previous.lastCorrection.getTime() >= timeSync.correctionInterval)) {
+                reason = 'SCHEDULE';
+            }
+        }
+        
+        const status = {
+            drift: measurement.drift,
+            roundTrip: measurement.roundTrip,
+            plcTime: measurement.plcTime,
+            lastCheck: new Date(now),
+            lastCorrection: previous.lastCorrection || null,
+            corrections: previous.corrections || 0,
+            warning: Math.abs(measurement.drift) > timeSync.warningThreshold
+        };
+        
+        if (reason) {
+            await client.setPlcTime(new Date());
+            const corrected = await client.measureClockDrift();
+            
+            console.log(`🕒 PLC ${plcName} clock corrected (${reason}): drift ${measurement.drift}ms -> ${corrected.drift}ms`);
+            
+            status.drift = corrected.drift;
+            status.roundTrip = corrected.roundTrip;
+            status.plcTime = corrected.plcTime;
+            status.lastCorrection = new Date();
+            status.corrections++;
+            status.warning = Math.abs(corrected.drift) > timeSync.warningThreshold;
+        }
+        
+        this.clockStatuses.set(plcName, status);
+        await this.updatePLCClockStatus(plcName, status, reason ? measurement.drift : null, reason, options.username);
+        
+        // Warn once when the drift exceeds the threshold, not on every check
+        if (status.warning && !previous.warning) {
+            await this.logSystemEvent('PLC_CLOCK_DRIFT', 
+                `PLC ${plcName} clock drifts ${Math.round(status.drift)} ms from server time`, 'WARNING', plcName);
+        }
+        
+        this.emit('plc_clock_checked', { plcName, ...status });
+        if (reason) {
+            this.emit('plc_clock_corrected', { plcName, reason, driftBefore: measurement.drift, driftAfter: status.drift });
+        }
+        
+        return { plcName, ...status, corrected: !!reason, reason, driftBefore: measurement.drift };
+    }
+
+    /**
+     * Store PLC clock drift in database, the stored procedure logs corrections to EventHistory
+     */
+    async updatePLCClockStatus(plcName, status, driftBeforeCorrection = null, reason = null, username = null) {
+        try {
+            const request = this.connectionPool.request();
+            request.input('PLCName', sql.NVarChar, plcName);
+            request.input('ClockDrift', sql.Float, status.drift);
+            request.input('RoundTrip', sql.Int, status.roundTrip);
+            request.input('Corrected', sql.Bit, !!reason);
+            request.input('DriftBeforeCorrection', sql.Float, driftBeforeCorrection);
+            request.input('CorrectionReason', sql.NVarChar, reason);
+            request.input('Username', sql.NVarChar, username);
+            
+            await request.execute('sp_UpdatePLCClockStatus');
+            
+        } catch (error) {
+            console.error(`Error updating clock status for PLC ${plcName}:`, error);
+        }
+    }
+
+    /**
+     * Store the active endpoint of a redundant PLC in database
+     */
+    async updatePLCEndpoint(plcName, change) {
+        try {
+            const request = this.connectionPool.request();
+            request.input('PLCName', sql.NVarChar, plcName);
+            request.input('ActiveEndpoint', sql.NVarChar, change.to);
+            request.input('ActiveIPAddress', sql.NVarChar, change.toAddress);
+            request.input('SwitchTime', sql.DateTime2, change.timestamp);
+            
+            await request.execute('sp_UpdatePLCEndpoint');
+            
+        } catch (error) {
+            console.error(`Error updating active endpoint for PLC ${plcName}:`, error);
+        }
+    }
+
+    /**
+     * Get the endpoints of every PLC client and which one is in use
+     */
+    getEndpointStatuses(plcName = null) {
+        const statuses = {};
+        for (const [name, client] of this.plcClients) {
+            if (plcName && name !== plcName) continue;
+            statuses[name] = client.getEndpointStatus();
+        }
+        return statuses;
+    }
+
+    /**
+     * Switch a redundant PLC to its 'primary' or 'backup' endpoint
+     */
+    async switchPLCEndpoint(plcName, role, username = 'SYSTEM') {
+        const client = this.plcClients.get(plcName);
+        if (!client) {
+            throw new Error(`PLC ${plcName} is not connected`);
+        }
+        if (!client.getEndpointStatus().redundant) {
+            throw new Error(`PLC ${plcName} has no backup endpoint`);
+        }
+
+        console.log(`🔀 Switching PLC ${plcName} to its ${role} endpoint (requested by ${username})`);
+        return client.switchEndpoint(role, 'manual');
+    }
+
+    /**
+     * Get the live cycle metrics of every PLC client. A PLC is overloaded when reads overran
+     * their cycle within the metrics window or take longer than the cycle time on average
+     */
+    getCycleMetrics(plcName = null) {
+        const metrics = {};
+        
+        for (const [name, client] of this.plcClients) {
+            if (plcName && name !== plcName) continue;
+            
+            const cycleMetrics = client.getCycleMetrics();
+            const total = cycleMetrics.total;
+            
+            metrics[name] = {
+                connected: client.connected,
+                overloaded: total.overruns > 0 || (total.load !== null && total.load >= 1),
+                ...cycleMetrics
+            };
+        }
+        
+        return metrics;
+    }
+
+    /**
+     * Get the last measured clock drift of every PLC
+     */
+    getClockStatuses() {
+        const clocks = {};
+        for (const [plcName, status] of this.clockStatuses) {
+            clocks[plcName] = { ...status };
+        }
+        return clocks;
+    }
+
+    /**
+     * Back up the program of all connected PLCs
+     */
+    async backupAllPLCPrograms() {
+        const results = {};
+        
+        for (const [plcName, client] of this.plcClients) {
+            if (!client.connected || client.replay) continue;
+            
+            try {
+                results[plcName] = await this.backupPLCProgram(plcName);
+            } catch (error) {
+                console.error(`❌ Program backup failed for PLC ${plcName}:`, error.message);
+                results[plcName] = { error: error.message };
+            }
+        }
+        
+        this.emit('program_backup_complete', { timestamp: new Date(), results });
+        return results;
+    }
+
+    /**
+     * Upload the blocks of a PLC into the backup archive and report program changes since the last snapshot
+     */
+    async backupPLCProgram(plcName, options = {}) {
+        const client = this.plcClients.get(plcName);
+        if (!client || !client.connected) {
+            throw new Error(`PLC ${plcName} is not connected`);
+        }
+        
+        const result = await this.programBackup.createSnapshot(plcName, client, {
+            reason: options.username ? `MANUAL (${options.username})` : (options.reason || 'SCHEDULED'),
+            force: options.force
+        });
+        const changes = result.changes;
+        
+        if (changes.programChanged) {
+            const summary = [
+                changes.added.length && `added ${changes.added.join(', ')}`,
+                changes.removed.length && `removed ${changes.removed.join(', ')}`,
+                changes.modified.length && `modified ${changes.modified.map(m => m.block).join(', ')}`
+            ].filter(Boolean).join('; ');
+            
+            await this.logSystemEvent('PLC_PROGRAM_CHANGED', 
+                `PLC ${plcName} program changed: ${summary}`, 'WARNING', plcName);
+            
+            this.emit('plc_program_changed', { plcName, snapshot: result.snapshot, changes });
+        }
+        
+        if (result.stored) {
+            await this.logSystemEvent('PLC_PROGRAM_BACKUP', 
+                `PLC ${plcName} program backup ${result.snapshot} stored`, 'INFO', plcName);
+        }
+        
+        return result;
+    }
+
+    /**
+     * Start recording the cycle data of a PLC, to replay it later with config.replay
+     * @param {object} options - {file, events}, the file defaults to <directory>/<PLC>_<start time>.s7rec(.gz)
+     */
+    async startRecording(plcName, options = {}) {
+        const client = this.plcClients.get(plcName);
+        if (!client) {
+            throw new Error(`PLC ${plcName} is not connected`);
+        }
+        if (this.recorders.has(plcName)) {
+            throw new Error(`PLC ${plcName} is already being recorded to ${this.recorders.get(plcName).config.file}`);
+        }
+        
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const file = options.file || path.join(this.config.recording.directory,
+            `${String(plcName).replace(/[^A-Za-z0-9_.-]/g, '_')}_${stamp}.s7rec${this.config.recording.compress ? '.gz' : ''}`);
+        
+        const recorder = new S7Recorder({ ...options, file });
+        recorder.on('error', (error) => {
+            this.recorders.delete(plcName);
+            this.logSystemEvent('PLC_RECORDING_FAILED', `Recording of PLC ${plcName} failed: ${error.message}`, 'ERROR', plcName);
+        });
+        
+        await recorder.start(client, { name: plcName });
+        this.recorders.set(plcName, recorder);
+        
+        await this.logSystemEvent('PLC_RECORDING_STARTED', `Recording PLC ${plcName} to ${file}`, 'INFO', plcName);
+        this.emit('plc_recording_started', { plcName, file });
+        
+        return recorder.getStatus();
+    }
+
+    /**
+     * Stop recording a PLC
+     */
+    async stopRecording(plcName) {
+        const recorder = this.recorders.get(plcName);
+        if (!recorder) {
+            throw new Error(`PLC ${plcName} is not being recorded`);
+        }
+        
+        this.recorders.delete(plcName);
+        const status = await recorder.stop();
+        
+        await this.logSystemEvent('PLC_RECORDING_STOPPED', 
+            `Recording of PLC ${plcName} stopped: ${status.samples} samples in ${Math.round(status.duration / 1000)}s`, 'INFO', plcName);
+        this.emit('plc_recording_stopped', { plcName, ...status });
+        
+        return status;
+    }
+
+    /**
+     * Get the running recordings and the replayed PLCs
+     */
+    getRecordingStatuses(plcName = null) {
+        const statuses = {};
+        for (const [name, client] of this.plcClients) {
+            if (plcName && name !== plcName) continue;
+            statuses[name] = {
+                recording: this.recorders.has(name) ? this.recorders.get(name).getStatus() : null,
+                replay: client.getReplayStatus()
+            };
+        }
+        return statuses;
+    }
+
+    /**
+     * Change the playback speed of a replayed PLC
+     */
+    setReplaySpeed(plcName, speed) {
+        const client = this.plcClients.get(plcName);
+        if (!client || !client.replay) {
+            throw new Error(`PLC ${plcName} is not replayed from a recording`);
+        }
+        
+        client.replay.setSpeed(speed);
+        return client.getReplayStatus();
+    }
+
+    /**
+     * Get the running totals of every PLC client
+     */
+    getTotalizers(plcName = null) {
+        const totalizers = {};
+        for (const [name, client] of this.plcClients) {
+            if (plcName && name !== plcName) continue;
+            totalizers[name] = client.getTotalizers();
+        }
+        return totalizers;
+    }
+
+    /**
+     * Reset a totalizer outside its schedule, the total so far is stored as a closed period
+     */
+    async resetTotalizer(plcName, tagName, username = 'SYSTEM') {
+        const client = this.plcClients.get(plcName);
+        if (!client) {
+            throw new Error(`PLC ${plcName} is not connected`);
+        }
+
+        console.log(`🧮 Resetting totalizer ${plcName}.${tagName} (requested by ${username})`);
+        return client.resetTotalizer(tagName, username);
+    }
+
+    /**
+     * Get closed totalizer periods (daily volumes, shift totals ...) across all PLCs, newest first
+     */
+    async getTotalizerHistory(filters = {}, startDate, endDate, limit = 1000) {
+        try {
+            let whereClause = 'WHERE th.PeriodEnd > @startDate AND th.PeriodStart < @endDate';
+            const request = this.connectionPool.request()
+                .input('startDate', sql.DateTime2, startDate)
+                .input('endDate', sql.DateTime2, endDate)
+                .input('limit', sql.Int, limit);
+            
+            if (filters.plcName) {
+                whereClause += ' AND th.PLCName = @plcName';
+                request.input('plcName', sql.NVarChar, filters.plcName);
+            }
+            
+            if (filters.tagName) {
+                whereClause += ' AND th.TagName = @tagName';
+                request.input('tagName', sql.NVarChar, filters.tagName);
+            }
+            
+            const result = await request.query(`
+                SELECT TOP (@limit)
+                    th.PLCName,
+                    th.TagName,
+                    th.PeriodStart,
+                    th.PeriodEnd,
+                    th.Total,
+                    th.EngineeringUnits,
+                    th.GoodSeconds,
+                    th.Coverage,
+                    th.ResetReason,
+                    th.ResetBy,
+                    t.Description
+                FROM TotalizerHistory th
+                LEFT JOIN Tags t ON th.PLCName = t.PLCName AND th.TagName = t.TagName
+                ${whereClause}
+                ORDER BY th.PeriodEnd DESC, th.PLCName, th.TagName
+            `);
+            
+            return result.recordset;
+            
+        } catch (error) {
+            console.error('❌ Failed to get totalizer history:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Forward the maintenance events of the runtime counting to EventHistory
+     */
+    setupRuntimeEventHandlers() {
+        this.runtimeAccounting.on('maintenance_due', async (due) => {
+            const message = due.reason === 'HOURS'
+                ? `${due.equipment} is due for maintenance: ${due.runHours.toFixed(1)} run hours since the last service (interval ${due.threshold} h)`
+                : `${due.equipment} is due for maintenance: ${due.starts} starts since the last service (interval ${due.threshold})`;
+            
+            console.warn(`🔧 PLC ${due.plcName}: ${message}`);
+            await this.logSystemEvent('MAINTENANCE_DUE', message, 'WARNING', due.plcName, due.runTag);
+            this.emit('runtime_maintenance_due', due);
+        });
+    }
+
+    /**
+     * Load the equipment counted for run hours and starts, with their saved counters
+     */
+    async loadRuntimeConfigurations() {
+        if (!this.config.runtime.enabled) return;
+        
+        try {
+            const result = await this.connectionPool.request().query(`
+                SELECT * FROM EquipmentRuntime WHERE Enabled = 1
+            `);
+            
+            this.runtimeAccounting.configure(result.recordset.map(row => ({
+                name: row.EquipmentName,
+                plcName: row.PLCName,
+                runTag: row.RunTag,
+                maintenanceHours: row.MaintenanceHours,
+                maintenanceStarts: row.MaintenanceStarts,
+                state: {
+                    running: row.Running,
+                    runSeconds: row.RunSeconds,
+                    starts: row.StartCount,
+                    completedRuns: row.CompletedRuns,
+                    completedRunSeconds: row.CompletedRunSeconds,
+                    serviceRunSeconds: row.ServiceRunSeconds,
+                    serviceStarts: row.ServiceStarts,
+                    lastStart: row.LastStart,
+                    lastStop: row.LastStop,
+                    hoursDue: !!row.HoursDue,
+                    startsDue: !!row.StartsDue,
+                    lastResetAt: row.LastResetAt
+                }
+            })));
+            
+        } catch (error) {
+            console.error('❌ Failed to load equipment runtime configurations:', error);
+        }
+    }
+
+    /**
+     * Store the runtime counters of all equipment
+     */
+    async saveRuntimeCounters() {
+        const states = this.runtimeAccounting.getStates();
+        if (!states.length || !this.connectionPool) return;
+        
+        try {
+            await this.connectionPool.request()
+                .input('States', sql.NVarChar(sql.MAX), JSON.stringify(states.map(({ plcName, name, state }) => ({
+                    PLCName: plcName,
+                    EquipmentName: name,
+                    RunSeconds: state.runSeconds,
+                    StartCount: state.starts,
+                    CompletedRuns: state.completedRuns,
+                    CompletedRunSeconds: state.completedRunSeconds,
+                    ServiceRunSeconds: state.serviceRunSeconds,
+                    ServiceStarts: state.serviceStarts,
+                    Running: state.running,
+                    LastStart: state.lastStart,
+                    LastStop: state.lastStop,
+                    HoursDue: state.hoursDue,
+                    StartsDue: state.startsDue,
+                    LastResetAt: state.lastResetAt
+                }))))
+                .execute('sp_SaveRuntimeStates');
+            
+        } catch (error) {
+            console.error('❌ Failed to save runtime counters:', error.message);
+        }
+    }
+
+    /**
+     * Get run hours, starts and maintenance status of the equipment
+     */
+    getRuntimeCounters(plcName = null) {
+        return this.runtimeAccounting.getCounters(plcName);
+    }
+
+    /**
+     * Reset the runtime counters of an equipment after a service (MAINTENANCE) or a replacement (ALL)
+     */
+    async resetRuntimeCounters(plcName, equipment, scope = 'MAINTENANCE', username = 'SYSTEM') {
+        // Counters as they were, restored when the reset cannot be recorded
+        const entry = this.runtimeAccounting.getEntry(plcName, equipment);
+        const saved = entry && { state: { ...entry.state }, since: entry.since, startSeen: entry.startSeen };
+        const before = this.runtimeAccounting.reset(plcName, equipment, scope);
+        
+        console.log(`🔧 Resetting ${scope.toLowerCase()} runtime counters of ${plcName}.${equipment} (requested by ${username})`);
+        
+        try {
+            await this.connectionPool.request()
+                .input('PLCName', sql.NVarChar, plcName)
+                .input('EquipmentName', sql.NVarChar, equipment)
+                .input('Scope', sql.NVarChar, scope)
+                .input('RunHours', sql.Float, scope === 'ALL' ? before.runHours : before.serviceRunHours)
+                .input('StartCount', sql.Int, scope === 'ALL' ? before.starts : before.serviceStarts)
+                .input('ResetBy', sql.NVarChar, username)
+                .execute('sp_ResetEquipmentRuntime');
+        } catch (error) {
+            Object.assign(entry, saved);
+            console.error(`❌ Runtime counter reset of ${plcName}.${equipment} not recorded, counters kept:`, error.message);
+            throw error;
+        }
+        
+        this.emit('runtime_counters_reset', { plcName, equipment, scope, username, before });
+        
+        return { before, after: this.runtimeAccounting.describe(this.runtimeAccounting.getEntry(plcName, equipment)) };
+    }
+
+    /**
+     * Get the display units preference of a user
+     * @returns {object} - {preference, displayUnits}, the text as stored and the units it stands for
+     */
+    async getUserDisplayUnits(username) {
+        if (!username) {
+            return { preference: null, displayUnits: [] };
+        }
+        if (this.userDisplayUnits.has(username)) {
+            return this.userDisplayUnits.get(username);
+        }
+        
+        const result = await this.connectionPool.request()
+            .input('username', sql.NVarChar, username)
+            .query('SELECT DisplayUnits FROM UserPreferences WHERE Username = @username');
+        
+        const preference = result.recordset.length ? result.recordset[0].DisplayUnits : null;
+        let displayUnits = [];
+        try {
+            displayUnits = UnitRegistry.parseDisplayUnits(preference);
+        } catch (error) {
+            console.warn(`⚠️ Ignoring display units of user ${username}: ${error.message}`);
+        }
+        
+        const entry = { preference, displayUnits };
+        this.userDisplayUnits.set(username, entry);
+        return entry;
+    }
+
+    /**
+     * Store the display units preference of a user ('US,m³/h'), an empty preference removes it
+     * @throws {UnitError} - Unknown units, nothing is stored
+     */
+    async saveUserDisplayUnits(username, preference) {
+        const displayUnits = UnitRegistry.parseDisplayUnits(preference);
+        const text = displayUnits.length ? String(preference).trim() : null;
+        
+        await this.connectionPool.request()
+            .input('Username', sql.NVarChar, username)
+            .input('DisplayUnits', sql.NVarChar, text)
+            .execute('sp_SaveUserDisplayUnits');
+        
+        const entry = { preference: text, displayUnits };
+        this.userDisplayUnits.set(username, entry);
+        return entry;
     }
 
     /**
@@ -638,7 +1611,9 @@ class MultiPLCManager extends EventEmitter {
                     client.connected,
                     client.connected ? 'ONLINE' : 'OFFLINE',
                     client.currentCycleTime,
-                    status.s7.averageResponseTime
+                    status.s7.averageResponseTime,
+                    null,
+                    status.s7.cycleMetrics.total
                 );
             }
             
@@ -662,6 +1637,7 @@ class MultiPLCManager extends EventEmitter {
             
             const oldCount = this.plcConfigurations.size;
             await this.loadPLCConfigurations();
+            await this.loadRuntimeConfigurations();
             const newCount = this.plcConfigurations.size;
             
             if (newCount !== oldCount) {
@@ -730,7 +1706,10 @@ class MultiPLCManager extends EventEmitter {
                 total: this.plcConfigurations.size,
                 connected: connectedPLCs.length,
                 clients: this.plcClients.size,
-                configurations: Array.from(this.plcConfigurations.keys())
+                configurations: Array.from(this.plcConfigurations.keys()),
+                onBackupEndpoint: Array.from(this.plcClients.entries())
+                    .filter(([, client]) => client.activeEndpoint !== 0)
+                    .map(([plcName]) => plcName)
             },
             
             // Connection statistics
@@ -753,7 +1732,11 @@ class MultiPLCManager extends EventEmitter {
             services: {
                 healthCheck: !!this.healthCheckTimer,
                 autoReconnect: this.config.autoReconnectEnabled,
-                configRefresh: !!this.configRefreshTimer
+                configRefresh: !!this.configRefreshTimer,
+                timeSync: !!this.timeSyncTimer,
+                programBackup: !!this.programBackupTimer,
+                recordings: this.recorders.size,
+                replays: Array.from(this.plcClients.values()).filter(c => c.replay).length
             },
             
             // Database status
@@ -777,8 +1760,11 @@ class MultiPLCManager extends EventEmitter {
                     SELECT 
                         plc.PLCName,
                         plc.PLCDescription,
+                        plc.PLCType,
                         plc.IPAddress,
                         plc.Port,
+                        plc.BackupIPAddress,
+                        plc.FailbackMode,
                         plc.Location,
                         plc.Department,
                         plc.SystemType,
@@ -800,21 +1786,54 @@ class MultiPLCManager extends EventEmitter {
                         status.LastErrorTime,
                         status.SessionStarted,
                         status.SessionDuration,
+                        status.ClockDrift,
+                        status.ClockRoundTrip,
+                        status.LastClockCheck,
+                        status.LastClockCorrection,
+                        status.ClockCorrections,
+                        status.MaxResponseTime,
+                        status.ResponseTimeP95,
+                        status.ReadsPerSecond,
+                        status.PDUsPerRead,
+                        status.ItemsPerRead,
+                        status.ScanOverruns,
+                        status.ReadErrors,
+                        status.CycleLoad,
+                        status.ResponseHistogram,
+                        status.ActiveEndpoint,
+                        status.ActiveIPAddress,
+                        status.EndpointSwitches,
+                        status.LastEndpointSwitch,
                         
                         plc.ConnectionAttempts,
                         plc.SuccessfulConnections,
                         plc.FailedConnections,
                         plc.UptimePercent,
-                        plc.DataQualityPercent
+                        plc.DataQualityPercent,
+                        
+                        ident.ModuleOrderNumber,
+                        ident.HardwareOrderNumber,
+                        ident.FirmwareVersion,
+                        ident.SerialNumber,
+                        ident.ModuleName,
+                        ident.CPUName,
+                        ident.PlantID,
+                        ident.CpuState,
+                        ident.CpuStateChanged,
+                        ident.PreviousFirmwareVersion,
+                        ident.FirmwareChangedDate,
+                        ident.LastIdentified
                         
                     FROM PLCConnections plc
                     LEFT JOIN PLCConnectionStatus status ON plc.PLCName = status.PLCName
+                    LEFT JOIN PLCIdentification ident ON plc.PLCName = ident.PLCName
                     ORDER BY plc.Priority, plc.PLCName
                 `);
             
             return result.recordset.map(row => ({
                 name: row.PLCName,
                 description: row.PLCDescription,
+                plcType: row.PLCType,
                 address: row.IPAddress,
                 port: row.Port,
                 location: row.Location,
@@ -849,6 +1868,54 @@ class MultiPLCManager extends EventEmitter {
                     dataQualityPercent: row.DataQualityPercent
                 },
                 
+                identification: {
+                    moduleOrderNumber: row.ModuleOrderNumber,
+                    hardwareOrderNumber: row.HardwareOrderNumber,
+                    firmwareVersion: row.FirmwareVersion,
+                    serialNumber: row.SerialNumber,
+                    moduleName: row.ModuleName,
+                    cpuName: row.CPUName,
+                    plantID: row.PlantID,
+                    previousFirmwareVersion: row.PreviousFirmwareVersion,
+                    firmwareChanged: row.FirmwareChangedDate,
+                    lastIdentified: row.LastIdentified
+                },
+                
+                cpu: {
+                    state: row.CpuState,
+                    lastChange: row.CpuStateChanged
+                },
+                
+                redundancy: {
+                    backupAddress: row.BackupIPAddress,
+                    failback: row.FailbackMode,
+                    activeEndpoint: row.ActiveEndpoint || 'primary',
+                    activeAddress: row.ActiveIPAddress || row.IPAddress,
+                    switches: row.EndpointSwitches,
+                    lastSwitch: row.LastEndpointSwitch
+                },
+                
+                clock: {
+                    drift: row.ClockDrift,
+                    roundTrip: row.ClockRoundTrip,
+                    lastCheck: row.LastClockCheck,
+                    lastCorrection: row.LastClockCorrection,
+                    corrections: row.ClockCorrections
+                },
+                
+                performance: {
+                    averageResponseTime: row.AverageResponseTime,
+                    maxResponseTime: row.MaxResponseTime,
+                    responseTimeP95: row.ResponseTimeP95,
+                    readsPerSecond: row.ReadsPerSecond,
+                    pdusPerRead: row.PDUsPerRead,
+                    itemsPerRead: row.ItemsPerRead,
+                    overruns: row.ScanOverruns,
+                    readErrors: row.ReadErrors,
+                    load: row.CycleLoad,
+                    histogram: row.ResponseHistogram ? JSON.parse(row.ResponseHistogram) : null
+                },
+                
                 hasClient: this.plcClients.has(row.PLCName),
                 clientConnected: this.plcClients.has(row.PLCName) ? 
                     this.plcClients.get(row.PLCName).connected : false
@@ -906,8 +1973,8 @@ class MultiPLCManager extends EventEmitter {
                     plc.Department,
                     plc.SystemType,
                     CASE 
-                        WHEN dh.Quality = 192 THEN 'Good'
-                        WHEN dh.Quality >= 128 THEN 'Uncertain' 
+                        WHEN dh.Quality >= 192 THEN 'Good'
+                        WHEN dh.Quality BETWEEN 64 AND 127 THEN 'Uncertain'
                         ELSE 'Bad'
                     END as QualityText
                 FROM DataHistory dh
@@ -1048,9 +2115,9 @@ class MultiPLCManager extends EventEmitter {
                         SELECT 
                             dh.PLCName,
                             COUNT(*) as TotalRecords,
-                            COUNT(CASE WHEN dh.Quality = 192 THEN 1 END) as GoodRecords,
+                            COUNT(CASE WHEN dh.Quality >= 192 THEN 1 END) as GoodRecords,
                             COUNT(CASE WHEN dh.Quality < 192 THEN 1 END) as BadRecords,
-                            CAST(COUNT(CASE WHEN dh.Quality = 192 THEN 1 END) * 100.0 / COUNT(*) as DECIMAL(5,2)) as QualityPercentage
+                            CAST(COUNT(CASE WHEN dh.Quality >= 192 THEN 1 END) * 100.0 / COUNT(*) as DECIMAL(5,2)) as QualityPercentage
                         FROM DataHistory dh
                         WHERE dh.Timestamp BETWEEN @startDate AND @endDate
                         GROUP BY dh.PLCName
@@ -1139,6 +2206,21 @@ class MultiPLCManager extends EventEmitter {
                 this.configRefreshTimer = null;
             }
             
+            if (this.timeSyncTimer) {
+                clearInterval(this.timeSyncTimer);
+                this.timeSyncTimer = null;
+            }
+            
+            if (this.programBackupTimer) {
+                clearInterval(this.programBackupTimer);
+                this.programBackupTimer = null;
+            }
+            
+            if (this.runtimeTimer) {
+                clearInterval(this.runtimeTimer);
+                this.runtimeTimer = null;
+            }
+            
             // Disconnect from all PLCs
             const disconnectPromises = [];
             for (const plcName of this.plcClients.keys()) {
@@ -1147,6 +2229,9 @@ class MultiPLCManager extends EventEmitter {
             
             await Promise.allSettled(disconnectPromises);
             
+            // Run hours counted up to the disconnection
+            await this.saveRuntimeCounters();
+            
             // Log shutdown event
             await this.logSystemEvent('SYSTEM_SHUTDOWN', 
                 'Multi-PLC Manager shutting down gracefully', 'INFO');
@@ -1175,7 +2260,8 @@ class MultiPLCManager extends EventEmitter {
                 tagNames = null,
                 startDate = new Date(Date.now() - 24 * 60 * 60 * 1000),
                 endDate = new Date(),
-                includeMetadata = true
+                includeMetadata = true,
+                displayUnits = null
             } = options;
             
             let whereClause = 'WHERE dh.Timestamp BETWEEN @startDate AND @endDate';
@@ -1210,8 +2296,8 @@ class MultiPLCManager extends EventEmitter {
                     plc.Department,
                     plc.SystemType,
                     CASE 
-                        WHEN dh.Quality = 192 THEN 'Good'
-                        WHEN dh.Quality >= 128 THEN 'Uncertain' 
+                        WHEN dh.Quality >= 192 THEN 'Good'
+                        WHEN dh.Quality BETWEEN 64 AND 127 THEN 'Uncertain'
                         ELSE 'Bad'
                     END as QualityText
                 FROM DataHistory dh
@@ -1237,7 +2323,7 @@ class MultiPLCManager extends EventEmitter {
             // Build CSV data
             const csvData = [headers.join(',')];
             
-            result.recordset.forEach(row => {
+            UnitRegistry.convertRecords(result.recordset, displayUnits, { values: ['Value'] }).forEach(row => {
                 let csvRow = [
                     row.PLCName,
                     row.TagName,